@@ -34,6 +34,13 @@ check_prerequisites() {
         exit 1
     fi
     
+    # The gateway does not start without API keys
+    if [ -z "${API_KEYS_FILE:-}" ] && ! kubectl -n lgtm get secret api-keys &> /dev/null; then
+        echo "❌ No gateway API keys. Run with API_KEYS_FILE=<keys.json>"
+        echo "   (format: sample-app/api-keys.json, keySha256 entries)"
+        exit 1
+    fi
+    
     echo "✅ All prerequisites met"
     echo ""
 }
@@ -107,9 +114,28 @@ apply_custom_configs() {
     echo ""
 }
 
+# Create the application secrets; kept across deploys
+create_app_secrets() {
+    echo "🔑 Creating application secrets..."
+    # Shared token for internal calls (X-Service-Token), random per cluster
+    if ! kubectl -n lgtm get secret service-token &> /dev/null; then
+        kubectl -n lgtm create secret generic service-token \
+            --from-literal=token="$(openssl rand -hex 32)"
+    fi
+    # The gateway's API keys, replaced whenever API_KEYS_FILE is given
+    if [ -n "${API_KEYS_FILE:-}" ]; then
+        kubectl -n lgtm create secret generic api-keys \
+            --from-file=api-keys.json="$API_KEYS_FILE" \
+            --dry-run=client -o yaml | kubectl apply -f -
+    fi
+    echo "✅ Secrets ready"
+    echo ""
+}
+
 # Deploy applications
 deploy_apps() {
     echo "📦 Deploying applications..."
+    create_app_secrets
     kubectl apply -f apps/sample-app/
     kubectl apply -f apps/order-service/
     kubectl apply -f apps/payment-service/
@@ -0,0 +1,47 @@
+/**
+ * ============================================================
+ * ARRIVAL PATTERNS - When to send the next request
+ * ============================================================
+ *
+ *   constant → `rate` requests per second for the whole run
+ *   ramp     → linear from `from` to `to` req/s over `over`,
+ *              then stays at `to`
+ *
+ * Arrivals are "open model": requests are started on schedule
+ * whether or not earlier ones have finished, so a slow gateway
+ * shows up as latency (and dropped requests once the concurrency
+ * limit is reached) instead of silently lowering the rate.
+ * ============================================================
+ */
+
+/**
+ * Requests per second at `elapsedMs` into the run.
+ */
+export function rateAt(arrival, elapsedMs) {
+  if (arrival.type === "ramp") {
+    const progress = Math.min(1, elapsedMs / arrival.overMs);
+    return arrival.from + (arrival.to - arrival.from) * progress;
+  }
+  return arrival.rate;
+}
+
+/**
+ * Milliseconds to wait before the next arrival. A ramp starting
+ * at 0 req/s is polled every 100ms until the rate picks up.
+ */
+export function nextDelayMs(arrival, elapsedMs) {
+  const rate = rateAt(arrival, elapsedMs);
+  return rate > 0 ? 1000 / rate : 100;
+}
+
+/**
+ * Human-readable description for the run banner.
+ */
+export function describeArrival(arrival) {
+  if (arrival.type === "ramp") {
+    return `ramp ${arrival.from} → ${arrival.to} req/s over ${
+      arrival.overMs / 1000
+    }s`;
+  }
+  return `constant ${arrival.rate} req/s`;
+}
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * LGTM LOAD GENERATOR - Scenario-driven traffic for the gateway
+ * ============================================================
+ *
+ * USAGE:
+ *   node cli.js [scenario] [options]
+ *
+ *   scenario  path to a YAML/JSON file, or the name of one in
+ *             ./scenarios (default: "default")
+ *
+ * OPTIONS (override the scenario file):
+ *   -u, --url URL          gateway base URL
+ *                          (default: $BASE_URL or http://localhost:30800)
+ *   -d, --duration 60s     how long to run (Ctrl+C stops early)
+ *   -n, --requests N       stop after N requests
+ *   -r, --rate N           constant arrival rate, requests per second
+ *   -c, --concurrency N    max in-flight requests
+ *   -k, --api-key KEY      gateway API key (X-API-Key)
+ *                          (default: $API_KEY or the dev "loadgen" key
+ *                          from sample-app/api-keys.json)
+ *       --json             print the report as JSON
+ *       --no-telemetry     don't emit OTLP traces
+ *   -h, --help
+ *
+ * EXAMPLES:
+ *   node cli.js                              # default mix, 5 req/s
+ *   node cli.js burst -u http://localhost:8000
+ *   node cli.js errors -n 100
+ *   node cli.js ramp --duration 2m
+ * ============================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { describeArrival } from "./arrivals.js";
+import { loadScenario, parseDuration } from "./scenario.js";
+import { createStats, formatReport } from "./stats.js";
+
+// Dev key of the "loadgen" client in sample-app/api-keys.json
+const DEV_API_KEY = "lgtm-dev-loadgen-key";
+
+const SCENARIO_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "scenarios"
+);
+
+const usage = () => {
+  const source = fs.readFileSync(fileURLToPath(import.meta.url), "utf8");
+  const [, header] = source.match(/\/\*\*([\s\S]*?)\*\//);
+  console.log(header.replace(/^ \* ?/gm, "").trim());
+};
+
+const resolveScenarioPath = (value = "default") => {
+  if (fs.existsSync(value)) return value;
+  for (const extension of [".yaml", ".yml", ".json"]) {
+    const candidate = path.join(SCENARIO_DIR, `${value}${extension}`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(`Scenario "${value}" not found (looked in ${SCENARIO_DIR})`);
+};
+
+const positiveNumber = (name, value) => {
+  const number = Number(value);
+  if (!(number > 0)) throw new Error(`--${name} must be a positive number`);
+  return number;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: "string", short: "u" },
+      duration: { type: "string", short: "d" },
+      requests: { type: "string", short: "n" },
+      rate: { type: "string", short: "r" },
+      concurrency: { type: "string", short: "c" },
+      "api-key": { type: "string", short: "k" },
+      json: { type: "boolean" },
+      "no-telemetry": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) return usage();
+
+  const scenario = loadScenario(resolveScenarioPath(positionals[0]));
+
+  scenario.baseUrl =
+    values.url ||
+    scenario.baseUrl ||
+    process.env.BASE_URL ||
+    "http://localhost:30800";
+  scenario.apiKey =
+    values["api-key"] || scenario.apiKey || process.env.API_KEY || DEV_API_KEY;
+  if (values.duration) scenario.durationMs = parseDuration(values.duration);
+  if (values.requests) {
+    scenario.maxRequests = positiveNumber("requests", values.requests);
+  }
+  if (values.rate) {
+    scenario.arrival = {
+      type: "constant",
+      rate: positiveNumber("rate", values.rate),
+    };
+  }
+  if (values.concurrency) {
+    scenario.concurrency = positiveNumber("concurrency", values.concurrency);
+  }
+
+  // Telemetry first: the runner's axios must be loaded after instrumentation
+  const telemetry = values["no-telemetry"]
+    ? null
+    : (await import("./telemetry.js")).default;
+  const { trace } = await import("@opentelemetry/api");
+  const { runScenario } = await import("./runner.js");
+
+  const tracer = telemetry?.tracer ?? trace.getTracer("loadgen");
+  const stats = createStats();
+
+  console.log(`🚀 Load generator: ${scenario.name}`);
+  console.log(`   Target:      ${scenario.baseUrl}`);
+  console.log(`   Arrival:     ${describeArrival(scenario.arrival)}`);
+  console.log(`   Concurrency: ${scenario.concurrency}`);
+  console.log(
+    `   Stop after:  ${
+      [
+        scenario.durationMs !== undefined && `${scenario.durationMs / 1000}s`,
+        scenario.maxRequests !== undefined &&
+          `${scenario.maxRequests} requests`,
+      ]
+        .filter(Boolean)
+        .join(" or ") || "∞ (Ctrl+C to stop)"
+    }`
+  );
+  console.log(
+    `   Mix:         ${scenario.requests
+      .map((request) => `${request.name} ×${request.weight}`)
+      .join(", ")}`
+  );
+  console.log("");
+
+  const run = runScenario(scenario, {
+    tracer,
+    stats,
+    onProgress: ({ elapsedMs, sent, inFlight }) =>
+      console.log(
+        `[${Math.round(elapsedMs / 1000)}s] sent ${sent}, in flight ${inFlight}`
+      ),
+  });
+
+  const stop = () => {
+    console.log("\n⏹️  Stopping, waiting for in-flight requests...");
+    run.stop();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+
+  await run.done;
+
+  const report = stats.report();
+  console.log(
+    values.json ? JSON.stringify(report, null, 2) : formatReport(report)
+  );
+
+  // Flush the last spans before exiting
+  await telemetry?.sdk.shutdown();
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
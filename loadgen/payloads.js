@@ -0,0 +1,113 @@
+/**
+ * ============================================================
+ * REQUEST PAYLOADS - Realistic bodies for generated traffic
+ * ============================================================
+ *
+ * A scenario request can use `body: <generator>` instead of a
+ * static JSON body. Generators return a fresh object per request.
+ *
+ * `customer: true` adds the gateway's caller headers (X-Tenant-Id,
+ * X-Customer-Tier) of a random customer, so the per-tenant and
+ * per-tier telemetry has something to show.
+ * ============================================================
+ */
+
+// Small product catalog (unit prices in USD)
+const CATALOG = [
+  { item: "usb-c-cable", price: 9.99 },
+  { item: "wireless-mouse", price: 24.5 },
+  { item: "mechanical-keyboard", price: 89.0 },
+  { item: "27in-monitor", price: 249.99 },
+  { item: "laptop-stand", price: 39.95 },
+  { item: "noise-cancelling-headphones", price: 199.0 },
+  { item: "webcam-1080p", price: 59.9 },
+  { item: "desk-lamp", price: 32.0 },
+];
+
+// payment-service's provider simulator declines totals ending in
+// .01 (card), .02 (funds) and .03 (fraud): one order in ten gets one
+const DECLINED_CENTS = [1, 2, 3];
+const DECLINED_SHARE = 0.1;
+
+// Customer IDs for order-service's risk rules (risk-rules.json): one
+// busy customer orders far more often than the rest (velocity rules,
+// held for review) and a few orders come from a blocklisted one
+const REGULAR_CUSTOMERS = 200;
+const BUSY_CUSTOMER = { customerId: "customer-0000", share: 0.1 };
+const BLOCKED_CUSTOMER = { customerId: "customer-blocked", share: 0.02 };
+
+const randomInt = (min, max) =>
+  Math.floor(Math.random() * (max - min + 1)) + min;
+
+/**
+ * Most carts hold 1-2 units, a few hold more.
+ */
+const randomQuantity = () => {
+  const roll = Math.random();
+  if (roll < 0.6) return 1;
+  if (roll < 0.85) return 2;
+  return randomInt(3, 10);
+};
+
+const randomCustomerId = () => {
+  const roll = Math.random();
+  if (roll < BLOCKED_CUSTOMER.share) return BLOCKED_CUSTOMER.customerId;
+  if (roll < BLOCKED_CUSTOMER.share + BUSY_CUSTOMER.share) {
+    return BUSY_CUSTOMER.customerId;
+  }
+  return `customer-${String(randomInt(1, REGULAR_CUSTOMERS)).padStart(4, "0")}`;
+};
+
+export const PAYLOAD_GENERATORS = {
+  /**
+   * POST /api/order body: item, quantity, total, customerId
+   */
+  order: () => {
+    const product = CATALOG[randomInt(0, CATALOG.length - 1)];
+    const quantity = randomQuantity();
+    let cents = Math.round(product.price * quantity * 100);
+    if (Math.random() < DECLINED_SHARE) {
+      cents = Math.floor(cents / 100) * 100 + DECLINED_CENTS[randomInt(0, 2)];
+    }
+
+    return {
+      item: product.item,
+      quantity,
+      total: cents / 100,
+      customerId: randomCustomerId(),
+    };
+  },
+};
+
+// Tenants from the gateway's default allow-list (BAGGAGE_TENANTS),
+// weighted towards the cheaper tiers like real traffic
+const CUSTOMERS = [
+  { tenant: "acme", tier: "enterprise", weight: 2 },
+  { tenant: "globex", tier: "premium", weight: 3 },
+  { tenant: "initech", tier: "standard", weight: 5 },
+  { tenant: "umbrella", tier: "free", weight: 10 },
+];
+
+/**
+ * Caller headers of a random customer.
+ */
+export const customerHeaders = () => {
+  const total = CUSTOMERS.reduce((sum, customer) => sum + customer.weight, 0);
+  let roll = Math.random() * total;
+  const customer =
+    CUSTOMERS.find((candidate) => (roll -= candidate.weight) < 0) ??
+    CUSTOMERS[0];
+
+  return {
+    "X-Tenant-Id": customer.tenant,
+    "X-Customer-Tier": customer.tier,
+  };
+};
+
+/**
+ * Resolves a scenario `body` into the JSON to send.
+ */
+export const buildBody = (body) => {
+  if (typeof body === "string") return PAYLOAD_GENERATORS[body]();
+  return body;
+};
@@ -0,0 +1,157 @@
+/**
+ * ============================================================
+ * RUNNER - Sends the scenario's traffic
+ * ============================================================
+ *
+ * Every generated request:
+ *   1. starts a ROOT span named after the scenario request
+ *   2. sends the HTTP call with axios (auto-instrumented, so a
+ *      client span + traceparent header are added under it)
+ *   3. records status and latency in the run statistics
+ *
+ * When `concurrency` requests are already in flight the new
+ * arrival is not sent and is counted as "dropped".
+ * ============================================================
+ */
+
+import axios from "axios";
+import { randomUUID } from "node:crypto";
+import { SpanKind, SpanStatusCode } from "@opentelemetry/api";
+
+import { nextDelayMs } from "./arrivals.js";
+import { buildBody, customerHeaders } from "./payloads.js";
+import { pickWeighted } from "./scenario.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const errorOutcome = (error) => {
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return "timeout";
+  }
+  return error.code || "network_error";
+};
+
+/**
+ * Starts the run. Returns { stop, done }: `done` resolves once the
+ * duration/request budget is used up (or stop() was called) and
+ * every in-flight request has settled.
+ *
+ * @param {object} scenario - validated scenario (see scenario.js)
+ * @param {object} options
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {ReturnType<import("./stats.js").createStats>} options.stats
+ * @param {(progress: object) => void} [options.onProgress] - every 5s
+ */
+export function runScenario(scenario, { tracer, stats, onProgress }) {
+  const http = axios.create({
+    baseURL: scenario.baseUrl,
+    timeout: scenario.timeoutMs,
+    headers: scenario.apiKey ? { "X-API-Key": scenario.apiKey } : {},
+    validateStatus: () => true, // every status is an outcome, not an error
+  });
+
+  const inFlight = new Set();
+  let stopped = false;
+  let wake = () => {};
+
+  const send = (request) =>
+    tracer.startActiveSpan(
+      request.name,
+      {
+        root: true,
+        kind: SpanKind.INTERNAL,
+        attributes: {
+          "loadgen.scenario": scenario.name,
+          "loadgen.request": request.name,
+          "http.method": request.method,
+          "http.target": request.path,
+        },
+      },
+      async (span) => {
+        const headers = { ...request.headers };
+        if (request.idempotencyKey) headers["Idempotency-Key"] = randomUUID();
+        if (request.customer) Object.assign(headers, customerHeaders());
+
+        const started = performance.now();
+        try {
+          const response = await http.request({
+            method: request.method,
+            url: request.path,
+            data: buildBody(request.body),
+            headers,
+          });
+          const durationMs = performance.now() - started;
+
+          span.setAttribute("http.status_code", response.status);
+          if (response.status >= 500) {
+            span.setStatus({
+              code: SpanStatusCode.ERROR,
+              message: `HTTP ${response.status}`,
+            });
+          }
+          stats.record(request.name, response.status, durationMs);
+        } catch (error) {
+          const outcome = errorOutcome(error);
+          span.recordException(error);
+          span.setStatus({ code: SpanStatusCode.ERROR, message: outcome });
+          stats.record(request.name, outcome, performance.now() - started);
+        } finally {
+          span.end();
+        }
+      }
+    );
+
+  const loop = async () => {
+    const startedAt = Date.now();
+    let nextAt = startedAt;
+    let sent = 0;
+    let lastProgress = startedAt;
+
+    while (!stopped) {
+      const elapsedMs = Date.now() - startedAt;
+      if (
+        scenario.durationMs !== undefined &&
+        elapsedMs >= scenario.durationMs
+      ) {
+        break;
+      }
+      if (scenario.maxRequests !== undefined && sent >= scenario.maxRequests) {
+        break;
+      }
+
+      const request = pickWeighted(scenario.requests);
+      sent += 1;
+
+      if (inFlight.size >= scenario.concurrency) {
+        stats.record(request.name, "dropped");
+      } else {
+        const pending = send(request);
+        inFlight.add(pending);
+        pending.finally(() => inFlight.delete(pending));
+      }
+
+      if (onProgress && Date.now() - lastProgress >= 5000) {
+        lastProgress = Date.now();
+        onProgress({ elapsedMs, sent, inFlight: inFlight.size });
+      }
+
+      // Schedule against absolute time so slow iterations don't lower the rate
+      nextAt += nextDelayMs(scenario.arrival, elapsedMs);
+      const delay = Math.max(0, nextAt - Date.now());
+      await Promise.race([
+        sleep(delay),
+        new Promise((resolve) => (wake = resolve)),
+      ]);
+    }
+
+    await Promise.allSettled([...inFlight]);
+  };
+
+  return {
+    stop() {
+      stopped = true;
+      wake();
+    },
+    done: loop(),
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * ============================================================
+ * SCENARIO FILES - What traffic to send, and how fast
+ * ============================================================
+ *
+ * A scenario (YAML or JSON) describes a weighted mix of requests
+ * against the gateway plus an arrival pattern:
+ *
+ *   name: mixed
+ *   baseUrl: http://localhost:30800
+ *   apiKey: lgtm-dev-loadgen-key  # X-API-Key on every request
+ *   duration: 60s            # and/or "maxRequests: 500"
+ *   concurrency: 20          # max in-flight requests
+ *   arrival:
+ *     type: constant         # constant | ramp
+ *     rate: 10               # requests per second
+ *     # type: ramp → from: 1, to: 50, over: 30s
+ *   requests:
+ *     - name: order
+ *       weight: 30
+ *       method: POST
+ *       path: /api/order
+ *       body: order          # generated payload (see payloads.js)
+ *       idempotencyKey: true
+ *       customer: true       # random X-Tenant-Id / X-Customer-Tier
+ *
+ * Command-line flags override the top-level settings.
+ * ============================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+
+import { PAYLOAD_GENERATORS } from "./payloads.js";
+
+const ARRIVAL_TYPES = ["constant", "ramp"];
+const METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH"];
+
+/**
+ * "500ms" | "30s" | "2m" | "1h" | 1500 (ms) → milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === "number") return value;
+
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid duration "${value}"`);
+
+  const unit = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[match[2] || "s"];
+  return Number(match[1]) * unit;
+}
+
+const fail = (file, message) => {
+  throw new Error(`${file}: ${message}`);
+};
+
+/**
+ * Reads and validates a scenario file.
+ */
+export function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const raw = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  return validateScenario(raw, path.basename(file));
+}
+
+/**
+ * Validates a parsed scenario and fills in defaults.
+ */
+export function validateScenario(raw, file = "scenario") {
+  if (!raw || typeof raw !== "object") fail(file, "must be an object");
+
+  const arrival = { type: "constant", rate: 5, ...raw.arrival };
+  if (!ARRIVAL_TYPES.includes(arrival.type)) {
+    fail(file, `arrival.type must be one of ${ARRIVAL_TYPES.join(", ")}`);
+  }
+  if (arrival.type === "constant" && !(arrival.rate > 0)) {
+    fail(file, "arrival.rate must be > 0");
+  }
+  if (arrival.type === "ramp") {
+    if (!(arrival.from >= 0) || !(arrival.to > 0)) {
+      fail(file, "ramp arrival needs from >= 0 and to > 0");
+    }
+    arrival.overMs = parseDuration(arrival.over ?? "30s");
+  }
+
+  if (!Array.isArray(raw.requests) || raw.requests.length === 0) {
+    fail(file, "requests must be a non-empty list");
+  }
+
+  const requests = raw.requests.map((request, index) => {
+    const label = request.name || `requests[${index}]`;
+    const method = (request.method || "GET").toUpperCase();
+
+    if (!METHODS.includes(method)) fail(file, `${label}: bad method ${method}`);
+    if (typeof request.path !== "string" || !request.path.startsWith("/")) {
+      fail(file, `${label}: path must start with "/"`);
+    }
+    if (request.weight !== undefined && !(request.weight > 0)) {
+      fail(file, `${label}: weight must be > 0`);
+    }
+    if (typeof request.body === "string" && !PAYLOAD_GENERATORS[request.body]) {
+      fail(
+        file,
+        `${label}: unknown body generator "${request.body}" (known: ${Object.keys(
+          PAYLOAD_GENERATORS
+        ).join(", ")})`
+      );
+    }
+
+    return {
+      name: request.name || `${method} ${request.path}`,
+      method,
+      path: request.path,
+      weight: request.weight ?? 1,
+      body: request.body,
+      headers: request.headers || {},
+      idempotencyKey: Boolean(request.idempotencyKey),
+      customer: Boolean(request.customer),
+    };
+  });
+
+  return {
+    name: raw.name || file,
+    baseUrl: raw.baseUrl,
+    apiKey: raw.apiKey,
+    durationMs:
+      raw.duration !== undefined ? parseDuration(raw.duration) : undefined,
+    maxRequests: raw.maxRequests,
+    concurrency: raw.concurrency ?? 50,
+    timeoutMs: parseDuration(raw.timeout ?? "10s"),
+    arrival,
+    requests,
+  };
+}
+
+/**
+ * Picks a request according to the weights.
+ */
+export function pickWeighted(requests) {
+  const total = requests.reduce((sum, request) => sum + request.weight, 0);
+  let roll = Math.random() * total;
+
+  for (const request of requests) {
+    roll -= request.weight;
+    if (roll < 0) return request;
+  }
+  return requests[requests.length - 1];
+}
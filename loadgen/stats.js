@@ -0,0 +1,169 @@
+/**
+ * ============================================================
+ * RUN STATISTICS - Latency percentiles and status breakdown
+ * ============================================================
+ *
+ * Every request outcome is recorded with its request name and
+ * one of:
+ *   - the HTTP status code (200, 503, ...)
+ *   - a network error code (ECONNREFUSED, ECONNRESET, timeout)
+ *   - "dropped" when the concurrency limit was reached
+ *
+ * Percentiles are exact (all samples are kept); a run of a few
+ * hundred thousand requests still fits comfortably in memory.
+ * ============================================================
+ */
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Nearest-rank percentile of an ascending array.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+const summarise = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    ...Object.fromEntries(
+      PERCENTILES.map((p) => [`p${p}`, percentile(sorted, p)])
+    ),
+    max: sorted.length ? sorted[sorted.length - 1] : 0,
+  };
+};
+
+export function createStats() {
+  const startedAt = Date.now();
+  const byName = new Map();
+
+  const bucket = (name) => {
+    if (!byName.has(name)) {
+      byName.set(name, { latencies: [], outcomes: new Map() });
+    }
+    return byName.get(name);
+  };
+
+  return {
+    /**
+     * @param {string} name - scenario request name
+     * @param {number|string} outcome - status code, error code or "dropped"
+     * @param {number} [durationMs] - omitted for dropped requests
+     */
+    record(name, outcome, durationMs) {
+      const entry = bucket(name);
+      const key = String(outcome);
+      entry.outcomes.set(key, (entry.outcomes.get(key) || 0) + 1);
+      if (durationMs !== undefined) entry.latencies.push(durationMs);
+    },
+
+    get total() {
+      let total = 0;
+      for (const entry of byName.values()) {
+        for (const count of entry.outcomes.values()) total += count;
+      }
+      return total;
+    },
+
+    /**
+     * Plain-object report: overall + per request name.
+     */
+    report() {
+      const outcomes = new Map();
+      const latencies = [];
+      const requests = {};
+
+      for (const [name, entry] of byName) {
+        latencies.push(...entry.latencies);
+        for (const [key, count] of entry.outcomes) {
+          outcomes.set(key, (outcomes.get(key) || 0) + count);
+        }
+        requests[name] = {
+          latencyMs: summarise(entry.latencies),
+          outcomes: Object.fromEntries(entry.outcomes),
+        };
+      }
+
+      const elapsedMs = Date.now() - startedAt;
+      const total = [...outcomes.values()].reduce((sum, n) => sum + n, 0);
+
+      return {
+        elapsedMs,
+        total,
+        throughput: total / Math.max(elapsedMs / 1000, 0.001),
+        latencyMs: summarise(latencies),
+        outcomes: Object.fromEntries(outcomes),
+        requests,
+      };
+    },
+  };
+}
+
+// ============================================================
+// TEXT SUMMARY
+// ============================================================
+
+const ms = (value) => `${Math.round(value)}ms`.padStart(8);
+
+const outcomeLabel = (key) => {
+  if (/^2\d\d$/.test(key)) return `✅ ${key}`;
+  if (/^[45]\d\d$/.test(key)) return `❌ ${key}`;
+  if (key === "dropped") return "⏭️  dropped (concurrency limit)";
+  return `💥 ${key}`;
+};
+
+const sortOutcomes = (outcomes) =>
+  Object.entries(outcomes).sort(([a], [b]) => a.localeCompare(b));
+
+export function formatReport(report) {
+  const lines = [];
+  const rule = "━".repeat(72);
+
+  lines.push(rule);
+  lines.push(
+    `📊 ${report.total} requests in ${(report.elapsedMs / 1000).toFixed(
+      1
+    )}s (${report.throughput.toFixed(1)} req/s)`
+  );
+  lines.push("");
+  lines.push("Status codes:");
+  for (const [key, count] of sortOutcomes(report.outcomes)) {
+    const share = ((count / report.total) * 100).toFixed(1);
+    lines.push(`   ${outcomeLabel(key).padEnd(34)} ${count} (${share}%)`);
+  }
+
+  lines.push("");
+  lines.push(
+    `${"Latency".padEnd(22)}${"count".padStart(8)}${[
+      "p50",
+      "p90",
+      "p95",
+      "p99",
+      "max",
+    ]
+      .map((label) => label.padStart(8))
+      .join("")}`
+  );
+
+  const row = (label, latency) =>
+    `${label.slice(0, 21).padEnd(22)}${String(latency.count).padStart(8)}${[
+      latency.p50,
+      latency.p90,
+      latency.p95,
+      latency.p99,
+      latency.max,
+    ]
+      .map(ms)
+      .join("")}`;
+
+  for (const [name, entry] of Object.entries(report.requests)) {
+    lines.push(row(name, entry.latencyMs));
+  }
+  lines.push(row("ALL", report.latencyMs));
+  lines.push(rule);
+
+  return lines.join("\n");
+}
@@ -0,0 +1,26 @@
+/**
+ * ============================================================
+ * TELEMETRY BOOTSTRAP - Load Generator
+ * ============================================================
+ *
+ * The load generator is traced like any other service: each
+ * generated request is a root span ("loadgen" service) and axios
+ * propagates its trace context to the gateway, so client-side
+ * latency sits on top of the server-side spans in Tempo.
+ *
+ * IMPORTANT: cli.js imports this file (dynamically) BEFORE the
+ * runner, so the http/axios instrumentation is in place.
+ *
+ * Runs on the host by default, hence the localhost OTLP endpoint
+ * (Alloy publishes 4318 in docker-compose).
+ * ============================================================
+ */
+
+import { initTelemetry } from "@lgtm/telemetry";
+
+process.env.OTEL_EXPORTER_OTLP_ENDPOINT ??= "http://localhost:4318";
+
+const telemetry = initTelemetry({ serviceName: "loadgen" });
+
+export const { sdk, tracer } = telemetry;
+export default telemetry;
@@ -6,57 +6,407 @@
  * Request Flow:
  * Gateway (sample-app) → Order Service → Payment Service
  *
+ * With "Prefer: respond-async" (and BROKER_URL set) the payment runs
+ * asynchronously: the order is answered 202 "pending", an
+ * "orders.created" message goes to payment-service and its
+ * "payments.completed" reply marks the order paid or failed.
+ *
+ * Before anything else, every order is scored by the risk rules
+ * (risk.js): rejected orders stop there, orders held for review are
+ * parked as "pending_review".
+ *
+ * Creating an order is a saga (saga.js): reserve inventory →
+ * authorize payment → confirm order. When a step fails, the earlier
+ * ones are compensated in reverse (refund, release the stock).
+ *
  * Observability:
  * - TRACES: OpenTelemetry auto-instruments incoming/outgoing HTTP
- * - METRICS: OpenTelemetry auto-instrumentation -> Alloy -> Prometheus
+ * - METRICS: OpenTelemetry auto-instrumentation + business metrics
+ *   (metrics.js) -> Alloy -> Prometheus
  * - LOGS: Winston -> Alloy -> Loki
  */
 
 // ============================================================
-// IMPORTANT: Load tracing FIRST before any other imports!
+// IMPORTANT: Load telemetry FIRST before any other imports!
 // ============================================================
-import { activeRequestsGauge } from "./tracing.js";
+import telemetry, {
+  logger,
+  meter,
+  tracer,
+  activeRequestsMiddleware,
+} from "./telemetry.js";
 
+import { randomUUID } from "node:crypto";
 import express from "express";
-import axios from "axios";
-import logger from "./logger.js";
+import {
+  asyncHandler,
+  createApiDocs,
+  createAuthenticatorFromEnv,
+  createDeadlines,
+  createEventStreams,
+  createFaultInjector,
+  createHealthChecks,
+  createHttpClient,
+  createValidator,
+  errorHandler,
+  fromClientError,
+  httpCheck,
+  httpError,
+  idempotency,
+  notFoundHandler,
+  registerRuntimeAdmin,
+  sleep,
+  IDEMPOTENCY_HEADER,
+} from "@lgtm/http";
+import { createMessaging, TOPICS } from "@lgtm/messaging";
+import { createOrderStore, canTransition, ORDER_STATUS } from "./store.js";
+import { createOrderEvents } from "./events.js";
+import { createOrderMetrics } from "./metrics.js";
+import { createInventory } from "./inventory.js";
+import { createRiskEngineFromEnv, RISK_DECISION } from "./risk.js";
+import { createSagaOrchestrator } from "./saga.js";
+import { createPaymentResultConsumer } from "./consumer.js";
+import {
+  createOrderBody,
+  createOrderHeaders,
+  createOrderResponse,
+  inventoryResponse,
+  listOrdersQuery,
+  listOrdersResponse,
+  orderEvent,
+  orderEventsHeaders,
+  orderEventsQuery,
+  orderIdParams,
+  orderResponse,
+  refundBody,
+  refundResponse,
+} from "./schemas.js";
 
 const app = express();
 app.use(express.json());
 
 // Active requests tracking middleware
-app.use((req, res, next) => {
-  activeRequestsGauge.add(1, { service: "order-service" });
-  let decremented = false;
-  const decrement = () => {
-    if (!decremented) {
-      decremented = true;
-      activeRequestsGauge.add(-1, { service: "order-service" });
-    }
-  };
-  res.on("finish", decrement);
-  res.on("close", decrement); // Handles client disconnect
-  next();
+app.use(activeRequestsMiddleware);
+
+// Authentication: only callers with SERVICE_TOKEN (X-Service-Token), whose
+// X-Client-Id then names the original client
+const auth = createAuthenticatorFromEnv({
+  service: "order-service",
+  meter,
+  logger,
 });
+app.use(auth.middleware);
+
+// Deadlines: enforces the caller's X-Request-Budget-Ms and passes the rest on
+const deadlines = createDeadlines({ service: "order-service", meter, logger });
+app.use(deadlines.middleware);
 
-const PORT = 8001;
+// Chaos: per-route fault injection, configured via PUT /admin/faults
+// (service token)
+const faults = createFaultInjector({ service: "order-service", meter, logger });
+app.use("/admin", auth.require());
+faults.registerAdminRoutes(app);
+// Log levels (per module, optional TTL) and trace sampler at runtime:
+// /admin/log-levels, /admin/sampling
+registerRuntimeAdmin(app, telemetry);
+app.use(faults.middleware);
+
+const PORT = Number(process.env.PORT) || 8001;
 const PAYMENT_SERVICE_URL =
   process.env.PAYMENT_SERVICE_URL || "http://payment-service:8002";
 
+// Status changes of every order, streamed by GET /orders/events
+const orderEvents = createOrderEvents();
+
+// Order storage (in-memory by default, every call traced as a DB span,
+// status changes recorded in orderEvents)
+const orders = createOrderStore(tracer, orderEvents);
+
+// Server-Sent Event streams, ended on shutdown
+const eventStreams = createEventStreams({
+  service: "order-service",
+  meter,
+  logger: logger.child({ module: "events" }),
+});
+
+// Stock reserved by orders until they are paid (in-memory, traced)
+const inventory = createInventory({
+  tracer,
+  logger: logger.child({ module: "inventory" }),
+});
+
+// Risk rules every order is scored against before it is charged
+// (risk-rules.json, RISK_RULES_FILE or RISK_RULES)
+const risk = createRiskEngineFromEnv({
+  tracer,
+  meter,
+  logger: logger.child({ module: "risk" }),
+});
+
+// Create-order saga: steps and compensations as spans, logged by saga ID
+const sagas = createSagaOrchestrator({
+  tracer,
+  logger: logger.child({ module: "saga" }),
+  meter,
+});
+
+// Business metrics: orders by status, order value, pending orders
+const orderMetrics = createOrderMetrics({ meter, orders });
+
+// JSON-schema request validation (400 VALIDATION_FAILED, see schemas.js)
+const validate = createValidator({ logger });
+
+// OpenAPI document built from the routes (GET /openapi.json, GET /docs)
+const docs = createApiDocs({
+  title: "Order Service API",
+  version: telemetry.config.serviceVersion,
+  description:
+    "Orders, their payment, refunds and the stock they reserve. Called by the gateway.",
+  prefix: "/orders",
+  validate,
+  logger,
+});
+
+// Replays stored responses for repeated Idempotency-Key headers
+const idempotent = idempotency({ service: "order-service", meter, logger });
+
+// Async order flow: publishes orders.created, consumes payments.completed
+// (disabled unless BROKER_URL is set)
+const messaging = createMessaging({
+  service: "order-service",
+  meter,
+  logger: logger.child({ module: "messaging" }),
+});
+
+// Timeouts, retries and circuit breaker for calls to payment-service
+const paymentService = createHttpClient({
+  service: "order-service",
+  downstream: "payment-service",
+  baseURL: PAYMENT_SERVICE_URL,
+  meter,
+  logger,
+});
+
 // ============================================================
-// HEALTH CHECK ENDPOINT (for Kubernetes probes)
+// HEALTH - GET /livez, GET /readyz (Kubernetes probes), GET /health
 // ============================================================
 
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok" });
+const health = createHealthChecks({
+  service: "order-service",
+  meter,
+  logger: logger.child({ module: "health" }),
+  checks: [
+    httpCheck("payment-service", PAYMENT_SERVICE_URL),
+    {
+      name: "order-store",
+      run: async () => ({ store: orders.name, orders: await orders.count() }),
+    },
+    {
+      name: "inventory",
+      run: async () => ({
+        store: inventory.name,
+        items: (await inventory.list()).length,
+      }),
+    },
+    messaging.healthCheck,
+    telemetry.healthCheck,
+  ].filter(Boolean),
 });
+health.register(app);
 
 // ============================================================
 // HELPER: Simulate processing delay
 // ============================================================
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// sleep() comes from @lgtm/http: cut short when the request deadline passes
 const randomDelay = (min, max) => Math.random() * (max - min) + min;
 
+// RFC 7240: "Prefer: respond-async" asks for 202 + status polling.
+// Only honoured when a broker is configured.
+const wantsAsync = (req) =>
+  messaging.enabled && /\brespond-async\b/i.test(req.get("Prefer") || "");
+
+// ============================================================
+// HELPER: Async order flow
+// ============================================================
+
+/**
+ * Publishes orders.created for a stored pending order.
+ * Broker failures become 503 QUEUE_UNAVAILABLE.
+ */
+const queueOrder = async (orderId, { total, item, quantity, cardNumber }) => {
+  try {
+    await messaging.publish(
+      TOPICS.ORDER_CREATED,
+      {
+        orderId,
+        amount: total,
+        item,
+        quantity,
+        ...(cardNumber && { cardNumber }),
+      },
+      { attributes: { "order.id": orderId } }
+    );
+  } catch (error) {
+    throw Object.assign(
+      httpError(
+        503,
+        "QUEUE_UNAVAILABLE",
+        "Order could not be queued for payment",
+        { orderId }
+      ),
+      { cause: error, retryAfterMs: 5000 }
+    );
+  }
+
+  logger.info("Order queued for payment", { order_id: orderId });
+  return orders.get(orderId);
+};
+
+// ============================================================
+// HELPER: Risk decisions
+// ============================================================
+
+// Where an order starts out, depending on the risk decision
+const STATUS_BY_DECISION = {
+  [RISK_DECISION.APPROVE]: ORDER_STATUS.PENDING,
+  [RISK_DECISION.REVIEW]: ORDER_STATUS.PENDING_REVIEW,
+  [RISK_DECISION.REJECT]: ORDER_STATUS.REJECTED,
+};
+
+const firedRules = (assessment) =>
+  assessment.reasons.map((reason) => reason.rule).join(", ");
+
+/**
+ * 422 RISK_REJECTED for an order the risk rules rejected.
+ */
+const riskRejected = (order) =>
+  httpError(422, "RISK_REJECTED", "Order rejected by the risk checks", {
+    orderId: order.orderId,
+    score: order.risk.score,
+    reasons: order.risk.reasons,
+  });
+
+// ============================================================
+// HELPER: Status changes
+// ============================================================
+
+/**
+ * 409 INVALID_STATUS_TRANSITION for an order that cannot be
+ * `action` ("cancelled", "refunded") in `status`.
+ */
+const invalidTransition = (status, action) =>
+  httpError(
+    409,
+    "INVALID_STATUS_TRANSITION",
+    `Order cannot be ${action} in status "${status}"`,
+    { status }
+  );
+
+// ============================================================
+// HELPER: Create-order saga
+// ============================================================
+
+const CREATE_ORDER_SAGA = "create-order";
+
+const orderSaga = (order) => ({
+  name: CREATE_ORDER_SAGA,
+  id: order.sagaId,
+  attributes: { "order.id": order.orderId },
+});
+
+/**
+ * Steps of the create-order saga for one stored order.
+ *
+ * Sync:  reserveInventory → authorizePayment → confirmOrder
+ * Async: reserveInventory → queuePayment, then the payments.completed
+ *        consumer runs confirmOrder or compensates reserveInventory
+ */
+const createOrderSteps = ({
+  orderId,
+  sagaId,
+  total,
+  item,
+  quantity = 1,
+  cardNumber,
+}) => ({
+  reserveInventory: {
+    name: "reserve inventory",
+    // Orders without an item have nothing to reserve
+    action: async () =>
+      item ? inventory.reserve(orderId, { item, quantity }) : null,
+    compensate: () => inventory.release(orderId),
+  },
+
+  authorizePayment: {
+    name: "authorize payment",
+    action: async () => {
+      logger.info("Calling payment service", {
+        order_id: orderId,
+        saga_id: sagaId,
+        amount: total,
+      });
+
+      // Safe to retry: payment-service deduplicates on the order ID key
+      const { data } = await paymentService.post(
+        "/payments",
+        { orderId, amount: total, ...(cardNumber && { cardNumber }) },
+        { headers: { [IDEMPOTENCY_HEADER]: orderId } }
+      );
+      return data;
+    },
+    // The order never became "paid": give the whole capture back
+    compensate: (payment) =>
+      paymentService.post(
+        `/payments/${encodeURIComponent(payment.paymentId)}/refunds`,
+        { reason: "Order could not be confirmed" },
+        { headers: { [IDEMPOTENCY_HEADER]: `${sagaId}:refund` } }
+      ),
+  },
+
+  // Same step as authorizePayment, answered later by payments.completed
+  queuePayment: {
+    name: "authorize payment",
+    action: () => queueOrder(orderId, { total, item, quantity, cardNumber }),
+  },
+
+  // Fails when the order stopped being "pending" meanwhile (cancelled
+  // during the payment): the saga then refunds it
+  confirmOrder: {
+    name: "confirm order",
+    action: async (results) => {
+      const { paymentId } = results["authorize payment"];
+      const order = await orders.update(orderId, {
+        status: ORDER_STATUS.PAID,
+        paymentId,
+      });
+      await inventory.commit(orderId);
+      orderMetrics.orderCreated(order);
+      return order;
+    },
+  },
+});
+
+/**
+ * Marks an order whose saga failed: "rejected" when the stock could
+ * not be reserved, "payment_failed" otherwise.
+ */
+const failOrder = async (orderId, error) => {
+  const reason = error.response?.data?.message || error.message;
+  const stored = await orders.get(orderId).catch(() => null);
+  if (!stored || stored.status !== ORDER_STATUS.PENDING) return;
+
+  const failed = await orders
+    .update(orderId, {
+      status:
+        error.code === "OUT_OF_STOCK"
+          ? ORDER_STATUS.REJECTED
+          : ORDER_STATUS.PAYMENT_FAILED,
+      failureReason: reason,
+    })
+    .catch(() => null);
+  if (failed) orderMetrics.orderCreated(failed);
+};
+
 // ============================================================
 // API ENDPOINTS
 // ============================================================
@@ -67,74 +417,520 @@ const randomDelay = (min, max) => Math.random() * (max - min) + min;
  *
  * This endpoint demonstrates distributed tracing:
  * 1. Receives request (span created automatically)
- * 2. Processes order (simulated delay)
- * 3. Calls payment-service (child span created, context propagated)
- * 4. Returns result
+ * 2. Scores the order against the risk rules ("risk assess" span)
+ * 3. Stores the order as "pending" (INSERT orders span). Rejected
+ *    orders are stored "rejected" and answered 422 RISK_REJECTED;
+ *    orders held for review are stored "pending_review" and answered
+ *    202. Neither goes further.
+ * 4. Runs the create-order saga ("saga create-order" span):
+ *    - reserve inventory (UPDATE inventory span)
+ *    - authorize payment: calls payment-service (child span created,
+ *      context propagated)
+ *    - confirm order: marks it "paid" (UPDATE orders span)
+ * 5. On failure, compensations run in reverse ("saga compensate ..."
+ *    spans) and the order ends "payment_failed" or "rejected"
+ *
+ * With "Prefer: respond-async", the payment step is an
+ * "orders.created" message instead (PRODUCER span) and the response
+ * is 202 with the pending order; poll GET /orders/:id (the Location
+ * header) for the result.
+ *
+ * Repeats with the same Idempotency-Key get the stored response.
+ * The payment call uses the order ID as its key: one charge per order.
  */
-app.post("/orders", async (req, res) => {
-  try {
-    const orderId = `ORD-${Date.now()}`;
-    logger.info("Processing order", { order_id: orderId });
+app.post(
+  "/orders",
+  auth.require(),
+  docs.operation({
+    summary: "Create an order and charge it",
+    tags: ["orders"],
+    headers: createOrderHeaders,
+    body: createOrderBody,
+    responses: {
+      200: { description: "Order paid", schema: createOrderResponse },
+      202: {
+        description:
+          "Order queued for payment (Prefer: respond-async), or held for review by the risk checks (pending_review)",
+        schema: orderResponse,
+      },
+      400: "Invalid request (VALIDATION_FAILED) or card declined (PAYMENT_DECLINED)",
+      409: "Not enough stock for the item (OUT_OF_STOCK), or the order was cancelled while it was being paid (INVALID_STATUS_TRANSITION)",
+      422: "Order rejected by the risk checks (RISK_REJECTED)",
+    },
+  }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const orderId = randomUUID();
+    const sagaId = randomUUID();
 
-    // Simulate order processing
-    await sleep(randomDelay(50, 150));
+    try {
+      logger.info("Processing order", {
+        order_id: orderId,
+        saga_id: sagaId,
+        customer_id: req.body.customerId,
+      });
 
-    const orderTotal =
-      req.body.total || Math.round(Math.random() * 10000) / 100;
+      // Simulate order processing
+      await sleep(randomDelay(50, 150));
 
-    // Call payment service
-    // OpenTelemetry automatically:
-    // 1. Creates a span for this HTTP request
-    // 2. Adds traceparent header to propagate trace context
-    logger.info("Calling payment service", {
-      order_id: orderId,
-      amount: orderTotal,
-    });
+      const assessment = await risk.assess({
+        orderId,
+        customerId: req.body.customerId,
+        total: req.body.total,
+      });
 
-    const paymentResponse = await axios.post(
-      `${PAYMENT_SERVICE_URL}/payments`,
-      {
+      const now = new Date().toISOString();
+      const pending = await orders.create({
         orderId: orderId,
-        amount: orderTotal,
+        sagaId: sagaId,
+        status: STATUS_BY_DECISION[assessment.decision],
+        total: req.body.total,
+        item: req.body.item,
+        quantity: req.body.quantity,
+        customerId: req.body.customerId,
+        clientId: req.auth?.clientId,
+        risk: assessment,
+        ...(assessment.decision === RISK_DECISION.REJECT && {
+          failureReason: `Rejected by the risk checks (${firedRules(assessment)})`,
+        }),
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      if (assessment.decision === RISK_DECISION.REJECT) {
+        orderMetrics.orderCreated(pending);
+        throw riskRejected(pending);
       }
-    );
 
-    const paymentResult = paymentResponse.data;
+      if (assessment.decision === RISK_DECISION.REVIEW) {
+        orderMetrics.orderCreated(pending);
+        logger.info("Order held for review", {
+          order_id: orderId,
+          risk_score: assessment.score,
+        });
+        res.status(202).set("Location", `/orders/${orderId}`).json(pending);
+        return;
+      }
 
-    logger.info("Order completed", { order_id: orderId, total: orderTotal });
+      const saga = orderSaga(pending);
+      const steps = createOrderSteps({ orderId, sagaId, ...req.body });
 
-    res.json({
-      status: "completed",
-      orderId: orderId,
-      total: orderTotal,
-      payment: paymentResult,
-    });
-  } catch (error) {
-    if (error.response) {
-      logger.error("Payment failed", {
-        error: error.response.data.error,
+      if (wantsAsync(req)) {
+        const results = await sagas.run(
+          saga,
+          [steps.reserveInventory, steps.queuePayment],
+          { pending: true }
+        );
+        res
+          .status(202)
+          .set("Location", `/orders/${orderId}`)
+          .set("Preference-Applied", "respond-async")
+          .json(results[steps.queuePayment.name]);
+        return;
+      }
+
+      const results = await sagas.run(saga, [
+        steps.reserveInventory,
+        steps.authorizePayment,
+        steps.confirmOrder,
+      ]);
+      const order = results[steps.confirmOrder.name];
+
+      logger.info("Order completed", {
+        order_id: orderId,
+        saga_id: sagaId,
+        total: order.total,
+      });
+
+      res.json({ ...order, payment: results[steps.authorizePayment.name] });
+    } catch (error) {
+      // Stored as "rejected" and logged by the risk checks already
+      if (error.code === "RISK_REJECTED") throw error;
+
+      // Only orders that made it into the store can be marked as failed
+      await failOrder(orderId, error);
+
+      // Cancelled while payment-service was charging it: refunded by
+      // the saga's compensation
+      if (error.code === "INVALID_STATUS_TRANSITION") {
+        logger.warn("Order changed during payment", {
+          order_id: orderId,
+          saga_id: sagaId,
+          status: error.from,
+          compensated: error.saga?.compensated,
+        });
+        throw httpError(
+          409,
+          "INVALID_STATUS_TRANSITION",
+          `Order became "${error.from}" while it was being paid`,
+          { orderId, status: error.from }
+        );
+      }
+
+      if (error.code === "OUT_OF_STOCK") {
+        logger.warn("Order rejected", {
+          order_id: orderId,
+          saga_id: sagaId,
+          error: error.message,
+        });
+        throw httpError(409, "OUT_OF_STOCK", error.message, {
+          orderId,
+          ...error.details,
+        });
+      }
+
+      if (error.response) {
+        logger.error("Payment failed", {
+          order_id: orderId,
+          saga_id: sagaId,
+          error: error.response.data?.message || error.message,
+        });
+      } else {
+        logger.error("Order processing error", {
+          order_id: orderId,
+          saga_id: sagaId,
+          error: error.message,
+        });
+      }
+
+      // payment-service's envelope (e.g. PAYMENT_DECLINED) plus the order ID
+      throw error.expose ? error : fromClientError(error, { orderId });
+    }
+  })
+);
+
+/**
+ * GET /inventory
+ * Stock per item: on hand, reserved by unpaid orders, available
+ */
+app.get(
+  "/inventory",
+  auth.require(),
+  docs.operation({
+    summary: "Stock levels per item",
+    tags: ["inventory"],
+    responses: {
+      200: { description: "Stock per item", schema: inventoryResponse },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    res.json({ items: await inventory.list() });
+  })
+);
+
+/**
+ * GET /orders
+ * Lists orders, newest first
+ *
+ * Query parameters:
+ * - status: pending | pending_review | paid | payment_failed |
+ *           rejected | cancelled | partially_refunded | refunded
+ * - limit:  page size (1-100, default 20)
+ * - cursor: nextCursor from the previous page
+ * - clientId: only the orders this client placed
+ */
+app.get(
+  "/orders",
+  auth.require(),
+  docs.operation({
+    summary: "List orders, newest first",
+    tags: ["orders"],
+    query: listOrdersQuery,
+    responses: {
+      200: { description: "One page of orders", schema: listOrdersResponse },
+      400: "Invalid request (VALIDATION_FAILED, INVALID_CURSOR)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, clientId, limit, cursor } = req.query;
+
+    try {
+      const page = await orders.list({ status, clientId, limit, cursor });
+      res.json(page);
+    } catch (error) {
+      if (error.code === "INVALID_CURSOR") {
+        throw httpError(400, "INVALID_CURSOR", error.message);
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * GET /orders/events
+ * Streams the status changes of all orders, or of ?orderId= only
+ * (Server-Sent Events)
+ *
+ * Each event is "order.status" with the order as it is now, its
+ * previous status and the traceparent of the change. The events
+ * after Last-Event-ID are replayed first (all of those still
+ * retained without one), then new ones follow as they happen.
+ * Registered before /orders/:id, which would take "events" for an ID.
+ */
+app.get(
+  "/orders/events",
+  auth.require(),
+  docs.operation({
+    summary: "Stream order status changes (Server-Sent Events)",
+    tags: ["orders"],
+    query: orderEventsQuery,
+    headers: orderEventsHeaders,
+    responses: {
+      200: {
+        description: 'Event stream of "order.status" events',
+        contentType: "text/event-stream",
+        schema: orderEvent,
+      },
+    },
+  }),
+  (req, res) => {
+    const { orderId } = req.query;
+    const stream = eventStreams.open(req, res, { name: "orders" });
+    const send = ({ id, ...data }) => {
+      if (!orderId || data.orderId === orderId) {
+        stream.send({ id, event: "order.status", data });
+      }
+    };
+
+    for (const event of orderEvents.since(stream.lastEventId)) send(event);
+    stream.onClose(orderEvents.subscribe(send));
+  }
+);
+
+/**
+ * GET /orders/:id
+ * Returns a single order
+ */
+app.get(
+  "/orders/:id",
+  auth.require(),
+  docs.operation({
+    summary: "Fetch one order",
+    tags: ["orders"],
+    params: orderIdParams,
+    responses: {
+      200: { description: "The order", schema: orderResponse },
+      404: "Order not found (ORDER_NOT_FOUND)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const order = await orders.get(req.params.id);
+
+    if (!order) {
+      throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+    }
+
+    res.json(order);
+  })
+);
+
+/**
+ * POST /orders/:id/cancel
+ * Cancels an order that is still pending (or held for review) and
+ * releases its stock
+ */
+app.post(
+  "/orders/:id/cancel",
+  auth.require(),
+  docs.operation({
+    summary: "Cancel a pending order or one held for review",
+    tags: ["orders"],
+    params: orderIdParams,
+    responses: {
+      200: { description: "The cancelled order", schema: orderResponse },
+      404: "Order not found (ORDER_NOT_FOUND)",
+      409: "Order is not pending or held for review (INVALID_STATUS_TRANSITION)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const orderId = req.params.id;
+    const order = await orders.get(orderId);
+
+    if (!order) {
+      throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+    }
+
+    const refuse = (status) => {
+      logger.warn("Order cannot be cancelled", { order_id: orderId, status });
+      return invalidTransition(status, "cancelled");
+    };
+
+    if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+      throw refuse(order.status);
+    }
+
+    let cancelled;
+    try {
+      // The store checks the status again: it may have been paid since
+      cancelled = await orders.update(orderId, {
+        status: ORDER_STATUS.CANCELLED,
+        cancelledAt: new Date().toISOString(),
       });
-      return res.status(error.response.status).json({
-        status: "failed",
-        error: error.response.data.error || "Payment failed",
+    } catch (error) {
+      if (error.code === "INVALID_STATUS_TRANSITION") throw refuse(error.from);
+      throw error;
+    }
+    await inventory.release(orderId);
+
+    logger.info("Order cancelled", { order_id: orderId });
+    res.json(cancelled);
+  })
+);
+
+/**
+ * POST /orders/:id/refunds
+ * Refunds all or part of a paid order through payment-service
+ *
+ * Body: { "amount": 10.5, "reason": "damaged item" } (both optional,
+ * no amount = refund everything still refundable). payment-service
+ * validates the amount; its 409/422 errors are passed through.
+ */
+app.post(
+  "/orders/:id/refunds",
+  auth.require(),
+  docs.operation({
+    summary: "Refund all or part of a paid order",
+    tags: ["refunds"],
+    params: orderIdParams,
+    body: refundBody,
+    responses: {
+      201: { description: "Refund issued", schema: refundResponse },
+      404: "Order not found (ORDER_NOT_FOUND)",
+      409: "Order cannot be refunded (INVALID_STATUS_TRANSITION)",
+      422: "Amount exceeds what is left to refund (REFUND_EXCEEDS_CAPTURED)",
+    },
+  }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const orderId = req.params.id;
+    const order = await orders.get(orderId);
+
+    if (!order) {
+      throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+    }
+
+    if (
+      !order.paymentId ||
+      !canTransition(order.status, ORDER_STATUS.REFUNDED)
+    ) {
+      logger.warn("Order cannot be refunded", {
+        order_id: orderId,
+        status: order.status,
       });
+      throw invalidTransition(order.status, "refunded");
     }
 
-    logger.error("Order processing error", { error: error.message });
-    res.status(500).json({
-      status: "error",
-      error: error.message,
+    logger.info("Requesting refund", {
+      order_id: orderId,
+      payment_id: order.paymentId,
+      amount: req.body?.amount,
     });
-  }
-});
+
+    try {
+      // A key per refund request keeps our own retries from refunding twice
+      const refundResponse = await paymentService.post(
+        `/payments/${encodeURIComponent(order.paymentId)}/refunds`,
+        req.body || {},
+        {
+          headers: {
+            [IDEMPOTENCY_HEADER]: req.get(IDEMPOTENCY_HEADER) || randomUUID(),
+          },
+        }
+      );
+      const { refund, payment } = refundResponse.data;
+
+      const refunded = await orders.update(orderId, {
+        status:
+          payment.status === "refunded"
+            ? ORDER_STATUS.REFUNDED
+            : ORDER_STATUS.PARTIALLY_REFUNDED,
+        refundedAmount: payment.refundedAmount,
+      });
+
+      logger.info("Order refunded", {
+        order_id: orderId,
+        refund_id: refund.refundId,
+        amount: refund.amount,
+        status: refunded.status,
+      });
+
+      res.status(201).json({ order: refunded, refund });
+    } catch (error) {
+      if (error.response) {
+        logger.warn("Refund rejected", {
+          order_id: orderId,
+          status_code: error.response.status,
+          error_code: error.response.data.code,
+        });
+      } else {
+        logger.error("Refund error", {
+          order_id: orderId,
+          error: error.message,
+        });
+      }
+      throw fromClientError(error);
+    }
+  })
+);
+
+// ============================================================
+// MESSAGE CONSUMERS - Async order flow
+// ============================================================
+
+/**
+ * payments.completed → finish the order's create-order saga
+ * (consumer.js): "confirm order" for a captured payment, else
+ * compensate "reserve inventory". A payment captured for an order
+ * that stopped being pending meanwhile is refunded. Runs in a
+ * CONSUMER span continuing the order's trace.
+ */
+if (messaging.enabled) {
+  messaging.subscribe(
+    TOPICS.PAYMENT_COMPLETED,
+    createPaymentResultConsumer({
+      orders,
+      sagas,
+      orderSaga,
+      orderSteps: createOrderSteps,
+      orderMetrics,
+      logger,
+    })
+  );
+}
+
+// ============================================================
+// API DOCS - GET /openapi.json and GET /docs (after the last route)
+// ============================================================
+
+docs.serve(app);
+
+// ============================================================
+// ERROR HANDLING - Shared envelope { code, message, details, trace_id }
+// ============================================================
+
+app.use(notFoundHandler());
+app.use(errorHandler({ logger }));
 
 // ============================================================
 // START SERVER
 // ============================================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info("Order Service started", {
     port: PORT,
     payment_service: PAYMENT_SERVICE_URL,
+    order_store: orders.name,
+    inventory: inventory.name,
+    risk_rules: risk.rules,
+    broker: messaging.system,
   });
 });
+
+// SIGTERM/SIGINT: stop accepting, fail readiness, end the event
+// streams, finish the requests in flight, close the broker, then flush
+// telemetry and logs
+telemetry.shutdown.handle({
+  server,
+  onDrain: [health.drain, eventStreams.closeAll],
+  onClose: [() => messaging.close()],
+});
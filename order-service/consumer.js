@@ -0,0 +1,134 @@
+/**
+ * ============================================================
+ * PAYMENT RESULT CONSUMER - payments.completed → finish the saga
+ * ============================================================
+ *
+ *   messaging.subscribe(
+ *     TOPICS.PAYMENT_COMPLETED,
+ *     createPaymentResultConsumer({ orders, sagas, orderSaga, orderSteps, orderMetrics, logger })
+ *   );
+ *
+ * Finishes the create-order saga that POST /orders left at its
+ * "authorize payment" step (Prefer: respond-async):
+ *   captured   runs "confirm order" (order "paid", stock committed)
+ *   otherwise  compensates "reserve inventory", order "payment_failed"
+ *
+ * A captured payment for an order that is no longer pending
+ * (cancelled meanwhile, failed, or paid by another payment) is
+ * refunded: compensating "authorize payment" gives the money back.
+ * Only a true redelivery, an order already paid with that very
+ * payment, is ignored; so are failed results for orders that moved
+ * on, since nothing was charged.
+ *
+ * A refund that fails fails the delivery, so the broker redelivers
+ * it (payment-service deduplicates the refund).
+ * ============================================================
+ */
+
+import { ORDER_STATUS } from "./store.js";
+
+/**
+ * @param {object} options
+ * @param {{ get: (orderId: string) => Promise<object | null>, update: (orderId: string, changes: object) => Promise<object> }} options.orders
+ * @param {ReturnType<import("./saga.js").createSagaOrchestrator>} options.sagas
+ * @param {(order: object) => import("./saga.js").Saga} options.orderSaga
+ * @param {(order: object) => Record<string, import("./saga.js").SagaStep>} options.orderSteps
+ *   steps of the order's create-order saga
+ * @param {{ orderCreated: (order: object) => void }} options.orderMetrics
+ * @param {import("winston").Logger} options.logger
+ * @returns {(body: object) => Promise<void>} the payments.completed handler
+ */
+export function createPaymentResultConsumer({
+  orders,
+  sagas,
+  orderSaga,
+  orderSteps,
+  orderMetrics,
+  logger,
+}) {
+  /**
+   * Gives back a payment captured for an order that did not wait for
+   * it (`status` is what the order became instead).
+   */
+  const refund = async (order, paymentId, status) => {
+    const { authorizePayment } = orderSteps(order);
+    const refunded = await sagas.compensate(
+      orderSaga(order),
+      [authorizePayment],
+      { [authorizePayment.name]: { paymentId } }
+    );
+    if (!refunded) {
+      throw new Error(`Refund of payment ${paymentId} failed`);
+    }
+
+    logger.warn("Payment captured for an order no longer pending, refunded", {
+      order_id: order.orderId,
+      saga_id: order.sagaId,
+      payment_id: paymentId,
+      status,
+    });
+  };
+
+  return async ({ orderId, paymentId, status, declineReason }) => {
+    const order = await orders.get(orderId);
+
+    if (!order) {
+      logger.warn("Ignoring payment result", {
+        order_id: orderId,
+        payment_id: paymentId,
+        status: "not_found",
+      });
+      return;
+    }
+
+    if (order.status !== ORDER_STATUS.PENDING) {
+      // Nothing was charged, or this is the result the order already has
+      if (status !== "captured" || order.paymentId === paymentId) {
+        logger.warn("Ignoring payment result", {
+          order_id: orderId,
+          payment_id: paymentId,
+          status: order.status,
+        });
+        return;
+      }
+      return refund(order, paymentId, order.status);
+    }
+
+    const saga = orderSaga(order);
+    const steps = orderSteps(order);
+
+    if (status === "captured") {
+      try {
+        await sagas.run(saga, [steps.confirmOrder], {
+          results: { [steps.authorizePayment.name]: { paymentId } },
+        });
+      } catch (error) {
+        // Cancelled between the read above and "confirm order"
+        if (error.code !== "INVALID_STATUS_TRANSITION") throw error;
+        return refund(order, paymentId, error.from);
+      }
+      logger.info("Order completed", {
+        order_id: orderId,
+        saga_id: order.sagaId,
+        total: order.total,
+      });
+      return;
+    }
+
+    await sagas.compensate(saga, [steps.reserveInventory]);
+    const failed = await orders.update(orderId, {
+      status: ORDER_STATUS.PAYMENT_FAILED,
+      paymentId,
+      failureReason: `Payment ${status}${
+        declineReason ? ` (${declineReason})` : ""
+      }`,
+    });
+    orderMetrics.orderCreated(failed);
+
+    logger.warn("Payment failed", {
+      order_id: orderId,
+      saga_id: order.sagaId,
+      error: failed.failureReason,
+    });
+  };
+}
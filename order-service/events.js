@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * ORDER EVENTS - Every status change, for GET /orders/events
+ * ============================================================
+ *
+ * withEvents() wraps the order store: each create, and each update
+ * that sets a status, records an event
+ *
+ *   { id: "k3x9q2:42", orderId, status, previousStatus, order, at,
+ *     traceparent }
+ *
+ * which is kept in memory (the last `retained`) and passed to
+ * subscribers. `traceparent` is the trace that made the change, so
+ * whoever acts on the event (the gateway's webhooks) can link back
+ * to it.
+ *
+ * IDS: "<epoch>:<sequence>". The epoch is random per process, so an
+ * id from before a restart (or from another replica) is not mistaken
+ * for one of ours: since() then replays everything still retained,
+ * the same as for a first connect.
+ * ============================================================
+ */
+
+import { randomBytes } from "node:crypto";
+import { context, propagation } from "@opentelemetry/api";
+
+const DEFAULT_RETAINED = 1000;
+
+/**
+ * The active trace as a W3C traceparent, if there is one.
+ */
+const activeTraceparent = () => {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier.traceparent;
+};
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.retained] - events kept for replay
+ */
+export function createOrderEvents({ retained = DEFAULT_RETAINED } = {}) {
+  const epoch = randomBytes(4).toString("hex");
+  const events = []; // oldest first
+  const listeners = new Set();
+  let sequence = 0;
+
+  const sequenceOf = (id) => {
+    const [idEpoch, seq] = String(id ?? "").split(":");
+    return idEpoch === epoch && /^\d+$/.test(seq) ? Number(seq) : null;
+  };
+
+  return {
+    /**
+     * Records a status change of `order` and hands it to subscribers.
+     */
+    record(order, previousStatus) {
+      sequence += 1;
+      const event = {
+        id: `${epoch}:${sequence}`,
+        orderId: order.orderId,
+        status: order.status,
+        ...(previousStatus && { previousStatus }),
+        order,
+        at: new Date().toISOString(),
+        traceparent: activeTraceparent(),
+      };
+      events.push(event);
+      if (events.length > retained) events.shift();
+
+      for (const listener of listeners) listener(event);
+      return event;
+    },
+
+    /**
+     * Retained events after `lastEventId`; all of them when the id is
+     * missing or not one of this process.
+     */
+    since(lastEventId) {
+      const after = sequenceOf(lastEventId);
+      if (after === null) return [...events];
+      return events.filter((event) => sequenceOf(event.id) > after);
+    },
+
+    /**
+     * @param {(event: object) => void} listener
+     * @returns {() => void} unsubscribes
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/**
+ * Wraps a store so status changes are recorded in `events`.
+ */
+export function withEvents(store, events) {
+  return {
+    ...store,
+
+    async create(order) {
+      const created = await store.create(order);
+      events.record(created);
+      return created;
+    },
+
+    async update(orderId, changes) {
+      if (!changes.status) return store.update(orderId, changes);
+
+      const previous = await store.get(orderId);
+      const updated = await store.update(orderId, changes);
+      if (updated) events.record(updated, previous?.status);
+      return updated;
+    },
+  };
+}
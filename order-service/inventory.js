@@ -0,0 +1,237 @@
+/**
+ * ============================================================
+ * INVENTORY - Stock that orders reserve before they are paid
+ * ============================================================
+ *
+ * Gives the order saga (saga.js) something real to reserve and
+ * release. Stock is kept per item:
+ *
+ *   onHand     units in the warehouse
+ *   reserved   units held for orders that are not paid yet
+ *   available  onHand - reserved
+ *
+ * RESERVATIONS (one per order, keyed by order ID):
+ *   reserve(orderId, { item, quantity })  reserved += quantity
+ *   commit(orderId)                       order paid: onHand -= quantity
+ *   release(orderId)                      order failed: reserved -= quantity
+ *
+ * commit() and release() only act on a reservation that is still
+ * "reserved", so retries and redeliveries are harmless.
+ *
+ * STOCK:
+ * Seeded with the loadgen catalog, INVENTORY_STOCK units per item
+ * (default 500). Items outside the catalog are stocked on first
+ * order, so ad-hoc requests keep working. A background restock tops
+ * every item back up each INVENTORY_RESTOCK_INTERVAL_MS (default
+ * 60000), so steady traffic never drains the demo.
+ *
+ * TRACING:
+ * withTracing() turns every call into a CLIENT span ("UPDATE
+ * inventory", "SELECT inventory"), like the order store.
+ * ============================================================
+ */
+
+import { SpanKind } from "@opentelemetry/api";
+import { withSpan } from "@lgtm/telemetry";
+
+// Same items as loadgen/payloads.js
+const CATALOG_ITEMS = [
+  "usb-c-cable",
+  "wireless-mouse",
+  "mechanical-keyboard",
+  "27in-monitor",
+  "laptop-stand",
+  "noise-cancelling-headphones",
+  "webcam-1080p",
+  "desk-lamp",
+];
+
+export const RESERVATION_STATUS = Object.freeze({
+  RESERVED: "reserved",
+  COMMITTED: "committed",
+  RELEASED: "released",
+});
+
+/**
+ * Thrown by reserve() when an item cannot cover the quantity.
+ */
+const outOfStock = (item, requested, available) =>
+  Object.assign(
+    new Error(
+      `Not enough "${item}" in stock (requested ${requested}, available ${available})`
+    ),
+    { code: "OUT_OF_STOCK", details: { item, requested, available } }
+  );
+
+/**
+ * In-memory inventory.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.items] - items stocked up front
+ * @param {number} [options.stock] - units per item (initial and restock level)
+ */
+export function createMemoryInventory({
+  items = CATALOG_ITEMS,
+  stock = 500,
+} = {}) {
+  const levels = new Map(); // item → { onHand, reserved }
+  const reservations = new Map(); // orderId → reservation
+
+  const levelOf = (item) => {
+    if (!levels.has(item)) levels.set(item, { onHand: stock, reserved: 0 });
+    return levels.get(item);
+  };
+
+  for (const item of items) levelOf(item);
+
+  const view = (item, { onHand, reserved }) => ({
+    item,
+    onHand,
+    reserved,
+    available: onHand - reserved,
+  });
+
+  // Moves a "reserved" reservation to `status`; null if there is none
+  const settle = (orderId, status, apply) => {
+    const reservation = reservations.get(orderId);
+    if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED) {
+      return null;
+    }
+    apply(levelOf(reservation.item), reservation.quantity);
+    reservation.status = status;
+    return { ...reservation };
+  };
+
+  return {
+    name: "memory",
+
+    async reserve(orderId, { item, quantity }) {
+      const existing = reservations.get(orderId);
+      if (existing) return { ...existing };
+
+      const level = levelOf(item);
+      const available = level.onHand - level.reserved;
+      if (available < quantity) throw outOfStock(item, quantity, available);
+
+      level.reserved += quantity;
+      const reservation = {
+        orderId,
+        item,
+        quantity,
+        status: RESERVATION_STATUS.RESERVED,
+      };
+      reservations.set(orderId, reservation);
+      return { ...reservation };
+    },
+
+    async commit(orderId) {
+      return settle(orderId, RESERVATION_STATUS.COMMITTED, (level, qty) => {
+        level.reserved -= qty;
+        level.onHand -= qty;
+      });
+    },
+
+    async release(orderId) {
+      return settle(orderId, RESERVATION_STATUS.RELEASED, (level, qty) => {
+        level.reserved -= qty;
+      });
+    },
+
+    async list() {
+      return [...levels.entries()]
+        .map(([item, level]) => view(item, level))
+        .sort((a, b) => a.item.localeCompare(b.item));
+    },
+
+    /**
+     * Tops every item back up to the initial stock level.
+     * Returns the items that were restocked.
+     */
+    async restock() {
+      const restocked = [];
+      for (const [item, level] of levels) {
+        if (level.onHand < stock) {
+          level.onHand = stock;
+          restocked.push(item);
+        }
+      }
+      return restocked;
+    },
+  };
+}
+
+/**
+ * Wraps an inventory so every call becomes a CLIENT span.
+ *
+ * @param {ReturnType<typeof createMemoryInventory>} inventory
+ * @param {import("@opentelemetry/api").Tracer} tracer
+ */
+export function withTracing(inventory, tracer) {
+  const traced = (operation, method, attributes = {}) =>
+    withSpan(
+      tracer,
+      `${operation} inventory`,
+      {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          "db.system": inventory.name,
+          "db.operation": operation,
+          "db.sql.table": "inventory",
+          ...attributes,
+        },
+      },
+      method
+    );
+
+  return {
+    name: inventory.name,
+
+    reserve: (orderId, line) =>
+      traced("UPDATE", () => inventory.reserve(orderId, line), {
+        "order.id": orderId,
+        "inventory.item": line.item,
+        "inventory.quantity": line.quantity,
+      }),
+
+    commit: (orderId) =>
+      traced("UPDATE", () => inventory.commit(orderId), {
+        "order.id": orderId,
+        "inventory.reservation_status": RESERVATION_STATUS.COMMITTED,
+      }),
+
+    release: (orderId) =>
+      traced("UPDATE", () => inventory.release(orderId), {
+        "order.id": orderId,
+        "inventory.reservation_status": RESERVATION_STATUS.RELEASED,
+      }),
+
+    list: () => traced("SELECT", () => inventory.list()),
+
+    // Runs on a timer, outside any request (see createInventory)
+    restock: () => inventory.restock(),
+  };
+}
+
+/**
+ * Builds the inventory and starts the background restock.
+ *
+ * @param {object} options
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {import("winston").Logger} options.logger
+ */
+export function createInventory({ tracer, logger }) {
+  const stock = Number(process.env.INVENTORY_STOCK) || 500;
+  const restockIntervalMs =
+    Number(process.env.INVENTORY_RESTOCK_INTERVAL_MS) || 60_000;
+
+  const inventory = withTracing(createMemoryInventory({ stock }), tracer);
+
+  setInterval(async () => {
+    const restocked = await inventory.restock();
+    if (restocked.length > 0) {
+      logger.info("Inventory restocked", { items: restocked, stock });
+    }
+  }, restockIntervalMs).unref();
+
+  return inventory;
+}
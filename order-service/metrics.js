@@ -0,0 +1,67 @@
+/**
+ * ============================================================
+ * ORDER METRICS - Business metrics for order-service
+ * ============================================================
+ *
+ * Domain metrics next to the generic HTTP ones, so the dashboard
+ * can show revenue and failure rate beside latency.
+ *
+ * INSTRUMENTS (Prometheus name after Alloy → labels):
+ *   orders_created_total{status, tenant_id, customer_tier}
+ *   order_value_usd{status, tenant_id, customer_tier}   (histogram, USD)
+ *   orders_pending                 orders currently in "pending"
+ *
+ * LABELS are bounded on purpose (no order IDs, items or amounts):
+ *   status        = pending | pending_review | paid | payment_failed
+ *                   | rejected | cancelled
+ *   tenant_id,    = allow-listed baggage from the gateway, "unknown"
+ *   customer_tier   without it (see @lgtm/telemetry baggage.js)
+ *
+ * Revenue = rate(order_value_usd_sum{status="paid"}).
+ * ============================================================
+ */
+
+import { baggageLabels } from "@lgtm/telemetry";
+
+import { ORDER_STATUS } from "./store.js";
+
+// Order totals range from a cable to a cart full of monitors
+const ORDER_VALUE_BUCKETS = [
+  5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000,
+];
+
+/**
+ * @param {object} options
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {{ count(query: object): Promise<number> }} options.orders - order store
+ */
+export function createOrderMetrics({ meter, orders }) {
+  const created = meter.createCounter("orders_created", {
+    description: "Orders created, by status once payment was attempted",
+  });
+
+  const value = meter.createHistogram("order_value_usd", {
+    description: "Order totals in USD, by status",
+    advice: { explicitBucketBoundaries: ORDER_VALUE_BUCKETS },
+  });
+
+  meter
+    .createObservableGauge("orders_pending", {
+      description: "Orders waiting for payment",
+    })
+    .addCallback(async (result) => {
+      result.observe(await orders.count({ status: ORDER_STATUS.PENDING }));
+    });
+
+  return {
+    /**
+     * Records a new order once its creation settled (paid or failed).
+     */
+    orderCreated(order) {
+      const attributes = { status: order.status, ...baggageLabels() };
+      created.add(1, attributes);
+      if (typeof order.total === "number")
+        value.record(order.total, attributes);
+    },
+  };
+}
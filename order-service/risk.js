@@ -0,0 +1,370 @@
+/**
+ * ============================================================
+ * RISK - Scores every order before it is charged
+ * ============================================================
+ *
+ * Each order is checked against configurable rules before the
+ * create-order saga starts. Every rule that fires adds its score;
+ * the total picks the decision:
+ *
+ *   approve   score < thresholds.review     saga runs as before
+ *   review    score < thresholds.reject     order parked "pending_review"
+ *   reject    score >= thresholds.reject    order "rejected", 422
+ *
+ * A rule with "decision" forces at least that decision (a blocked
+ * customer is rejected whatever the score). Rejected and parked
+ * orders never reach payment-service or reserve stock.
+ *
+ * RULES (risk-rules.json, RISK_RULES_FILE or RISK_RULES as JSON):
+ *   { "thresholds": { "review": 50, "reject": 100 },
+ *     "rules": [
+ *       { "name": "large_order", "type": "amount", "min": 1000, "score": 20 },
+ *       { "name": "order_burst", "type": "velocity", "windowSeconds": 60,
+ *         "maxOrders": 5, "score": 40 },
+ *       { "name": "spend_spike", "type": "velocity", "windowSeconds": 3600,
+ *         "maxAmount": 5000, "score": 40 },
+ *       { "name": "blocked_customer", "type": "blocklist",
+ *         "customers": ["customer-blocked"], "score": 100, "decision": "reject" } ] }
+ *
+ *   amount     total >= min
+ *   velocity   the customer's orders in the last windowSeconds,
+ *              this one included: more than maxOrders, or more than
+ *              maxAmount spent (sliding window, in memory)
+ *   blocklist  the customer is listed
+ *
+ * The customer is the order's customerId. Orders without one are
+ * only checked against amount rules.
+ *
+ * OBSERVABILITY:
+ * - Span "risk assess" (INTERNAL): risk.decision, risk.score,
+ *   risk.rules (the rules that fired)
+ * - Log "Risk assessed" (module "risk", warn unless approved) with
+ *   risk_decision, risk_score, risk_rules
+ * - Metric: risk_decisions{decision}
+ * - Metric: risk_score{decision} (histogram)
+ * - Metric: risk_rules_fired{rule, decision}
+ * ============================================================
+ */
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { withSpan } from "@lgtm/telemetry";
+
+export const RISK_DECISION = Object.freeze({
+  APPROVE: "approve",
+  REVIEW: "review",
+  REJECT: "reject",
+});
+
+// Later is stricter
+const SEVERITY = [
+  RISK_DECISION.APPROVE,
+  RISK_DECISION.REVIEW,
+  RISK_DECISION.REJECT,
+];
+
+const DEFAULT_RULES_FILE = fileURLToPath(
+  new URL("./risk-rules.json", import.meta.url)
+);
+
+const SCORE_BUCKETS = [0, 10, 20, 30, 40, 50, 60, 80, 100, 150, 200];
+
+// Idle customers' velocity history is dropped this often
+const SWEEP_INTERVAL_MS = 60_000;
+
+const invalidConfig = (message) => new Error(`Invalid risk rules: ${message}`);
+
+const isPositive = (value) => typeof value === "number" && value > 0;
+
+/**
+ * Checks one rule of the config and returns it. Throws on anything
+ * malformed, so a bad config stops the service at startup.
+ */
+const parseRule = (rule, index) => {
+  const label = `rule #${index + 1}`;
+  if (typeof rule?.name !== "string" || !rule.name) {
+    throw invalidConfig(`${label} has no name`);
+  }
+  if (typeof rule.score !== "number" || rule.score < 0) {
+    throw invalidConfig(`${rule.name}: score must be a number >= 0`);
+  }
+  if (rule.decision !== undefined && !SEVERITY.includes(rule.decision)) {
+    throw invalidConfig(
+      `${rule.name}: decision must be one of ${SEVERITY.join(", ")}`
+    );
+  }
+
+  switch (rule.type) {
+    case "amount":
+      if (!isPositive(rule.min)) {
+        throw invalidConfig(`${rule.name}: amount rules need a positive "min"`);
+      }
+      break;
+    case "velocity":
+      if (!isPositive(rule.windowSeconds)) {
+        throw invalidConfig(
+          `${rule.name}: velocity rules need a positive "windowSeconds"`
+        );
+      }
+      if (!isPositive(rule.maxOrders) && !isPositive(rule.maxAmount)) {
+        throw invalidConfig(
+          `${rule.name}: velocity rules need "maxOrders" or "maxAmount"`
+        );
+      }
+      break;
+    case "blocklist":
+      if (!Array.isArray(rule.customers)) {
+        throw invalidConfig(`${rule.name}: blocklist rules need "customers"`);
+      }
+      break;
+    default:
+      throw invalidConfig(
+        `${rule.name}: unknown type "${rule.type}" (expected amount, velocity or blocklist)`
+      );
+  }
+  return rule;
+};
+
+/**
+ * Risk rules from a JSON string or, without one, a JSON file.
+ *
+ * @param {object} options
+ * @param {string} [options.file] - path to the rules file
+ * @param {string} [options.json] - e.g. process.env.RISK_RULES
+ * @returns {{ thresholds: { review: number, reject: number }, rules: object[] }}
+ */
+export function loadRiskRules({ file, json }) {
+  const parsed = JSON.parse(json || fs.readFileSync(file, "utf8"));
+  const { review, reject } = parsed.thresholds ?? {};
+  if (!isPositive(review) || !isPositive(reject) || review > reject) {
+    throw invalidConfig(
+      "thresholds need positive review and reject, review <= reject"
+    );
+  }
+  if (!Array.isArray(parsed.rules)) {
+    throw invalidConfig('expected { "thresholds": ..., "rules": [ ... ] }');
+  }
+
+  const rules = parsed.rules.map(parseRule);
+  const names = new Set();
+  for (const { name } of rules) {
+    if (names.has(name)) throw invalidConfig(`duplicate rule name "${name}"`);
+    names.add(name);
+  }
+  return { thresholds: { review, reject }, rules };
+}
+
+/**
+ * Recent orders per customer, for the velocity rules.
+ *
+ * @param {number} windowMs - longest window any rule looks at
+ */
+const createOrderHistory = (windowMs) => {
+  const orders = new Map(); // customerId → [{ at, amount }], oldest first
+
+  const recent = (customerId, now) => {
+    const kept = (orders.get(customerId) ?? []).filter(
+      (order) => now - order.at < windowMs
+    );
+    if (kept.length > 0) orders.set(customerId, kept);
+    else orders.delete(customerId);
+    return kept;
+  };
+
+  return {
+    /**
+     * Orders and amount spent in the last `windowSeconds`.
+     */
+    within(customerId, windowSeconds, now) {
+      const since = now - windowSeconds * 1000;
+      const inWindow = recent(customerId, now).filter(
+        (order) => order.at > since
+      );
+      return {
+        orders: inWindow.length,
+        amount: inWindow.reduce((sum, order) => sum + order.amount, 0),
+      };
+    },
+
+    record(customerId, amount, now) {
+      orders.set(customerId, [...recent(customerId, now), { at: now, amount }]);
+    },
+
+    sweep(now) {
+      for (const customerId of [...orders.keys()]) recent(customerId, now);
+    },
+  };
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Why `rule` fires for this order, or null when it does not.
+ * `usage` is the customer's velocity with this order included.
+ */
+const check = (rule, { customerId, total }, usage) => {
+  switch (rule.type) {
+    case "amount":
+      return total >= rule.min
+        ? `Total ${total} is at least ${rule.min}`
+        : null;
+    case "velocity": {
+      if (!customerId) return null;
+      const { orders, amount } = usage(rule.windowSeconds);
+      if (isPositive(rule.maxOrders) && orders > rule.maxOrders) {
+        return `${orders} orders in ${rule.windowSeconds}s (max ${rule.maxOrders})`;
+      }
+      if (isPositive(rule.maxAmount) && amount > rule.maxAmount) {
+        return `${round(amount)} spent in ${rule.windowSeconds}s (max ${rule.maxAmount})`;
+      }
+      return null;
+    }
+    case "blocklist":
+      return customerId && rule.customers.includes(customerId)
+        ? `Customer ${customerId} is blocked`
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * @param {object} options
+ * @param {{ thresholds: { review: number, reject: number }, rules: object[] }} options.config - see loadRiskRules
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ */
+export function createRiskEngine({ config, tracer, meter, logger }) {
+  const { thresholds, rules } = config;
+
+  const decisions = meter.createCounter("risk_decisions", {
+    description: "Orders scored by the risk rules, by decision",
+  });
+  const scores = meter.createHistogram("risk_score", {
+    description: "Risk score of each order, by decision",
+    advice: { explicitBucketBoundaries: SCORE_BUCKETS },
+  });
+  const fired = meter.createCounter("risk_rules_fired", {
+    description: "Risk rules that fired, by rule and the order's decision",
+  });
+
+  const longestWindowS = Math.max(
+    0,
+    ...rules
+      .filter((rule) => rule.type === "velocity")
+      .map((rule) => rule.windowSeconds)
+  );
+  const history = createOrderHistory(longestWindowS * 1000);
+
+  setInterval(() => history.sweep(Date.now()), SWEEP_INTERVAL_MS).unref();
+
+  // The score's decision, or a stricter one forced by a fired rule
+  const decide = (score, firedRules) => {
+    const byScore =
+      score >= thresholds.reject
+        ? RISK_DECISION.REJECT
+        : score >= thresholds.review
+          ? RISK_DECISION.REVIEW
+          : RISK_DECISION.APPROVE;
+    return firedRules
+      .map((rule) => rule.decision)
+      .filter(Boolean)
+      .reduce(
+        (strictest, decision) =>
+          SEVERITY.indexOf(decision) > SEVERITY.indexOf(strictest)
+            ? decision
+            : strictest,
+        byScore
+      );
+  };
+
+  return {
+    rules: rules.length,
+
+    /**
+     * Scores one order and records it for the velocity rules.
+     *
+     * @param {{ orderId: string, customerId?: string, total: number }} order
+     * @returns {Promise<{ decision: string, score: number, reasons: { rule: string, score: number, message: string }[] }>}
+     */
+    assess: (order) =>
+      withSpan(
+        tracer,
+        "risk assess",
+        {
+          attributes: {
+            "order.id": order.orderId,
+            ...(order.customerId && { "risk.customer_id": order.customerId }),
+          },
+        },
+        async (span) => {
+          const now = Date.now();
+          const usage = (windowSeconds) => {
+            const { orders, amount } = history.within(
+              order.customerId,
+              windowSeconds,
+              now
+            );
+            return { orders: orders + 1, amount: amount + order.total };
+          };
+
+          const matches = rules
+            .map((rule) => ({ rule, message: check(rule, order, usage) }))
+            .filter(({ message }) => message);
+          if (order.customerId) {
+            history.record(order.customerId, order.total, now);
+          }
+
+          const score = matches.reduce((sum, { rule }) => sum + rule.score, 0);
+          const decision = decide(
+            score,
+            matches.map(({ rule }) => rule)
+          );
+          const reasons = matches.map(({ rule, message }) => ({
+            rule: rule.name,
+            score: rule.score,
+            message,
+          }));
+          const names = reasons.map((reason) => reason.rule);
+
+          span.setAttributes({
+            "risk.decision": decision,
+            "risk.score": score,
+            "risk.rules": names,
+          });
+          decisions.add(1, { decision });
+          scores.record(score, { decision });
+          for (const rule of names) fired.add(1, { rule, decision });
+
+          logger[decision === RISK_DECISION.APPROVE ? "info" : "warn"](
+            "Risk assessed",
+            {
+              order_id: order.orderId,
+              customer_id: order.customerId,
+              risk_decision: decision,
+              risk_score: score,
+              risk_rules: names,
+            }
+          );
+
+          return { decision, score, reasons };
+        }
+      ),
+  };
+}
+
+/**
+ * Builds the risk engine from the environment:
+ *   RISK_RULES_FILE   rules file (default order-service/risk-rules.json)
+ *   RISK_RULES        rules as JSON, same format (wins over the file)
+ *
+ * @param {object} options - tracer, meter, logger (see createRiskEngine)
+ */
+export function createRiskEngineFromEnv(options) {
+  const config = loadRiskRules({
+    file: process.env.RISK_RULES_FILE || DEFAULT_RULES_FILE,
+    json: process.env.RISK_RULES,
+  });
+  return createRiskEngine({ ...options, config });
+}
@@ -0,0 +1,228 @@
+/**
+ * ============================================================
+ * SAGA - Multi-step work with compensations
+ * ============================================================
+ *
+ * An order touches inventory, payment-service and the order store.
+ * There is no transaction across them, so each step comes with a
+ * compensation that undoes it:
+ *
+ *   const sagas = createSagaOrchestrator({ tracer, logger, meter });
+ *
+ *   const results = await sagas.run(
+ *     { name: "create-order", id: sagaId, attributes: { "order.id": id } },
+ *     [
+ *       { name: "reserve inventory", action, compensate },
+ *       { name: "authorize payment", action, compensate },
+ *       { name: "confirm order", action },
+ *     ]
+ *   );
+ *
+ * Steps run in order; action(results) gets the results of the
+ * earlier steps, keyed by step name. When a step throws, the
+ * compensate(result) of every completed step runs in reverse order,
+ * then the error is re-thrown with error.saga = { id, step,
+ * compensated }. A failing compensation is logged and the others
+ * still run (compensated = false). Compensations ignore the request
+ * deadline: a refund must go through even if the caller gave up.
+ *
+ * SPLIT SAGAS:
+ * The async order flow finishes in a message consumer. The request
+ * runs its steps with { pending: true } (no outcome recorded yet);
+ * the consumer later calls run() with the remaining steps, or
+ * compensate() with the completed ones.
+ *
+ * TRACING (INTERNAL spans, all with saga.id and saga.name):
+ *   saga create-order
+ *   ├─ saga step reserve inventory
+ *   ├─ saga step authorize payment          ← ERROR
+ *   └─ saga compensate reserve inventory
+ *
+ * LOGS: every step and compensation, with saga_id and saga_step.
+ *
+ * METRICS (Prometheus name after Alloy → labels):
+ *   sagas_total{saga, outcome}                  completed | compensated
+ *                                               | compensation_failed
+ *   saga_compensations_total{saga, step, outcome}  succeeded | failed
+ * ============================================================
+ */
+
+import { withoutDeadline } from "@lgtm/http";
+import { withSpan } from "@lgtm/telemetry";
+
+/**
+ * @typedef {object} Saga
+ * @property {string} name - e.g. "create-order" (metric label, keep bounded)
+ * @property {string} id - one per saga instance, e.g. a UUID
+ * @property {object} [attributes] - extra span attributes
+ *
+ * @typedef {object} SagaStep
+ * @property {string} name
+ * @property {(results: Record<string, any>) => Promise<any>} action
+ * @property {(result: any) => Promise<any>} [compensate]
+ */
+
+/**
+ * @param {object} options
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {import("winston").Logger} options.logger
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ */
+export function createSagaOrchestrator({ tracer, logger, meter }) {
+  const outcomes = meter.createCounter("sagas", {
+    description:
+      "Sagas finished, by outcome (completed, compensated, compensation_failed)",
+  });
+  const compensations = meter.createCounter("saga_compensations", {
+    description: "Compensations run, by step and outcome (succeeded, failed)",
+  });
+
+  const attributesFor = (saga, step) => ({
+    ...saga.attributes,
+    "saga.id": saga.id,
+    "saga.name": saga.name,
+    ...(step && { "saga.step": step }),
+  });
+
+  const logFields = (saga, step) => ({
+    saga: saga.name,
+    saga_id: saga.id,
+    saga_step: step,
+  });
+
+  const finish = (saga, span, outcome) => {
+    span.setAttribute("saga.outcome", outcome);
+    outcomes.add(1, { saga: saga.name, outcome });
+  };
+
+  const runStep = (saga, step, results) =>
+    withSpan(
+      tracer,
+      `saga step ${step.name}`,
+      { attributes: attributesFor(saga, step.name) },
+      async () => {
+        try {
+          const result = await step.action(results);
+          logger.info("Saga step completed", logFields(saga, step.name));
+          return result;
+        } catch (error) {
+          logger.warn("Saga step failed", {
+            ...logFields(saga, step.name),
+            error: error.message,
+          });
+          throw error;
+        }
+      }
+    );
+
+  // Reverse order; returns false if any compensation failed
+  const compensateSteps = async (saga, steps, results) => {
+    let compensated = true;
+
+    for (const step of [...steps].reverse()) {
+      if (!step.compensate) continue;
+
+      try {
+        await withoutDeadline(() =>
+          withSpan(
+            tracer,
+            `saga compensate ${step.name}`,
+            { attributes: attributesFor(saga, step.name) },
+            () => step.compensate(results[step.name])
+          )
+        );
+        compensations.add(1, {
+          saga: saga.name,
+          step: step.name,
+          outcome: "succeeded",
+        });
+        logger.info("Saga step compensated", logFields(saga, step.name));
+      } catch (error) {
+        compensated = false;
+        compensations.add(1, {
+          saga: saga.name,
+          step: step.name,
+          outcome: "failed",
+        });
+        logger.error("Saga compensation failed", {
+          ...logFields(saga, step.name),
+          error: error.message,
+        });
+      }
+    }
+
+    return compensated;
+  };
+
+  return {
+    /**
+     * Runs `steps` in order, compensating the completed ones if a
+     * step fails.
+     *
+     * @param {Saga} saga
+     * @param {SagaStep[]} steps
+     * @param {object} [options]
+     * @param {boolean} [options.pending] - saga continues elsewhere on success
+     * @param {Record<string, any>} [options.results] - results of earlier steps
+     * @returns {Promise<Record<string, any>>} results by step name
+     */
+    run: (saga, steps, { pending = false, results = {} } = {}) =>
+      withSpan(
+        tracer,
+        `saga ${saga.name}`,
+        { attributes: attributesFor(saga) },
+        async (span) => {
+          const completed = [];
+
+          for (const step of steps) {
+            try {
+              results[step.name] = await runStep(saga, step, results);
+              completed.push(step);
+            } catch (error) {
+              span.setAttribute("saga.failed_step", step.name);
+              const compensated = await compensateSteps(
+                saga,
+                completed,
+                results
+              );
+              finish(
+                saga,
+                span,
+                compensated ? "compensated" : "compensation_failed"
+              );
+              error.saga = { id: saga.id, step: step.name, compensated };
+              throw error;
+            }
+          }
+
+          if (!pending) finish(saga, span, "completed");
+          return results;
+        }
+      ),
+
+    /**
+     * Compensates steps that completed in an earlier run() (split
+     * sagas), in reverse order.
+     *
+     * @param {Saga} saga
+     * @param {SagaStep[]} steps - completed steps, in the order they ran
+     * @param {Record<string, any>} [results] - their results
+     * @returns {Promise<boolean>} false if a compensation failed
+     */
+    compensate: (saga, steps, results = {}) =>
+      withSpan(
+        tracer,
+        `saga ${saga.name}`,
+        { attributes: attributesFor(saga) },
+        async (span) => {
+          const compensated = await compensateSteps(saga, steps, results);
+          finish(
+            saga,
+            span,
+            compensated ? "compensated" : "compensation_failed"
+          );
+          return compensated;
+        }
+      ),
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * ============================================================
+ * API SCHEMAS - What order-service accepts and returns (JSON Schema)
+ * ============================================================
+ *
+ * Request schemas are used with validate() from @lgtm/http. The
+ * gateway checks the same shapes, but order-service does not trust
+ * its callers. Response schemas only feed the OpenAPI document
+ * (GET /openapi.json), which the contract tests check responses
+ * against.
+ * ============================================================
+ */
+
+import { RISK_DECISION } from "./risk.js";
+import { ORDER_STATUS } from "./store.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// POST /orders
+export const createOrderBody = {
+  type: "object",
+  required: ["total"],
+  additionalProperties: false,
+  properties: {
+    item: { type: "string", minLength: 1, maxLength: 100 },
+    quantity: { type: "integer", minimum: 1, maximum: 1000 },
+    total: { type: "number", exclusiveMinimum: 0, maximum: 100000 },
+    customerId: { type: "string", minLength: 1, maxLength: 100 },
+    cardNumber: {
+      type: "string",
+      pattern: "^[0-9]{12,19}$",
+      description:
+        "Card to charge, passed on to payment-service and not stored",
+    },
+  },
+};
+
+// POST /orders (documentation only, headers are not validated)
+export const createOrderHeaders = {
+  type: "object",
+  properties: {
+    Prefer: {
+      type: "string",
+      enum: ["respond-async"],
+      description:
+        "Answer 202 right away and process the payment asynchronously",
+    },
+  },
+};
+
+// GET /orders/events (documentation only, headers are not validated)
+export const orderEventsHeaders = {
+  type: "object",
+  properties: {
+    "Last-Event-ID": {
+      type: "string",
+      description:
+        "Id of the last event received; only later events are replayed",
+    },
+  },
+};
+
+// GET /orders/events
+export const orderEventsQuery = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    orderId: {
+      type: "string",
+      format: "uuid",
+      description: "Only this order's events",
+    },
+  },
+};
+
+// GET /orders
+export const listOrdersQuery = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    status: { type: "string", enum: Object.values(ORDER_STATUS) },
+    limit: {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_PAGE_SIZE,
+      default: 20,
+    },
+    cursor: { type: "string", minLength: 1, maxLength: 200 },
+    // Only the orders this client placed (the gateway's ownership filter)
+    clientId: { type: "string", minLength: 1, maxLength: 200 },
+  },
+};
+
+// /orders/:id/...
+export const orderIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", format: "uuid" },
+  },
+};
+
+// POST /orders/:id/refunds
+export const refundBody = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    amount: { type: "number", exclusiveMinimum: 0, maximum: 100000 },
+    reason: { type: "string", maxLength: 200 },
+  },
+};
+
+// ============================================================
+// RESPONSES
+// ============================================================
+
+const timestamp = { type: "string", format: "date-time" };
+const amount = { type: "number", minimum: 0 };
+
+// The risk rules' assessment (risk.js)
+const risk = {
+  type: "object",
+  required: ["decision", "score", "reasons"],
+  additionalProperties: false,
+  properties: {
+    decision: { type: "string", enum: Object.values(RISK_DECISION) },
+    score: { type: "number", minimum: 0 },
+    reasons: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["rule", "score", "message"],
+        additionalProperties: false,
+        properties: {
+          rule: { type: "string" },
+          score: { type: "number" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const order = {
+  type: "object",
+  required: ["orderId", "status", "total", "createdAt", "updatedAt"],
+  additionalProperties: false,
+  properties: {
+    orderId: { type: "string", format: "uuid" },
+    sagaId: { type: "string", format: "uuid" },
+    status: { type: "string", enum: Object.values(ORDER_STATUS) },
+    total: amount,
+    item: { type: "string" },
+    quantity: { type: "integer" },
+    customerId: { type: "string" },
+    clientId: { type: "string" },
+    risk,
+    paymentId: { type: "string" },
+    failureReason: { type: "string" },
+    refundedAmount: amount,
+    cancelledAt: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+};
+
+// GET /orders/events: data of each "order.status" event (events.js)
+export const orderEvent = {
+  type: "object",
+  required: ["orderId", "status", "order", "at"],
+  additionalProperties: false,
+  properties: {
+    orderId: { type: "string", format: "uuid" },
+    status: order.properties.status,
+    previousStatus: order.properties.status,
+    order,
+    at: timestamp,
+    traceparent: { type: "string" },
+  },
+};
+
+// payment-service's response, documented in its own /openapi.json
+const payment = {
+  type: "object",
+  required: ["paymentId", "status"],
+  properties: {
+    paymentId: { type: "string" },
+    status: { type: "string" },
+  },
+};
+
+const refund = {
+  type: "object",
+  required: ["refundId", "amount", "reason", "createdAt"],
+  additionalProperties: false,
+  properties: {
+    refundId: { type: "string" },
+    amount,
+    reason: { type: ["string", "null"] },
+    providerRef: { type: "string" },
+    createdAt: timestamp,
+  },
+};
+
+// GET /orders/:id, POST /orders/:id/cancel
+export const orderResponse = order;
+
+// POST /orders
+export const createOrderResponse = {
+  ...order,
+  required: [...order.required, "payment"],
+  properties: { ...order.properties, payment },
+};
+
+// GET /orders
+export const listOrdersResponse = {
+  type: "object",
+  required: ["orders", "nextCursor"],
+  additionalProperties: false,
+  properties: {
+    orders: { type: "array", items: order },
+    nextCursor: { type: ["string", "null"] },
+  },
+};
+
+// POST /orders/:id/refunds
+export const refundResponse = {
+  type: "object",
+  required: ["order", "refund"],
+  additionalProperties: false,
+  properties: { order, refund },
+};
+
+// GET /inventory
+export const inventoryResponse = {
+  type: "object",
+  required: ["items"],
+  additionalProperties: false,
+  properties: {
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["item", "onHand", "reserved", "available"],
+        additionalProperties: false,
+        properties: {
+          item: { type: "string" },
+          onHand: { type: "integer", minimum: 0 },
+          reserved: { type: "integer", minimum: 0 },
+          available: { type: "integer" },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,248 @@
+/**
+ * ============================================================
+ * ORDER STORE - Persistence for orders
+ * ============================================================
+ *
+ * Orders used to be forgotten as soon as POST /orders returned.
+ * The store keeps them so they can be listed, fetched and cancelled.
+ *
+ * STATUS LIFECYCLE:
+ *   pending → paid → refunded
+ *                  → partially_refunded → partially_refunded
+ *                                       → refunded
+ *           → payment_failed
+ *           → rejected (out of stock, or by the risk rules)
+ *           → cancelled
+ *           → pending_review (risk rules) → cancelled
+ *
+ * update() refuses a status change the lifecycle does not allow
+ * (INVALID_STATUS_TRANSITION, with `from` and `to`), checked in the
+ * same step as the write: a payment that comes back after the order
+ * was cancelled cannot mark it "paid".
+ *
+ * PLUGGABLE:
+ * A store is any object with create/get/list/update/count methods (all
+ * async). createMemoryOrderStore() is the default; a SQL-backed store
+ * only has to implement the same five methods.
+ *
+ * TRACING:
+ * withTracing() wraps a store so every call becomes a CLIENT span
+ * ("INSERT orders", "SELECT orders", ...) under the current request.
+ *
+ * EVENTS:
+ * With an event log (events.js), status changes are recorded for
+ * GET /orders/events as well.
+ * ============================================================
+ */
+
+import { SpanKind } from "@opentelemetry/api";
+import { withSpan } from "@lgtm/telemetry";
+
+import { withEvents } from "./events.js";
+
+export const ORDER_STATUS = Object.freeze({
+  PENDING: "pending",
+  PENDING_REVIEW: "pending_review",
+  PAID: "paid",
+  PAYMENT_FAILED: "payment_failed",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+});
+
+// Allowed status changes (from → to)
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [
+    ORDER_STATUS.PAID,
+    ORDER_STATUS.PAYMENT_FAILED,
+    ORDER_STATUS.REJECTED,
+    ORDER_STATUS.CANCELLED,
+    ORDER_STATUS.PENDING_REVIEW,
+  ],
+  [ORDER_STATUS.PENDING_REVIEW]: [ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: [
+    ORDER_STATUS.PARTIALLY_REFUNDED,
+    ORDER_STATUS.REFUNDED,
+  ],
+  [ORDER_STATUS.PAYMENT_FAILED]: [],
+  [ORDER_STATUS.REJECTED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+const invalidTransition = (from, to) =>
+  Object.assign(new Error(`Order cannot go from "${from}" to "${to}"`), {
+    code: "INVALID_STATUS_TRANSITION",
+    from,
+    to,
+  });
+
+export const isOrderStatus = (value) =>
+  Object.values(ORDER_STATUS).includes(value);
+
+// Cursors are opaque to clients: base64url of the insertion sequence
+const encodeCursor = (seq) => Buffer.from(String(seq)).toString("base64url");
+const decodeCursor = (cursor) => {
+  const seq = Number(Buffer.from(cursor, "base64url").toString());
+  return Number.isInteger(seq) && seq > 0 ? seq : null;
+};
+
+/**
+ * In-memory order store. Orders are listed newest first.
+ */
+export function createMemoryOrderStore() {
+  const orders = new Map(); // orderId → { seq, order }
+  let sequence = 0;
+
+  const copy = (order) => ({ ...order });
+
+  return {
+    name: "memory",
+
+    async create(order) {
+      sequence += 1;
+      orders.set(order.orderId, { seq: sequence, order: copy(order) });
+      return copy(order);
+    },
+
+    async get(orderId) {
+      const entry = orders.get(orderId);
+      return entry ? copy(entry.order) : null;
+    },
+
+    /**
+     * @param {{ status?: string, clientId?: string, limit: number, cursor?: string }} query
+     * @returns {Promise<{ orders: object[], nextCursor: string|null }>}
+     */
+    async list({ status, clientId, limit, cursor }) {
+      const before = cursor ? decodeCursor(cursor) : Infinity;
+      if (before === null) {
+        throw Object.assign(new Error("Invalid cursor"), {
+          code: "INVALID_CURSOR",
+        });
+      }
+
+      const matches = [...orders.values()]
+        .filter((entry) => entry.seq < before)
+        .filter((entry) => !status || entry.order.status === status)
+        .filter((entry) => !clientId || entry.order.clientId === clientId)
+        .sort((a, b) => b.seq - a.seq);
+
+      const page = matches.slice(0, limit);
+      const hasMore = matches.length > limit;
+
+      return {
+        orders: page.map((entry) => copy(entry.order)),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].seq) : null,
+      };
+    },
+
+    async update(orderId, changes) {
+      const entry = orders.get(orderId);
+      if (!entry) return null;
+
+      const from = entry.order.status;
+      if (changes.status && !canTransition(from, changes.status)) {
+        throw invalidTransition(from, changes.status);
+      }
+
+      entry.order = {
+        ...entry.order,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      return copy(entry.order);
+    },
+
+    /**
+     * Number of orders, optionally only those in `status`.
+     */
+    async count({ status } = {}) {
+      if (!status) return orders.size;
+      let total = 0;
+      for (const entry of orders.values()) {
+        if (entry.order.status === status) total += 1;
+      }
+      return total;
+    },
+  };
+}
+
+/**
+ * Wraps a store so each call is recorded as a database span.
+ */
+export function withTracing(store, tracer) {
+  const traced = (operation, method, attributes = {}) =>
+    withSpan(
+      tracer,
+      `${operation} orders`,
+      {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          "db.system": store.name,
+          "db.operation": operation,
+          "db.sql.table": "orders",
+          ...attributes,
+        },
+      },
+      method
+    );
+
+  return {
+    name: store.name,
+
+    create: (order) =>
+      traced("INSERT", () => store.create(order), {
+        "order.id": order.orderId,
+      }),
+
+    get: (orderId) =>
+      traced("SELECT", () => store.get(orderId), { "order.id": orderId }),
+
+    list: (query) =>
+      traced(
+        "SELECT",
+        async (span) => {
+          const result = await store.list(query);
+          span.setAttribute("db.result_count", result.orders.length);
+          return result;
+        },
+        {
+          "order.status_filter": query.status || "any",
+          "db.limit": query.limit,
+        }
+      ),
+
+    update: (orderId, changes) =>
+      traced("UPDATE", () => store.update(orderId, changes), {
+        "order.id": orderId,
+        ...(changes.status && { "order.status": changes.status }),
+      }),
+
+    // Polled by the metrics reader, outside any request: a span per
+    // export interval would only add noise root traces
+    count: (query) => store.count(query),
+  };
+}
+
+/**
+ * Builds the configured store (ORDER_STORE, default "memory").
+ *
+ * @param {import("@opentelemetry/api").Tracer} tracer
+ * @param {ReturnType<import("./events.js").createOrderEvents>} [events] - records status changes
+ */
+export function createOrderStore(tracer, events) {
+  const kind = process.env.ORDER_STORE || "memory";
+
+  if (kind !== "memory") {
+    throw new Error(`Unsupported ORDER_STORE "${kind}" (expected "memory")`);
+  }
+
+  const store = createMemoryOrderStore();
+  return withTracing(events ? withEvents(store, events) : store, tracer);
+}
@@ -2,71 +2,299 @@
  * Payment Service
  * ================
  * This is the final service in our tracing chain.
- * It simulates payment processing with success/failure scenarios.
+ * It charges payments through a payment provider (provider.js; by
+ * default the local simulator, whose magic card numbers and amounts
+ * pick the outcome) and keeps every payment so it can be refunded
+ * (fully or partially). The provider reports back through webhooks.
  *
  * Request Flow:
  * Gateway → Order Service → Payment Service (this)
+ * or, asynchronously (BROKER_URL set):
+ * Order Service → "orders.created" message → Payment Service (this)
+ *               ← "payments.completed" message ←
+ * Payment Service (this) → payment provider → webhook → Payment Service
  *
  * Observability:
  * - TRACES: OpenTelemetry auto-instrumentation -> Alloy -> Tempo
- * - METRICS: OpenTelemetry auto-instrumentation -> Alloy -> Prometheus
+ * - METRICS: OpenTelemetry auto-instrumentation + business metrics
+ *   (metrics.js) -> Alloy -> Prometheus
  * - LOGS: Winston -> Alloy -> Loki
  */
 
-// Load tracing FIRST!
-import { activeRequestsGauge } from "./tracing.js";
+// Load telemetry FIRST!
+import telemetry, {
+  logger,
+  meter,
+  tracer,
+  activeRequestsMiddleware,
+} from "./telemetry.js";
 
+import { randomUUID } from "node:crypto";
 import express from "express";
-import logger from "./logger.js";
+import { trace } from "@opentelemetry/api";
+import { withSpan } from "@lgtm/telemetry";
+import { createMessaging, TOPICS } from "@lgtm/messaging";
+import {
+  asyncHandler,
+  createApiDocs,
+  createAuthenticatorFromEnv,
+  createDeadlines,
+  createFaultInjector,
+  createHealthChecks,
+  createValidator,
+  errorHandler,
+  httpError,
+  idempotency,
+  notFoundHandler,
+  registerRuntimeAdmin,
+} from "@lgtm/http";
+import {
+  createPaymentMetrics,
+  PAYMENT_OUTCOME,
+  WEBHOOK_RESULT,
+} from "./metrics.js";
+import {
+  createPaymentProvider,
+  PROVIDER_ERROR,
+  WEBHOOK_PATH,
+} from "./provider.js";
+import { createPaymentStore, canTransition, PAYMENT_STATUS } from "./store.js";
+import { createOrderConsumer } from "./consumer.js";
+import { createReconciler } from "./reconcile.js";
+import {
+  createPaymentBody,
+  listRefundsResponse,
+  paymentIdParams,
+  paymentResponse,
+  refundBody,
+  refundResponse,
+} from "./schemas.js";
 
 const app = express();
-app.use(express.json());
+// The raw body is kept for the provider's webhook signatures
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Active requests tracking middleware
-app.use((req, res, next) => {
-  activeRequestsGauge.add(1, { service: "payment-service" });
-  let decremented = false;
-  const decrement = () => {
-    if (!decremented) {
-      decremented = true;
-      activeRequestsGauge.add(-1, { service: "payment-service" });
-    }
-  };
-  res.on("finish", decrement);
-  res.on("close", decrement); // Handles client disconnect
-  next();
+app.use(activeRequestsMiddleware);
+
+// Authentication: only callers with SERVICE_TOKEN (X-Service-Token), whose
+// X-Client-Id then names the original client
+const auth = createAuthenticatorFromEnv({
+  service: "payment-service",
+  meter,
+  logger,
+});
+app.use(auth.middleware);
+
+// Deadlines: enforces the caller's X-Request-Budget-Ms and passes the rest on
+const deadlines = createDeadlines({
+  service: "payment-service",
+  meter,
+  logger,
 });
+app.use(deadlines.middleware);
 
-const PORT = 8002;
+// Chaos: per-route fault injection, configured via PUT /admin/faults
+// (service token)
+const faults = createFaultInjector({
+  service: "payment-service",
+  meter,
+  logger,
+});
+app.use("/admin", auth.require());
+faults.registerAdminRoutes(app);
+// Log levels (per module, optional TTL) and trace sampler at runtime:
+// /admin/log-levels, /admin/sampling
+registerRuntimeAdmin(app, telemetry);
+app.use(faults.middleware);
+
+const PORT = Number(process.env.PORT) || 8002;
+
+// Payment storage (in-memory by default, every call traced as a DB span)
+const payments = createPaymentStore(tracer);
+
+// Payment provider (PAYMENT_PROVIDER, default the local simulator), every
+// call traced as a client span; it calls back on WEBHOOK_PATH
+const provider = createPaymentProvider({
+  port: PORT,
+  tracer,
+  meter,
+  logger: logger.child({ module: "provider" }),
+});
+
+// JSON-schema request validation (400 VALIDATION_FAILED, see schemas.js)
+const validate = createValidator({ logger });
+
+// OpenAPI document built from the routes (GET /openapi.json, GET /docs)
+const docs = createApiDocs({
+  title: "Payment Service API",
+  version: telemetry.config.serviceVersion,
+  description: "Payments and refunds. Called by order-service.",
+  prefix: "/payments",
+  validate,
+  logger,
+});
+
+// Replays stored responses for repeated Idempotency-Key headers
+const idempotent = idempotency({ service: "payment-service", meter, logger });
+
+// Business metrics: payments by outcome/decline reason, processing time,
+// status transitions and refunds
+const paymentMetrics = createPaymentMetrics({ meter });
+
+// Async order flow: consumes orders.created, publishes payments.completed
+// (disabled unless BROKER_URL is set)
+const messaging = createMessaging({
+  service: "payment-service",
+  meter,
+  logger: logger.child({ module: "messaging" }),
+});
 
 // ============================================================
-// HEALTH CHECK ENDPOINT (for Kubernetes probes)
+// HEALTH - GET /livez, GET /readyz (Kubernetes probes), GET /health
 // ============================================================
 
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok" });
+const health = createHealthChecks({
+  service: "payment-service",
+  meter,
+  logger: logger.child({ module: "health" }),
+  checks: [
+    {
+      name: "payment-store",
+      // A read round trip; the ID never exists
+      run: async () => {
+        await payments.get("PAY-readiness-probe");
+        return { store: payments.name };
+      },
+    },
+    messaging.healthCheck,
+    telemetry.healthCheck,
+  ].filter(Boolean),
 });
+health.register(app);
 
 // ============================================================
-// HELPER: Simulate processing delay
+// HELPER: Money in cents, so partial refunds add up exactly
 // ============================================================
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-const randomDelay = (min, max) => Math.random() * (max - min) + min;
+const toCents = (amount) => Math.round((amount ?? 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const refundableCents = (payment) =>
+  toCents(payment.capturedAmount) - toCents(payment.refundedAmount);
 
 // ============================================================
-// API ENDPOINTS
+// HELPER: Status transitions
 // ============================================================
 
 /**
- * POST /payments
- * Processes a payment
- *
- * In the trace, this appears as the innermost span:
- * gateway → order-service → payment-service (this span)
+ * Creates (previous = null) or moves a payment to a new status.
+ * Each transition gets its own span, log line and metric.
+ */
+const changeStatus = (previous, changes, attributes = {}) =>
+  withSpan(
+    tracer,
+    `payment ${changes.status}`,
+    {
+      attributes: {
+        "payment.id": previous?.paymentId ?? changes.paymentId,
+        "payment.status.from": previous?.status ?? "none",
+        "payment.status.to": changes.status,
+        ...attributes,
+      },
+    },
+    async () => {
+      const payment = previous
+        ? await payments.update(previous.paymentId, changes)
+        : await payments.create(changes);
+
+      paymentMetrics.statusChanged(previous?.status ?? null, payment.status);
+      logger.info("Payment status changed", {
+        payment_id: payment.paymentId,
+        order_id: payment.orderId,
+        from: previous?.status ?? "none",
+        to: payment.status,
+      });
+      return payment;
+    }
+  );
+
+// Refunds of one payment run one at a time, so two concurrent
+// requests can't both pass the refundable-amount check
+const paymentLocks = new Map();
+
+const withPaymentLock = async (paymentId, fn) => {
+  let release;
+  const current = new Promise((resolve) => (release = resolve));
+  const previous = paymentLocks.get(paymentId) ?? Promise.resolve();
+  const tail = previous.then(() => current);
+  paymentLocks.set(paymentId, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (paymentLocks.get(paymentId) === tail) paymentLocks.delete(paymentId);
+  }
+};
+
+// ============================================================
+// HELPER: Provider failures
+// ============================================================
+
+const PROVIDER_FAILURES = {
+  [PROVIDER_ERROR.TIMEOUT]: {
+    status: 504,
+    code: "PAYMENT_PROVIDER_TIMEOUT",
+    message: "Payment provider did not answer in time",
+  },
+  [PROVIDER_ERROR.UNAVAILABLE]: {
+    status: 502,
+    code: "PAYMENT_PROVIDER_UNAVAILABLE",
+    message: "Payment provider could not be reached",
+  },
+  [PROVIDER_ERROR.REJECTED]: {
+    status: 502,
+    code: "PAYMENT_PROVIDER_REJECTED",
+    message: "Payment provider refused the operation",
+  },
+};
+
+/**
+ * A failed provider call as an httpError (502/504, which callers may
+ * retry); other errors unchanged. Its details name the provider as the
+ * upstream, so callers' breakers do not count it against this service.
  */
-app.post("/payments", async (req, res) => {
-  const { orderId, amount } = req.body;
-  const paymentId = `PAY-${Date.now()}`;
+const fromProviderError = (error, details) => {
+  const failure = PROVIDER_FAILURES[error.code];
+  if (!failure) return error;
+  return Object.assign(
+    httpError(failure.status, failure.code, failure.message, {
+      ...details,
+      upstream: "payment-provider",
+    }),
+    { cause: error }
+  );
+};
+
+// ============================================================
+// HELPER: Payment processing (HTTP and message consumer)
+// ============================================================
+
+/**
+ * Authorizes and captures a payment for an order through the
+ * provider, or stores it as declined. Returns the stored payment
+ * either way; throws a 502/504 httpError when the provider fails.
+ */
+const processPayment = async ({ orderId, amount, cardNumber }) => {
+  const paymentId = `PAY-${randomUUID()}`;
+  const startedAt = performance.now();
 
   logger.info("Processing payment", {
     payment_id: paymentId,
@@ -74,39 +302,450 @@ app.post("/payments", async (req, res) => {
     amount: amount,
   });
 
-  // Simulate payment processing (this is where the real payment gateway call would be)
-  await sleep(randomDelay(100, 300));
+  const failed = (error) => {
+    paymentMetrics.paymentProcessed({
+      outcome: PAYMENT_OUTCOME.ERROR,
+      durationMs: performance.now() - startedAt,
+    });
+    return fromProviderError(error, { paymentId, orderId });
+  };
+
+  let authorization;
+  try {
+    authorization = await provider.authorize({
+      reference: paymentId,
+      amount,
+      cardNumber,
+    });
+  } catch (error) {
+    // Nothing stored: if the provider authorizes after all, its
+    // webhook names a payment we do not know and we void it
+    throw failed(error);
+  }
+
+  const now = new Date().toISOString();
+  const payment = {
+    paymentId,
+    orderId,
+    amount,
+    provider: provider.name,
+    providerRef: authorization.providerRef,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  if (authorization.status === "declined") {
+    const declineReason = authorization.declineCode;
+    const declined = await changeStatus(null, {
+      ...payment,
+      status: PAYMENT_STATUS.DECLINED,
+      declineReason,
+    });
 
-  // Simulate occasional payment failures (10% chance)
-  if (Math.random() < 0.1) {
     logger.warn("Payment declined", {
       payment_id: paymentId,
       order_id: orderId,
+      decline_reason: declineReason,
     });
-
-    return res.status(400).json({
-      status: "declined",
-      paymentId: paymentId,
-      orderId: orderId,
-      error: "Card declined",
+    paymentMetrics.paymentProcessed({
+      outcome: PAYMENT_OUTCOME.DECLINED,
+      declineReason,
+      durationMs: performance.now() - startedAt,
     });
+    return declined;
   }
 
-  logger.info("Payment approved", { payment_id: paymentId, order_id: orderId });
+  const authorized = await changeStatus(null, {
+    ...payment,
+    status: PAYMENT_STATUS.AUTHORIZED,
+    authorizedAt: now,
+  });
 
-  res.json({
-    status: "approved",
-    paymentId: paymentId,
-    orderId: orderId,
-    amount: amount,
-    processedAt: new Date().toISOString(),
+  try {
+    await provider.capture({ providerRef: payment.providerRef, amount });
+  } catch (error) {
+    // Not captured: release the hold on the card (or let it expire)
+    try {
+      await provider.void({
+        providerRef: payment.providerRef,
+        reference: paymentId,
+      });
+      await changeStatus(authorized, {
+        status: PAYMENT_STATUS.VOIDED,
+        voidedAt: new Date().toISOString(),
+      });
+    } catch (voidError) {
+      logger.warn("Authorization could not be voided", {
+        payment_id: paymentId,
+        error: voidError.message,
+      });
+    }
+    throw failed(error);
+  }
+
+  const captured = await changeStatus(authorized, {
+    status: PAYMENT_STATUS.CAPTURED,
+    capturedAmount: amount,
+    refundedAmount: 0,
+    capturedAt: new Date().toISOString(),
+  });
+
+  logger.info("Payment approved", {
+    payment_id: paymentId,
+    order_id: orderId,
+  });
+  paymentMetrics.paymentProcessed({
+    outcome: PAYMENT_OUTCOME.APPROVED,
+    durationMs: performance.now() - startedAt,
   });
-});
+
+  return captured;
+};
+
+// ============================================================
+// API ENDPOINTS
+// ============================================================
+
+/**
+ * POST /payments
+ * Processes a payment
+ *
+ * In the trace, this appears as the innermost span:
+ * gateway → order-service → payment-service (this span)
+ *
+ * The payment is stored as "authorized" and captured right away
+ * (or stored as "declined"), so it can be fetched and refunded later.
+ *
+ * order-service sends the order ID as Idempotency-Key, so a retried
+ * payment call replays the first result instead of charging twice.
+ */
+app.post(
+  "/payments",
+  auth.require(),
+  docs.operation({
+    summary: "Authorize and capture a payment",
+    tags: ["payments"],
+    body: createPaymentBody,
+    responses: {
+      200: { description: "Payment captured", schema: paymentResponse },
+      400: "Invalid request (VALIDATION_FAILED) or card declined (PAYMENT_DECLINED)",
+      502: "The provider failed or refused (PAYMENT_PROVIDER_UNAVAILABLE, PAYMENT_PROVIDER_REJECTED)",
+      504: "The provider did not answer in time (PAYMENT_PROVIDER_TIMEOUT)",
+    },
+  }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const payment = await processPayment(req.body);
+
+    if (payment.status === PAYMENT_STATUS.DECLINED) {
+      throw httpError(400, "PAYMENT_DECLINED", "Card declined", {
+        paymentId: payment.paymentId,
+        orderId: payment.orderId,
+        declineReason: payment.declineReason,
+      });
+    }
+
+    res.json(payment);
+  })
+);
+
+/**
+ * GET /payments/:id
+ * Returns a payment with its refund history
+ */
+app.get(
+  "/payments/:id",
+  auth.require(),
+  docs.operation({
+    summary: "Fetch a payment with its refunds",
+    tags: ["payments"],
+    params: paymentIdParams,
+    responses: {
+      200: { description: "The payment", schema: paymentResponse },
+      404: "Payment not found (PAYMENT_NOT_FOUND)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payment = await payments.get(req.params.id);
+
+    if (!payment) {
+      throw httpError(404, "PAYMENT_NOT_FOUND", "Payment not found");
+    }
+
+    res.json(payment);
+  })
+);
+
+/**
+ * GET /payments/:id/refunds
+ * Refund history of a payment, oldest first
+ */
+app.get(
+  "/payments/:id/refunds",
+  auth.require(),
+  docs.operation({
+    summary: "Refund history of a payment, oldest first",
+    tags: ["refunds"],
+    params: paymentIdParams,
+    responses: {
+      200: { description: "Refunds so far", schema: listRefundsResponse },
+      404: "Payment not found (PAYMENT_NOT_FOUND)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payment = await payments.get(req.params.id);
+
+    if (!payment) {
+      throw httpError(404, "PAYMENT_NOT_FOUND", "Payment not found");
+    }
+
+    res.json({
+      paymentId: payment.paymentId,
+      status: payment.status,
+      refundedAmount: payment.refundedAmount ?? 0,
+      refundableAmount: fromCents(refundableCents(payment)),
+      refunds: payment.refunds,
+    });
+  })
+);
+
+/**
+ * POST /payments/:id/refunds
+ * Refunds all or part of a captured payment
+ *
+ * Body: { "amount": 10.5, "reason": "damaged item" }
+ * - amount: optional, defaults to everything still refundable
+ * - reason: optional free text (max 200 characters, see schemas.js)
+ *
+ * 409 unless the payment is captured or partially refunded,
+ * 422 when the amount exceeds what is left to refund.
+ */
+app.post(
+  "/payments/:id/refunds",
+  auth.require(),
+  docs.operation({
+    summary: "Refund all or part of a captured payment",
+    tags: ["refunds"],
+    params: paymentIdParams,
+    body: refundBody,
+    responses: {
+      201: { description: "Refund issued", schema: refundResponse },
+      404: "Payment not found (PAYMENT_NOT_FOUND)",
+      409: "Payment cannot be refunded (INVALID_STATUS_TRANSITION)",
+      422: "Amount exceeds what is left to refund (REFUND_EXCEEDS_CAPTURED)",
+      502: "The provider failed or refused (PAYMENT_PROVIDER_UNAVAILABLE, PAYMENT_PROVIDER_REJECTED)",
+      504: "The provider did not answer in time (PAYMENT_PROVIDER_TIMEOUT)",
+    },
+  }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const paymentId = req.params.id;
+    const { amount, reason } = req.body;
+
+    await withPaymentLock(paymentId, async () => {
+      const payment = await payments.get(paymentId);
+
+      if (!payment) {
+        throw httpError(404, "PAYMENT_NOT_FOUND", "Payment not found");
+      }
+
+      if (!canTransition(payment.status, PAYMENT_STATUS.REFUNDED)) {
+        logger.warn("Payment cannot be refunded", {
+          payment_id: paymentId,
+          status: payment.status,
+        });
+        throw httpError(
+          409,
+          "INVALID_STATUS_TRANSITION",
+          `Payment cannot be refunded in status "${payment.status}"`,
+          { status: payment.status }
+        );
+      }
+
+      const refundable = refundableCents(payment);
+      const requested = amount === undefined ? refundable : toCents(amount);
+
+      if (requested === 0 || requested > refundable) {
+        logger.warn("Refund amount rejected", {
+          payment_id: paymentId,
+          amount: fromCents(requested),
+          refundable_amount: fromCents(refundable),
+        });
+        throw httpError(
+          422,
+          "REFUND_EXCEEDS_CAPTURED",
+          `Refund amount exceeds the refundable amount (${fromCents(
+            refundable
+          )})`,
+          { refundableAmount: fromCents(refundable) }
+        );
+      }
+
+      const full = requested === refundable;
+      const refundId = `RFD-${randomUUID()}`;
+
+      // The money goes back first; a failed call stores nothing
+      let refunded;
+      try {
+        refunded = await provider.refund({
+          providerRef: payment.providerRef,
+          amount: fromCents(requested),
+          reference: refundId,
+        });
+      } catch (error) {
+        throw fromProviderError(error, { paymentId, refundId });
+      }
+
+      const refund = {
+        refundId,
+        amount: fromCents(requested),
+        reason: reason ?? null,
+        providerRef: refunded.refundRef,
+        createdAt: new Date().toISOString(),
+      };
+
+      const updated = await changeStatus(
+        payment,
+        {
+          status: full
+            ? PAYMENT_STATUS.REFUNDED
+            : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+          refundedAmount: fromCents(
+            toCents(payment.refundedAmount) + requested
+          ),
+          refunds: [...payment.refunds, refund],
+        },
+        { "refund.id": refund.refundId, "refund.amount": refund.amount }
+      );
+
+      paymentMetrics.refunded(refund.amount, full);
+      logger.info("Payment refunded", {
+        payment_id: paymentId,
+        order_id: payment.orderId,
+        refund_id: refund.refundId,
+        amount: refund.amount,
+        full_refund: full,
+      });
+
+      res.status(201).json({ refund, payment: updated });
+    });
+  })
+);
+
+// ============================================================
+// PROVIDER WEBHOOKS - What the payment provider did, reported later
+// ============================================================
+
+// Checks each verified event against the stored payment; voids
+// orphaned authorizations (reconcile.js)
+const reconcile = createReconciler({ payments, provider, logger });
+
+/**
+ * POST /webhooks/payment-provider
+ * Called by the payment provider (not by our services): no service
+ * token, the provider's signature instead. 401 INVALID_WEBHOOK_SIGNATURE
+ * when it does not match.
+ *
+ * Each delivery is its own trace, separate from the payment's.
+ */
+app.post(
+  WEBHOOK_PATH,
+  asyncHandler(async (req, res) => {
+    let event;
+    try {
+      event = provider.parseWebhook(
+        req.rawBody ?? Buffer.alloc(0),
+        req.headers
+      );
+    } catch (error) {
+      paymentMetrics.webhookReceived(
+        "unknown",
+        WEBHOOK_RESULT.INVALID_SIGNATURE
+      );
+      logger.warn("Provider webhook rejected", { error: error.message });
+      throw httpError(
+        401,
+        "INVALID_WEBHOOK_SIGNATURE",
+        "Webhook signature verification failed"
+      );
+    }
+
+    const span = trace.getActiveSpan();
+    span?.setAttributes({
+      "payment_provider.event.id": event.id,
+      "payment_provider.event.type": event.type,
+      "payment.id": event.reference,
+    });
+
+    const result = await reconcile(event);
+
+    span?.setAttribute("payment_provider.webhook.result", result);
+    paymentMetrics.webhookReceived(event.type, result);
+    logger.info("Provider webhook received", {
+      event_id: event.id,
+      event_type: event.type,
+      payment_id: event.reference,
+      result,
+    });
+
+    res.json({ received: true, result });
+  })
+);
+
+// ============================================================
+// MESSAGE CONSUMERS - Async order flow
+// ============================================================
+
+/**
+ * orders.created → charge the order → payments.completed
+ *
+ * Runs in a CONSUMER span continuing the order-service trace. Every
+ * order is answered, provider failures included ("failed"), and a
+ * redelivered order gets its stored result again (consumer.js).
+ */
+if (messaging.enabled) {
+  messaging.subscribe(
+    TOPICS.ORDER_CREATED,
+    createOrderConsumer({
+      messaging,
+      payments,
+      processPayment,
+      logger,
+    })
+  );
+}
+
+// ============================================================
+// API DOCS - GET /openapi.json and GET /docs (after the last route)
+// ============================================================
+
+docs.serve(app);
+
+// ============================================================
+// ERROR HANDLING - Shared envelope { code, message, details, trace_id }
+// ============================================================
+
+app.use(notFoundHandler());
+app.use(errorHandler({ logger }));
 
 // ============================================================
 // START SERVER
 // ============================================================
 
-app.listen(PORT, () => {
-  logger.info("Payment Service started", { port: PORT });
+const server = app.listen(PORT, () => {
+  logger.info("Payment Service started", {
+    port: PORT,
+    payment_store: payments.name,
+    payment_provider: provider.name,
+    broker: messaging.system,
+  });
+});
+
+// SIGTERM/SIGINT: stop accepting, fail readiness, finish the requests
+// in flight, close the broker and the provider's pending webhooks, then
+// flush telemetry and logs
+telemetry.shutdown.handle({
+  server,
+  onDrain: [health.drain],
+  onClose: [() => messaging.close(), () => provider.close()],
 });
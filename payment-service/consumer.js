@@ -0,0 +1,107 @@
+/**
+ * ============================================================
+ * ORDER CONSUMER - orders.created → charge → payments.completed
+ * ============================================================
+ *
+ *   messaging.subscribe(
+ *     TOPICS.ORDER_CREATED,
+ *     createOrderConsumer({ messaging, payments, processPayment, logger })
+ *   );
+ *
+ * Every order gets exactly one payments.completed answer, whose
+ * status order-service acts on:
+ *   captured   the order is paid
+ *   declined   the card was declined (declineReason = decline code)
+ *   voided     authorized, but the capture failed and was voided
+ *   failed     the provider timed out, was unreachable or refused
+ *              (declineReason "provider_error"): nothing was charged
+ *              that is not given back
+ * Without the "failed" answer a provider outage would leave the order
+ * pending, and its stock reserved, for good.
+ *
+ * Messages can be delivered twice: an order that already has a
+ * payment gets the stored result again instead of a second charge.
+ * Other errors (the store, the broker) fail the delivery so the
+ * broker redelivers it.
+ * ============================================================
+ */
+
+import { TOPICS } from "@lgtm/messaging";
+
+import { PROVIDER_ERROR } from "./provider.js";
+
+export const PROVIDER_ERROR_REASON = "provider_error";
+
+const PROVIDER_ERRORS = Object.values(PROVIDER_ERROR);
+
+/**
+ * A failed provider call, as processPayment() throws it
+ * (fromProviderError() keeps the provider's error as the cause).
+ */
+const isProviderFailure = (error) =>
+  PROVIDER_ERRORS.includes(error.code) ||
+  PROVIDER_ERRORS.includes(error.cause?.code);
+
+/**
+ * @param {object} options
+ * @param {ReturnType<import("@lgtm/messaging").createMessaging>} options.messaging
+ * @param {{ getByOrderId: (orderId: string) => Promise<object | null> }} options.payments
+ * @param {(order: { orderId: string, amount: number, cardNumber?: string }) => Promise<object>} options.processPayment
+ * @param {import("winston").Logger} options.logger
+ * @returns {(body: object) => Promise<void>} the orders.created handler
+ */
+export function createOrderConsumer({
+  messaging,
+  payments,
+  processPayment,
+  logger,
+}) {
+  const publishResult = (orderId, { paymentId, status, declineReason }) =>
+    messaging.publish(
+      TOPICS.PAYMENT_COMPLETED,
+      {
+        orderId,
+        ...(paymentId && { paymentId }),
+        status,
+        ...(declineReason && { declineReason }),
+      },
+      {
+        attributes: {
+          "order.id": orderId,
+          ...(paymentId && { "payment.id": paymentId }),
+        },
+      }
+    );
+
+  return async ({ orderId, amount, cardNumber }) => {
+    const existing = await payments.getByOrderId(orderId);
+    if (existing) {
+      logger.info("Order already charged, republishing result", {
+        order_id: orderId,
+        payment_id: existing.paymentId,
+      });
+      return publishResult(orderId, existing);
+    }
+
+    let payment;
+    try {
+      payment = await processPayment({ orderId, amount, cardNumber });
+    } catch (error) {
+      if (!isProviderFailure(error)) throw error;
+
+      // Redelivering would only hit the provider again: answer now
+      logger.warn("Payment provider failed, order payment failed", {
+        order_id: orderId,
+        payment_id: error.details?.paymentId,
+        error_code: error.code,
+      });
+      return publishResult(orderId, {
+        paymentId: error.details?.paymentId,
+        status: "failed",
+        declineReason: PROVIDER_ERROR_REASON,
+      });
+    }
+
+    return publishResult(orderId, payment);
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * ============================================================
+ * PAYMENT METRICS - Business metrics for payment-service
+ * ============================================================
+ *
+ * INSTRUMENTS (Prometheus name after Alloy → labels):
+ *   payments_processed_total{outcome, decline_reason, tenant_id, customer_tier}
+ *   payment_processing_duration_milliseconds{outcome, tenant_id,
+ *                                            customer_tier}  (histogram)
+ *   payment_status_transitions_total{from, to}
+ *   refund_amount_usd{kind}                            (histogram)
+ *   payment_provider_webhooks_total{type, result}
+ *
+ * LABELS are bounded on purpose (no payment IDs or amounts):
+ *   outcome        = approved | declined | error (the provider failed)
+ *   decline_reason = one of DECLINE_REASON, only set when declined;
+ *                    anything else is reported as "other"
+ *   from, to       = PAYMENT_STATUS values ("none" for a new payment)
+ *   kind           = full | partial
+ *   type, result   = PROVIDER_EVENT value ("unknown" when the signature
+ *                    fails), WEBHOOK_RESULT value
+ *   tenant_id,     = allow-listed baggage from the gateway, "unknown"
+ *   customer_tier    without it (see @lgtm/telemetry baggage.js)
+ *
+ * Decline rate = declined / all payments_processed_total.
+ * ============================================================
+ */
+
+import { baggageLabels } from "@lgtm/telemetry";
+
+export const PAYMENT_OUTCOME = Object.freeze({
+  APPROVED: "approved",
+  DECLINED: "declined",
+  ERROR: "error",
+});
+
+// The provider's decline codes (simulator.js)
+export const DECLINE_REASON = Object.freeze({
+  CARD_DECLINED: "card_declined",
+  INSUFFICIENT_FUNDS: "insufficient_funds",
+  FRAUD_SUSPECTED: "fraud_suspected",
+});
+
+// What payment-service made of a provider webhook
+export const WEBHOOK_RESULT = Object.freeze({
+  CONFIRMED: "confirmed",
+  MISMATCH: "mismatch",
+  DUPLICATE: "duplicate",
+  VOIDED_ORPHAN: "voided_orphan",
+  UNKNOWN_PAYMENT: "unknown_payment",
+  INVALID_SIGNATURE: "invalid_signature",
+});
+
+const KNOWN_REASONS = Object.values(DECLINE_REASON);
+
+// The provider answers in 100-300ms by default; "slow", faults and
+// retries push it further
+const DURATION_BUCKETS = [
+  25, 50, 100, 150, 200, 250, 300, 500, 750, 1000, 2500, 5000,
+];
+
+const AMOUNT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * @param {object} options
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ */
+export function createPaymentMetrics({ meter }) {
+  const processed = meter.createCounter("payments_processed", {
+    description: "Payments processed, by outcome and decline reason",
+  });
+
+  const duration = meter.createHistogram("payment_processing_duration", {
+    description: "Time to authorize a payment, by outcome",
+    unit: "ms",
+    advice: { explicitBucketBoundaries: DURATION_BUCKETS },
+  });
+
+  const transitions = meter.createCounter("payment_status_transitions", {
+    description: "Payment status changes (authorize, capture, refund, ...)",
+  });
+
+  const refunds = meter.createHistogram("refund_amount_usd", {
+    description: "Refunded amounts in USD, full or partial",
+    advice: { explicitBucketBoundaries: AMOUNT_BUCKETS },
+  });
+
+  const webhooks = meter.createCounter("payment_provider_webhooks", {
+    description: "Payment provider webhooks received, by event type and result",
+  });
+
+  return {
+    /**
+     * @param {object} payment
+     * @param {string} payment.outcome - PAYMENT_OUTCOME value
+     * @param {string} [payment.declineReason] - DECLINE_REASON value
+     * @param {number} payment.durationMs
+     */
+    paymentProcessed({ outcome, declineReason, durationMs }) {
+      const customer = baggageLabels();
+      const attributes = { outcome, ...customer };
+      if (outcome === PAYMENT_OUTCOME.DECLINED) {
+        attributes.decline_reason = KNOWN_REASONS.includes(declineReason)
+          ? declineReason
+          : "other";
+      }
+      processed.add(1, attributes);
+      duration.record(durationMs, { outcome, ...customer });
+    },
+
+    /**
+     * @param {string|null} from - previous status, null for a new payment
+     * @param {string} to
+     */
+    statusChanged(from, to) {
+      transitions.add(1, { from: from ?? "none", to });
+    },
+
+    /**
+     * @param {number} amount - refunded amount in USD
+     * @param {boolean} full - true when nothing is left to refund
+     */
+    refunded(amount, full) {
+      refunds.record(amount, { kind: full ? "full" : "partial" });
+    },
+
+    /**
+     * @param {string} type - PROVIDER_EVENT value, "unknown" if unverified
+     * @param {string} result - WEBHOOK_RESULT value
+     */
+    webhookReceived(type, result) {
+      webhooks.add(1, { type, result });
+    },
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * ============================================================
+ * PAYMENT PROVIDER - Where the money actually moves
+ * ============================================================
+ *
+ * payment-service does not charge cards itself: it asks a payment
+ * provider (Stripe, Adyen, ... here a local simulator) to authorize,
+ * capture, void and refund, and hears back through webhooks.
+ *
+ * PLUGGABLE:
+ * A provider is any object with these methods (all but
+ * parseWebhook async):
+ *   authorize({ reference, amount, cardNumber })
+ *     → { status: "authorized" | "declined", providerRef, declineCode }
+ *   capture({ providerRef, amount })          → { providerRef }
+ *   void({ providerRef, reference })          → { providerRef }
+ *   refund({ providerRef, amount, reference }) → { providerRef, refundRef }
+ *   parseWebhook(rawBody, headers) → { id, type, reference,
+ *     providerRef, amount, declineCode }; throws on a bad signature
+ *   close()
+ * `reference` is our payment (or refund) ID. A result or error may
+ * carry `attributes`: provider-specific span attributes.
+ * createSimulatedProvider() (simulator.js) is the default.
+ *
+ * FAILURES:
+ * A decline is an answer, not an error. Failed calls throw with
+ *   code PROVIDER_TIMEOUT      no answer within PAYMENT_PROVIDER_TIMEOUT_MS
+ *   code PROVIDER_UNAVAILABLE  the provider could not be reached
+ *   code PROVIDER_REJECTED     the provider refused the operation
+ * After a timeout the provider may still have done the work; its
+ * webhook says so (app.js voids such orphaned authorizations).
+ *
+ * OBSERVABILITY:
+ * withTracing() wraps a provider so every call is a CLIENT span
+ * ("simulator authorize", ...) with payment_provider.* attributes and
+ * the provider's own, and is measured:
+ * - Metric: payment_provider_requests{provider, operation, outcome}
+ *   outcome = success | declined | timeout | unavailable | rejected
+ * - Metric: payment_provider_duration{provider, operation, outcome} (ms)
+ * - Warn log "Payment provider call failed" with error_code
+ * ============================================================
+ */
+
+import { randomBytes } from "node:crypto";
+import { SpanKind } from "@opentelemetry/api";
+import { withSpan } from "@lgtm/telemetry";
+
+import { createSimulatedProvider } from "./simulator.js";
+
+export const PROVIDER_ERROR = Object.freeze({
+  TIMEOUT: "PROVIDER_TIMEOUT",
+  UNAVAILABLE: "PROVIDER_UNAVAILABLE",
+  REJECTED: "PROVIDER_REJECTED",
+});
+
+// Webhook event types, one per completed operation
+export const PROVIDER_EVENT = Object.freeze({
+  AUTHORIZED: "payment.authorized",
+  DECLINED: "payment.declined",
+  CAPTURED: "payment.captured",
+  VOIDED: "payment.voided",
+  REFUNDED: "payment.refunded",
+});
+
+// Where payment-service receives the provider's webhooks
+export const WEBHOOK_PATH = "/webhooks/payment-provider";
+
+const OUTCOME_BY_ERROR = {
+  [PROVIDER_ERROR.TIMEOUT]: "timeout",
+  [PROVIDER_ERROR.UNAVAILABLE]: "unavailable",
+  [PROVIDER_ERROR.REJECTED]: "rejected",
+};
+
+// Provider answers take 0-300ms; timeouts and "slow" go further
+const DURATION_BUCKETS = [
+  10, 25, 50, 100, 200, 300, 500, 1000, 1500, 2000, 3000, 5000,
+];
+
+/**
+ * An error of a provider call (code: PROVIDER_ERROR value).
+ */
+export const providerError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const withTimeout = (promise, timeoutMs, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(providerError(PROVIDER_ERROR.TIMEOUT, message)),
+      timeoutMs
+    );
+  });
+  // The call goes on after a timeout; its late failure is nobody's
+  promise.catch(() => {});
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Wraps a provider so each call has a timeout, a client span and
+ * metrics.
+ *
+ * @param {object} provider - see PLUGGABLE above
+ * @param {object} options
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {number} options.timeoutMs
+ */
+export function withTracing(provider, { tracer, meter, logger, timeoutMs }) {
+  const requests = meter.createCounter("payment_provider_requests", {
+    description: "Calls to the payment provider, by operation and outcome",
+  });
+  const duration = meter.createHistogram("payment_provider_duration", {
+    description: "Time the payment provider took to answer, by operation",
+    unit: "ms",
+    advice: { explicitBucketBoundaries: DURATION_BUCKETS },
+  });
+
+  const call = (operation, args, attributes = {}) =>
+    withSpan(
+      tracer,
+      `${provider.name} ${operation}`,
+      {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          "peer.service": `payment-provider-${provider.name}`,
+          "payment_provider.name": provider.name,
+          "payment_provider.operation": operation,
+          ...attributes,
+        },
+      },
+      async (span) => {
+        const startedAt = performance.now();
+        const measure = (outcome) => {
+          const labels = { provider: provider.name, operation, outcome };
+          requests.add(1, labels);
+          duration.record(performance.now() - startedAt, labels);
+          span.setAttribute("payment_provider.outcome", outcome);
+        };
+
+        try {
+          const result = await withTimeout(
+            provider[operation](args),
+            timeoutMs,
+            `${provider.name} ${operation} timed out after ${timeoutMs}ms`
+          );
+
+          span.setAttributes({
+            "payment_provider.reference": result.providerRef,
+            ...(result.declineCode && {
+              "payment_provider.decline_code": result.declineCode,
+            }),
+            ...result.attributes,
+          });
+          measure(result.status === "declined" ? "declined" : "success");
+          return result;
+        } catch (error) {
+          // Anything else is a bug in the adapter, counted as unavailable
+          const code = OUTCOME_BY_ERROR[error.code]
+            ? error.code
+            : PROVIDER_ERROR.UNAVAILABLE;
+          span.setAttributes({
+            "payment_provider.error": code,
+            ...error.attributes,
+          });
+          measure(OUTCOME_BY_ERROR[code]);
+          logger.warn("Payment provider call failed", {
+            provider: provider.name,
+            operation,
+            reference: args.reference,
+            provider_ref: args.providerRef,
+            error_code: code,
+            error: error.message,
+          });
+          throw error;
+        }
+      }
+    );
+
+  return {
+    name: provider.name,
+
+    authorize: (args) =>
+      call("authorize", args, {
+        "payment.id": args.reference,
+        "payment.amount": args.amount,
+      }),
+
+    capture: (args) =>
+      call("capture", args, {
+        "payment_provider.reference": args.providerRef,
+        "payment.amount": args.amount,
+      }),
+
+    void: (args) =>
+      call("void", args, {
+        "payment_provider.reference": args.providerRef,
+        ...(args.reference && { "payment.id": args.reference }),
+      }),
+
+    refund: (args) =>
+      call("refund", args, {
+        "payment_provider.reference": args.providerRef,
+        "refund.id": args.reference,
+        "refund.amount": args.amount,
+      }),
+
+    // Local work, no call to the provider: no span
+    parseWebhook: (rawBody, headers) => provider.parseWebhook(rawBody, headers),
+
+    close: () => provider.close(),
+  };
+}
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value > 0
+    ? value
+    : fallback;
+};
+
+/**
+ * Builds the configured provider (PAYMENT_PROVIDER, default
+ * "simulator"), its webhooks sent to this service on `port`.
+ *
+ * @param {object} options
+ * @param {number} options.port - payment-service's port
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ */
+export function createPaymentProvider({ port, tracer, meter, logger }) {
+  const kind = process.env.PAYMENT_PROVIDER || "simulator";
+
+  if (kind !== "simulator") {
+    throw new Error(
+      `Unsupported PAYMENT_PROVIDER "${kind}" (expected "simulator")`
+    );
+  }
+
+  const timeoutMs = envNumber("PAYMENT_PROVIDER_TIMEOUT_MS", 2000);
+  const provider = createSimulatedProvider({
+    latency: process.env.PAYMENT_PROVIDER_LATENCY || "normal",
+    // A timed-out call completes well after the caller gave up
+    hangMs: timeoutMs * 2,
+    webhookUrl:
+      process.env.PAYMENT_PROVIDER_WEBHOOK_URL ??
+      `http://127.0.0.1:${port}${WEBHOOK_PATH}`,
+    // The simulator runs in this process: any secret will do
+    webhookSecret:
+      process.env.PAYMENT_PROVIDER_WEBHOOK_SECRET ||
+      randomBytes(32).toString("hex"),
+    logger,
+  });
+
+  return withTracing(provider, { tracer, meter, logger, timeoutMs });
+}
@@ -0,0 +1,116 @@
+/**
+ * ============================================================
+ * WEBHOOK RECONCILER - Provider events checked against our payments
+ * ============================================================
+ *
+ *   const reconcile = createReconciler({ payments, provider, logger });
+ *   const result = await reconcile(provider.parseWebhook(body, headers));
+ *
+ * Events never change a payment's status: payment-service did that
+ * when the call answered. They catch what the calls missed:
+ *   confirmed        the payment is where the event says
+ *   mismatch         it is not (warn log)
+ *   voided_orphan    an authorization for a payment we never stored
+ *                    (the call timed out, the provider went ahead
+ *                    anyway), voided so the money is not held
+ *   unknown_payment  any other event for a payment we do not know
+ *   duplicate        an event already handled, or being handled
+ *
+ * Providers deliver at least once and redeliver until answered 2xx.
+ * An event only counts as handled once reconciling it succeeded: a
+ * void that failed throws, the delivery fails, and the redelivery
+ * tries the void again.
+ * ============================================================
+ */
+
+import { WEBHOOK_RESULT } from "./metrics.js";
+import { PROVIDER_EVENT } from "./provider.js";
+import { PAYMENT_STATUS } from "./store.js";
+
+// Payment statuses each event is consistent with
+const EXPECTED_STATUSES = {
+  [PROVIDER_EVENT.AUTHORIZED]: [
+    PAYMENT_STATUS.AUTHORIZED,
+    PAYMENT_STATUS.CAPTURED,
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+    PAYMENT_STATUS.VOIDED,
+  ],
+  [PROVIDER_EVENT.DECLINED]: [PAYMENT_STATUS.DECLINED],
+  [PROVIDER_EVENT.CAPTURED]: [
+    PAYMENT_STATUS.CAPTURED,
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+  ],
+  [PROVIDER_EVENT.VOIDED]: [PAYMENT_STATUS.VOIDED],
+  [PROVIDER_EVENT.REFUNDED]: [
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+  ],
+};
+
+// The last event IDs handled
+const MAX_SEEN_EVENTS = 10_000;
+
+/**
+ * @param {object} options
+ * @param {{ get: (paymentId: string) => Promise<object | null> }} options.payments
+ * @param {{ void: (charge: { providerRef: string, reference: string }) => Promise<object> }} options.provider
+ * @param {import("winston").Logger} options.logger
+ * @returns {(event: object) => Promise<string>} a WEBHOOK_RESULT value
+ *   per verified event; throws when it could not be handled
+ */
+export function createReconciler({ payments, provider, logger }) {
+  const seenEvents = new Set();
+  // Concurrent deliveries of one event: the second is a duplicate
+  const inFlight = new Set();
+
+  const check = async (event) => {
+    const payment = await payments.get(event.reference);
+
+    if (!payment) {
+      if (event.type !== PROVIDER_EVENT.AUTHORIZED) {
+        return WEBHOOK_RESULT.UNKNOWN_PAYMENT;
+      }
+      // Authorized after the call timed out: nobody will capture it
+      await provider.void({
+        providerRef: event.providerRef,
+        reference: event.reference,
+      });
+      logger.warn("Orphaned authorization voided", {
+        payment_id: event.reference,
+        provider_ref: event.providerRef,
+        amount: event.amount,
+      });
+      return WEBHOOK_RESULT.VOIDED_ORPHAN;
+    }
+
+    if (!EXPECTED_STATUSES[event.type]?.includes(payment.status)) {
+      logger.warn("Provider event does not match payment", {
+        payment_id: payment.paymentId,
+        event_type: event.type,
+        status: payment.status,
+      });
+      return WEBHOOK_RESULT.MISMATCH;
+    }
+    return WEBHOOK_RESULT.CONFIRMED;
+  };
+
+  return async (event) => {
+    if (seenEvents.has(event.id) || inFlight.has(event.id)) {
+      return WEBHOOK_RESULT.DUPLICATE;
+    }
+
+    inFlight.add(event.id);
+    try {
+      const result = await check(event);
+      seenEvents.add(event.id);
+      if (seenEvents.size > MAX_SEEN_EVENTS) {
+        seenEvents.delete(seenEvents.values().next().value);
+      }
+      return result;
+    } finally {
+      inFlight.delete(event.id);
+    }
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * ============================================================
+ * API SCHEMAS - What payment-service accepts and returns (JSON Schema)
+ * ============================================================
+ *
+ * Request schemas are used with validate() from @lgtm/http.
+ * Response schemas only feed the OpenAPI document (GET
+ * /openapi.json), which the contract tests check responses against.
+ * ============================================================
+ */
+
+import { PAYMENT_STATUS } from "./store.js";
+
+// POST /payments
+export const createPaymentBody = {
+  type: "object",
+  required: ["orderId", "amount"],
+  additionalProperties: false,
+  properties: {
+    orderId: { type: "string", minLength: 1, maxLength: 100 },
+    amount: { type: "number", exclusiveMinimum: 0, maximum: 100000 },
+    cardNumber: {
+      type: "string",
+      pattern: "^[0-9]{12,19}$",
+      description:
+        "Card to charge; the simulator's magic numbers pick an outcome (see simulator.js)",
+    },
+  },
+};
+
+// /payments/:id/...
+export const paymentIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", pattern: "^PAY-[0-9a-fA-F-]{36}$" },
+  },
+};
+
+// POST /payments/:id/refunds
+export const refundBody = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    amount: { type: "number", exclusiveMinimum: 0, maximum: 100000 },
+    reason: { type: "string", maxLength: 200 },
+  },
+};
+
+// ============================================================
+// RESPONSES
+// ============================================================
+
+const timestamp = { type: "string", format: "date-time" };
+const amount = { type: "number", minimum: 0 };
+
+const refund = {
+  type: "object",
+  required: ["refundId", "amount", "reason", "createdAt"],
+  additionalProperties: false,
+  properties: {
+    refundId: { type: "string", pattern: "^RFD-" },
+    amount,
+    reason: { type: ["string", "null"] },
+    providerRef: { type: "string" },
+    createdAt: timestamp,
+  },
+};
+
+// POST /payments, GET /payments/:id
+export const paymentResponse = {
+  type: "object",
+  required: [
+    "paymentId",
+    "orderId",
+    "amount",
+    "status",
+    "refunds",
+    "createdAt",
+    "updatedAt",
+  ],
+  additionalProperties: false,
+  properties: {
+    paymentId: paymentIdParams.properties.id,
+    orderId: { type: "string" },
+    amount,
+    status: { type: "string", enum: Object.values(PAYMENT_STATUS) },
+    declineReason: { type: "string" },
+    provider: { type: "string" },
+    providerRef: { type: "string" },
+    capturedAmount: amount,
+    refundedAmount: amount,
+    refunds: { type: "array", items: refund },
+    authorizedAt: timestamp,
+    capturedAt: timestamp,
+    voidedAt: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+};
+
+// GET /payments/:id/refunds
+export const listRefundsResponse = {
+  type: "object",
+  required: [
+    "paymentId",
+    "status",
+    "refundedAmount",
+    "refundableAmount",
+    "refunds",
+  ],
+  additionalProperties: false,
+  properties: {
+    paymentId: paymentIdParams.properties.id,
+    status: paymentResponse.properties.status,
+    refundedAmount: amount,
+    refundableAmount: amount,
+    refunds: { type: "array", items: refund },
+  },
+};
+
+// POST /payments/:id/refunds
+export const refundResponse = {
+  type: "object",
+  required: ["refund", "payment"],
+  additionalProperties: false,
+  properties: { refund, payment: paymentResponse },
+};
@@ -0,0 +1,364 @@
+/**
+ * ============================================================
+ * PAYMENT PROVIDER SIMULATOR - A deterministic local provider
+ * ============================================================
+ *
+ * Runs inside payment-service and behaves like a card provider: it
+ * takes its time, declines some cards, times out or drops the
+ * connection, and reports what it did through signed webhooks.
+ * The outcome comes from the card number or the amount, never from
+ * chance, so every failure can be reproduced:
+ *
+ *   CARD NUMBER        AMOUNT ENDING  OUTCOME OF authorize
+ *   4000000000000002   .01            declined: card_declined
+ *   4000000000009995   .02            declined: insufficient_funds
+ *   4100000000000019   .03            declined: fraud_suspected
+ *   4000000000000408   .04            timeout (authorized late)
+ *   4000000000000119   .05            network error
+ *   anything else      anything else  authorized
+ *
+ * The card number wins over the amount. Amounts reach it from the
+ * gateway (POST /api/order with total 30.02); card numbers only
+ * from POST /payments.
+ *
+ * LATENCY (PAYMENT_PROVIDER_LATENCY), per call:
+ *   instant   0ms
+ *   fast      20-60ms
+ *   normal    100-300ms (default)
+ *   slow      500-1500ms
+ *   degraded  like normal, but one call in ten takes 1.5-4s
+ *
+ * WEBHOOKS:
+ * Each completed operation is POSTed to the webhook URL shortly
+ * after it answered (up to 3 attempts), signed the way Stripe does:
+ *   X-Simulator-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *   { "id": "evt_...", "type": "payment.captured", "created": 1700000000,
+ *     "data": { "reference": "PAY-...", "providerRef": "sim_...",
+ *               "amount": 30 } }
+ * ============================================================
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import { context, ROOT_CONTEXT } from "@opentelemetry/api";
+
+import { PROVIDER_ERROR, PROVIDER_EVENT, providerError } from "./provider.js";
+
+export const SIGNATURE_HEADER = "X-Simulator-Signature";
+
+// What each magic card number or amount ending (in cents) does
+const SCENARIOS = {
+  card_declined: { card: "4000000000000002", cents: 1 },
+  insufficient_funds: { card: "4000000000009995", cents: 2 },
+  fraud_suspected: { card: "4100000000000019", cents: 3 },
+  timeout: { card: "4000000000000408", cents: 4 },
+  network_error: { card: "4000000000000119", cents: 5 },
+};
+
+const DECLINES = ["card_declined", "insufficient_funds", "fraud_suspected"];
+
+export const LATENCY_PROFILES = {
+  instant: { min: 0, max: 0 },
+  fast: { min: 20, max: 60 },
+  normal: { min: 100, max: 300 },
+  slow: { min: 500, max: 1500 },
+  degraded: { min: 100, max: 300, spike: { every: 10, min: 1500, max: 4000 } },
+};
+
+const WEBHOOK_DELAY_MS = 50;
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT_MS = 5000;
+// Signatures older than this are replays
+const SIGNATURE_TOLERANCE_S = 300;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const between = (min, max) => min + Math.random() * (max - min);
+
+/**
+ * The scenario a payment falls into: by card number, then by the
+ * cents of the amount.
+ */
+const scenarioOf = ({ amount, cardNumber }) => {
+  const cents = Math.round(amount * 100) % 100;
+  for (const [name, magic] of Object.entries(SCENARIOS)) {
+    if (cardNumber === magic.card) return { name, matchedBy: "card" };
+  }
+  for (const [name, magic] of Object.entries(SCENARIOS)) {
+    if (cents === magic.cents) return { name, matchedBy: "amount" };
+  }
+  return { name: "approved", matchedBy: "default" };
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.latency - LATENCY_PROFILES key
+ * @param {number} options.hangMs - how late a "timeout" call answers
+ * @param {string} options.webhookUrl - "" sends no webhooks
+ * @param {string} options.webhookSecret - HMAC key of the signatures
+ * @param {import("winston").Logger} options.logger
+ */
+export function createSimulatedProvider({
+  latency,
+  hangMs,
+  webhookUrl,
+  webhookSecret,
+  logger,
+}) {
+  const profile = LATENCY_PROFILES[latency];
+  if (!profile) {
+    throw new Error(
+      `Unsupported PAYMENT_PROVIDER_LATENCY "${latency}" (expected ${Object.keys(
+        LATENCY_PROFILES
+      ).join(", ")})`
+    );
+  }
+
+  // providerRef → { reference, amount, status, capturedCents, refundedCents }
+  const charges = new Map();
+  const pendingWebhooks = new Set();
+  let calls = 0;
+
+  const respond = () => {
+    calls++;
+    const { min, max } =
+      profile.spike && calls % profile.spike.every === 0
+        ? profile.spike
+        : profile;
+    return sleep(between(min, max));
+  };
+
+  const attributes = (extra = {}) => ({
+    "simulator.latency_profile": latency,
+    ...extra,
+  });
+
+  const sign = (body, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${createHmac("sha256", webhookSecret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")}`;
+
+  /**
+   * Delivers one event, retrying with backoff. Runs outside the
+   * request that caused it: the provider calls back on its own.
+   */
+  const sendWebhook = (type, data) => {
+    if (!webhookUrl) return;
+    const event = {
+      id: `evt_${randomUUID()}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data,
+    };
+    const body = JSON.stringify(event);
+
+    const attempt = (number, delayMs) => {
+      const timer = context.with(ROOT_CONTEXT, () =>
+        setTimeout(async () => {
+          pendingWebhooks.delete(timer);
+          try {
+            const response = await fetch(webhookUrl, {
+              method: "POST",
+              headers: {
+                "Content-Type": "application/json",
+                [SIGNATURE_HEADER]: sign(body),
+              },
+              body,
+              signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            if (!response.ok) throw new Error(`status ${response.status}`);
+          } catch (error) {
+            if (number < WEBHOOK_ATTEMPTS) {
+              attempt(number + 1, WEBHOOK_DELAY_MS * 10 ** number);
+              return;
+            }
+            logger.warn("Provider webhook not delivered", {
+              event_id: event.id,
+              event_type: type,
+              payment_id: data.reference,
+              attempts: number,
+              error: error.message,
+            });
+          }
+        }, delayMs).unref()
+      );
+      pendingWebhooks.add(timer);
+    };
+    attempt(1, WEBHOOK_DELAY_MS);
+  };
+
+  const chargeOf = (providerRef, expected) => {
+    const charge = charges.get(providerRef);
+    if (!charge || !expected.includes(charge.status)) {
+      throw providerError(
+        PROVIDER_ERROR.REJECTED,
+        charge
+          ? `Charge ${providerRef} is ${charge.status}`
+          : `No such charge ${providerRef}`
+      );
+    }
+    return charge;
+  };
+
+  return {
+    name: "simulator",
+
+    async authorize({ reference, amount, cardNumber }) {
+      const scenario = scenarioOf({ amount, cardNumber });
+      const providerRef = `sim_ch_${randomUUID()}`;
+      const scenarioAttributes = attributes({
+        "simulator.scenario": scenario.name,
+        "simulator.scenario.matched_by": scenario.matchedBy,
+      });
+
+      await respond();
+
+      if (scenario.name === "network_error") {
+        throw Object.assign(
+          providerError(
+            PROVIDER_ERROR.UNAVAILABLE,
+            "Connection reset by the payment provider"
+          ),
+          { attributes: scenarioAttributes }
+        );
+      }
+      // No answer in time, but the authorization goes through later
+      if (scenario.name === "timeout") await sleep(hangMs);
+
+      if (DECLINES.includes(scenario.name)) {
+        charges.set(providerRef, { reference, amount, status: "declined" });
+        sendWebhook(PROVIDER_EVENT.DECLINED, {
+          reference,
+          providerRef,
+          amount,
+          declineCode: scenario.name,
+        });
+        return {
+          status: "declined",
+          providerRef,
+          declineCode: scenario.name,
+          attributes: scenarioAttributes,
+        };
+      }
+
+      charges.set(providerRef, {
+        reference,
+        amount,
+        status: "authorized",
+        capturedCents: 0,
+        refundedCents: 0,
+      });
+      sendWebhook(PROVIDER_EVENT.AUTHORIZED, {
+        reference,
+        providerRef,
+        amount,
+      });
+      return {
+        status: "authorized",
+        providerRef,
+        attributes: scenarioAttributes,
+      };
+    },
+
+    async capture({ providerRef, amount }) {
+      await respond();
+      const charge = chargeOf(providerRef, ["authorized"]);
+      charge.status = "captured";
+      charge.capturedCents = Math.round(amount * 100);
+      sendWebhook(PROVIDER_EVENT.CAPTURED, {
+        reference: charge.reference,
+        providerRef,
+        amount,
+      });
+      return { providerRef, attributes: attributes() };
+    },
+
+    async void({ providerRef }) {
+      await respond();
+      const charge = chargeOf(providerRef, ["authorized"]);
+      charge.status = "voided";
+      sendWebhook(PROVIDER_EVENT.VOIDED, {
+        reference: charge.reference,
+        providerRef,
+        amount: charge.amount,
+      });
+      return { providerRef, attributes: attributes() };
+    },
+
+    async refund({ providerRef, amount, reference }) {
+      await respond();
+      const charge = chargeOf(providerRef, ["captured"]);
+      const cents = Math.round(amount * 100);
+      if (charge.refundedCents + cents > charge.capturedCents) {
+        throw providerError(
+          PROVIDER_ERROR.REJECTED,
+          `Refund exceeds what is left of charge ${providerRef}`
+        );
+      }
+      charge.refundedCents += cents;
+      const refundRef = `sim_re_${randomUUID()}`;
+      sendWebhook(PROVIDER_EVENT.REFUNDED, {
+        reference: charge.reference,
+        providerRef,
+        refundRef,
+        refundReference: reference,
+        amount,
+      });
+      return {
+        providerRef,
+        refundRef,
+        attributes: attributes({ "simulator.refund_ref": refundRef }),
+      };
+    },
+
+    /**
+     * Checks the signature of a webhook request and returns its event.
+     * Throws (code INVALID_WEBHOOK_SIGNATURE) when it does not match.
+     *
+     * @param {Buffer} rawBody - the body exactly as received
+     * @param {Record<string, string>} headers - lower-cased, as in Node
+     */
+    parseWebhook(rawBody, headers) {
+      const invalid = (message) =>
+        Object.assign(new Error(message), {
+          code: "INVALID_WEBHOOK_SIGNATURE",
+        });
+
+      const fields = Object.fromEntries(
+        String(headers[SIGNATURE_HEADER.toLowerCase()] ?? "")
+          .split(",")
+          .map((part) => part.trim().split("="))
+      );
+      const timestamp = Number(fields.t);
+      if (!fields.v1 || !Number.isInteger(timestamp)) {
+        throw invalid(`Missing or malformed ${SIGNATURE_HEADER} header`);
+      }
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_S) {
+        throw invalid("Webhook signature expired");
+      }
+
+      const expected = Buffer.from(sign(rawBody.toString("utf8"), timestamp));
+      const received = Buffer.from(`t=${fields.t},v1=${fields.v1}`);
+      if (
+        expected.length !== received.length ||
+        !timingSafeEqual(expected, received)
+      ) {
+        throw invalid("Webhook signature does not match");
+      }
+
+      const { id, type, data = {} } = JSON.parse(rawBody.toString("utf8"));
+      return {
+        id,
+        type,
+        reference: data.reference,
+        providerRef: data.providerRef,
+        amount: data.amount,
+        declineCode: data.declineCode,
+      };
+    },
+
+    async close() {
+      for (const timer of pendingWebhooks) clearTimeout(timer);
+      pendingWebhooks.clear();
+    },
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * ============================================================
+ * PAYMENT STORE - Persistence for payments and refunds
+ * ============================================================
+ *
+ * Every payment is kept (approved or declined) together with its
+ * refund history, so it can be fetched and refunded later.
+ *
+ * STATUS LIFECYCLE:
+ *   declined                                  (card refused, final)
+ *   authorized → voided                       (capture failed, final)
+ *   authorized → captured → refunded          (full refund)
+ *                         → partially_refunded → partially_refunded
+ *                                              → refunded
+ *
+ * PLUGGABLE:
+ * A store is any object with create/get/getByOrderId/update methods
+ * (all async).
+ * createMemoryPaymentStore() is the default.
+ *
+ * TRACING:
+ * withTracing() wraps a store so every call becomes a CLIENT span
+ * ("INSERT payments", "SELECT payments", ...) under the current request.
+ * ============================================================
+ */
+
+import { SpanKind } from "@opentelemetry/api";
+import { withSpan } from "@lgtm/telemetry";
+
+export const PAYMENT_STATUS = Object.freeze({
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  DECLINED: "declined",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+  VOIDED: "voided",
+});
+
+// Allowed status changes (from → to)
+const TRANSITIONS = {
+  [PAYMENT_STATUS.AUTHORIZED]: [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.VOIDED],
+  [PAYMENT_STATUS.CAPTURED]: [
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+  ],
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: [
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED,
+  ],
+  [PAYMENT_STATUS.DECLINED]: [],
+  [PAYMENT_STATUS.REFUNDED]: [],
+  [PAYMENT_STATUS.VOIDED]: [],
+};
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * In-memory payment store.
+ */
+export function createMemoryPaymentStore() {
+  const payments = new Map(); // paymentId → payment
+  const byOrder = new Map(); // orderId → latest paymentId
+
+  const copy = (payment) => ({
+    ...payment,
+    refunds: payment.refunds.map((refund) => ({ ...refund })),
+  });
+
+  return {
+    name: "memory",
+
+    async create(payment) {
+      const stored = { ...payment, refunds: payment.refunds ?? [] };
+      payments.set(payment.paymentId, stored);
+      byOrder.set(payment.orderId, payment.paymentId);
+      return copy(stored);
+    },
+
+    async get(paymentId) {
+      const payment = payments.get(paymentId);
+      return payment ? copy(payment) : null;
+    },
+
+    async getByOrderId(orderId) {
+      const paymentId = byOrder.get(orderId);
+      return paymentId ? copy(payments.get(paymentId)) : null;
+    },
+
+    async update(paymentId, changes) {
+      const payment = payments.get(paymentId);
+      if (!payment) return null;
+
+      const updated = {
+        ...payment,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      payments.set(paymentId, updated);
+      return copy(updated);
+    },
+  };
+}
+
+/**
+ * Wraps a store so each call is recorded as a database span.
+ */
+export function withTracing(store, tracer) {
+  const traced = (operation, method, attributes = {}) =>
+    withSpan(
+      tracer,
+      `${operation} payments`,
+      {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          "db.system": store.name,
+          "db.operation": operation,
+          "db.sql.table": "payments",
+          ...attributes,
+        },
+      },
+      method
+    );
+
+  return {
+    name: store.name,
+
+    create: (payment) =>
+      traced("INSERT", () => store.create(payment), {
+        "payment.id": payment.paymentId,
+        "payment.status": payment.status,
+      }),
+
+    get: (paymentId) =>
+      traced("SELECT", () => store.get(paymentId), {
+        "payment.id": paymentId,
+      }),
+
+    getByOrderId: (orderId) =>
+      traced("SELECT", () => store.getByOrderId(orderId), {
+        "order.id": orderId,
+      }),
+
+    update: (paymentId, changes) =>
+      traced("UPDATE", () => store.update(paymentId, changes), {
+        "payment.id": paymentId,
+        ...(changes.status && { "payment.status": changes.status }),
+      }),
+  };
+}
+
+/**
+ * Builds the configured store (PAYMENT_STORE, default "memory").
+ */
+export function createPaymentStore(tracer) {
+  const kind = process.env.PAYMENT_STORE || "memory";
+
+  if (kind !== "memory") {
+    throw new Error(`Unsupported PAYMENT_STORE "${kind}" (expected "memory")`);
+  }
+
+  return withTracing(createMemoryPaymentStore(), tracer);
+}
@@ -0,0 +1,17 @@
+/**
+ * ============================================================
+ * TELEMETRY BOOTSTRAP - Payment Service
+ * ============================================================
+ *
+ * IMPORTANT: app.js MUST import this file BEFORE any other imports!
+ * The shared @lgtm/telemetry package starts the OpenTelemetry SDK,
+ * which has to patch http/express/axios before they are loaded.
+ * ============================================================
+ */
+
+import { initTelemetry } from "@lgtm/telemetry";
+
+const telemetry = initTelemetry({ serviceName: "payment-service" });
+
+export const { logger, meter, tracer, activeRequestsMiddleware } = telemetry;
+export default telemetry;
@@ -9,50 +9,221 @@
  */
 
 // ============================================================
-// IMPORTANT: Load tracing FIRST before any other imports!
+// IMPORTANT: Load telemetry FIRST before any other imports!
 // ============================================================
-import { activeRequestsGauge } from "./tracing.js";
+import telemetry, {
+  logger,
+  meter,
+  tracer,
+  activeRequestsMiddleware,
+} from "./telemetry.js";
 
+import { fileURLToPath } from "node:url";
 import express from "express";
-import axios from "axios";
-import logger from "./logger.js";
+import { baggageMiddleware } from "@lgtm/telemetry";
+import {
+  asyncHandler,
+  createApiDocs,
+  createAuthenticatorFromEnv,
+  createDeadlines,
+  createEventStreams,
+  createFaultInjector,
+  createHealthChecks,
+  createHttpClient,
+  createRateLimiter,
+  createValidator,
+  errorHandler,
+  fromClientError,
+  httpCheck,
+  httpError,
+  idempotency,
+  notFoundHandler,
+  registerRuntimeAdmin,
+  sleep,
+  IDEMPOTENCY_HEADER,
+} from "@lgtm/http";
+import { createOrderFeed } from "./order-feed.js";
+import { createWebhooks } from "./webhooks.js";
+import {
+  createOrderBody,
+  createOrderHeaders,
+  createOrderResponse,
+  createWebhookBody,
+  createWebhookResponse,
+  deadLettersQuery,
+  deliveriesResponse,
+  listDeliveriesQuery,
+  listOrdersQuery,
+  listOrdersResponse,
+  listWebhooksResponse,
+  orderEventsHeaders,
+  orderIdParams,
+  orderResponse,
+  orderStatusEvent,
+  refundBody,
+  refundResponse,
+  timingResponse,
+  webhookIdParams,
+} from "./schemas.js";
 
 const app = express();
 app.use(express.json());
 
 // Active requests tracking middleware
-app.use((req, res, next) => {
-  activeRequestsGauge.add(1, { service: "gateway" });
-  let decremented = false;
-  const decrement = () => {
-    if (!decremented) {
-      decremented = true;
-      activeRequestsGauge.add(-1, { service: "gateway" });
-    }
-  };
-  res.on("finish", decrement);
-  res.on("close", decrement); // Handles client disconnect
-  next();
+app.use(activeRequestsMiddleware);
+
+// Load shedding and rate limits: above MAX_CONCURRENT_REQUESTS in flight
+// requests are turned away (503) before any work; each client (API key,
+// else IP) gets a token bucket (429 + Retry-After, RateLimit-* headers).
+// 0 turns a limit off.
+const envNumber = (name, fallback) => Number(process.env[name] ?? fallback);
+const rateLimits = createRateLimiter({
+  service: "gateway",
+  meter,
+  logger,
+  limit: {
+    rate: envNumber("RATE_LIMIT_RPS", 20),
+    burst: envNumber("RATE_LIMIT_BURST", 40),
+  },
+  maxConcurrent: envNumber("MAX_CONCURRENT_REQUESTS", 100),
+});
+// Order event streams stay open for as long as the client watches: they
+// are neither counted nor shed, or a hundred watchers would shed
+// everyone else
+const EVENT_STREAM_PATH = /^\/api\/orders\/[^/]+\/events$/;
+app.use((req, res, next) =>
+  EVENT_STREAM_PATH.test(req.path) ? next() : rateLimits.shed(req, res, next)
+);
+
+// Authentication: X-API-Key (API_KEYS_FILE or API_KEYS; the demo keys
+// in api-keys.json with NODE_ENV=development) or a Bearer JWT
+// (JWT_JWKS_FILE); routes ask for scopes with auth.require(). Without
+// any of them the gateway does not start. Calls to order-service carry
+// SERVICE_TOKEN.
+const auth = createAuthenticatorFromEnv(
+  { service: "gateway", meter, logger },
+  {
+    apiKeysFile: fileURLToPath(new URL("./api-keys.json", import.meta.url)),
+    acceptServiceToken: false,
+    required: true,
+  }
+);
+app.use(auth.middleware);
+app.use(rateLimits.middleware);
+
+// Caller identity → W3C baggage (tenant.id, customer.tier), so
+// order-service and payment-service can slice their telemetry by
+// customer. Values outside the allow-list become "other". A tenant or
+// tier bound to the API key / token wins over the headers.
+app.use(
+  baggageMiddleware((req) => ({
+    "tenant.id": req.auth?.tenant ?? req.get("X-Tenant-Id"),
+    "customer.tier": req.auth?.tier ?? req.get("X-Customer-Tier"),
+  }))
+);
+
+// Deadlines: X-Request-Budget-Ms from the client, else a per-route or the
+// default budget; the remainder goes downstream with every call
+const deadlines = createDeadlines({
+  service: "gateway",
+  meter,
+  logger,
+  defaultMs: Number(process.env.REQUEST_DEADLINE_MS) || 10_000,
 });
+app.use(deadlines.middleware);
+
+// Chaos: per-route fault injection, configured via PUT /admin/faults
+// (admin scope)
+const faults = createFaultInjector({ service: "gateway", meter, logger });
+app.use("/admin", auth.require("admin"));
+faults.registerAdminRoutes(app);
+// Log levels (per module, optional TTL) and trace sampler at runtime:
+// /admin/log-levels, /admin/sampling
+registerRuntimeAdmin(app, telemetry);
+app.use(faults.middleware);
 
-const PORT = 8000;
+const PORT = Number(process.env.PORT) || 8000;
 const ORDER_SERVICE_URL =
   process.env.ORDER_SERVICE_URL || "http://order-service:8001";
+// Budget for creating an order: order-service, payment-service and a retry
+const ORDER_DEADLINE_MS = Number(process.env.ORDER_DEADLINE_MS) || 8000;
+// Orders cost a saga downstream, so each client gets fewer of them
+const ORDER_RATE_LIMIT = {
+  rate: envNumber("ORDER_RATE_LIMIT_RPS", 10),
+  burst: envNumber("ORDER_RATE_LIMIT_BURST", 20),
+};
+
+// JSON-schema request validation (400 VALIDATION_FAILED, see schemas.js)
+const validate = createValidator({ logger });
+
+// OpenAPI document built from the routes (GET /openapi.json, GET /docs)
+const docs = createApiDocs({
+  title: "LGTM Sample App - Gateway API",
+  version: telemetry.config.serviceVersion,
+  description:
+    "Public API. Order calls go through order-service and payment-service.",
+  prefix: "/api",
+  validate,
+  logger,
+});
+
+// Replays stored responses for repeated Idempotency-Key headers
+const idempotent = idempotency({ service: "gateway", meter, logger });
+
+// Timeouts, retries and circuit breaker for calls to order-service
+const orderService = createHttpClient({
+  service: "gateway",
+  downstream: "order-service",
+  baseURL: ORDER_SERVICE_URL,
+  meter,
+  logger,
+});
+
+// Order status changes streamed by order-service (GET /orders/events),
+// followed only while someone listens
+const orderFeed = createOrderFeed({
+  url: `${ORDER_SERVICE_URL}/orders/events`,
+  logger: logger.child({ module: "order-feed" }),
+});
+
+// GET /api/orders/:id/events streams, ended on shutdown
+const orderStreams = createEventStreams({
+  service: "gateway",
+  meter,
+  logger: logger.child({ module: "events" }),
+});
+
+// Webhook subscriptions: signed deliveries of order results, retried,
+// logged and dead-lettered (webhooks.js)
+const webhooks = createWebhooks({
+  feed: orderFeed,
+  tracer,
+  meter,
+  logger: logger.child({ module: "webhooks" }),
+});
 
 // ============================================================
 // HELPER: Simulate random delay
 // ============================================================
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// sleep() comes from @lgtm/http: cut short when the request deadline passes
 const randomDelay = (min, max) => Math.random() * (max - min) + min;
 
 // ============================================================
-// HEALTH CHECK ENDPOINT (for Kubernetes probes)
+// HEALTH - GET /livez, GET /readyz (Kubernetes probes), GET /health
 // ============================================================
 
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok" });
+// Ready while order-service is alive; failing exports only degrade
+const health = createHealthChecks({
+  service: "gateway",
+  meter,
+  logger: logger.child({ module: "health" }),
+  checks: [
+    httpCheck("order-service", ORDER_SERVICE_URL),
+    telemetry.healthCheck,
+  ],
 });
+health.register(app);
 
 // ============================================================
 // API ENDPOINTS
@@ -61,54 +232,66 @@ app.get("/health", (req, res) => {
 app.get("/", async (req, res) => {
   res.json({
     message: "Welcome to the LGTM Sample App! 🚀",
-    endpoints: {
-      "/": "This page",
-      "/api/fast": "Fast endpoint (~10-50ms)",
-      "/api/slow": "Slow endpoint (200ms-2s)",
-      "/api/error": "Always returns 500",
-      "/api/order":
-        "POST - Creates order (calls order-service → payment-service)",
-      "/metrics": "Prometheus metrics",
-    },
+    docs: { openapi: "/openapi.json", ui: "/docs" },
+    endpoints: docs.endpoints(),
   });
 });
 
-app.get("/api/fast", async (req, res) => {
-  await sleep(randomDelay(10, 50));
-  res.json({ status: "ok", type: "fast" });
-});
+app.get(
+  "/api/fast",
+  auth.require("demo"),
+  docs.operation({
+    summary: "Fast endpoint (~10-50ms)",
+    tags: ["demo"],
+    responses: { 200: { description: "OK", schema: timingResponse } },
+  }),
+  asyncHandler(async (req, res) => {
+    await sleep(randomDelay(10, 50));
+    res.json({ status: "ok", type: "fast" });
+  })
+);
 
-app.get("/api/slow", async (req, res) => {
-  const delay = randomDelay(200, 2000);
+app.get(
+  "/api/slow",
+  auth.require("demo"),
+  docs.operation({
+    summary: "Slow endpoint (200ms-2s)",
+    tags: ["demo"],
+    responses: { 200: { description: "OK", schema: timingResponse } },
+  }),
+  asyncHandler(async (req, res) => {
+    const delay = randomDelay(200, 2000);
 
-  if (delay > 1500) {
-    logger.warn("Slow operation taking longer than expected", {
-      delay_ms: Math.round(delay),
-    });
-  }
-
-  await sleep(delay);
-  res.json({ status: "ok", type: "slow", delay_ms: Math.round(delay) });
-});
+    if (delay > 1500) {
+      logger.warn("Slow operation taking longer than expected", {
+        delay_ms: Math.round(delay),
+      });
+    }
 
-app.get("/api/error", async (req, res) => {
-  await sleep(randomDelay(10, 100));
+    await sleep(delay);
+    res.json({ status: "ok", type: "slow", delay_ms: Math.round(delay) });
+  })
+);
 
-  const errorId = Math.random().toString(36).substring(7);
+app.get(
+  "/api/error",
+  auth.require("demo"),
+  docs.operation({
+    summary: "Always fails",
+    tags: ["demo"],
+    responses: { 500: "Simulated failure (SIMULATED_FAILURE)" },
+  }),
+  asyncHandler(async (req, res) => {
+    await sleep(randomDelay(10, 100));
 
-  // Attach error info to request for middleware to log
-  req.errorInfo = {
-    error_type: "RandomFailure",
-    error_message: "Random failure occurred",
-    error_id: errorId,
-  };
+    const errorId = Math.random().toString(36).substring(7);
 
-  res.status(500).json({
-    status: "error",
-    message: "Random failure!",
-    error_id: errorId,
-  });
-});
+    // Logged and marked on the span by the shared error handler
+    throw httpError(500, "SIMULATED_FAILURE", "Random failure!", {
+      error_id: errorId,
+    });
+  })
+);
 
 /**
  * POST /api/order
@@ -119,43 +302,468 @@ app.get("/api/error", async (req, res) => {
  * 2. Gateway calls order-service (child span, context propagated)
  * 3. Order-service calls payment-service (grandchild span)
  * 4. Full trace visible in Grafana!
+ *
+ * An Idempotency-Key header is honoured here and forwarded to
+ * order-service, so retries never create a second order.
+ *
+ * "Prefer: respond-async" is forwarded too: order-service then
+ * answers 202 with the pending order and a Location to poll
+ * (GET /api/orders/:id) while payment happens through messages.
+ *
+ * order-service's risk checks may reject the order (422
+ * RISK_REJECTED) or hold it for review (202, "pending_review");
+ * neither reaches payment-service. The optional customerId is what
+ * their velocity and blocklist rules look at.
  */
-app.post("/api/order", async (req, res) => {
+app.post(
+  "/api/order",
+  auth.require("orders:write"),
+  rateLimits.route(ORDER_RATE_LIMIT),
+  docs.operation({
+    summary: "Create an order (calls order-service → payment-service)",
+    tags: ["orders"],
+    headers: createOrderHeaders,
+    body: createOrderBody,
+    responses: {
+      200: { description: "Order paid", schema: createOrderResponse },
+      202: {
+        description:
+          "Order queued for payment (Prefer: respond-async), or held for review by the risk checks (pending_review)",
+        schema: orderResponse,
+      },
+      400: "Invalid request (VALIDATION_FAILED) or card declined (PAYMENT_DECLINED)",
+      409: "Not enough stock for the item (OUT_OF_STOCK)",
+      422: "Order rejected by the risk checks (RISK_REJECTED)",
+    },
+  }),
+  deadlines.route(ORDER_DEADLINE_MS),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    try {
+      logger.info("Received order request, forwarding to order-service");
+
+      // Call order service
+      // OpenTelemetry automatically propagates trace context via headers
+      // The client is axios-based because native fetch is not fully supported by default Node OTel
+      // Only retried when the caller sent an Idempotency-Key
+      const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+      const prefer = req.get("Prefer");
+      const response = await orderService.post("/orders", req.body, {
+        headers: {
+          ...(idempotencyKey && { [IDEMPOTENCY_HEADER]: idempotencyKey }),
+          ...(prefer && { Prefer: prefer }),
+        },
+      });
+      const result = response.data;
+
+      // Axios throws on non-2xx status, so we don't need manual check here
+      // 202: queued (Prefer honoured) or held for review by the risk checks
+      if (response.status === 202) {
+        logger.info("Order accepted", {
+          order_id: result.orderId,
+          status: result.status,
+        });
+        res.status(202).set("Location", `/api/orders/${result.orderId}`);
+        const applied = response.headers["preference-applied"];
+        if (applied) res.set("Preference-Applied", applied);
+      } else {
+        logger.info("Order completed", { order_id: result.orderId });
+      }
+      res.json(result);
+    } catch (error) {
+      // Errors answered by order-service keep its code/message/details
+      if (!error.response)
+        logger.error("Order error", { error: error.message });
+      throw fromClientError(error);
+    }
+  })
+);
+
+/**
+ * Forwards a request to order-service and relays its response.
+ * Errors from order-service (404, 409, ...) are passed through
+ * with their code/message/details.
+ */
+const forwardToOrderService = async (res, request, logContext = {}) => {
   try {
-    logger.info("Received order request, forwarding to order-service");
-
-    // Call order service
-    // OpenTelemetry automatically propagates trace context via headers
-    // Using axios because native fetch is not fully supported by default Node OTel
-    const response = await axios.post(
-      `${ORDER_SERVICE_URL}/orders`,
-      req.body || { total: 99.99 }
-    );
-    const result = response.data;
+    const response = await orderService.request(request);
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    if (!error.response) {
+      logger.error("Order service error", {
+        ...logContext,
+        error: error.message,
+      });
+    }
+    throw fromClientError(error);
+  }
+};
+
+/**
+ * Clients see and act on the orders they placed (the clientId
+ * order-service stored with each order); the admin scope sees them
+ * all. Other clients' orders are answered 404 like unknown ones, so
+ * their IDs cannot be probed.
+ */
+const seesAllOrders = (req) => !req.auth || req.auth.scopes.includes("admin");
 
-    // Axios throws on non-2xx status, so we don't need manual check here
-    logger.info("Order completed", { order_id: result.orderId });
-    res.json(result);
+/**
+ * The order of /api/orders/:id, or 404 ORDER_NOT_FOUND when it does
+ * not exist or belongs to another client.
+ */
+const fetchOwnOrder = async (req) => {
+  const orderId = req.params.id;
+  let order;
+  try {
+    ({ data: order } = await orderService.get(
+      `/orders/${encodeURIComponent(orderId)}`
+    ));
   } catch (error) {
-    if (error.response) {
-      // Axios error with response from server
-      return res.status(error.response.status).json(error.response.data);
+    if (!error.response) {
+      logger.error("Order service error", {
+        order_id: orderId,
+        error: error.message,
+      });
     }
-    logger.error("Order error", { error: error.message });
-    res.status(500).json({ error: error.message });
+    throw fromClientError(error);
   }
-});
+
+  if (!seesAllOrders(req) && order.clientId !== req.auth.clientId) {
+    logger.warn("Order of another client requested", { order_id: orderId });
+    throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+  }
+  return order;
+};
+
+/**
+ * GET /api/orders
+ * Lists the caller's orders, every client's with the admin scope
+ * (supports ?status=, ?limit= and ?cursor=)
+ */
+app.get(
+  "/api/orders",
+  auth.require("orders:read"),
+  docs.operation({
+    summary: "List the caller's orders, newest first",
+    tags: ["orders"],
+    query: listOrdersQuery,
+    responses: {
+      200: { description: "One page of orders", schema: listOrdersResponse },
+      400: "Invalid request (VALIDATION_FAILED, INVALID_CURSOR)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    await forwardToOrderService(res, {
+      method: "get",
+      url: "/orders",
+      params: seesAllOrders(req)
+        ? req.query
+        : { ...req.query, clientId: req.auth.clientId },
+    });
+  })
+);
+
+/**
+ * GET /api/orders/:id
+ * Fetches one of the caller's orders
+ */
+app.get(
+  "/api/orders/:id",
+  auth.require("orders:read"),
+  docs.operation({
+    summary: "Fetch one order",
+    tags: ["orders"],
+    params: orderIdParams,
+    responses: {
+      200: { description: "The order", schema: orderResponse },
+      404: "Order not found (ORDER_NOT_FOUND)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    res.json(await fetchOwnOrder(req));
+  })
+);
+
+/**
+ * GET /api/orders/:id/events
+ * Streams the status changes of one of the caller's orders
+ * (Server-Sent Events)
+ *
+ * Each "order.status" event carries the new status, the previous one
+ * and the order as it is now. What order-service still retains about
+ * the order is replayed first (only what came after Last-Event-ID,
+ * when a reconnecting client sends one), then changes follow as
+ * order-service and payment-service make them. Each stream follows
+ * order-service's GET /orders/events?orderId= on its own, so the
+ * event ids are order-service's and resuming works on any gateway.
+ */
+app.get(
+  "/api/orders/:id/events",
+  auth.require("orders:read"),
+  docs.operation({
+    summary: "Stream the order's status changes (Server-Sent Events)",
+    tags: ["orders"],
+    params: orderIdParams,
+    headers: orderEventsHeaders,
+    responses: {
+      200: {
+        description: 'Event stream of "order.status" events',
+        contentType: "text/event-stream",
+        schema: orderStatusEvent,
+      },
+      404: "Order not found (ORDER_NOT_FOUND)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const orderId = req.params.id;
+
+    // Errors can still be answered until the stream is open
+    await fetchOwnOrder(req);
+
+    const stream = orderStreams.open(req, res, { name: "order" });
+    const feed = createOrderFeed({
+      url: `${ORDER_SERVICE_URL}/orders/events?orderId=${encodeURIComponent(orderId)}`,
+      logger: logger.child({ module: "order-feed", order_id: orderId }),
+      lastEventId: stream.lastEventId,
+    });
+    // traceparent is order-service's business, not the client's
+    const send = ({ id, traceparent, ...data }) =>
+      stream.send({ id, event: "order.status", data });
+    stream.onClose(feed.subscribe(send));
+  })
+);
+
+/**
+ * POST /api/orders/:id/cancel
+ * Cancels one of the caller's pending orders
+ */
+app.post(
+  "/api/orders/:id/cancel",
+  auth.require("orders:write"),
+  docs.operation({
+    summary: "Cancel a pending order or one held for review",
+    tags: ["orders"],
+    params: orderIdParams,
+    responses: {
+      200: { description: "The cancelled order", schema: orderResponse },
+      404: "Order not found (ORDER_NOT_FOUND)",
+      409: "Order is not pending or held for review (INVALID_STATUS_TRANSITION)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    logger.info("Received cancel request", { order_id: req.params.id });
+    await fetchOwnOrder(req);
+
+    await forwardToOrderService(
+      res,
+      {
+        method: "post",
+        url: `/orders/${encodeURIComponent(req.params.id)}/cancel`,
+      },
+      { order_id: req.params.id }
+    );
+  })
+);
+
+/**
+ * POST /api/orders/:id/refunds
+ * Refunds all or part of one of the caller's paid orders
+ * ({ amount?, reason? })
+ */
+app.post(
+  "/api/orders/:id/refunds",
+  auth.require("orders:write"),
+  docs.operation({
+    summary: "Refund all or part of a paid order ({ amount?, reason? })",
+    tags: ["refunds"],
+    params: orderIdParams,
+    body: refundBody,
+    responses: {
+      201: { description: "Refund issued", schema: refundResponse },
+      404: "Order not found (ORDER_NOT_FOUND)",
+      409: "Order cannot be refunded (INVALID_STATUS_TRANSITION)",
+      422: "Amount exceeds what is left to refund (REFUND_EXCEEDS_CAPTURED)",
+    },
+  }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    logger.info("Received refund request", { order_id: req.params.id });
+    await fetchOwnOrder(req);
+
+    // Only retried when the caller sent an Idempotency-Key
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    await forwardToOrderService(
+      res,
+      {
+        method: "post",
+        url: `/orders/${encodeURIComponent(req.params.id)}/refunds`,
+        data: req.body,
+        headers: idempotencyKey
+          ? { [IDEMPOTENCY_HEADER]: idempotencyKey }
+          : undefined,
+      },
+      { order_id: req.params.id }
+    );
+  })
+);
+
+// ============================================================
+// WEBHOOKS - Order results pushed to the client (webhooks.js)
+// ============================================================
+
+const webhookNotFound = () =>
+  httpError(404, "WEBHOOK_NOT_FOUND", "Webhook subscription not found");
+
+/**
+ * POST /api/webhooks
+ * Subscribes a URL to order.completed, order.failed and/or
+ * payment.refunded for the caller's own orders. The response holds
+ * the secret the deliveries are signed with; it is not shown again.
+ * URLs on private, loopback or link-local addresses are refused
+ * unless WEBHOOK_ALLOWED_HOSTS names their host.
+ */
+app.post(
+  "/api/webhooks",
+  auth.require("webhooks:manage"),
+  docs.operation({
+    summary: "Subscribe a URL to order events",
+    tags: ["webhooks"],
+    body: createWebhookBody,
+    responses: {
+      201: {
+        description: "Subscription created, with its signing secret",
+        schema: createWebhookResponse,
+      },
+      422: "URL on a private, loopback or link-local address (WEBHOOK_URL_NOT_ALLOWED)",
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    res.status(201).json(await webhooks.create(req.auth?.clientId, req.body));
+  })
+);
+
+/**
+ * GET /api/webhooks
+ * Lists the caller's subscriptions (without their secrets)
+ */
+app.get(
+  "/api/webhooks",
+  auth.require("webhooks:manage"),
+  docs.operation({
+    summary: "List your webhook subscriptions",
+    tags: ["webhooks"],
+    responses: {
+      200: { description: "Subscriptions", schema: listWebhooksResponse },
+    },
+  }),
+  (req, res) => {
+    res.json({ webhooks: webhooks.list(req.auth?.clientId) });
+  }
+);
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that failed every attempt, newest first
+ */
+app.get(
+  "/api/webhooks/dead-letters",
+  auth.require("webhooks:manage"),
+  docs.operation({
+    summary: "Deliveries that failed every attempt",
+    tags: ["webhooks"],
+    query: deadLettersQuery,
+    responses: {
+      200: { description: "Dead letters", schema: deliveriesResponse },
+    },
+  }),
+  (req, res) => {
+    res.json({
+      deliveries: webhooks.deadLetters(req.auth?.clientId, req.query),
+    });
+  }
+);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Deletes a subscription; its pending retries are dropped
+ */
+app.delete(
+  "/api/webhooks/:id",
+  auth.require("webhooks:manage"),
+  docs.operation({
+    summary: "Delete a webhook subscription",
+    tags: ["webhooks"],
+    params: webhookIdParams,
+    responses: {
+      204: { description: "Deleted" },
+      404: "No such subscription (WEBHOOK_NOT_FOUND)",
+    },
+  }),
+  (req, res) => {
+    if (!webhooks.remove(req.auth?.clientId, req.params.id)) {
+      throw webhookNotFound();
+    }
+    res.status(204).end();
+  }
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log of a subscription, newest first (?status=, ?limit=)
+ */
+app.get(
+  "/api/webhooks/:id/deliveries",
+  auth.require("webhooks:manage"),
+  docs.operation({
+    summary: "Delivery log of a webhook subscription",
+    tags: ["webhooks"],
+    params: webhookIdParams,
+    query: listDeliveriesQuery,
+    responses: {
+      200: {
+        description: "Deliveries with their attempts",
+        schema: deliveriesResponse,
+      },
+      404: "No such subscription (WEBHOOK_NOT_FOUND)",
+    },
+  }),
+  (req, res) => {
+    const deliveries = webhooks.deliveries(
+      req.auth?.clientId,
+      req.params.id,
+      req.query
+    );
+    if (!deliveries) throw webhookNotFound();
+    res.json({ deliveries });
+  }
+);
+
+// ============================================================
+// API DOCS - GET /openapi.json and GET /docs (after the last route)
+// ============================================================
+
+docs.serve(app);
+
+// ============================================================
+// ERROR HANDLING - Shared envelope { code, message, details, trace_id }
+// ============================================================
+
+app.use(notFoundHandler());
+app.use(errorHandler({ logger }));
 
 // ============================================================
 // START SERVER
 // ============================================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info("Application started", { port: PORT });
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  logger.info("Shutting down gracefully");
-  process.exit(0);
+// SIGTERM/SIGINT: stop accepting, fail readiness, end the order event
+// streams, finish the requests in flight, stop the webhook deliveries,
+// then flush telemetry and logs
+telemetry.shutdown.handle({
+  server,
+  onDrain: [health.drain, orderStreams.closeAll],
+  onClose: [webhooks.close],
 });
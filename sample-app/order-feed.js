@@ -0,0 +1,179 @@
+/**
+ * ============================================================
+ * ORDER FEED - Follows order-service's GET /orders/events
+ * ============================================================
+ *
+ *   const feed = createOrderFeed({ url: `${ORDER_SERVICE_URL}/orders/events`, logger });
+ *   const unsubscribe = feed.subscribe((event) => ...);
+ *
+ * Each event is what order-service recorded for a status change:
+ * { id, orderId, status, previousStatus?, order, at, traceparent }.
+ *
+ * The stream is only open while someone listens: the first
+ * subscriber connects, the last one to leave disconnects. When the
+ * connection drops (order-service restarting, shutting down), it
+ * reconnects with backoff (0.5s doubling up to 10s) and sends
+ * Last-Event-ID, so the events in between are replayed and none
+ * are seen twice. The first connect replays everything order-service
+ * still retains; listeners decide what is new to them.
+ *
+ * Runs outside any request (ROOT_CONTEXT): the stream outlives the
+ * request that happened to subscribe first.
+ *
+ * One order only (GET /api/orders/:id/events): point `url` at
+ * /orders/events?orderId=... and pass the client's Last-Event-ID as
+ * `lastEventId` to resume where it left off.
+ * ============================================================
+ */
+
+import { setTimeout as sleep } from "node:timers/promises";
+import { context, ROOT_CONTEXT } from "@opentelemetry/api";
+import { SERVICE_TOKEN_HEADER } from "@lgtm/http";
+
+const MIN_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10_000;
+
+/**
+ * One "id: ...\nevent: ...\ndata: ..." block of a text/event-stream,
+ * or null for comments (heartbeats) and retry hints.
+ */
+const parseBlock = (block) => {
+  const message = {};
+  const data = [];
+  for (const line of block.split("\n")) {
+    if (!line || line.startsWith(":")) continue;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "data") data.push(value);
+    else if (field === "id" || field === "event") message[field] = value;
+  }
+  return data.length > 0 ? { ...message, data: data.join("\n") } : null;
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.url - order-service's /orders/events
+ * @param {import("winston").Logger} options.logger
+ * @param {string} [options.serviceToken] - defaults to SERVICE_TOKEN
+ * @param {string} [options.lastEventId] - resume after this event
+ */
+export function createOrderFeed({
+  url,
+  logger,
+  serviceToken = process.env.SERVICE_TOKEN,
+  lastEventId,
+}) {
+  const listeners = new Set();
+  let connection = null; // AbortController while following
+
+  const dispatch = (event) => {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error("Order event listener failed", {
+          order_id: event.orderId,
+          error: error.message,
+        });
+      }
+    }
+  };
+
+  /**
+   * Reads the stream until it ends; throws when it cannot connect.
+   */
+  const follow = async (signal, onConnected) => {
+    const response = await fetch(url, {
+      headers: {
+        Accept: "text/event-stream",
+        ...(serviceToken && { [SERVICE_TOKEN_HEADER]: serviceToken }),
+        ...(lastEventId && { "Last-Event-ID": lastEventId }),
+      },
+      signal,
+    });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`order-service answered ${response.status}`);
+    }
+    onConnected();
+
+    const decoder = new TextDecoder();
+    let buffered = "";
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffered.indexOf("\n\n")) !== -1) {
+        const message = parseBlock(buffered.slice(0, end));
+        buffered = buffered.slice(end + 2);
+        if (!message) continue;
+        if (message.id) lastEventId = message.id;
+        dispatch({ id: message.id, ...JSON.parse(message.data) });
+      }
+    }
+  };
+
+  const run = async (signal) => {
+    let backoffMs = MIN_BACKOFF_MS;
+    let down = false;
+
+    while (!signal.aborted) {
+      try {
+        await follow(signal, () => {
+          backoffMs = MIN_BACKOFF_MS;
+          logger[down ? "info" : "debug"]("Order feed connected", {
+            last_event_id: lastEventId,
+          });
+          down = false;
+        });
+        throw new Error("Stream ended by order-service");
+      } catch (error) {
+        if (signal.aborted) return;
+        // Once per outage, not once per attempt
+        if (!down) {
+          logger.warn("Order feed disconnected, reconnecting", {
+            error: error.message,
+            last_event_id: lastEventId,
+          });
+        }
+        down = true;
+      }
+
+      try {
+        await sleep(backoffMs, undefined, { signal, ref: false });
+      } catch {
+        return;
+      }
+      backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+    }
+  };
+
+  const disconnect = () => {
+    connection?.abort();
+    connection = null;
+  };
+
+  return {
+    /**
+     * @param {(event: object) => void} listener
+     * @returns {() => void} unsubscribes
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!connection) {
+        connection = new AbortController();
+        const { signal } = connection;
+        context.with(ROOT_CONTEXT, () => run(signal));
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) disconnect();
+      };
+    },
+
+    close() {
+      listeners.clear();
+      disconnect();
+    },
+  };
+}
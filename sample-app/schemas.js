@@ -0,0 +1,371 @@
+/**
+ * ============================================================
+ * API SCHEMAS - What the public API accepts and returns (JSON Schema)
+ * ============================================================
+ *
+ * Request schemas are used with validate() from @lgtm/http, so bad
+ * requests are rejected at the edge before any downstream call.
+ * Mirrors order-service/schemas.js, which validates again on its
+ * side. Response schemas only feed the OpenAPI document (GET
+ * /openapi.json), which the contract tests check responses against.
+ * ============================================================
+ */
+
+const ORDER_STATUSES = [
+  "pending",
+  "pending_review",
+  "paid",
+  "payment_failed",
+  "rejected",
+  "cancelled",
+  "partially_refunded",
+  "refunded",
+];
+
+// POST /api/order
+export const createOrderBody = {
+  type: "object",
+  required: ["total"],
+  additionalProperties: false,
+  properties: {
+    item: { type: "string", minLength: 1, maxLength: 100 },
+    quantity: { type: "integer", minimum: 1, maximum: 1000 },
+    total: { type: "number", exclusiveMinimum: 0, maximum: 100000 },
+    customerId: { type: "string", minLength: 1, maxLength: 100 },
+    cardNumber: {
+      type: "string",
+      pattern: "^[0-9]{12,19}$",
+      description:
+        "Card to charge, passed on to payment-service and not stored",
+    },
+  },
+};
+
+// POST /api/order (documentation only, headers are not validated)
+export const createOrderHeaders = {
+  type: "object",
+  properties: {
+    Prefer: {
+      type: "string",
+      enum: ["respond-async"],
+      description:
+        "Answer 202 right away and process the payment asynchronously; poll the Location",
+    },
+    "X-Tenant-Id": {
+      type: "string",
+      description:
+        'Calling tenant; sent downstream as baggage (unlisted tenants become "other")',
+    },
+    "X-Customer-Tier": {
+      type: "string",
+      enum: ["free", "standard", "premium", "enterprise"],
+      description: "Customer tier of the caller; sent downstream as baggage",
+    },
+  },
+};
+
+// GET /api/orders
+export const listOrdersQuery = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    status: { type: "string", enum: ORDER_STATUSES },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", minLength: 1, maxLength: 200 },
+  },
+};
+
+// /api/orders/:id/...
+export const orderIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", format: "uuid" },
+  },
+};
+
+// GET /api/orders/:id/events (documentation only)
+export const orderEventsHeaders = {
+  type: "object",
+  properties: {
+    "Last-Event-ID": {
+      type: "string",
+      description:
+        "Id of the last event received; only later events are replayed",
+    },
+  },
+};
+
+// POST /api/orders/:id/refunds
+export const refundBody = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    amount: { type: "number", exclusiveMinimum: 0, maximum: 100000 },
+    reason: { type: "string", maxLength: 200 },
+  },
+};
+
+// POST /api/webhooks (webhooks.js)
+const WEBHOOK_EVENTS = ["order.completed", "order.failed", "payment.refunded"];
+const DELIVERY_STATUSES = ["pending", "retrying", "delivered", "dead_lettered"];
+
+export const createWebhookBody = {
+  type: "object",
+  required: ["url", "events"],
+  additionalProperties: false,
+  properties: {
+    url: {
+      type: "string",
+      format: "uri",
+      pattern: "^https?://",
+      maxLength: 2000,
+    },
+    events: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+    },
+    description: { type: "string", maxLength: 200 },
+  },
+};
+
+// /api/webhooks/:id/...
+export const webhookIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", pattern: "^wh_[0-9a-f-]{36}$" },
+  },
+};
+
+// GET /api/webhooks/:id/deliveries
+export const listDeliveriesQuery = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    status: { type: "string", enum: DELIVERY_STATUSES },
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+  },
+};
+
+// GET /api/webhooks/dead-letters
+export const deadLettersQuery = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+  },
+};
+
+// ============================================================
+// RESPONSES
+// ============================================================
+
+const timestamp = { type: "string", format: "date-time" };
+const amount = { type: "number", minimum: 0 };
+
+// GET /api/fast, GET /api/slow
+export const timingResponse = {
+  type: "object",
+  required: ["status", "type"],
+  additionalProperties: false,
+  properties: {
+    status: { const: "ok" },
+    type: { type: "string", enum: ["fast", "slow"] },
+    delay_ms: { type: "integer", minimum: 0 },
+  },
+};
+
+// Scored by order-service's risk rules (risk.js)
+const risk = {
+  type: "object",
+  required: ["decision", "score", "reasons"],
+  additionalProperties: false,
+  properties: {
+    decision: { type: "string", enum: ["approve", "review", "reject"] },
+    score: { type: "number", minimum: 0 },
+    reasons: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["rule", "score", "message"],
+        additionalProperties: false,
+        properties: {
+          rule: { type: "string" },
+          score: { type: "number" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const order = {
+  type: "object",
+  required: ["orderId", "status", "total", "createdAt", "updatedAt"],
+  additionalProperties: false,
+  properties: {
+    orderId: { type: "string", format: "uuid" },
+    sagaId: { type: "string", format: "uuid" },
+    status: { type: "string", enum: ORDER_STATUSES },
+    total: amount,
+    item: { type: "string" },
+    quantity: { type: "integer" },
+    customerId: { type: "string" },
+    clientId: { type: "string" },
+    risk,
+    paymentId: { type: "string" },
+    failureReason: { type: "string" },
+    refundedAmount: amount,
+    cancelledAt: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+};
+
+// GET /api/orders/:id, POST /api/orders/:id/cancel
+export const orderResponse = order;
+
+// GET /api/orders/:id/events: data of each "order.status" event
+export const orderStatusEvent = {
+  type: "object",
+  required: ["orderId", "status", "order", "at"],
+  additionalProperties: false,
+  properties: {
+    orderId: { type: "string", format: "uuid" },
+    status: { type: "string", enum: ORDER_STATUSES },
+    previousStatus: { type: "string", enum: ORDER_STATUSES },
+    order,
+    at: timestamp,
+  },
+};
+
+// POST /api/order
+export const createOrderResponse = {
+  ...order,
+  required: [...order.required, "payment"],
+  properties: {
+    ...order.properties,
+    payment: {
+      type: "object",
+      required: ["paymentId", "status"],
+      properties: {
+        paymentId: { type: "string" },
+        status: { type: "string" },
+      },
+    },
+  },
+};
+
+// GET /api/orders
+export const listOrdersResponse = {
+  type: "object",
+  required: ["orders", "nextCursor"],
+  additionalProperties: false,
+  properties: {
+    orders: { type: "array", items: order },
+    nextCursor: { type: ["string", "null"] },
+  },
+};
+
+// POST /api/orders/:id/refunds
+export const refundResponse = {
+  type: "object",
+  required: ["order", "refund"],
+  additionalProperties: false,
+  properties: {
+    order,
+    refund: {
+      type: "object",
+      required: ["refundId", "amount", "reason", "createdAt"],
+      additionalProperties: false,
+      properties: {
+        refundId: { type: "string" },
+        amount,
+        reason: { type: ["string", "null"] },
+        providerRef: { type: "string" },
+        createdAt: timestamp,
+      },
+    },
+  },
+};
+
+const webhook = {
+  type: "object",
+  required: ["subscriptionId", "url", "events", "createdAt"],
+  additionalProperties: false,
+  properties: {
+    subscriptionId: { type: "string" },
+    url: { type: "string" },
+    events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+    description: { type: "string" },
+    createdAt: timestamp,
+  },
+};
+
+const delivery = {
+  type: "object",
+  required: [
+    "deliveryId",
+    "subscriptionId",
+    "eventId",
+    "type",
+    "orderId",
+    "status",
+    "attempts",
+    "createdAt",
+  ],
+  additionalProperties: false,
+  properties: {
+    deliveryId: { type: "string" },
+    subscriptionId: { type: "string" },
+    eventId: { type: "string" },
+    type: { type: "string", enum: WEBHOOK_EVENTS },
+    orderId: { type: "string", format: "uuid" },
+    status: { type: "string", enum: DELIVERY_STATUSES },
+    attempts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["attempt", "at", "durationMs"],
+        additionalProperties: false,
+        properties: {
+          attempt: { type: "integer", minimum: 1 },
+          at: timestamp,
+          statusCode: { type: "integer" },
+          error: { type: "string" },
+          durationMs: { type: "integer", minimum: 0 },
+        },
+      },
+    },
+    nextAttemptAt: timestamp,
+    deliveredAt: timestamp,
+    deadLetteredAt: timestamp,
+    createdAt: timestamp,
+  },
+};
+
+// POST /api/webhooks: the only time the signing secret is shown
+export const createWebhookResponse = {
+  ...webhook,
+  required: [...webhook.required, "secret"],
+  properties: { ...webhook.properties, secret: { type: "string" } },
+};
+
+// GET /api/webhooks
+export const listWebhooksResponse = {
+  type: "object",
+  required: ["webhooks"],
+  additionalProperties: false,
+  properties: { webhooks: { type: "array", items: webhook } },
+};
+
+// GET /api/webhooks/:id/deliveries, GET /api/webhooks/dead-letters
+export const deliveriesResponse = {
+  type: "object",
+  required: ["deliveries"],
+  additionalProperties: false,
+  properties: { deliveries: { type: "array", items: delivery } },
+};
@@ -0,0 +1,21 @@
+/**
+ * ============================================================
+ * TELEMETRY BOOTSTRAP - Gateway Service
+ * ============================================================
+ *
+ * IMPORTANT: app.js MUST import this file BEFORE any other imports!
+ * The shared @lgtm/telemetry package starts the OpenTelemetry SDK,
+ * which has to patch http/express/axios before they are loaded.
+ * ============================================================
+ */
+
+import { initTelemetry } from "@lgtm/telemetry";
+
+// Public edge: clients must not set baggage (tenant, tier) themselves
+const telemetry = initTelemetry({
+  serviceName: "gateway",
+  trustInboundBaggage: false,
+});
+
+export const { logger, meter, tracer, activeRequestsMiddleware } = telemetry;
+export default telemetry;
@@ -0,0 +1,528 @@
+/**
+ * ============================================================
+ * WEBHOOKS - Order results pushed to the clients' own endpoints
+ * ============================================================
+ *
+ * A client (API key or token, see auth.js) registers a URL and the
+ * events it wants; the gateway follows order-service's status
+ * changes (order-feed.js) and POSTs each matching one:
+ *
+ *   ORDER STATUS                     EVENT
+ *   paid                             order.completed
+ *   payment_failed, rejected         order.failed
+ *   partially_refunded, refunded     payment.refunded
+ *
+ * Only the client's own orders (the order's clientId), and only
+ * changes made after the subscription was created.
+ *
+ * DELIVERY:
+ *   POST <url>
+ *   X-Webhook-Id: evt_...                the same for every attempt
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *   { "id": "evt_...", "type": "order.completed",
+ *     "createdAt": "2024-01-01T00:00:00.000Z", "data": { "order": { ... } } }
+ *
+ * signed with the subscription's secret (returned once, when it is
+ * created). Any 2xx within WEBHOOK_TIMEOUT_MS (5s) is delivered;
+ * anything else is retried with exponential backoff,
+ * WEBHOOK_RETRY_BASE_MS (1s) doubling up to WEBHOOK_RETRY_MAX_MS
+ * (60s). After WEBHOOK_MAX_ATTEMPTS (5) the delivery is dead-lettered.
+ *
+ * RECEIVERS: only public endpoints. A URL whose host is, or resolves
+ * to, a loopback, private, link-local (cloud metadata), shared or
+ * multicast address is refused with 422 WEBHOOK_URL_NOT_ALLOWED, and
+ * checked again before every attempt (DNS answers change), unless
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated) names the host. Redirects
+ * are not followed.
+ *
+ * DELIVERY LOG: every delivery with its attempts (status code or
+ * error, duration), the last 100 per subscription; dead letters,
+ * the last 1000. In memory, like the subscriptions.
+ *
+ * OBSERVABILITY:
+ * - Span "webhook <event>" (CLIENT) per attempt, a root span linked
+ *   to the trace that changed the order, its context sent as
+ *   traceparent to the receiver
+ * - Logs (module "webhooks"): delivered, retrying, dead-lettered
+ * - Metric: webhook_delivery_attempts{event, outcome}
+ * - Metric: webhook_delivery_duration{event, outcome} (histogram, seconds)
+ * - Metric: webhook_deliveries{event, result} (delivered, dead_lettered)
+ * - Metric: webhook_subscriptions (gauge)
+ * ============================================================
+ */
+
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import dns from "node:dns/promises";
+import net from "node:net";
+import {
+  context,
+  propagation,
+  trace,
+  SpanKind,
+  ROOT_CONTEXT,
+} from "@opentelemetry/api";
+import { httpError } from "@lgtm/http";
+import { withSpan } from "@lgtm/telemetry";
+
+export const WEBHOOK_EVENT = Object.freeze({
+  ORDER_COMPLETED: "order.completed",
+  ORDER_FAILED: "order.failed",
+  PAYMENT_REFUNDED: "payment.refunded",
+});
+
+export const DELIVERY_STATUS = Object.freeze({
+  PENDING: "pending",
+  RETRYING: "retrying",
+  DELIVERED: "delivered",
+  DEAD_LETTERED: "dead_lettered",
+});
+
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+export const WEBHOOK_ID_HEADER = "X-Webhook-Id";
+
+const EVENT_BY_STATUS = {
+  paid: WEBHOOK_EVENT.ORDER_COMPLETED,
+  payment_failed: WEBHOOK_EVENT.ORDER_FAILED,
+  rejected: WEBHOOK_EVENT.ORDER_FAILED,
+  partially_refunded: WEBHOOK_EVENT.PAYMENT_REFUNDED,
+  refunded: WEBHOOK_EVENT.PAYMENT_REFUNDED,
+};
+
+const DELIVERIES_PER_SUBSCRIPTION = 100;
+const DEAD_LETTERS_KEPT = 1000;
+
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Addresses no receiver may have: the gateway's own network, not the
+// client's endpoint (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const envList = (name) =>
+  (process.env[name] ?? "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+const sign = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * The span context of a W3C traceparent, to link to.
+ */
+const spanContextOf = (traceparent) => {
+  if (!traceparent) return undefined;
+  const spanContext = trace.getSpanContext(
+    propagation.extract(ROOT_CONTEXT, { traceparent })
+  );
+  return spanContext && trace.isSpanContextValid(spanContext)
+    ? spanContext
+    : undefined;
+};
+
+/**
+ * @param {object} options
+ * @param {{ subscribe: (listener: (event: object) => void) => () => void }} options.feed - order status changes (order-feed.js)
+ * @param {import("@opentelemetry/api").Tracer} options.tracer
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {number} [options.maxAttempts] - default WEBHOOK_MAX_ATTEMPTS or 5
+ * @param {number} [options.retryBaseMs] - default WEBHOOK_RETRY_BASE_MS or 1000
+ * @param {number} [options.retryMaxMs] - default WEBHOOK_RETRY_MAX_MS or 60000
+ * @param {number} [options.timeoutMs] - default WEBHOOK_TIMEOUT_MS or 5000
+ * @param {string[]} [options.allowedHosts] - hosts delivered to whatever
+ *   they resolve to; default WEBHOOK_ALLOWED_HOSTS
+ */
+export function createWebhooks({
+  feed,
+  tracer,
+  meter,
+  logger,
+  maxAttempts = envNumber("WEBHOOK_MAX_ATTEMPTS", 5),
+  retryBaseMs = envNumber("WEBHOOK_RETRY_BASE_MS", 1000),
+  retryMaxMs = envNumber("WEBHOOK_RETRY_MAX_MS", 60_000),
+  timeoutMs = envNumber("WEBHOOK_TIMEOUT_MS", 5000),
+  allowedHosts = envList("WEBHOOK_ALLOWED_HOSTS"),
+}) {
+  const subscriptions = new Map(); // subscriptionId → subscription
+  const deliveries = new Map(); // subscriptionId → deliveries, oldest first
+  const deadLetters = []; // { clientId, delivery }, oldest first
+  const timers = new Map(); // deliveryId → pending retry
+  let unsubscribe = null;
+
+  const attempts = meter.createCounter("webhook_delivery_attempts", {
+    description: "Webhook delivery attempts, by event and outcome",
+  });
+  const duration = meter.createHistogram("webhook_delivery_duration", {
+    description: "Time for the receiver to answer a webhook, in seconds",
+    unit: "s",
+    advice: { explicitBucketBoundaries: DURATION_BUCKETS },
+  });
+  const settled = meter.createCounter("webhook_deliveries", {
+    description: "Webhook deliveries delivered or dead-lettered, by event",
+  });
+  meter
+    .createObservableGauge("webhook_subscriptions", {
+      description: "Registered webhook subscriptions",
+    })
+    .addCallback((result) => result.observe(subscriptions.size));
+
+  const publicView = ({ clientId, secret, ...subscription }) => subscription;
+
+  /**
+   * Why `url` may not receive deliveries, or null when it may:
+   * { reason: "unresolvable" } or { reason: "blocked_address", address }.
+   */
+  const blockedTarget = async (url) => {
+    // [::1] → ::1
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    if (allowedHosts.includes(host.toLowerCase())) return null;
+
+    let addresses;
+    try {
+      addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.lookup(host, { all: true });
+    } catch {
+      return { reason: "unresolvable" };
+    }
+    const blocked = addresses.find(({ address, family }) =>
+      BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+    );
+    return blocked
+      ? { reason: "blocked_address", address: blocked.address }
+      : null;
+  };
+
+  const retryDelay = (attempt) =>
+    Math.min(retryBaseMs * 2 ** (attempt - 1), retryMaxMs);
+
+  // Attempts run outside the request or stream that caused them,
+  // each its own trace (linked, not parented)
+  const schedule = (job, delayMs) => {
+    const timer = context.with(ROOT_CONTEXT, () =>
+      setTimeout(() => {
+        timers.delete(job.delivery.deliveryId);
+        attempt(job);
+      }, delayMs).unref()
+    );
+    timers.set(job.delivery.deliveryId, timer);
+  };
+
+  const send = (job, number) => {
+    const { subscription, delivery, body, link } = job;
+    return withSpan(
+      tracer,
+      `webhook ${delivery.type}`,
+      {
+        kind: SpanKind.CLIENT,
+        links: link ? [{ context: link }] : [],
+        attributes: {
+          "webhook.event": delivery.type,
+          "webhook.event_id": delivery.eventId,
+          "webhook.subscription_id": subscription.subscriptionId,
+          "webhook.delivery_id": delivery.deliveryId,
+          "webhook.attempt": number,
+          "order.id": delivery.orderId,
+          "http.method": "POST",
+          "http.url": subscription.url,
+        },
+      },
+      async (span) => {
+        const headers = {
+          "Content-Type": "application/json",
+          [WEBHOOK_ID_HEADER]: delivery.eventId,
+          [SIGNATURE_HEADER]: sign(subscription.secret, body),
+        };
+        propagation.inject(context.active(), headers);
+
+        const blocked = await blockedTarget(subscription.url);
+        if (blocked) {
+          throw new Error(`Receiver not allowed (${blocked.reason})`);
+        }
+        const response = await fetch(subscription.url, {
+          method: "POST",
+          headers,
+          body,
+          redirect: "manual",
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        await response.body?.cancel();
+        span.setAttribute("http.status_code", response.status);
+        if (!response.ok) {
+          throw Object.assign(
+            new Error(`Receiver answered ${response.status}`),
+            { statusCode: response.status }
+          );
+        }
+        return response.status;
+      }
+    );
+  };
+
+  const attempt = async (job) => {
+    const { subscription, delivery } = job;
+    // Deleted since it was scheduled
+    if (!subscriptions.has(subscription.subscriptionId)) return;
+    const number = delivery.attempts.length + 1;
+    const started = Date.now();
+    const record = { attempt: number, at: new Date(started).toISOString() };
+
+    let outcome = "success";
+    try {
+      record.statusCode = await send(job, number);
+    } catch (error) {
+      outcome = "failure";
+      if (error.statusCode) record.statusCode = error.statusCode;
+      record.error =
+        error.name === "TimeoutError"
+          ? `No answer within ${timeoutMs}ms`
+          : error.message;
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    const labels = { event: delivery.type };
+    attempts.add(1, { ...labels, outcome });
+    duration.record(record.durationMs / 1000, { ...labels, outcome });
+
+    const fields = {
+      delivery_id: delivery.deliveryId,
+      subscription_id: subscription.subscriptionId,
+      client_id: subscription.clientId,
+      event_type: delivery.type,
+      event_id: delivery.eventId,
+      order_id: delivery.orderId,
+      attempt: number,
+      status_code: record.statusCode,
+      duration_ms: record.durationMs,
+    };
+    delete delivery.nextAttemptAt;
+
+    if (outcome === "success") {
+      delivery.status = DELIVERY_STATUS.DELIVERED;
+      delivery.deliveredAt = new Date().toISOString();
+      settled.add(1, { ...labels, result: DELIVERY_STATUS.DELIVERED });
+      logger.info("Webhook delivered", fields);
+      return;
+    }
+
+    if (number < maxAttempts) {
+      const delayMs = retryDelay(number);
+      delivery.status = DELIVERY_STATUS.RETRYING;
+      delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      logger.warn("Webhook delivery failed, retrying", {
+        ...fields,
+        error: record.error,
+        retry_in_ms: delayMs,
+      });
+      schedule(job, delayMs);
+      return;
+    }
+
+    delivery.status = DELIVERY_STATUS.DEAD_LETTERED;
+    delivery.deadLetteredAt = new Date().toISOString();
+    deadLetters.push({ clientId: subscription.clientId, delivery });
+    if (deadLetters.length > DEAD_LETTERS_KEPT) deadLetters.shift();
+    settled.add(1, { ...labels, result: DELIVERY_STATUS.DEAD_LETTERED });
+    logger.error("Webhook dead-lettered", { ...fields, error: record.error });
+  };
+
+  /**
+   * An order status change from the feed: one delivery per matching
+   * subscription.
+   */
+  const onOrderEvent = (event) => {
+    const type = EVENT_BY_STATUS[event.status];
+    if (!type) return;
+
+    // Both undefined only when authentication is off everywhere
+    const matching = [...subscriptions.values()].filter(
+      (subscription) =>
+        subscription.clientId === event.order?.clientId &&
+        subscription.events.includes(type) &&
+        event.at >= subscription.createdAt
+    );
+    if (matching.length === 0) return;
+
+    const eventId = `evt_${randomUUID()}`;
+    const body = JSON.stringify({
+      id: eventId,
+      type,
+      createdAt: event.at,
+      data: { order: event.order },
+    });
+    const link = spanContextOf(event.traceparent);
+
+    for (const subscription of matching) {
+      const delivery = {
+        deliveryId: `dlv_${randomUUID()}`,
+        subscriptionId: subscription.subscriptionId,
+        eventId,
+        type,
+        orderId: event.orderId,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: [],
+        createdAt: new Date().toISOString(),
+      };
+      const log = deliveries.get(subscription.subscriptionId);
+      log.push(delivery);
+      if (log.length > DELIVERIES_PER_SUBSCRIPTION) log.shift();
+
+      schedule({ subscription, delivery, body, link }, 0);
+    }
+  };
+
+  const owned = (clientId, subscriptionId) => {
+    const subscription = subscriptions.get(subscriptionId);
+    return subscription?.clientId === clientId ? subscription : null;
+  };
+
+  const newestFirst = (list, limit) => list.slice(-limit).reverse();
+
+  return {
+    /**
+     * Throws 422 WEBHOOK_URL_NOT_ALLOWED for a receiver on a blocked
+     * address (see RECEIVERS).
+     *
+     * @param {string} [clientId] - the owner (req.auth.clientId)
+     * @param {{ url: string, events: string[], description?: string }} spec
+     * @returns the subscription, with its signing secret
+     */
+    async create(clientId, { url, events, description }) {
+      const blocked = await blockedTarget(url);
+      if (blocked) {
+        logger.warn("Webhook URL refused", {
+          client_id: clientId,
+          url,
+          ...blocked,
+        });
+        throw httpError(
+          422,
+          "WEBHOOK_URL_NOT_ALLOWED",
+          "Webhook URL must be a public endpoint",
+          { url, ...blocked }
+        );
+      }
+
+      const subscription = {
+        subscriptionId: `wh_${randomUUID()}`,
+        clientId,
+        url,
+        events,
+        ...(description && { description }),
+        secret: `whsec_${randomBytes(24).toString("hex")}`,
+        createdAt: new Date().toISOString(),
+      };
+      subscriptions.set(subscription.subscriptionId, subscription);
+      deliveries.set(subscription.subscriptionId, []);
+      // Only follow order-service while someone wants its events
+      unsubscribe ??= feed.subscribe(onOrderEvent);
+
+      logger.info("Webhook subscription created", {
+        subscription_id: subscription.subscriptionId,
+        client_id: clientId,
+        events,
+      });
+      return { ...publicView(subscription), secret: subscription.secret };
+    },
+
+    list(clientId) {
+      return [...subscriptions.values()]
+        .filter((subscription) => subscription.clientId === clientId)
+        .map(publicView);
+    },
+
+    /**
+     * Deletes a subscription, its delivery log and pending retries.
+     *
+     * @returns {boolean} false when the client has no such subscription
+     */
+    remove(clientId, subscriptionId) {
+      if (!owned(clientId, subscriptionId)) return false;
+
+      for (const delivery of deliveries.get(subscriptionId)) {
+        clearTimeout(timers.get(delivery.deliveryId));
+        timers.delete(delivery.deliveryId);
+      }
+      subscriptions.delete(subscriptionId);
+      deliveries.delete(subscriptionId);
+      if (subscriptions.size === 0) {
+        unsubscribe?.();
+        unsubscribe = null;
+      }
+
+      logger.info("Webhook subscription deleted", {
+        subscription_id: subscriptionId,
+        client_id: clientId,
+      });
+      return true;
+    },
+
+    /**
+     * Delivery log of a subscription, newest first; null when the
+     * client has no such subscription.
+     *
+     * @param {{ status?: string, limit: number }} query
+     */
+    deliveries(clientId, subscriptionId, { status, limit }) {
+      if (!owned(clientId, subscriptionId)) return null;
+      const log = deliveries
+        .get(subscriptionId)
+        .filter((delivery) => !status || delivery.status === status);
+      return newestFirst(log, limit);
+    },
+
+    /**
+     * The client's dead-lettered deliveries, newest first.
+     *
+     * @param {{ limit: number }} query
+     */
+    deadLetters(clientId, { limit }) {
+      return newestFirst(
+        deadLetters
+          .filter((entry) => entry.clientId === clientId)
+          .map((entry) => entry.delivery),
+        limit
+      );
+    },
+
+    /**
+     * Stops following order-service and drops pending retries.
+     */
+    close() {
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      unsubscribe?.();
+      unsubscribe = null;
+    },
+  };
+}
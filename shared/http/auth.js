@@ -0,0 +1,470 @@
+/**
+ * ============================================================
+ * AUTHENTICATION - API keys, JWT bearer tokens, service tokens
+ * ============================================================
+ *
+ * WHO MAY CALL WHAT:
+ *
+ *   client ──X-API-Key / Authorization: Bearer──▶ gateway
+ *          ──X-Service-Token + X-Client-Id──────▶ order-service
+ *          ──X-Service-Token + X-Client-Id──────▶ payment-service
+ *
+ * CREDENTIALS (checked by auth.middleware on every request):
+ * - API key: X-API-Key header, looked up in the keys file/env:
+ *     { "keys": [ { "clientId": "loadgen", "key": "...",
+ *                   "scopes": ["orders:read", "orders:write"],
+ *                   "tenant": "acme", "tier": "premium" } ] }
+ *   ("keySha256": "<hex>" instead of "key" keeps the secret out of
+ *   the file; tenant/tier are optional, and so is "rateLimit":
+ *   { "rate", "burst" }, the client's own limit, see rate-limit.js)
+ * - JWT: Authorization: Bearer <jwt>, RS256/ES256, verified against
+ *   a local JWKS file; exp/nbf/iss/aud are checked. Client ID from
+ *   client_id | azp | sub, scopes from scope (space-separated) | scp
+ * - Service token: X-Service-Token, the shared SERVICE_TOKEN that
+ *   createHttpClient() sends on every internal call. The caller's
+ *   X-Client-Id is trusted only together with it, so the original
+ *   client shows up in every service. It grants every scope; the
+ *   gateway sends it but does not accept it.
+ *
+ * Bad credentials are a 401 right away; a request without any is
+ * let through until a route asks for a scope:
+ *
+ *   app.post("/api/order", auth.require("orders:write"), handler);
+ *
+ *   no credentials          → 401 AUTHENTICATION_REQUIRED
+ *   unknown key, bad token  → 401 INVALID_CREDENTIALS
+ *   missing scope           → 403 INSUFFICIENT_SCOPE
+ *
+ * A service with no credentials configured at all (no keys, no
+ * JWKS, no SERVICE_TOKEN) lets every request through and says so at
+ * startup, so a single service still runs on its own. The public
+ * edge refuses to start that way instead (createAuthenticatorFromEnv
+ * with `required`).
+ *
+ * OBSERVABILITY:
+ * - Request span: enduser.id, enduser.scope, auth.method
+ *   (api_key | jwt | service_token)
+ * - Logs: client_id on every line of the request (AUTH_KEY)
+ * - Metric: auth_requests{service, method, outcome}
+ *   outcome = authenticated | invalid | missing | forbidden
+ * ============================================================
+ */
+
+import {
+  createHash,
+  createPublicKey,
+  timingSafeEqual,
+  verify,
+} from "node:crypto";
+import fs from "node:fs";
+import { context, createContextKey, trace } from "@opentelemetry/api";
+
+import { httpError } from "./errors.js";
+
+export const API_KEY_HEADER = "X-API-Key";
+export const SERVICE_TOKEN_HEADER = "X-Service-Token";
+export const CLIENT_ID_HEADER = "X-Client-Id";
+
+// Read by the @lgtm/telemetry log format (client_id) and the HTTP client
+export const AUTH_KEY = createContextKey("lgtm.auth");
+
+// JWS alg → node:crypto verify() arguments
+const JWT_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+};
+const CLOCK_TOLERANCE_SEC = 30;
+
+const sha256 = (value) => createHash("sha256").update(value).digest();
+
+const sameSecret = (a, b) => timingSafeEqual(sha256(a), sha256(b));
+
+const invalidConfig = (message) =>
+  new Error(`Invalid authentication config: ${message}`);
+
+/**
+ * The identity of the current request, or undefined.
+ * { clientId, method, scopes, tenant?, tier?, rateLimit? }
+ */
+export const activeIdentity = () => context.active().getValue(AUTH_KEY);
+
+/**
+ * API keys from a JSON file and/or a JSON string (same format).
+ * Throws on malformed entries, so a bad config stops the service.
+ *
+ * @param {object} options
+ * @param {string} [options.file] - path to the keys file
+ * @param {string} [options.json] - e.g. process.env.API_KEYS
+ * @returns {{ clientId: string, keyHash: Buffer, scopes: string[], tenant?: string, tier?: string, rateLimit?: { rate: number, burst?: number } }[]}
+ */
+export function loadApiKeys({ file, json } = {}) {
+  const sources = [];
+  if (file) sources.push([file, fs.readFileSync(file, "utf8")]);
+  if (json) sources.push(["API_KEYS", json]);
+
+  return sources.flatMap(([source, raw]) => {
+    const parsed = JSON.parse(raw);
+    const entries = Array.isArray(parsed) ? parsed : parsed.keys;
+    if (!Array.isArray(entries)) {
+      throw invalidConfig(`${source} must be { "keys": [ ... ] }`);
+    }
+
+    return entries.map((entry, index) => {
+      const label = `${source} key #${index + 1}`;
+      if (typeof entry.clientId !== "string" || !entry.clientId) {
+        throw invalidConfig(`${label} has no clientId`);
+      }
+      if (!entry.key && !/^[0-9a-f]{64}$/i.test(entry.keySha256 ?? "")) {
+        throw invalidConfig(`${label} needs "key" or a hex "keySha256"`);
+      }
+      if (entry.scopes !== undefined && !Array.isArray(entry.scopes)) {
+        throw invalidConfig(`${label}: scopes must be an array`);
+      }
+      if (
+        entry.rateLimit !== undefined &&
+        !(typeof entry.rateLimit?.rate === "number" && entry.rateLimit.rate > 0)
+      ) {
+        throw invalidConfig(`${label}: rateLimit needs a positive "rate"`);
+      }
+
+      return {
+        clientId: entry.clientId,
+        keyHash: entry.key
+          ? sha256(entry.key)
+          : Buffer.from(entry.keySha256, "hex"),
+        scopes: entry.scopes ?? [],
+        ...(entry.tenant && { tenant: entry.tenant }),
+        ...(entry.tier && { tier: entry.tier }),
+        ...(entry.rateLimit && { rateLimit: entry.rateLimit }),
+      };
+    });
+  });
+}
+
+/**
+ * Public keys of a JWKS file, by key ID.
+ *
+ * @param {string} file
+ * @returns {Map<string, import("node:crypto").KeyObject>}
+ */
+export function loadJwks(file) {
+  const { keys } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(keys)) throw invalidConfig(`${file} has no "keys"`);
+
+  return new Map(
+    keys.map((jwk, index) => [
+      jwk.kid ?? `#${index}`,
+      createPublicKey({ key: jwk, format: "jwk" }),
+    ])
+  );
+}
+
+const decodeSegment = (segment) =>
+  JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+/**
+ * Verifies a compact JWS and returns its claims; throws otherwise.
+ *
+ * @param {string} token
+ * @param {object} options
+ * @param {Map<string, import("node:crypto").KeyObject>} options.keys
+ * @param {string} [options.issuer]
+ * @param {string} [options.audience]
+ */
+export function verifyJwt(token, { keys, issuer, audience }) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new Error("not a JWT");
+
+  const [header, claims] = parts.slice(0, 2).map(decodeSegment);
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) throw new Error(`unsupported alg ${header.alg}`);
+
+  const key = header.kid ? keys.get(header.kid) : [...keys.values()][0];
+  if (!key) throw new Error(`unknown kid ${header.kid}`);
+
+  const valid = verify(
+    algorithm.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    {
+      key,
+      ...(algorithm.dsaEncoding && { dsaEncoding: algorithm.dsaEncoding }),
+    },
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!valid) throw new Error("bad signature");
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== "number") throw new Error("no exp");
+  if (claims.exp + CLOCK_TOLERANCE_SEC < now) throw new Error("expired");
+  if (claims.nbf && claims.nbf - CLOCK_TOLERANCE_SEC > now) {
+    throw new Error("not yet valid");
+  }
+  if (issuer && claims.iss !== issuer) throw new Error("wrong issuer");
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new Error("wrong audience");
+  }
+
+  return claims;
+}
+
+/**
+ * Creates the authentication middleware of a service.
+ *
+ * @param {object} options
+ * @param {string} options.service - metric label
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {ReturnType<typeof loadApiKeys>} [options.apiKeys]
+ * @param {{ keys: Map<string, import("node:crypto").KeyObject>, issuer?: string, audience?: string }} [options.jwt]
+ * @param {string} [options.serviceToken] - accepted on X-Service-Token
+ */
+export function createAuthenticator({
+  service,
+  meter,
+  logger,
+  apiKeys = [],
+  jwt,
+  serviceToken,
+}) {
+  const requests = meter.createCounter("auth_requests", {
+    description:
+      "Authentication decisions, by method and outcome (authenticated, invalid, missing, forbidden)",
+  });
+
+  const enabled = apiKeys.length > 0 || Boolean(jwt) || Boolean(serviceToken);
+  if (!enabled) {
+    logger.warn("Authentication disabled: no API keys, JWKS or SERVICE_TOKEN");
+  }
+
+  // Only the credentials this service accepts, for the OpenAPI document
+  const securitySchemes = {
+    ...(apiKeys.length > 0 && {
+      apiKey: { type: "apiKey", in: "header", name: API_KEY_HEADER },
+    }),
+    ...(jwt && {
+      bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    }),
+    ...(serviceToken && {
+      serviceToken: {
+        type: "apiKey",
+        in: "header",
+        name: SERVICE_TOKEN_HEADER,
+      },
+    }),
+  };
+
+  const accepted = [
+    apiKeys.length > 0 && `an ${API_KEY_HEADER} header`,
+    jwt && "a Bearer token",
+    serviceToken && `an ${SERVICE_TOKEN_HEADER} header`,
+  ].filter(Boolean);
+
+  const record = (method, outcome) =>
+    requests.add(1, { service, method, outcome });
+
+  // 401s carry WWW-Authenticate, as HTTP requires
+  const unauthorized = (code, message, details) =>
+    Object.assign(httpError(401, code, message, details), {
+      headers: { "WWW-Authenticate": `Bearer realm="${service}"` },
+    });
+
+  const invalid = (method, reason) => {
+    record(method, "invalid");
+    return unauthorized("INVALID_CREDENTIALS", "Invalid credentials", {
+      method,
+      reason,
+    });
+  };
+
+  /**
+   * Identity from the request's credentials: null when there are
+   * none, an httpError when they are wrong.
+   */
+  const identify = (req) => {
+    const token = req.get(SERVICE_TOKEN_HEADER);
+    if (token !== undefined) {
+      if (!serviceToken || !sameSecret(token, serviceToken)) {
+        return invalid("service_token", "unknown service token");
+      }
+      return {
+        clientId: req.get(CLIENT_ID_HEADER) || "internal",
+        method: "service_token",
+        scopes: ["*"],
+      };
+    }
+
+    const key = req.get(API_KEY_HEADER);
+    if (key !== undefined) {
+      const hash = sha256(key);
+      const entry = apiKeys.find((candidate) =>
+        timingSafeEqual(candidate.keyHash, hash)
+      );
+      if (!entry) return invalid("api_key", "unknown API key");
+      const { keyHash, ...identity } = entry;
+      return { ...identity, method: "api_key" };
+    }
+
+    const [scheme, bearer] = (req.get("Authorization") ?? "").split(" ");
+    if (scheme?.toLowerCase() === "bearer" && bearer) {
+      if (!jwt) return invalid("jwt", "bearer tokens are not accepted");
+      try {
+        const claims = verifyJwt(bearer, jwt);
+        const clientId = claims.client_id ?? claims.azp ?? claims.sub;
+        if (!clientId) return invalid("jwt", "no client_id, azp or sub");
+        return {
+          clientId,
+          method: "jwt",
+          scopes: claims.scp
+            ? [].concat(claims.scp)
+            : (claims.scope?.split(" ") ?? []),
+          ...(claims.tenant && { tenant: claims.tenant }),
+          ...(claims.tier && { tier: claims.tier }),
+        };
+      } catch (error) {
+        return invalid("jwt", error.message);
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * App-level middleware: identifies the caller, if it sent
+   * credentials, and runs the rest of the request with the identity
+   * in the context (req.auth as well).
+   */
+  const middleware = (req, res, next) => {
+    const identity = identify(req);
+    if (identity instanceof Error) {
+      logger.warn("Authentication failed", {
+        method: req.method,
+        path: req.path,
+        auth_method: identity.details.method,
+        reason: identity.details.reason,
+      });
+      return next(identity);
+    }
+    if (!identity) return next();
+
+    record(identity.method, "authenticated");
+    trace.getActiveSpan()?.setAttributes({
+      "enduser.id": identity.clientId,
+      "enduser.scope": identity.scopes.join(" "),
+      "auth.method": identity.method,
+    });
+
+    req.auth = identity;
+    context.with(context.active().setValue(AUTH_KEY, identity), () => next());
+  };
+
+  /**
+   * Route middleware: 401 without an identity, 403 unless it holds
+   * every scope in `scopes` (none = any authenticated caller).
+   *
+   * @param {...string} scopes - e.g. "orders:write"
+   */
+  const requireScopes = (...scopes) => {
+    const middleware = (req, res, next) => {
+      if (!enabled) return next();
+
+      if (!req.auth) {
+        record("none", "missing");
+        return next(
+          unauthorized(
+            "AUTHENTICATION_REQUIRED",
+            `Authentication required: send ${accepted.join(" or ")}`
+          )
+        );
+      }
+
+      const granted = req.auth.scopes;
+      const missing = granted.includes("*")
+        ? []
+        : scopes.filter((scope) => !granted.includes(scope));
+      if (missing.length > 0) {
+        record(req.auth.method, "forbidden");
+        logger.warn("Insufficient scope", {
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          required: scopes,
+          missing,
+        });
+        return next(
+          httpError(403, "INSUFFICIENT_SCOPE", "Missing required scope", {
+            required: scopes,
+            missing,
+          })
+        );
+      }
+
+      next();
+    };
+
+    // Picked up by createApiDocs() for the routes using it
+    middleware.openapi = {
+      security: Object.keys(securitySchemes).map((name) => ({ [name]: [] })),
+      securitySchemes,
+      responses: {
+        401: "Missing or invalid credentials (AUTHENTICATION_REQUIRED, INVALID_CREDENTIALS)",
+        ...(scopes.length > 0 && {
+          403: `Requires scope ${scopes.join(", ")} (INSUFFICIENT_SCOPE)`,
+        }),
+      },
+    };
+
+    return middleware;
+  };
+
+  return { enabled, middleware, require: requireScopes };
+}
+
+/**
+ * Builds the authenticator from the environment:
+ *   API_KEYS_FILE, API_KEYS        API keys (file and/or JSON)
+ *   JWT_JWKS_FILE                  enables Bearer JWTs
+ *   JWT_ISSUER, JWT_AUDIENCE       expected iss / aud
+ *   SERVICE_TOKEN                  shared token for internal calls
+ *
+ * @param {object} options - service, meter, logger (see createAuthenticator)
+ * @param {object} [defaults]
+ * @param {string} [defaults.apiKeysFile] - used when API_KEYS_FILE is
+ *   unset and NODE_ENV is development (bundled demo keys)
+ * @param {boolean} [defaults.acceptServiceToken] - false at the public
+ *   edge, which only sends the token
+ * @param {boolean} [defaults.required] - throw when neither API keys
+ *   nor a JWKS are configured, instead of letting everyone through
+ */
+export function createAuthenticatorFromEnv(
+  options,
+  { apiKeysFile, acceptServiceToken = true, required = false } = {}
+) {
+  const env = process.env;
+  // An explicit API_KEYS_FILE must exist; the default one may not, and
+  // is only read in development: its keys are published with the code
+  const file =
+    env.API_KEYS_FILE ||
+    (env.NODE_ENV === "development" && apiKeysFile && fs.existsSync(apiKeysFile)
+      ? apiKeysFile
+      : undefined);
+
+  const apiKeys = loadApiKeys({ file, json: env.API_KEYS });
+  if (required && apiKeys.length === 0 && !env.JWT_JWKS_FILE) {
+    throw invalidConfig(
+      "no API keys or JWKS configured (set API_KEYS_FILE, API_KEYS or " +
+        "JWT_JWKS_FILE, or NODE_ENV=development for the demo keys)"
+    );
+  }
+
+  return createAuthenticator({
+    ...options,
+    apiKeys,
+    jwt: env.JWT_JWKS_FILE
+      ? {
+          keys: loadJwks(env.JWT_JWKS_FILE),
+          issuer: env.JWT_ISSUER,
+          audience: env.JWT_AUDIENCE,
+        }
+      : undefined,
+    serviceToken: (acceptServiceToken && env.SERVICE_TOKEN) || undefined,
+  });
+}
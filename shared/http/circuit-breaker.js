@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ * CIRCUIT BREAKER - Stop calling a downstream that is failing
+ * ============================================================
+ *
+ * STATES:
+ *   closed    → calls flow; consecutive failures are counted
+ *   open      → calls fail fast (no network call) until resetTimeoutMs
+ *   half_open → a limited number of trial calls decide:
+ *               success → closed, failure → open again
+ *
+ * WHY:
+ * Without a breaker, a hung payment-service makes every order
+ * request wait for its full timeout. Failing fast keeps the
+ * gateway and order-service responsive while it recovers.
+ * ============================================================
+ */
+
+export const BREAKER_STATE = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+/**
+ * @param {object} options
+ * @param {number} options.failureThreshold - consecutive failures before opening
+ * @param {number} options.resetTimeoutMs - time spent open before a trial call
+ * @param {number} [options.halfOpenMaxCalls] - concurrent trial calls allowed
+ * @param {(from: string, to: string) => void} [options.onStateChange]
+ */
+export function createCircuitBreaker({
+  failureThreshold,
+  resetTimeoutMs,
+  halfOpenMaxCalls = 1,
+  onStateChange = () => {},
+}) {
+  let state = BREAKER_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialCalls = 0;
+
+  const transition = (next) => {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    if (next === BREAKER_STATE.OPEN) openedAt = Date.now();
+    if (next !== BREAKER_STATE.HALF_OPEN) trialCalls = 0;
+    if (next === BREAKER_STATE.CLOSED) failures = 0;
+    onStateChange(previous, next);
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * Asks for permission to make a call. Returns false when the
+     * call must fail fast.
+     */
+    tryAcquire() {
+      if (
+        state === BREAKER_STATE.OPEN &&
+        Date.now() - openedAt >= resetTimeoutMs
+      ) {
+        transition(BREAKER_STATE.HALF_OPEN);
+      }
+
+      if (state === BREAKER_STATE.OPEN) return false;
+
+      if (state === BREAKER_STATE.HALF_OPEN) {
+        if (trialCalls >= halfOpenMaxCalls) return false;
+        trialCalls += 1;
+      }
+
+      return true;
+    },
+
+    recordSuccess() {
+      failures = 0;
+      if (state === BREAKER_STATE.HALF_OPEN) transition(BREAKER_STATE.CLOSED);
+    },
+
+    /**
+     * Ends a call that says nothing about the downstream's health
+     * (cancelled by the caller), freeing its half-open trial slot.
+     */
+    release() {
+      if (state === BREAKER_STATE.HALF_OPEN && trialCalls > 0) trialCalls -= 1;
+    },
+
+    recordFailure() {
+      failures += 1;
+      if (
+        state === BREAKER_STATE.HALF_OPEN ||
+        (state === BREAKER_STATE.CLOSED && failures >= failureThreshold)
+      ) {
+        transition(BREAKER_STATE.OPEN);
+      }
+    },
+
+    /**
+     * Milliseconds until an open breaker lets a trial call through.
+     */
+    retryAfterMs() {
+      if (state !== BREAKER_STATE.OPEN) return 0;
+      return Math.max(0, resetTimeoutMs - (Date.now() - openedAt));
+    },
+  };
+}
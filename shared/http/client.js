@@ -0,0 +1,367 @@
+/**
+ * ============================================================
+ * RESILIENT HTTP CLIENT - Inter-service calls
+ * ============================================================
+ *
+ * Thin wrapper around axios used for every call between services
+ * (gateway → order-service, order-service → payment-service).
+ *
+ * PER DOWNSTREAM:
+ * - TIMEOUT: every call has one (default 5s, override per call)
+ * - RETRIES: bounded exponential backoff with jitter, ONLY for
+ *   safe/idempotent requests (GET/HEAD/OPTIONS/PUT/DELETE, or any
+ *   request carrying an Idempotency-Key header); a Retry-After from
+ *   the downstream stretches the wait (up to maxDelayMs). A 409
+ *   IDEMPOTENCY_KEY_IN_USE is retried too: the first attempt with
+ *   that key (one that timed out here) is still running downstream,
+ *   and its stored response is the answer, not the 409
+ * - CIRCUIT BREAKER: fails fast while the downstream is unhealthy; a
+ *   5xx naming an upstream in its details (one of the downstream's own
+ *   dependencies failed, e.g. the payment provider) does not count
+ * - DEADLINE: the request's remaining budget (deadline.js) is sent as
+ *   X-Request-Budget-Ms, caps the timeout and aborts the call when it
+ *   runs out; no attempt or retry starts after it passed
+ * - SERVICE TOKEN: SERVICE_TOKEN goes out as X-Service-Token, with the
+ *   authenticated client as X-Client-Id (auth.js)
+ *
+ * OBSERVABILITY:
+ * - Metrics: http_client_retries{service, downstream, reason}
+ *            circuit_breaker_transitions{service, downstream, from, to}
+ *            circuit_breaker_state{service, downstream} (0 closed, 1 half_open, 2 open)
+ * - Span events on the calling span: "http.retry", "circuit_breaker.state_change"
+ * - Warn logs for retries and breaker state changes
+ *
+ * OpenTelemetry still auto-instruments the underlying http calls,
+ * so each attempt is its own client span with trace context.
+ * ============================================================
+ */
+
+import axios from "axios";
+import { trace } from "@opentelemetry/api";
+
+import {
+  activeIdentity,
+  CLIENT_ID_HEADER,
+  SERVICE_TOKEN_HEADER,
+} from "./auth.js";
+import { createCircuitBreaker, BREAKER_STATE } from "./circuit-breaker.js";
+import {
+  activeDeadline,
+  expireDeadline,
+  DEADLINE_HEADER,
+  remainingMs,
+} from "./deadline.js";
+import { IDEMPOTENCY_HEADER } from "./idempotency.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const RETRYABLE_STATUS = [429, 502, 503, 504];
+const STATE_VALUE = {
+  [BREAKER_STATE.CLOSED]: 0,
+  [BREAKER_STATE.HALF_OPEN]: 1,
+  [BREAKER_STATE.OPEN]: 2,
+};
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Defaults, overridable per service through the environment.
+ */
+export const resolveClientDefaults = () => ({
+  timeoutMs: envNumber("HTTP_CLIENT_TIMEOUT_MS", 5000),
+  retry: {
+    maxRetries: envNumber("HTTP_CLIENT_MAX_RETRIES", 2),
+    baseDelayMs: envNumber("HTTP_CLIENT_RETRY_BASE_MS", 100),
+    maxDelayMs: envNumber("HTTP_CLIENT_RETRY_MAX_MS", 2000),
+  },
+  breaker: {
+    failureThreshold: envNumber("CIRCUIT_BREAKER_FAILURE_THRESHOLD", 5),
+    resetTimeoutMs: envNumber("CIRCUIT_BREAKER_RESET_MS", 10000),
+    halfOpenMaxCalls: envNumber("CIRCUIT_BREAKER_HALF_OPEN_CALLS", 1),
+  },
+});
+
+// Instruments are created once per meter and shared by all clients
+const instrumentsByMeter = new WeakMap();
+
+const getInstruments = (meter) => {
+  if (instrumentsByMeter.has(meter)) return instrumentsByMeter.get(meter);
+
+  const breakers = new Set();
+  const instruments = {
+    breakers,
+    retries: meter.createCounter("http_client_retries", {
+      description: "Retried outbound HTTP calls, by downstream and reason",
+    }),
+    transitions: meter.createCounter("circuit_breaker_transitions", {
+      description: "Circuit breaker state changes, by downstream",
+    }),
+  };
+
+  meter
+    .createObservableGauge("circuit_breaker_state", {
+      description: "Circuit breaker state (0 closed, 1 half_open, 2 open)",
+    })
+    .addCallback((result) => {
+      for (const { breaker, attributes } of breakers) {
+        result.observe(STATE_VALUE[breaker.state], attributes);
+      }
+    });
+
+  instrumentsByMeter.set(meter, instruments);
+  return instruments;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const hasHeader = (headers = {}, name) =>
+  Object.keys(headers).some((key) => key.toLowerCase() === name.toLowerCase());
+
+/**
+ * Failures that say something about the downstream's health
+ * (and therefore count for the breaker and may be retried).
+ */
+const failureReason = (error) => {
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return "timeout";
+  }
+  if (error.response) {
+    const status = error.response.status;
+    // The downstream ran out of our budget, it is not unhealthy
+    if (error.response.data?.code === "DEADLINE_EXCEEDED") return null;
+    // One of the downstream's own dependencies failed, not the downstream
+    if (error.response.data?.details?.upstream) return null;
+    if (status >= 500 || status === 429) return `status_${status}`;
+    return null; // 4xx: the downstream is fine, the request is not
+  }
+  if (error.code === "ECIRCUITOPEN") return null;
+  return error.code ? error.code.toLowerCase() : "network_error";
+};
+
+// An earlier attempt with the same Idempotency-Key is still in progress
+const isKeyInUse = (error) =>
+  error.response?.status === 409 &&
+  error.response.data?.code === "IDEMPOTENCY_KEY_IN_USE";
+
+/**
+ * Transient failures worth another attempt: no response at all
+ * (timeout, connection refused/reset), 429/502/503/504, or a 409
+ * while our own earlier attempt is still being processed.
+ */
+const isTransient = (error) =>
+  error.response
+    ? (RETRYABLE_STATUS.includes(error.response.status) &&
+        error.response.data?.code !== "DEADLINE_EXCEEDED") ||
+      isKeyInUse(error)
+    : !["ECIRCUITOPEN", "DEADLINE_EXCEEDED"].includes(error.code);
+
+/**
+ * The Retry-After (seconds) of a failed response, in ms (0 without).
+ */
+const retryAfterMs = (error) => {
+  const seconds = Number(error.response?.headers?.["retry-after"]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+};
+
+/**
+ * HTTP status to answer with when a call failed without a response:
+ * 503 while the breaker is open, 504 on timeout, 502 for other network
+ * errors and 500 for anything that did not come from the client.
+ */
+export const statusForClientError = (error) => {
+  if (error.code === "ECIRCUITOPEN") return 503;
+  if (!error.isAxiosError) return 500;
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") return 504;
+  return 502;
+};
+
+/**
+ * Creates a client for one downstream service.
+ *
+ * @param {object} options
+ * @param {string} options.service - calling service (metric label)
+ * @param {string} options.downstream - e.g. "order-service"
+ * @param {string} options.baseURL
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {number} [options.timeoutMs]
+ * @param {object} [options.retry] - { maxRetries, baseDelayMs, maxDelayMs }
+ * @param {object} [options.breaker] - { failureThreshold, resetTimeoutMs, halfOpenMaxCalls }
+ * @param {string} [options.serviceToken] - defaults to SERVICE_TOKEN
+ */
+export function createHttpClient({
+  service,
+  downstream,
+  baseURL,
+  meter,
+  logger,
+  timeoutMs,
+  retry = {},
+  breaker: breakerOptions = {},
+  serviceToken = process.env.SERVICE_TOKEN,
+}) {
+  const defaults = resolveClientDefaults();
+  const retryPolicy = { ...defaults.retry, ...retry };
+  const attributes = { service, downstream };
+  const instruments = getInstruments(meter);
+
+  const breaker = createCircuitBreaker({
+    ...defaults.breaker,
+    ...breakerOptions,
+    onStateChange: (from, to) => {
+      instruments.transitions.add(1, { ...attributes, from, to });
+      trace.getActiveSpan()?.addEvent("circuit_breaker.state_change", {
+        "circuit_breaker.downstream": downstream,
+        "circuit_breaker.from": from,
+        "circuit_breaker.to": to,
+      });
+      logger.warn("Circuit breaker state changed", {
+        downstream,
+        from,
+        to,
+      });
+    },
+  });
+  instruments.breakers.add({ breaker, attributes });
+
+  const http = axios.create({
+    baseURL,
+    timeout: timeoutMs ?? defaults.timeoutMs,
+  });
+
+  const isRetryable = (config) =>
+    SAFE_METHODS.includes((config.method || "get").toUpperCase()) ||
+    hasHeader(config.headers, IDEMPOTENCY_HEADER);
+
+  const backoff = (attempt) => {
+    const ceiling = Math.min(
+      retryPolicy.maxDelayMs,
+      retryPolicy.baseDelayMs * 2 ** (attempt - 1)
+    );
+    return Math.round(Math.random() * ceiling); // "full jitter"
+  };
+
+  // Who is calling: this service, on behalf of the authenticated client
+  const authHeaders = () => {
+    if (!serviceToken) return {};
+    const clientId = activeIdentity()?.clientId;
+    return {
+      [SERVICE_TOKEN_HEADER]: serviceToken,
+      ...(clientId && { [CLIENT_ID_HEADER]: clientId }),
+    };
+  };
+
+  const attempt = async (config) => {
+    config = { ...config, headers: { ...config.headers, ...authHeaders() } };
+
+    // Budget header, timeout cap and abort signal from the request deadline
+    const deadline = activeDeadline();
+    let cappedByDeadline = false;
+    if (deadline) {
+      const budget = remainingMs();
+      if (budget <= 0) throw expireDeadline();
+
+      const timeout = config.timeout ?? http.defaults.timeout;
+      cappedByDeadline = budget < timeout;
+      config = {
+        ...config,
+        timeout: Math.min(timeout, budget),
+        signal: deadline.signal,
+        headers: { ...config.headers, [DEADLINE_HEADER]: String(budget) },
+      };
+    }
+
+    if (!breaker.tryAcquire()) {
+      throw Object.assign(
+        new Error(`Circuit breaker for ${downstream} is open`),
+        {
+          code: "ECIRCUITOPEN",
+          downstream,
+          retryAfterMs: breaker.retryAfterMs(),
+        }
+      );
+    }
+
+    try {
+      const response = await http.request(config);
+      breaker.recordSuccess();
+      return response;
+    } catch (error) {
+      // Our deadline ran out (here or downstream), not the downstream's fault
+      if (
+        deadline &&
+        (error.code === "ERR_CANCELED" ||
+          error.response?.data?.code === "DEADLINE_EXCEEDED" ||
+          (cappedByDeadline && failureReason(error) === "timeout"))
+      ) {
+        breaker.release();
+        throw expireDeadline();
+      }
+      if (failureReason(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Same signature as axios.request(); `timeoutMs` overrides the timeout
+   * and `retry: false` disables retries for a single call.
+   */
+  const request = async ({
+    timeoutMs: callTimeout,
+    retry: retryCall,
+    ...config
+  }) => {
+    if (callTimeout !== undefined) config.timeout = callTimeout;
+
+    const maxRetries =
+      retryCall === false || !isRetryable(config) ? 0 : retryPolicy.maxRetries;
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      try {
+        return await attempt(config);
+      } catch (error) {
+        if (!isTransient(error) || attemptNumber > maxRetries) throw error;
+
+        const reason =
+          failureReason(error) ??
+          (isKeyInUse(error) ? "idempotency_key_in_use" : null);
+        const delayMs = Math.max(
+          backoff(attemptNumber),
+          Math.min(retryAfterMs(error), retryPolicy.maxDelayMs)
+        );
+        // No point waiting for a retry the deadline will not allow
+        if (delayMs >= remainingMs()) throw error;
+
+        instruments.retries.add(1, { ...attributes, reason });
+        trace.getActiveSpan()?.addEvent("http.retry", {
+          "http.retry.downstream": downstream,
+          "http.retry.attempt": attemptNumber,
+          "http.retry.reason": reason,
+          "http.retry.delay_ms": delayMs,
+        });
+        logger.warn("Retrying downstream call", {
+          downstream,
+          attempt: attemptNumber,
+          reason,
+          delay_ms: delayMs,
+        });
+        await sleep(delayMs);
+      }
+    }
+  };
+
+  return {
+    downstream,
+    breaker,
+    request,
+    get: (url, config = {}) => request({ ...config, method: "get", url }),
+    post: (url, data, config = {}) =>
+      request({ ...config, method: "post", url, data }),
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * ============================================================
+ * DEADLINES - One time budget for the whole service chain
+ * ============================================================
+ *
+ * Without a deadline, payment-service keeps working on requests the
+ * gateway gave up on long ago. With one, every hop knows how long
+ * its caller is still willing to wait:
+ *
+ *   client ──X-Request-Budget-Ms: 8000──▶ gateway
+ *          ──X-Request-Budget-Ms: 7950──▶ order-service
+ *          ──X-Request-Budget-Ms: 7700──▶ payment-service
+ *
+ * WHERE THE BUDGET COMES FROM:
+ *   1. the X-Request-Budget-Ms header (ms still left, capped at maxMs)
+ *   2. a per-route default: app.post("/api/order", deadlines.route(8000), ...)
+ *   3. the service default (defaultMs), if any
+ * No header and no default = no deadline (the request is unbounded).
+ *
+ * ENFORCEMENT:
+ * - createHttpClient() sends the remaining budget downstream, caps
+ *   each attempt's timeout at it, stops retrying when it runs out
+ *   and aborts the call in flight when it expires
+ * - sleep() from this module (simulated work, injected latency)
+ *   rejects as soon as the deadline passes
+ * - when the deadline passes before a response was sent, the
+ *   request is answered 504 DEADLINE_EXCEEDED right away; errors
+ *   from the abandoned work are dropped by errorHandler()
+ *
+ * OBSERVABILITY:
+ * - Request span: deadline.budget_ms, deadline.source (header |
+ *   route | default), deadline.exceeded
+ * - Metric: deadline_exceeded{service, source, route}
+ * - Warn log "Deadline exceeded" with budget_ms
+ *
+ * The deadline lives in the OpenTelemetry context (DEADLINE_KEY),
+ * like the injected faults, so it follows the request through
+ * async code without being passed around.
+ * ============================================================
+ */
+
+import { context, createContextKey, trace } from "@opentelemetry/api";
+
+import { httpError, toErrorEnvelope } from "./errors.js";
+
+export const DEADLINE_HEADER = "X-Request-Budget-Ms";
+export const DEADLINE_KEY = createContextKey("lgtm.deadline");
+
+const DEFAULT_MAX_MS = 60_000;
+
+/**
+ * The error every expired deadline turns into.
+ */
+export const deadlineExceeded = (deadline) =>
+  httpError(504, "DEADLINE_EXCEEDED", "Request deadline exceeded", {
+    budgetMs: deadline?.budgetMs,
+  });
+
+/**
+ * The deadline of the current request, or undefined.
+ * { expiresAt, budgetMs, source, signal, exceeded, expire() }
+ */
+export const activeDeadline = () => context.active().getValue(DEADLINE_KEY);
+
+/**
+ * Milliseconds left before the current deadline (Infinity without one).
+ */
+export const remainingMs = () => {
+  const deadline = activeDeadline();
+  return deadline ? Math.max(0, deadline.expiresAt - Date.now()) : Infinity;
+};
+
+/**
+ * Expires the current deadline now (its timer may be a few ms late)
+ * and returns the error to throw.
+ */
+export const expireDeadline = () => {
+  const deadline = activeDeadline();
+  deadline?.expire();
+  return deadlineExceeded(deadline);
+};
+
+/**
+ * Throws DEADLINE_EXCEEDED if the current deadline has passed.
+ */
+export const checkDeadline = () => {
+  const deadline = activeDeadline();
+  if (deadline && deadline.expiresAt <= Date.now()) throw expireDeadline();
+};
+
+/**
+ * Runs `fn` without the current deadline, for work that must finish
+ * even when the caller gave up (e.g. saga compensations).
+ */
+export const withoutDeadline = (fn) =>
+  context.with(context.active().deleteValue(DEADLINE_KEY), fn);
+
+/**
+ * setTimeout as a promise that rejects with DEADLINE_EXCEEDED when
+ * the current deadline passes first.
+ */
+export const sleep = (ms) => {
+  const deadline = activeDeadline();
+  if (!deadline) return new Promise((resolve) => setTimeout(resolve, ms));
+
+  return new Promise((resolve, reject) => {
+    if (deadline.signal.aborted) return reject(deadlineExceeded(deadline));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(deadlineExceeded(deadline));
+    };
+    const timer = setTimeout(() => {
+      deadline.signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    deadline.signal.addEventListener("abort", onAbort, { once: true });
+  });
+};
+
+/**
+ * Budget from the header: a non-negative integer (ms), or null when
+ * absent. Anything else is a 400.
+ */
+const budgetFromHeader = (req, maxMs) => {
+  const raw = req.get(DEADLINE_HEADER);
+  if (raw === undefined) return null;
+
+  const budget = Number(raw);
+  if (!/^\d+$/.test(raw.trim()) || !Number.isSafeInteger(budget)) {
+    throw httpError(
+      400,
+      "INVALID_DEADLINE",
+      `${DEADLINE_HEADER} must be a whole number of milliseconds`,
+      { value: raw }
+    );
+  }
+  return Math.min(budget, maxMs);
+};
+
+/**
+ * Creates the deadline middleware of a service.
+ *
+ * @param {object} options
+ * @param {string} options.service - metric label
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {number} [options.defaultMs] - budget when the caller sent none
+ * @param {number} [options.maxMs] - cap for budgets from the header
+ */
+export function createDeadlines({
+  service,
+  meter,
+  logger,
+  defaultMs,
+  maxMs = DEFAULT_MAX_MS,
+}) {
+  const exceeded = meter.createCounter("deadline_exceeded", {
+    description:
+      "Requests whose deadline passed, by budget source (header, route, default)",
+  });
+
+  const routeOf = (req) =>
+    req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+
+  /**
+   * Arms a deadline of `budgetMs` for the request and calls next()
+   * inside a context that carries it. Replaces any earlier deadline
+   * of the same request (per-route defaults).
+   */
+  const arm = (req, res, next, budgetMs, source) => {
+    req.deadline?.disarm();
+
+    const controller = new AbortController();
+    const deadline = {
+      expiresAt: Date.now() + budgetMs,
+      budgetMs,
+      source,
+      signal: controller.signal,
+      exceeded: false,
+    };
+
+    const span = trace.getActiveSpan();
+    span?.setAttributes({
+      "deadline.budget_ms": budgetMs,
+      "deadline.source": source,
+    });
+
+    // Idempotent: the timer, the HTTP client or sleep() may get here first
+    const expire = () => {
+      if (deadline.exceeded) return;
+      deadline.exceeded = true;
+      clearTimeout(timer);
+      controller.abort(deadlineExceeded(deadline));
+
+      exceeded.add(1, { service, source, route: routeOf(req) });
+      span?.setAttribute("deadline.exceeded", true);
+      logger.warn("Deadline exceeded", {
+        method: req.method,
+        path: req.path,
+        budget_ms: budgetMs,
+        deadline_source: source,
+      });
+
+      // Answer now; whatever is still running gets aborted
+      if (!res.headersSent) {
+        const { status, body } = toErrorEnvelope(deadlineExceeded(deadline));
+        res.status(status).json(body);
+      }
+    };
+
+    const timer = setTimeout(expire, budgetMs);
+    deadline.expire = expire;
+    deadline.disarm = () => clearTimeout(timer);
+    // Not on "close": a caller that hung up still leaves work to abort
+    res.once("finish", deadline.disarm);
+    req.deadline = deadline;
+
+    context.with(context.active().setValue(DEADLINE_KEY, deadline), () =>
+      next()
+    );
+  };
+
+  /**
+   * App-level middleware: the budget from the header, else defaultMs.
+   * Register it before the fault injector, so injected latency counts.
+   */
+  const middleware = (req, res, next) => {
+    let budget;
+    try {
+      budget = budgetFromHeader(req, maxMs);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (budget !== null) return arm(req, res, next, budget, "header");
+    if (defaultMs) return arm(req, res, next, defaultMs, "default");
+    next();
+  };
+
+  /**
+   * Per-route default, used when the caller sent no budget.
+   *
+   * @param {number} budgetMs
+   */
+  const route = (budgetMs) => {
+    const middleware = (req, res, next) => {
+      if (req.deadline?.source === "header") return next();
+      arm(req, res, next, budgetMs, "route");
+    };
+
+    // Picked up by createApiDocs() for the routes using it
+    middleware.openapi = {
+      parameters: [
+        {
+          name: DEADLINE_HEADER,
+          in: "header",
+          required: false,
+          description: `Milliseconds the caller will wait (default ${budgetMs})`,
+          schema: { type: "integer", minimum: 0, maximum: maxMs },
+        },
+      ],
+      responses: {
+        504: "Deadline passed before the request completed (DEADLINE_EXCEEDED)",
+      },
+    };
+
+    return middleware;
+  };
+
+  return { middleware, route };
+}
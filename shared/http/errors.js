@@ -0,0 +1,184 @@
+/**
+ * ============================================================
+ * ERROR ENVELOPE - One error shape for every service
+ * ============================================================
+ *
+ * Every error response, whatever the service or route, looks like:
+ *
+ *   {
+ *     "code": "VALIDATION_FAILED",          // stable, machine-readable
+ *     "message": "Request validation failed",
+ *     "details": [ ... ],                    // optional, code-specific
+ *     "trace_id": "4bf92f3577b34da6a3ce929d0e0e4736"
+ *   }
+ *
+ * Routes throw (or pass to next()) an error built with httpError();
+ * errorHandler() turns it into the envelope. trace_id is the same
+ * as in the logs, so a client error report leads straight to Tempo.
+ *
+ * Unexpected errors become 500 INTERNAL_ERROR without leaking their
+ * message, are logged at error and mark the request span as failed.
+ * ============================================================
+ */
+
+import { SpanStatusCode, trace } from "@opentelemetry/api";
+
+import { statusForClientError } from "./client.js";
+
+// Codes for failures of downstream calls that returned no response
+const CLIENT_ERROR_CODES = {
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_UNREACHABLE",
+  503: "UPSTREAM_UNAVAILABLE",
+  504: "UPSTREAM_TIMEOUT",
+};
+
+/**
+ * Creates an error that errorHandler() answers with `status` and
+ * the given code/message/details.
+ *
+ * @param {number} status - HTTP status
+ * @param {string} code - e.g. "ORDER_NOT_FOUND"
+ * @param {string} message - human-readable, safe to show to clients
+ * @param {unknown} [details]
+ */
+export const httpError = (status, code, message, details) =>
+  Object.assign(new Error(message), {
+    status,
+    code,
+    details,
+    expose: true,
+  });
+
+/**
+ * Converts a failed @lgtm/http client call into an httpError:
+ * - the downstream answered → same status, its code/message/details
+ * - no answer → 503 (breaker open), 504 (timeout) or 502
+ * - already an httpError (e.g. DEADLINE_EXCEEDED) → unchanged
+ *
+ * @param {Error} error - thrown by createHttpClient().request()
+ * @param {object} [extraDetails] - merged into object details
+ */
+export const fromClientError = (error, extraDetails) => {
+  const merge = (details) =>
+    extraDetails && (details === undefined || typeof details === "object")
+      ? { ...details, ...extraDetails }
+      : details;
+
+  if (error.expose && !error.response) return error;
+
+  if (error.response) {
+    const body = error.response.data || {};
+    return Object.assign(
+      httpError(
+        error.response.status,
+        body.code || "UPSTREAM_ERROR",
+        body.message || error.message,
+        merge(body.details)
+      ),
+      { cause: error }
+    );
+  }
+
+  const status = statusForClientError(error);
+  return Object.assign(
+    httpError(
+      status,
+      CLIENT_ERROR_CODES[status],
+      error.message,
+      merge(undefined)
+    ),
+    { cause: error, retryAfterMs: error.retryAfterMs }
+  );
+};
+
+/**
+ * Builds the envelope (and status) for any error.
+ */
+export const toErrorEnvelope = (error) => {
+  let status = error.status ?? error.statusCode ?? 500;
+  let code = error.code;
+  let message = error.message;
+
+  // body-parser errors (malformed JSON, body too large, ...)
+  if (error.type === "entity.parse.failed") {
+    code = "INVALID_JSON";
+    message = "Request body is not valid JSON";
+  } else if (error.type === "entity.too.large") {
+    code = "PAYLOAD_TOO_LARGE";
+  }
+
+  if (!Number.isInteger(status) || status < 400 || status > 599) status = 500;
+  if (!error.expose) {
+    code = status >= 500 ? "INTERNAL_ERROR" : code;
+    message = status >= 500 ? "Internal server error" : message;
+  }
+
+  const body = {
+    code: typeof code === "string" && code ? code : "ERROR",
+    message,
+  };
+  if (error.details !== undefined) body.details = error.details;
+
+  const traceId = trace.getActiveSpan()?.spanContext().traceId;
+  if (traceId) body.trace_id = traceId;
+
+  return { status, body };
+};
+
+/**
+ * Express error handler: registered LAST, after every route.
+ *
+ * @param {object} options
+ * @param {import("winston").Logger} options.logger
+ */
+export function errorHandler({ logger }) {
+  // Express recognises error handlers by their four arguments
+  return (error, req, res, next) => {
+    // The deadline passed (deadline.js) and the request was answered
+    // 504 or its caller hung up: this is the abandoned work failing
+    if (req.deadline?.exceeded && res.writableEnded) return;
+
+    if (res.headersSent) {
+      // Too late for an envelope: let Express close the connection
+      return next(error);
+    }
+
+    const { status, body } = toErrorEnvelope(error);
+
+    if (status >= 500) {
+      const span = trace.getActiveSpan();
+      span?.recordException(error);
+      span?.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error("Request failed", {
+        method: req.method,
+        path: req.path,
+        status_code: status,
+        error_code: body.code,
+        error: error.message,
+      });
+    }
+
+    if (error.headers) res.set(error.headers);
+    if (error.retryAfterMs) {
+      res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(status).json(body);
+  };
+}
+
+/**
+ * 404 for unknown routes, in the same envelope.
+ * Registered after every route, before errorHandler().
+ */
+export const notFoundHandler = () => (req, res, next) =>
+  next(
+    httpError(404, "ROUTE_NOT_FOUND", `No route for ${req.method} ${req.path}`)
+  );
+
+/**
+ * Wraps an async route handler so a rejected promise reaches the
+ * error handler (Express 4 does not catch async errors itself).
+ */
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
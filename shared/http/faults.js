@@ -0,0 +1,429 @@
+/**
+ * ============================================================
+ * FAULT INJECTION (CHAOS) - Runtime-configurable failures
+ * ============================================================
+ *
+ * Every service exposes an admin API to inject failures per route,
+ * for demos and for testing alerts/dashboards:
+ *
+ *   GET    /admin/faults   → list active faults
+ *   PUT    /admin/faults   → replace all faults  { "faults": [ ... ] }
+ *   DELETE /admin/faults   → remove all faults
+ *
+ * FAULT RULE:
+ * {
+ *   "route": "POST /payments",        // "[METHOD|*] /path", * = wildcard
+ *   "latency": { "distribution": "uniform", "minMs": 200, "maxMs": 800 },
+ *              // or { "distribution": "fixed", "ms": 500 }
+ *              // or { "distribution": "normal", "meanMs": 300, "stddevMs": 50 }
+ *   "error":   { "rate": 0.2, "status": 503, "message": "Injected failure" },
+ *   "drop":    { "rate": 0.05 },        // destroy the connection
+ *   "cpu":     { "durationMs": 200 },   // busy-loop the event loop
+ *   "memory":  { "mb": 50, "holdMs": 5000 },
+ *   "ttlSeconds": 300                   // or "expiresAt": ISO timestamp
+ * }
+ *
+ * LIMITS: a fault should hurt the demo, not take the process down, so
+ * latency is capped at 60s, cpu.durationMs at 5s, memory.mb at 512
+ * and memory.holdMs at 10 minutes (400 INVALID_FAULT above them).
+ * Memory faults allocate per request, so all the buffers held at once
+ * are capped too, at FAULT_MAX_RETAINED_MB (512): a request that
+ * would go beyond allocates nothing and is recorded as capped.
+ *
+ * OBSERVABILITY:
+ * Injected faults are tagged on the request span (fault.injected,
+ * fault.ids, fault.types + a "fault.injected" event), logged at warn
+ * and counted in faults_injected{service, type}, so a trace clearly
+ * shows the failure was injected rather than real. Every other log
+ * line of the request gets fault_injected / fault_ids as well.
+ * ============================================================
+ */
+
+import { randomUUID } from "node:crypto";
+import { context, createContextKey, trace } from "@opentelemetry/api";
+
+import { sleep } from "./deadline.js";
+import { asyncHandler, httpError } from "./errors.js";
+
+// Never inject into the admin API or the probes
+const EXEMPT_PATHS = [/^\/admin(\/|$)/, /^\/(health|livez|readyz)$/];
+const LATENCY_DISTRIBUTIONS = ["fixed", "uniform", "normal"];
+
+// Upper bounds of the rule fields (see LIMITS)
+const MAX_LATENCY_MS = 60_000;
+const MAX_CPU_MS = 5000;
+const MAX_MEMORY_MB = 512;
+const MAX_HOLD_MS = 10 * 60 * 1000;
+const MAX_RETAINED_MB = 512;
+
+// Read by the @lgtm/telemetry log format to tag every log line of the request
+export const INJECTED_FAULTS_KEY = createContextKey("lgtm.injected_faults");
+
+const invalid = (message) =>
+  Object.assign(new Error(message), { code: "INVALID_FAULT" });
+
+const isRate = (value) => typeof value === "number" && value >= 0 && value <= 1;
+
+const isNonNegative = (value) => typeof value === "number" && value >= 0;
+
+const isAtMost = (value, max) => isNonNegative(value) && value <= max;
+
+/**
+ * "POST /payments" → { method: "POST", pattern: /^\/payments$/ }
+ */
+const parseRoute = (route) => {
+  if (typeof route !== "string" || !route.trim()) {
+    throw invalid('"route" is required, e.g. "POST /payments"');
+  }
+
+  const parts = route.trim().split(/\s+/);
+  const [method, path] = parts.length === 1 ? ["*", parts[0]] : parts;
+  if (!path.startsWith("/")) throw invalid(`Invalid route "${route}"`);
+
+  const escaped = path
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+
+  return {
+    method: method.toUpperCase(),
+    pattern: new RegExp(`^${escaped}$`),
+  };
+};
+
+/**
+ * Validates one rule from the admin API and normalises it.
+ */
+const normaliseFault = (rule, now = Date.now()) => {
+  if (!rule || typeof rule !== "object") {
+    throw invalid("Each fault must be an object");
+  }
+
+  const { method, pattern } = parseRoute(rule.route);
+  const fault = {
+    id: rule.id || randomUUID(),
+    route: rule.route.trim(),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: null,
+  };
+
+  if (rule.latency) {
+    const { distribution = "fixed" } = rule.latency;
+    if (!LATENCY_DISTRIBUTIONS.includes(distribution)) {
+      throw invalid(
+        `latency.distribution must be one of ${LATENCY_DISTRIBUTIONS.join(", ")}`
+      );
+    }
+    const fields = {
+      fixed: ["ms"],
+      uniform: ["minMs", "maxMs"],
+      normal: ["meanMs", "stddevMs"],
+    }[distribution];
+    for (const field of fields) {
+      if (!isAtMost(rule.latency[field], MAX_LATENCY_MS)) {
+        throw invalid(
+          `latency.${field} must be a number between 0 and ${MAX_LATENCY_MS}`
+        );
+      }
+    }
+    fault.latency = { distribution, ...rule.latency };
+  }
+
+  if (rule.error) {
+    const { rate = 1, status = 500, message = "Injected fault" } = rule.error;
+    if (!isRate(rate)) throw invalid("error.rate must be between 0 and 1");
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      throw invalid("error.status must be an HTTP error status (400-599)");
+    }
+    fault.error = { rate, status, message };
+  }
+
+  if (rule.drop) {
+    const { rate = 1 } = rule.drop;
+    if (!isRate(rate)) throw invalid("drop.rate must be between 0 and 1");
+    fault.drop = { rate };
+  }
+
+  if (rule.cpu) {
+    if (!isAtMost(rule.cpu.durationMs, MAX_CPU_MS)) {
+      throw invalid(
+        `cpu.durationMs must be a number between 0 and ${MAX_CPU_MS}`
+      );
+    }
+    fault.cpu = { durationMs: rule.cpu.durationMs };
+  }
+
+  if (rule.memory) {
+    const { mb, holdMs = 1000 } = rule.memory;
+    if (!isAtMost(mb, MAX_MEMORY_MB)) {
+      throw invalid(
+        `memory.mb must be a number between 0 and ${MAX_MEMORY_MB}`
+      );
+    }
+    if (!isAtMost(holdMs, MAX_HOLD_MS)) {
+      throw invalid(
+        `memory.holdMs must be a number between 0 and ${MAX_HOLD_MS}`
+      );
+    }
+    fault.memory = { mb, holdMs };
+  }
+
+  if (
+    !fault.latency &&
+    !fault.error &&
+    !fault.drop &&
+    !fault.cpu &&
+    !fault.memory
+  ) {
+    throw invalid(
+      `Fault for "${fault.route}" needs at least one of latency, error, drop, cpu, memory`
+    );
+  }
+
+  if (rule.ttlSeconds !== undefined) {
+    if (!isNonNegative(rule.ttlSeconds)) {
+      throw invalid("ttlSeconds must be a non-negative number");
+    }
+    fault.expiresAt = new Date(now + rule.ttlSeconds * 1000).toISOString();
+  } else if (rule.expiresAt !== undefined) {
+    if (Number.isNaN(Date.parse(rule.expiresAt))) {
+      throw invalid("expiresAt must be an ISO timestamp");
+    }
+    fault.expiresAt = new Date(rule.expiresAt).toISOString();
+  }
+
+  return { ...fault, matcher: { method, pattern } };
+};
+
+// Box-Muller transform for normally distributed latency
+const normalSample = (mean, stddev) => {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return (
+    mean + stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+  );
+};
+
+const sampleLatency = (latency) => {
+  switch (latency.distribution) {
+    case "uniform":
+      return latency.minMs + Math.random() * (latency.maxMs - latency.minMs);
+    case "normal":
+      return Math.max(0, normalSample(latency.meanMs, latency.stddevMs));
+    default:
+      return latency.ms;
+  }
+};
+
+const burnCpu = (durationMs) => {
+  const end = Date.now() + durationMs;
+  while (Date.now() < end) {
+    Math.sqrt(Math.random()); // keep the loop busy
+  }
+};
+
+/**
+ * Creates the per-service fault injector.
+ *
+ * @param {object} options
+ * @param {string} options.service - service label for metrics
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {number} [options.maxRetainedMb] - memory held by all memory
+ *   faults at once; defaults to FAULT_MAX_RETAINED_MB or 512
+ */
+export function createFaultInjector({
+  service,
+  meter,
+  logger,
+  maxRetainedMb = Number(process.env.FAULT_MAX_RETAINED_MB) || MAX_RETAINED_MB,
+}) {
+  let faults = [];
+  const retained = new Set(); // buffers held for memory pressure
+  let retainedBytes = 0;
+  const maxRetainedBytes = maxRetainedMb * 1024 * 1024;
+
+  /**
+   * Holds `bytes` for `holdMs`; false when that would go beyond
+   * maxRetainedMb.
+   */
+  const retain = (bytes, holdMs) => {
+    if (retainedBytes + bytes > maxRetainedBytes) return false;
+
+    const buffer = Buffer.alloc(bytes, 1);
+    retained.add(buffer);
+    retainedBytes += bytes;
+    setTimeout(() => {
+      retained.delete(buffer);
+      retainedBytes -= bytes;
+    }, holdMs).unref();
+    return true;
+  };
+
+  const injected = meter.createCounter("faults_injected", {
+    description: "Faults injected by the chaos admin API, by type",
+  });
+
+  // Drops expired rules, returns the rest
+  const active = () => {
+    const now = Date.now();
+    faults = faults.filter(
+      (fault) => !fault.expiresAt || Date.parse(fault.expiresAt) > now
+    );
+    return faults;
+  };
+
+  meter
+    .createObservableGauge("faults_active", {
+      description: "Number of active fault injection rules",
+    })
+    .addCallback((result) => result.observe(active().length, { service }));
+
+  const publicView = ({ matcher, ...fault }) => fault;
+
+  const matching = (req) =>
+    active().filter(
+      ({ matcher }) =>
+        (matcher.method === "*" || matcher.method === req.method) &&
+        matcher.pattern.test(req.path)
+    );
+
+  /**
+   * Express middleware applying the faults that match the request.
+   * Anything that throws on the way (e.g. a buffer that cannot be
+   * allocated) goes to the error handler, not the process.
+   */
+  const middleware = asyncHandler(async (req, res, next) => {
+    if (EXEMPT_PATHS.some((pattern) => pattern.test(req.path))) return next();
+
+    const rules = matching(req);
+    if (rules.length === 0) return next();
+
+    const span = trace.getActiveSpan();
+    const applied = [];
+
+    const record = (fault, type, details = {}) => {
+      applied.push({ id: fault.id, type });
+      injected.add(1, { service, type });
+      span?.addEvent("fault.injected", {
+        "fault.id": fault.id,
+        "fault.type": type,
+        "fault.route": fault.route,
+        ...Object.fromEntries(
+          Object.entries(details).map(([key, value]) => [`fault.${key}`, value])
+        ),
+      });
+      span?.setAttributes({
+        "fault.injected": true,
+        "fault.ids": [...new Set(applied.map((item) => item.id))],
+        "fault.types": [...new Set(applied.map((item) => item.type))],
+      });
+      logger.warn("Injected fault", {
+        fault_id: fault.id,
+        fault_type: type,
+        fault_route: fault.route,
+        method: req.method,
+        path: req.path,
+        ...details,
+      });
+    };
+
+    // Mark the request so handlers/loggers can tell it was tampered with
+    req.faultsInjected = applied;
+    const proceed = (error) =>
+      context.with(
+        context.active().setValue(INJECTED_FAULTS_KEY, applied),
+        () => next(error)
+      );
+
+    for (const fault of rules) {
+      if (fault.cpu) {
+        record(fault, "cpu", { cpu_ms: fault.cpu.durationMs });
+        burnCpu(fault.cpu.durationMs);
+      }
+
+      if (fault.memory) {
+        const { mb, holdMs } = fault.memory;
+        const held = retain(Math.round(mb * 1024 * 1024), holdMs);
+        record(fault, "memory", {
+          memory_mb: mb,
+          ...(!held && { memory_capped: true }),
+        });
+      }
+
+      if (fault.latency) {
+        const delayMs = Math.round(sampleLatency(fault.latency));
+        record(fault, "latency", { delay_ms: delayMs });
+        try {
+          // Cut short by the request deadline (DEADLINE_EXCEEDED)
+          await sleep(delayMs);
+        } catch (error) {
+          return proceed(error);
+        }
+      }
+
+      if (fault.drop && Math.random() < fault.drop.rate) {
+        record(fault, "drop");
+        return req.socket.destroy();
+      }
+
+      if (fault.error && Math.random() < fault.error.rate) {
+        record(fault, "error", { status: fault.error.status });
+        return proceed(
+          httpError(fault.error.status, "FAULT_INJECTED", fault.error.message, {
+            fault_injected: true,
+            fault_id: fault.id,
+          })
+        );
+      }
+    }
+
+    proceed();
+  });
+
+  /**
+   * Registers GET/PUT/DELETE /admin/faults on an Express app.
+   */
+  const registerAdminRoutes = (app) => {
+    app.get("/admin/faults", (req, res) => {
+      res.json({ faults: active().map(publicView) });
+    });
+
+    app.put("/admin/faults", (req, res, next) => {
+      const rules = Array.isArray(req.body) ? req.body : req.body?.faults;
+      if (!Array.isArray(rules)) {
+        return next(
+          httpError(400, "INVALID_FAULT", 'Body must be { "faults": [ ... ] }')
+        );
+      }
+
+      try {
+        const now = Date.now();
+        faults = rules.map((rule) => normaliseFault(rule, now));
+      } catch (error) {
+        if (error.code === "INVALID_FAULT") {
+          return next(httpError(400, "INVALID_FAULT", error.message));
+        }
+        throw error;
+      }
+
+      logger.warn("Fault injection configured", {
+        faults: faults.map(publicView),
+      });
+      res.json({ faults: faults.map(publicView) });
+    });
+
+    app.delete("/admin/faults", (req, res) => {
+      const cleared = active().length;
+      faults = [];
+      logger.warn("Fault injection cleared", { cleared });
+      res.json({ faults: [], cleared });
+    });
+  };
+
+  return {
+    middleware,
+    registerAdminRoutes,
+    list: () => active().map(publicView),
+  };
+}
@@ -0,0 +1,278 @@
+/**
+ * ============================================================
+ * HEALTH - Liveness, readiness and dependency checks
+ * ============================================================
+ *
+ *   GET /livez    the process is up and answering → always 200
+ *   GET /readyz   ready for traffic → 200, else 503
+ *   GET /health   same as /livez (older probes and scripts)
+ *
+ * Liveness never looks at dependencies: restarting a service
+ * because payment-service is down would not bring it back.
+ *
+ * CHECKS (readiness):
+ *   { name: "order-store", critical: true, run: async ({ signal }) => details }
+ * A check passes when run() resolves (the value is reported as
+ * `details`) and fails when it throws or takes longer than
+ * timeoutMs (`signal` aborts then). The service is:
+ *   ready     every check passes
+ *   degraded  only non-critical checks fail (still 200)
+ *   unready   a critical check fails (503)
+ *   draining  drain() was called: shutting down (503)
+ *
+ * Results are cached for cacheMs and probes arriving together share
+ * one run, so a busy probe cannot hammer the dependencies. Checks
+ * also refresh every intervalMs in the background, so the metrics
+ * exist without a prober.
+ *
+ * httpCheck() checks a downstream service's /livez, not /readyz:
+ * one unready service should not take the whole chain out of
+ * rotation.
+ *
+ * REPORT (/readyz):
+ *   { "status": "degraded", "service": "order-service",
+ *     "checks": { "payment-service": { "status": "pass", "critical": true,
+ *                   "durationMs": 3, "checkedAt": "...", "details": {...} },
+ *                 "telemetry": { "status": "fail", "critical": false,
+ *                   "error": "traces: ..." } } }
+ *
+ * OBSERVABILITY:
+ * - Metrics: health_check_duration{service, check, status} (ms),
+ *   health_check_status{service, check} (1 pass, 0 fail),
+ *   health_ready{service} (1 ready or degraded, 0 otherwise)
+ * - Warn log "Health check failing" when a check starts failing,
+ *   info "Health check recovered" when it passes again
+ * Checks run with tracing suppressed: probes every few seconds
+ * would otherwise bury the real traces in Tempo.
+ * ============================================================
+ */
+
+import { performance } from "node:perf_hooks";
+import { context } from "@opentelemetry/api";
+import { suppressTracing } from "@opentelemetry/core";
+
+const DEFAULT_CACHE_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_INTERVAL_MS = 15_000;
+
+const SERVING = ["ready", "degraded"];
+
+/**
+ * Runs check.run() with an AbortSignal, rejecting after timeoutMs.
+ */
+const runWithTimeout = (check, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`timed out after ${timeoutMs}ms`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([
+    Promise.resolve().then(() => check.run({ signal: controller.signal })),
+    timeout,
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check that a downstream service answers GET <baseUrl><path>.
+ *
+ * @param {string} name - e.g. "payment-service"
+ * @param {string} baseUrl - e.g. "http://payment-service:8002"
+ * @param {{ path?: string, critical?: boolean }} [options]
+ */
+export const httpCheck = (
+  name,
+  baseUrl,
+  { path = "/livez", critical = true } = {}
+) => ({
+  name,
+  critical,
+  run: async ({ signal }) => {
+    const response = await fetch(new URL(path, baseUrl), { signal });
+    if (!response.ok) throw new Error(`${path} answered ${response.status}`);
+    return { url: baseUrl };
+  },
+});
+
+/**
+ * Creates the health endpoints of a service.
+ *
+ * @param {object} options
+ * @param {string} options.service - metric label, reported as `service`
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {{ name: string, critical?: boolean, run: Function }[]} [options.checks]
+ * @param {number} [options.cacheMs] - how long a result is reused
+ * @param {number} [options.timeoutMs] - per check
+ * @param {number} [options.intervalMs] - background refresh
+ */
+export function createHealthChecks({
+  service,
+  meter,
+  logger,
+  checks = [],
+  cacheMs = DEFAULT_CACHE_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  intervalMs = DEFAULT_INTERVAL_MS,
+}) {
+  const all = checks.map((check) => ({ critical: true, ...check }));
+  const results = new Map(); // name → last result
+  const running = new Map(); // name → promise of the run in progress
+  let draining = false;
+  let readiness = "unknown";
+
+  const duration = meter.createHistogram("health_check_duration", {
+    description: "Time taken by each readiness check, by outcome",
+    unit: "ms",
+  });
+  meter
+    .createObservableGauge("health_check_status", {
+      description: "Last result of each readiness check (1 pass, 0 fail)",
+    })
+    .addCallback((result) => {
+      for (const [check, { status }] of results) {
+        result.observe(status === "pass" ? 1 : 0, { service, check });
+      }
+    });
+  meter
+    .createObservableGauge("health_ready", {
+      description: "1 while the service reports ready (or degraded)",
+    })
+    .addCallback((result) => {
+      result.observe(SERVING.includes(readiness) ? 1 : 0, { service });
+    });
+
+  const record = (check, result) => {
+    duration.record(result.durationMs, {
+      service,
+      check: check.name,
+      status: result.status,
+    });
+
+    const previous = results.get(check.name);
+    if (result.status === "fail" && previous?.status !== "fail") {
+      logger.warn("Health check failing", {
+        check: check.name,
+        critical: check.critical,
+        error: result.error,
+      });
+    } else if (result.status === "pass" && previous?.status === "fail") {
+      logger.info("Health check recovered", { check: check.name });
+    }
+    results.set(check.name, result);
+  };
+
+  /**
+   * The cached result of `check`, or a fresh one.
+   */
+  const resultOf = (check) => {
+    const cached = results.get(check.name);
+    if (cached && Date.now() - cached.at < cacheMs) return cached;
+    if (running.has(check.name)) return running.get(check.name);
+
+    const startedAt = performance.now();
+    const run = context
+      .with(suppressTracing(context.active()), () =>
+        runWithTimeout(check, timeoutMs)
+      )
+      .then(
+        (details) => ({ status: "pass", ...(details && { details }) }),
+        (error) => ({ status: "fail", error: error.message })
+      )
+      .then(({ status, ...outcome }) => {
+        const result = {
+          status,
+          critical: check.critical,
+          durationMs: Math.round(performance.now() - startedAt),
+          checkedAt: new Date().toISOString(),
+          ...outcome,
+          at: Date.now(),
+        };
+        record(check, result);
+        running.delete(check.name);
+        return result;
+      });
+
+    running.set(check.name, run);
+    return run;
+  };
+
+  /**
+   * Runs (or reuses) every check and returns the readiness report.
+   */
+  const report = async () => {
+    const entries = await Promise.all(
+      all.map(async (check) => [check.name, await resultOf(check)])
+    );
+    const failing = entries.filter(([, result]) => result.status === "fail");
+
+    const critical = failing.some(([, result]) => result.critical);
+
+    if (draining) readiness = "draining";
+    else if (critical) readiness = "unready";
+    else if (failing.length > 0) readiness = "degraded";
+    else readiness = "ready";
+
+    return {
+      status: readiness,
+      service,
+      checks: Object.fromEntries(
+        entries.map(([name, { at, ...result }]) => [name, result])
+      ),
+    };
+  };
+
+  const startedAt = Date.now();
+
+  const livez = (req, res) => {
+    res.set("Cache-Control", "no-store").json({
+      status: "ok",
+      service,
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    });
+  };
+
+  const readyz = async (req, res, next) => {
+    try {
+      const body = await report();
+      res
+        .set("Cache-Control", "no-store")
+        .status(SERVING.includes(body.status) ? 200 : 503)
+        .json(body);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Registers GET /livez, /readyz and /health and starts the
+   * background refresh.
+   *
+   * @param {import("express").Express} app
+   */
+  const register = (app) => {
+    app.get("/livez", livez);
+    app.get("/health", livez);
+    app.get("/readyz", readyz);
+
+    report();
+    setInterval(report, intervalMs).unref();
+  };
+
+  /**
+   * Fails readiness from now on, so the load balancer stops sending
+   * traffic while the requests in flight finish.
+   */
+  const drain = () => {
+    if (draining) return;
+    draining = true;
+    readiness = "draining";
+    logger.info("Draining: readiness now fails");
+  };
+
+  return { register, report, drain, isDraining: () => draining };
+}
@@ -0,0 +1,229 @@
+/**
+ * ============================================================
+ * IDEMPOTENCY-KEY MIDDLEWARE
+ * ============================================================
+ *
+ * Clients (and our own retries) may send the same POST twice.
+ * With an `Idempotency-Key` header the first response is stored
+ * and replayed for repeats, so a retry never creates a second
+ * order or a second charge.
+ *
+ * RULES (per key, scoped to the caller + method + path; errors use
+ * the shared envelope from errors.js):
+ *   first request               → processed, response stored
+ *   same key, same body         → stored response replayed
+ *   same key, different body    → 422 Unprocessable Entity
+ *   same key, still in progress → 409 Conflict, Retry-After: 1
+ *
+ * 5xx responses are NOT stored, so the client can retry them.
+ *
+ * The caller is req.auth.clientId (auth.js; internal calls carry the
+ * client they act for in X-Client-Id): keys are picked by clients,
+ * so two clients choosing the same key must not see each other's
+ * responses.
+ *
+ * OBSERVABILITY:
+ * - Span attributes: idempotency.key, idempotency.replayed
+ * - Counter: http_idempotent_requests{service, outcome}
+ *   outcome = stored | replayed | conflict | in_flight
+ * ============================================================
+ */
+
+import { createHash } from "node:crypto";
+import { trace } from "@opentelemetry/api";
+
+import { httpError } from "./errors.js";
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const REPLAYED_HEADER = "Idempotent-Replayed";
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// When a repeat of a request still in progress is told to come back
+const IN_PROGRESS_RETRY_AFTER_MS = 1000;
+
+/**
+ * JSON with sorted object keys, so {a,b} and {b,a} fingerprint the same.
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const fingerprint = (body) =>
+  createHash("sha256").update(canonicalJson(body)).digest("hex");
+
+/**
+ * In-memory key store with expiry. Entries live for `ttlMs`.
+ * Replace with a shared store (e.g. Redis) when running several replicas.
+ */
+export function createMemoryIdempotencyStore({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      sweep();
+      return entries.get(key) || null;
+    },
+
+    async set(key, entry) {
+      entries.set(key, { ...entry, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Express middleware honouring the Idempotency-Key header.
+ *
+ * @param {object} options
+ * @param {string} options.service - service label for the counter
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} [options.logger]
+ * @param {object} [options.store] - get/set/delete, defaults to in-memory
+ */
+export function idempotency({
+  service,
+  meter,
+  logger,
+  store = createMemoryIdempotencyStore(),
+}) {
+  const requests = meter.createCounter("http_idempotent_requests", {
+    description:
+      "Requests carrying an Idempotency-Key, by outcome (stored, replayed, conflict, in_flight)",
+  });
+
+  const count = (outcome) => requests.add(1, { service, outcome });
+
+  const middleware = async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(
+        httpError(
+          400,
+          "INVALID_IDEMPOTENCY_KEY",
+          `${IDEMPOTENCY_HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+        )
+      );
+    }
+
+    const span = trace.getActiveSpan();
+    span?.setAttribute("idempotency.key", key);
+
+    const caller = req.auth?.clientId ?? "anonymous";
+    const scopedKey = `${caller} ${req.method} ${req.baseUrl}${req.path} ${key}`;
+    const requestHash = fingerprint(req.body);
+    const existing = await store.get(scopedKey);
+
+    if (existing) {
+      if (existing.fingerprint !== requestHash) {
+        count("conflict");
+        logger?.warn("Idempotency key reused with a different body", {
+          idempotency_key: key,
+        });
+        return next(
+          httpError(
+            422,
+            "IDEMPOTENCY_KEY_REUSED",
+            `${IDEMPOTENCY_HEADER} was already used with a different request body`
+          )
+        );
+      }
+
+      if (existing.state === "in_progress") {
+        count("in_flight");
+        logger?.warn("Duplicate request while original is in progress", {
+          idempotency_key: key,
+        });
+        // Retry-After: createHttpClient() retries after it
+        return next(
+          Object.assign(
+            httpError(
+              409,
+              "IDEMPOTENCY_KEY_IN_USE",
+              `A request with this ${IDEMPOTENCY_HEADER} is still being processed`
+            ),
+            { retryAfterMs: IN_PROGRESS_RETRY_AFTER_MS }
+          )
+        );
+      }
+
+      count("replayed");
+      span?.setAttribute("idempotency.replayed", true);
+      logger?.info("Replaying stored response", {
+        idempotency_key: key,
+        status_code: existing.statusCode,
+      });
+      res.set(REPLAYED_HEADER, "true");
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    span?.setAttribute("idempotency.replayed", false);
+    await store.set(scopedKey, {
+      state: "in_progress",
+      fingerprint: requestHash,
+    });
+
+    // Capture the JSON response so it can be replayed later
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      if (res.statusCode < 500) {
+        count("stored");
+        store.set(scopedKey, {
+          state: "completed",
+          fingerprint: requestHash,
+          statusCode: res.statusCode,
+          body,
+        });
+      } else {
+        store.delete(scopedKey);
+      }
+      return json(body);
+    };
+
+    // Client went away or the handler never answered with JSON: release the key
+    res.on("close", () => {
+      if (!settled) store.delete(scopedKey);
+    });
+
+    next();
+  };
+
+  // Picked up by the OpenAPI document of every route using it
+  middleware.openapi = {
+    parameters: [
+      {
+        name: IDEMPOTENCY_HEADER,
+        in: "header",
+        required: false,
+        description: "Repeats with the same key replay the first response",
+        schema: { type: "string", maxLength: MAX_KEY_LENGTH },
+      },
+    ],
+    responses: {
+      409: "Same key still in progress (IDEMPOTENCY_KEY_IN_USE)",
+      422: "Same key used with a different body (IDEMPOTENCY_KEY_REUSED)",
+    },
+  };
+
+  return middleware;
+}
@@ -0,0 +1,62 @@
+/**
+ * ============================================================
+ * @lgtm/http - Shared HTTP building blocks
+ * ============================================================
+ *
+ * Express middleware and helpers used by more than one service.
+ * Telemetry setup lives in @lgtm/telemetry; this package only
+ * takes a meter/logger from the caller.
+ * ============================================================
+ */
+
+export {
+  idempotency,
+  createMemoryIdempotencyStore,
+  IDEMPOTENCY_HEADER,
+} from "./idempotency.js";
+
+export {
+  createHttpClient,
+  resolveClientDefaults,
+  statusForClientError,
+} from "./client.js";
+export {
+  createDeadlines,
+  activeDeadline,
+  checkDeadline,
+  deadlineExceeded,
+  expireDeadline,
+  remainingMs,
+  sleep,
+  withoutDeadline,
+  DEADLINE_HEADER,
+  DEADLINE_KEY,
+} from "./deadline.js";
+export {
+  createAuthenticator,
+  createAuthenticatorFromEnv,
+  activeIdentity,
+  loadApiKeys,
+  loadJwks,
+  verifyJwt,
+  API_KEY_HEADER,
+  AUTH_KEY,
+  CLIENT_ID_HEADER,
+  SERVICE_TOKEN_HEADER,
+} from "./auth.js";
+export { createRateLimiter } from "./rate-limit.js";
+export { createHealthChecks, httpCheck } from "./health.js";
+export { createCircuitBreaker, BREAKER_STATE } from "./circuit-breaker.js";
+export { createFaultInjector, INJECTED_FAULTS_KEY } from "./faults.js";
+export { registerRuntimeAdmin } from "./runtime-admin.js";
+export { createEventStreams } from "./sse.js";
+export {
+  httpError,
+  fromClientError,
+  toErrorEnvelope,
+  errorHandler,
+  notFoundHandler,
+  asyncHandler,
+} from "./errors.js";
+export { createValidator } from "./validation.js";
+export { createApiDocs, ERROR_ENVELOPE_SCHEMA } from "./openapi.js";
@@ -0,0 +1,300 @@
+/**
+ * ============================================================
+ * OPENAPI - API documents built from the routes themselves
+ * ============================================================
+ *
+ * Each documented route declares its request schemas and responses
+ * in one place, which is also what validates its requests:
+ *
+ *   app.get("/orders/:id",
+ *     docs.operation({
+ *       summary: "Fetch one order",
+ *       params: orderIdParams,
+ *       responses: { 200: { description: "The order", schema: order },
+ *                    404: "Order not found" },
+ *     }),
+ *     handler);
+ *
+ * docs.serve(app), called after the last route, walks the Express
+ * router and builds an OpenAPI 3.1 document from what it finds, so
+ * paths and methods always match what is really registered:
+ *
+ *   GET /openapi.json   → the document
+ *   GET /docs           → Swagger UI for it
+ *
+ * Routes under `prefix` without docs.operation() are logged at warn
+ * ("Route missing from OpenAPI document") at startup.
+ *
+ * RESPONSES:
+ * { description, schema } for JSON bodies; a plain string stands for
+ * an error envelope (see errors.js). { description, contentType,
+ * schema? } documents another media type, e.g. "text/event-stream"
+ * with the schema of each event's data (see sse.js). Every operation also gets 400
+ * when it validates input, and a "default" error envelope.
+ * Other middleware can add parameters/responses to the routes using
+ * it through an `openapi` property (see idempotency.js), and
+ * security requirements with their schemes (see auth.js).
+ * ============================================================
+ */
+
+const OPENAPI_VERSION = "3.1.0";
+const SWAGGER_UI_URL = "https://unpkg.com/swagger-ui-dist@5";
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// { code, message, details?, trace_id? } - see errors.js
+export const ERROR_ENVELOPE_SCHEMA = Object.freeze({
+  type: "object",
+  required: ["code", "message"],
+  additionalProperties: false,
+  properties: {
+    code: { type: "string", examples: ["VALIDATION_FAILED"] },
+    message: { type: "string" },
+    details: { description: "Code-specific details" },
+    trace_id: { type: "string", pattern: "^[0-9a-f]{32}$" },
+  },
+});
+
+const jsonContent = (schema) => ({ "application/json": { schema } });
+
+const toResponse = (response) => {
+  if (typeof response === "string") {
+    return {
+      description: response,
+      content: jsonContent(ERROR_ENVELOPE_SCHEMA),
+    };
+  }
+  const { description, contentType, schema } = response;
+  if (contentType) {
+    return {
+      description,
+      content: { [contentType]: schema ? { schema } : {} },
+    };
+  }
+  return { description, ...(schema && { content: jsonContent(schema) }) };
+};
+
+/**
+ * "/orders/:id/cancel" → "/orders/{id}/cancel"
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const toParameters = (location, schema) =>
+  Object.entries(schema?.properties ?? {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required ?? []).includes(name),
+    schema: property,
+  }));
+
+/**
+ * Route params without a params schema are still documented (as strings).
+ */
+const pathParameters = (path, schema) => {
+  const declared = toParameters("path", schema);
+  const undeclared = [...path.matchAll(/:(\w+)/g)]
+    .map((match) => match[1])
+    .filter((name) => !declared.some((parameter) => parameter.name === name))
+    .map((name) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    }));
+  return [...declared, ...undeclared];
+};
+
+/**
+ * `{ method, path, handlers }` for every route registered on the app.
+ */
+const listRoutes = (app) =>
+  (app._router?.stack ?? [])
+    .filter((layer) => layer.route && typeof layer.route.path === "string")
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods)
+        .filter((method) => METHODS.includes(method))
+        .map((method) => ({
+          method,
+          path: layer.route.path,
+          handlers: layer.route.stack.map((entry) => entry.handle),
+        }))
+    );
+
+/**
+ * Creates the docs for one service.
+ *
+ * @param {object} options
+ * @param {string} options.title - e.g. "Order Service API"
+ * @param {string} options.version - API (service) version
+ * @param {string} [options.description]
+ * @param {string} options.prefix - routes that must be documented, e.g. "/orders"
+ * @param {Function} options.validate - from createValidator()
+ * @param {import("winston").Logger} options.logger
+ */
+export function createApiDocs({
+  title,
+  version,
+  description,
+  prefix,
+  validate,
+  logger,
+}) {
+  let document = null;
+
+  /**
+   * Documents a route and validates its params/query/body.
+   *
+   * @param {object} spec
+   * @param {string} spec.summary
+   * @param {string} [spec.description]
+   * @param {string[]} [spec.tags]
+   * @param {object} [spec.params] - JSON Schema (object) for route params
+   * @param {object} [spec.query] - JSON Schema (object) for the query string
+   * @param {object} [spec.headers] - JSON Schema (object), documented only
+   * @param {object} [spec.body] - JSON Schema for the JSON body
+   * @param {Record<string, string | { description: string, contentType?: string, schema?: object }>} spec.responses
+   */
+  const operation = (spec) => {
+    const { params, query, body } = spec;
+    const middleware =
+      params || query || body
+        ? validate({ params, query, body })
+        : (req, res, next) => next();
+
+    middleware.openapi = { operation: spec };
+    return middleware;
+  };
+
+  const buildOperation = (path, spec, extras) => {
+    const validates = Boolean(spec.params || spec.query || spec.body);
+
+    const responses = Object.fromEntries(
+      Object.entries({
+        ...(validates && { 400: "Invalid request (VALIDATION_FAILED)" }),
+        ...Object.assign({}, ...extras.map((extra) => extra.responses)),
+        ...spec.responses,
+        default: "Error",
+      }).map(([status, response]) => [status, toResponse(response)])
+    );
+
+    const parameters = [
+      ...pathParameters(path, spec.params),
+      ...toParameters("query", spec.query),
+      ...toParameters("header", spec.headers),
+      ...extras.flatMap((extra) => extra.parameters ?? []),
+    ];
+
+    const security = extras.flatMap((extra) => extra.security ?? []);
+
+    return {
+      summary: spec.summary,
+      ...(spec.description && { description: spec.description }),
+      ...(spec.tags && { tags: spec.tags }),
+      ...(security.length > 0 && { security }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(spec.body && {
+        requestBody: {
+          required: (spec.body.required ?? []).length > 0,
+          content: jsonContent(spec.body),
+        },
+      }),
+      responses,
+    };
+  };
+
+  const build = (app) => {
+    const paths = {};
+    const securitySchemes = {};
+    const missing = [];
+
+    for (const { method, path, handlers } of listRoutes(app)) {
+      const annotations = handlers
+        .map((handler) => handler.openapi)
+        .filter(Boolean);
+      const spec = annotations.find(
+        (annotation) => annotation.operation
+      )?.operation;
+
+      if (!spec) {
+        if (path.startsWith(prefix)) {
+          missing.push(`${method.toUpperCase()} ${path}`);
+        }
+        continue;
+      }
+
+      const extras = annotations.filter((annotation) => !annotation.operation);
+      for (const extra of extras) {
+        Object.assign(securitySchemes, extra.securitySchemes);
+      }
+      const openApiPath = toOpenApiPath(path);
+      paths[openApiPath] = {
+        ...paths[openApiPath],
+        [method]: buildOperation(path, spec, extras),
+      };
+    }
+
+    for (const route of missing) {
+      logger.warn("Route missing from OpenAPI document", { route });
+    }
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: { title, version, ...(description && { description }) },
+      paths,
+      ...(Object.keys(securitySchemes).length > 0 && {
+        components: { securitySchemes },
+      }),
+    };
+  };
+
+  /**
+   * Builds the document and registers GET /openapi.json and GET /docs.
+   * Call after the last documented route, before notFoundHandler().
+   */
+  const serve = (app) => {
+    document = build(app);
+
+    app.get("/openapi.json", (req, res) => {
+      res.json(document);
+    });
+
+    app.get("/docs", (req, res) => {
+      res.type("html").send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui" });
+    </script>
+  </body>
+</html>
+`);
+    });
+  };
+
+  /**
+   * "METHOD /path" → summary, for every documented operation.
+   */
+  const endpoints = () =>
+    Object.fromEntries(
+      Object.entries(document?.paths ?? {}).flatMap(([path, operations]) =>
+        Object.entries(operations).map(([method, op]) => [
+          `${method.toUpperCase()} ${path}`,
+          op.summary,
+        ])
+      )
+    );
+
+  return {
+    operation,
+    serve,
+    endpoints,
+    document: () => document,
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * ============================================================
+ * RATE LIMITING & LOAD SHEDDING - Say no before doing the work
+ * ============================================================
+ *
+ * A burst from one client should slow down that client, not every
+ * service behind the gateway. Two independent guards:
+ *
+ * RATE LIMITS (429 RATE_LIMITED):
+ * A token bucket per client: `burst` tokens, refilled at `rate` per
+ * second, one token per request. The client is the authenticated
+ * client ID (auth.js), else the caller's IP. At most `maxBuckets`
+ * are kept, the least recently used dropped first.
+ *   - limiter.middleware   the service-wide limit, every request;
+ *                          an API key's "rateLimit" replaces it for
+ *                          that client
+ *   - limiter.route(limit) an extra limit for one route, with its
+ *                          own buckets:
+ *       app.post("/api/order", auth.require(...), limiter.route({ rate: 10, burst: 20 }), ...)
+ *
+ * Every limited response carries the bucket of the limit checked
+ * last (IETF RateLimit header fields draft):
+ *   RateLimit-Limit      bucket size (burst)
+ *   RateLimit-Remaining  tokens left
+ *   RateLimit-Reset      seconds until the bucket is full again
+ * and a 429 adds Retry-After (seconds until the next token).
+ *
+ * LOAD SHEDDING (503 OVERLOADED):
+ * limiter.shed rejects any request arriving while `maxConcurrent`
+ * requests are already in flight, before authentication or any
+ * other work, with Retry-After: 1.
+ *
+ * Neither applies to the probes (/livez, /readyz, /health) or
+ * /admin, so probes and operators still get through an overload.
+ *
+ * OBSERVABILITY:
+ * - Metric: http_requests_rejected{service, reason, limit}
+ *   reason = rate_limited | overloaded; limit = default, client (the
+ *   key's own), the route ("POST /api/order") or concurrency
+ * - Request span: rejected.reason
+ * - Warn log "Request rejected" with reason, limit and retry_after_s
+ * ============================================================
+ */
+
+import { trace } from "@opentelemetry/api";
+
+import { httpError, toErrorEnvelope } from "./errors.js";
+
+// Probes and the admin API are never limited
+const EXEMPT_PATHS = [/^\/admin(\/|$)/, /^\/(health|livez|readyz)$/];
+
+// Buckets kept; past that the least recently used one is dropped
+const MAX_BUCKETS = 10_000;
+
+const isExempt = (req) => EXEMPT_PATHS.some((path) => path.test(req.path));
+
+/**
+ * Token buckets, keyed by limit and client, at most `maxBuckets` of
+ * them. A client whose bucket was dropped starts over with a full one.
+ */
+const createBuckets = (maxBuckets) => {
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(
+      bucket.burst,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate
+    );
+    bucket.updatedAt = now;
+  };
+
+  /**
+   * Takes one token from the bucket `key`, if there is one. A bucket
+   * whose limit changed starts over with the new one.
+   *
+   * @param {string} key
+   * @param {{ rate: number, burst: number }} limit
+   */
+  const take = (key, { rate, burst }) => {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (bucket?.rate === rate && bucket.burst === burst) {
+      refill(bucket, now);
+    } else {
+      bucket = { rate, burst, tokens: burst, updatedAt: now };
+    }
+    // Re-inserted on every use, so the Map's first key is the least
+    // recently used one
+    buckets.delete(key);
+    buckets.set(key, bucket);
+    if (buckets.size > maxBuckets) buckets.delete(buckets.keys().next().value);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((burst - bucket.tokens) / rate),
+      retryAfterSeconds: allowed
+        ? 0
+        : Math.max(1, Math.ceil((1 - bucket.tokens) / rate)),
+    };
+  };
+
+  return { take };
+};
+
+/**
+ * { rate, burst } with burst defaulting to twice the rate, or null
+ * when the limit is off (no rate or rate 0).
+ */
+const normalizeLimit = (limit) => {
+  const rate = Number(limit?.rate);
+  if (!rate || rate < 0) return null;
+  const burst = Math.max(1, Math.floor(Number(limit.burst) || rate * 2));
+  return { rate, burst };
+};
+
+/**
+ * Creates the rate limiter and load shedder of a service.
+ *
+ * @param {object} options
+ * @param {string} options.service - metric label
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {{ rate: number, burst?: number }} [options.limit] - per client,
+ *   requests/second and bucket size; no rate = no service-wide limit
+ * @param {number} [options.maxConcurrent] - in-flight requests before
+ *   shedding; 0 or unset = never shed
+ * @param {number} [options.maxBuckets] - client buckets kept, least
+ *   recently used dropped first (default 10,000)
+ */
+export function createRateLimiter({
+  service,
+  meter,
+  logger,
+  limit,
+  maxConcurrent = 0,
+  maxBuckets = MAX_BUCKETS,
+}) {
+  const rejected = meter.createCounter("http_requests_rejected", {
+    description:
+      "Requests rejected before being handled, by reason (rate_limited, overloaded) and limit",
+  });
+
+  const clientOf = (req) =>
+    req.auth?.clientId ? `client:${req.auth.clientId}` : `ip:${req.ip}`;
+
+  /**
+   * Answers the request right away: nothing else runs for it.
+   */
+  const reject = (req, res, error, { reason, limit: limitName }) => {
+    rejected.add(1, { service, reason, limit: limitName });
+    trace.getActiveSpan()?.setAttribute("rejected.reason", reason);
+    logger.warn("Request rejected", {
+      method: req.method,
+      path: req.path,
+      reason,
+      limit: limitName,
+      retry_after_s: error.retryAfterSeconds,
+    });
+
+    const { status, body } = toErrorEnvelope(error);
+    res
+      .set("Retry-After", String(error.retryAfterSeconds))
+      .status(status)
+      .json(body);
+  };
+
+  const buckets = createBuckets(maxBuckets);
+
+  /**
+   * Takes a token from the client's bucket of `limit` and calls
+   * next(), or answers 429. `name` is the limit's metric label.
+   */
+  const check = (req, res, next, limit, name) => {
+    if (isExempt(req)) return next();
+
+    const result = buckets.take(`${name} ${clientOf(req)}`, limit);
+    res.set({
+      "RateLimit-Limit": String(limit.burst),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.resetSeconds),
+    });
+    if (result.allowed) return next();
+
+    const error = Object.assign(
+      httpError(429, "RATE_LIMITED", "Too many requests, slow down", {
+        limit: name,
+        retryAfterSeconds: result.retryAfterSeconds,
+      }),
+      { retryAfterSeconds: result.retryAfterSeconds }
+    );
+    reject(req, res, error, { reason: "rate_limited", limit: name });
+  };
+
+  const defaultLimit = normalizeLimit(limit);
+
+  /**
+   * App-level middleware: the service-wide limit, or the client's
+   * own (rateLimit of its API key). Register it after the
+   * authentication middleware, so clients are told apart by ID.
+   */
+  const middleware = (req, res, next) => {
+    const own = normalizeLimit(req.auth?.rateLimit);
+    if (own) return check(req, res, next, own, "client");
+    if (!defaultLimit) return next();
+    check(req, res, next, defaultLimit, "default");
+  };
+
+  /**
+   * Extra limit for one route, checked after the service-wide one.
+   *
+   * @param {{ rate: number, burst?: number }} routeLimit
+   */
+  const route = (routeLimit) => {
+    const normalized = normalizeLimit(routeLimit);
+
+    const middleware = (req, res, next) => {
+      if (!normalized) return next();
+      const name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      check(req, res, next, normalized, name);
+    };
+
+    // Picked up by createApiDocs() for the routes using it
+    middleware.openapi = normalized && {
+      responses: {
+        429: `More than ${normalized.rate} requests/s (burst ${normalized.burst}) from this client (RATE_LIMITED)`,
+      },
+    };
+
+    return middleware;
+  };
+
+  let inFlight = 0;
+
+  /**
+   * App-level middleware shedding load above maxConcurrent in-flight
+   * requests. Register it first, so a rejected request costs nothing.
+   */
+  const shed = (req, res, next) => {
+    if (!maxConcurrent || isExempt(req)) return next();
+
+    if (inFlight >= maxConcurrent) {
+      const error = Object.assign(
+        httpError(503, "OVERLOADED", "Server overloaded, retry later", {
+          maxConcurrent,
+        }),
+        { retryAfterSeconds: 1 }
+      );
+      return reject(req, res, error, {
+        reason: "overloaded",
+        limit: "concurrency",
+      });
+    }
+
+    inFlight++;
+    // "close" also fires when the caller hangs up before the answer
+    res.once("close", () => inFlight--);
+    next();
+  };
+
+  return { middleware, route, shed };
+}
@@ -0,0 +1,77 @@
+/**
+ * ============================================================
+ * RUNTIME ADMIN - Log levels and trace sampling without restarts
+ * ============================================================
+ *
+ * Admin API over the runtime controls of @lgtm/telemetry
+ * (log-levels.js, sampling.js):
+ *
+ *   GET    /admin/log-levels   → service and module levels
+ *   PUT    /admin/log-levels   → { "level": "debug", "module": "saga", "ttlSeconds": 300 }
+ *                                (no module = the whole service)
+ *   DELETE /admin/log-levels   → back to LOG_LEVEL (?module=saga: that module only)
+ *
+ *   GET    /admin/sampling     → current and startup sampler
+ *   PUT    /admin/sampling     → { "sampler": "parentbased_traceidratio", "ratio": 0.1 }
+ *   DELETE /admin/sampling     → back to the startup sampler
+ *
+ * Invalid changes answer 400 INVALID_RUNTIME_CONFIG. Protect /admin
+ * before registering (auth.require("admin") at the gateway); every
+ * change is logged with the caller's client_id and counted.
+ * ============================================================
+ */
+
+import { httpError } from "./errors.js";
+
+/**
+ * Runs `change`, turning invalid input into 400 INVALID_RUNTIME_CONFIG.
+ */
+const apply = (res, next, change) => {
+  try {
+    res.json(change());
+  } catch (error) {
+    if (error.code !== "INVALID_RUNTIME_CONFIG") throw error;
+    next(httpError(400, "INVALID_RUNTIME_CONFIG", error.message));
+  }
+};
+
+/**
+ * Registers the /admin/log-levels and /admin/sampling routes.
+ *
+ * @param {import("express").Express} app
+ * @param {object} controls - `logLevels` and `sampling` of initTelemetry()
+ */
+export function registerRuntimeAdmin(app, { logLevels, sampling }) {
+  app.get("/admin/log-levels", (req, res) => {
+    res.json(logLevels.get());
+  });
+
+  app.put("/admin/log-levels", (req, res, next) => {
+    const { level, module, ttlSeconds } = req.body ?? {};
+    apply(res, next, () => logLevels.set({ level, module, ttlSeconds }));
+  });
+
+  app.delete("/admin/log-levels", (req, res, next) => {
+    const { module } = req.query;
+    apply(res, next, () => logLevels.reset({ module }));
+  });
+
+  app.get("/admin/sampling", (req, res) => {
+    res.json(sampling.get());
+  });
+
+  app.put("/admin/sampling", (req, res, next) => {
+    const { sampler, ratio } = req.body ?? {};
+    apply(res, next, () => {
+      sampling.set({ sampler, ratio });
+      return sampling.get();
+    });
+  });
+
+  app.delete("/admin/sampling", (req, res, next) => {
+    apply(res, next, () => {
+      sampling.reset();
+      return sampling.get();
+    });
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * ============================================================
+ * EVENT STREAMS - Server-Sent Events with heartbeats and resume
+ * ============================================================
+ *
+ *   const streams = createEventStreams({ service: "order-service", meter, logger });
+ *
+ *   app.get("/orders/events", (req, res) => {
+ *     const stream = streams.open(req, res, { name: "orders" });
+ *     for (const event of feed.since(stream.lastEventId)) stream.send(event);
+ *     stream.onClose(feed.subscribe((event) => stream.send(event)));
+ *   });
+ *
+ * WIRE FORMAT (text/event-stream), one blank line after each block:
+ *   retry: 2000                              reconnect delay for clients
+ *   id: 3f2a9c:17                            → Last-Event-ID on reconnect
+ *   event: order.status
+ *   data: {"orderId":"...","status":"paid"}
+ *   : heartbeat                              every heartbeatMs
+ *
+ * A client that reconnects sends the last id it saw in Last-Event-ID
+ * (stream.lastEventId); the route replays what came after it. The
+ * heartbeat comments let clients and proxies tell an idle stream from
+ * a dead one.
+ *
+ * An open stream's request deadline is disarmed (deadline.js): the
+ * stream lasts as long as the client listens.
+ *
+ * SHUTDOWN: an open stream is a request that never finishes, so
+ * closeAll() ends them all (a telemetry.shutdown onDrain hook);
+ * clients reconnect to another instance.
+ *
+ * METRICS:
+ * - event_streams_open{service, stream}     streams connected right now
+ * - event_stream_events{service, stream}    events sent
+ * ============================================================
+ */
+
+const DEFAULT_HEARTBEAT_MS = 15_000;
+const DEFAULT_RETRY_MS = 2000;
+
+/**
+ * @param {object} options
+ * @param {string} options.service
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ * @param {import("winston").Logger} options.logger
+ * @param {number} [options.heartbeatMs] - default EVENT_STREAM_HEARTBEAT_MS or 15000
+ */
+export function createEventStreams({
+  service,
+  meter,
+  logger,
+  heartbeatMs = Number(process.env.EVENT_STREAM_HEARTBEAT_MS) ||
+    DEFAULT_HEARTBEAT_MS,
+}) {
+  const openStreams = meter.createUpDownCounter("event_streams_open", {
+    description: "Server-Sent Event streams currently connected",
+  });
+  const sent = meter.createCounter("event_stream_events", {
+    description: "Events sent on Server-Sent Event streams",
+  });
+
+  const streams = new Set();
+
+  return {
+    /**
+     * Answers `req` with an event stream and keeps it open.
+     *
+     * @param {import("express").Request} req
+     * @param {import("express").Response} res
+     * @param {object} options
+     * @param {string} options.name - metric label, keep bounded
+     * @param {number} [options.retryMs] - client reconnect delay
+     */
+    open(req, res, { name, retryMs = DEFAULT_RETRY_MS }) {
+      const labels = { service, stream: name };
+      const closeHooks = [];
+      let closed = false;
+
+      res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // nginx and friends would buffer the stream otherwise
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${retryMs}\n\n`);
+      // Open for as long as the client listens: not a request the
+      // deadline should cut off (deadline.js)
+      req.deadline?.disarm();
+
+      const heartbeat = setInterval(
+        () => res.write(": heartbeat\n\n"),
+        heartbeatMs
+      ).unref();
+
+      const stream = {
+        lastEventId: req.get("Last-Event-ID") || undefined,
+
+        /**
+         * @param {{ id?: string, event?: string, data: unknown }} message
+         */
+        send({ id, event, data }) {
+          if (closed) return;
+          const lines = [
+            ...(id !== undefined ? [`id: ${id}`] : []),
+            ...(event ? [`event: ${event}`] : []),
+            // JSON has no raw newlines, so one data line is enough
+            `data: ${JSON.stringify(data)}`,
+          ];
+          res.write(`${lines.join("\n")}\n\n`);
+          sent.add(1, labels);
+        },
+
+        onClose(hook) {
+          closeHooks.push(hook);
+        },
+
+        close() {
+          if (!closed) res.end();
+        },
+      };
+
+      streams.add(stream);
+      openStreams.add(1, labels);
+      logger.debug("Event stream opened", {
+        stream: name,
+        last_event_id: stream.lastEventId,
+      });
+
+      res.on("close", () => {
+        closed = true;
+        clearInterval(heartbeat);
+        streams.delete(stream);
+        openStreams.add(-1, labels);
+        for (const hook of closeHooks) hook();
+        logger.debug("Event stream closed", { stream: name });
+      });
+
+      return stream;
+    },
+
+    /**
+     * Ends every open stream (graceful shutdown).
+     */
+    closeAll() {
+      for (const stream of streams) stream.close();
+    },
+
+    /** Streams open right now */
+    get count() {
+      return streams.size;
+    },
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * ============================================================
+ * IN-PROCESS BROKER - Stand-in for RabbitMQ (BROKER_URL=memory://)
+ * ============================================================
+ *
+ * Same contract as amqp.js, without a server: messages only reach
+ * subscribers in the same process. Meant for tests and for running
+ * a single service on its own; two services in different processes
+ * never see each other's messages.
+ *
+ * Delivery is asynchronous (never inside publish()) and a message
+ * whose handler fails is redelivered once, like the AMQP broker.
+ * ============================================================
+ */
+
+const copy = (message) => ({
+  ...message,
+  headers: { ...message.headers },
+  body: structuredClone(message.body),
+});
+
+export function createMemoryBroker() {
+  const subscriptions = new Map(); // topic → [{ group, handler }]
+
+  const deliver = (subscription, message, redelivered) => {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(() => subscription.handler(copy(message), { redelivered }))
+        .catch(() => {
+          if (!redelivered) deliver(subscription, message, true);
+        });
+    });
+  };
+
+  return {
+    system: "memory",
+
+    connected: () => true,
+
+    async publish(topic, message) {
+      for (const subscription of subscriptions.get(topic) ?? []) {
+        deliver(subscription, message, false);
+      }
+    },
+
+    async subscribe(topic, group, handler) {
+      subscriptions.set(topic, [
+        ...(subscriptions.get(topic) ?? []),
+        { group, handler },
+      ]);
+    },
+
+    async close() {
+      subscriptions.clear();
+    },
+  };
+}
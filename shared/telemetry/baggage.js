@@ -0,0 +1,200 @@
+/**
+ * ============================================================
+ * BAGGAGE - Customer attributes that follow the request
+ * ============================================================
+ *
+ * The gateway knows who is calling; order-service and
+ * payment-service do not. W3C baggage (the `baggage` header, next to
+ * traceparent) carries that knowledge down the chain:
+ *
+ *   client ──X-Tenant-Id: acme, X-Customer-Tier: premium──▶ gateway
+ *          ──baggage: tenant.id=acme,customer.tier=premium──▶ order-service
+ *          ──baggage: tenant.id=acme,customer.tier=premium──▶ payment-service
+ *
+ * ALLOW-LIST:
+ * Only these entries are ever copied onto telemetry, and only with
+ * a value from their list. Anything else becomes "other", so a
+ * caller cannot mint new label values:
+ *
+ *   key             span attribute   log field / metric label
+ *   tenant.id       tenant.id        tenant_id      BAGGAGE_TENANTS
+ *   customer.tier   customer.tier    customer_tier  free | standard
+ *                                                   | premium | enterprise
+ *
+ * BAGGAGE_TENANTS is a comma-separated list (default: the loadgen
+ * tenants). Other baggage entries still propagate, but are ignored.
+ *
+ * WHERE IT SHOWS UP:
+ * - Spans: BaggageSpanProcessor stamps the entries on every span
+ *   started in a context that carries them
+ * - Logs: tenant_id / customer_tier fields (traceContext format)
+ * - Metrics: baggageLabels() for business metrics
+ *
+ * UNTRUSTED INBOUND BAGGAGE:
+ * A public edge must not let clients pick their own tier. With
+ * initTelemetry({ trustInboundBaggage: false }) the `baggage` header
+ * of incoming requests is ignored; the service sets baggage itself
+ * (baggageMiddleware) and still sends it downstream.
+ * ============================================================
+ */
+
+import { context, propagation, trace } from "@opentelemetry/api";
+import {
+  CompositePropagator,
+  W3CBaggagePropagator,
+  W3CTraceContextPropagator,
+} from "@opentelemetry/core";
+
+const DEFAULT_TENANTS = ["acme", "globex", "initech", "umbrella"];
+
+const parseList = (raw) =>
+  raw
+    ?.split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/**
+ * key → { field, values }. `field` is the log field and metric label.
+ */
+export const BAGGAGE_ALLOW_LIST = Object.freeze({
+  "tenant.id": {
+    field: "tenant_id",
+    values: parseList(process.env.BAGGAGE_TENANTS) ?? DEFAULT_TENANTS,
+  },
+  "customer.tier": {
+    field: "customer_tier",
+    values: ["free", "standard", "premium", "enterprise"],
+  },
+});
+
+/**
+ * Maps a raw value onto the allow-list: a listed value, "other" for
+ * anything else, undefined when there is no value at all.
+ */
+export const allowedValue = (key, raw) => {
+  const value = typeof raw === "string" ? raw.trim().toLowerCase() : "";
+  if (!value) return undefined;
+  return BAGGAGE_ALLOW_LIST[key].values.includes(value) ? value : "other";
+};
+
+/**
+ * The allow-listed baggage of `ctx`, keyed by baggage key:
+ * { "tenant.id": "acme", "customer.tier": "premium" }.
+ */
+export const allowedBaggage = (ctx = context.active()) => {
+  const baggage = propagation.getBaggage(ctx);
+  const entries = {};
+  if (!baggage) return entries;
+
+  for (const key of Object.keys(BAGGAGE_ALLOW_LIST)) {
+    const value = allowedValue(key, baggage.getEntry(key)?.value);
+    if (value) entries[key] = value;
+  }
+  return entries;
+};
+
+/**
+ * Same entries, keyed by log field: { tenant_id, customer_tier }.
+ * Missing entries are left out.
+ */
+export const baggageFields = (ctx = context.active()) =>
+  Object.fromEntries(
+    Object.entries(allowedBaggage(ctx)).map(([key, value]) => [
+      BAGGAGE_ALLOW_LIST[key].field,
+      value,
+    ])
+  );
+
+/**
+ * Metric labels: every field, "unknown" when the request had none,
+ * so each series always has the same label set.
+ */
+export const baggageLabels = (ctx = context.active()) => {
+  const fields = baggageFields(ctx);
+  return Object.fromEntries(
+    Object.values(BAGGAGE_ALLOW_LIST).map(({ field }) => [
+      field,
+      fields[field] ?? "unknown",
+    ])
+  );
+};
+
+/**
+ * Span processor that copies the allow-listed baggage of the parent
+ * context onto each new span, then hands the span to `next` (the
+ * exporting processor).
+ */
+export class BaggageSpanProcessor {
+  /**
+   * @param {import("@opentelemetry/sdk-trace-base").SpanProcessor} next
+   */
+  constructor(next) {
+    this.next = next;
+  }
+
+  onStart(span, parentContext) {
+    span.setAttributes(allowedBaggage(parentContext));
+    this.next.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    this.next.onEnd(span);
+  }
+
+  forceFlush() {
+    return this.next.forceFlush();
+  }
+
+  shutdown() {
+    return this.next.shutdown();
+  }
+}
+
+/**
+ * W3C baggage that is sent downstream but never read from requests.
+ */
+class OutboundBaggagePropagator extends W3CBaggagePropagator {
+  extract(ctx) {
+    return ctx;
+  }
+}
+
+/**
+ * traceparent + baggage; inbound baggage is dropped unless trusted.
+ *
+ * @param {object} options
+ * @param {boolean} options.trustInbound
+ */
+export const createPropagator = ({ trustInbound }) =>
+  new CompositePropagator({
+    propagators: [
+      new W3CTraceContextPropagator(),
+      trustInbound
+        ? new W3CBaggagePropagator()
+        : new OutboundBaggagePropagator(),
+    ],
+  });
+
+/**
+ * Express middleware for the edge: puts the allow-listed entries
+ * returned by `fromRequest(req)` into the baggage of the request.
+ * The request span already started, so it gets them directly.
+ *
+ * @param {(req: import("express").Request) => Record<string, string|undefined>} fromRequest
+ */
+export const baggageMiddleware = (fromRequest) => (req, res, next) => {
+  const attributes = {};
+  for (const [key, raw] of Object.entries(fromRequest(req))) {
+    const value = key in BAGGAGE_ALLOW_LIST && allowedValue(key, raw);
+    if (value) attributes[key] = value;
+  }
+  if (Object.keys(attributes).length === 0) return next();
+
+  trace.getActiveSpan()?.setAttributes(attributes);
+
+  let baggage = propagation.getActiveBaggage() ?? propagation.createBaggage();
+  for (const [key, value] of Object.entries(attributes)) {
+    baggage = baggage.setEntry(key, { value });
+  }
+  context.with(propagation.setBaggage(context.active(), baggage), next);
+};
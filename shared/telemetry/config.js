@@ -0,0 +1,136 @@
+/**
+ * ============================================================
+ * TELEMETRY CONFIGURATION - OTEL_* environment variables
+ * ============================================================
+ *
+ * Every service resolves its telemetry settings the same way, so a
+ * new service only has to pass its name to initTelemetry().
+ *
+ * Supported variables (standard OpenTelemetry names):
+ *   OTEL_SERVICE_NAME            Overrides the service name passed in code
+ *   OTEL_RESOURCE_ATTRIBUTES     Extra resource attributes (key=value,...)
+ *   OTEL_EXPORTER_OTLP_ENDPOINT  Base OTLP/HTTP URL (e.g. http://alloy:4318)
+ *   OTEL_METRIC_EXPORT_INTERVAL  Metric export interval in milliseconds
+ *   OTEL_TRACES_SAMPLER          Startup sampler (see sampling.js), default
+ *                                parentbased_always_on
+ *   OTEL_TRACES_SAMPLER_ARG      Its ratio, for the *traceidratio samplers
+ *
+ * Also read:
+ *   SHUTDOWN_TIMEOUT_MS          Longest wait for requests in flight on
+ *                                SIGTERM/SIGINT (default 10000)
+ *
+ * OTLP_ENDPOINT is still honoured as a fallback for existing
+ * docker-compose and k8s manifests.
+ * ============================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { DEFAULT_SAMPLER, SAMPLERS } from "./sampling.js";
+
+const DEFAULT_OTLP_ENDPOINT = "http://alloy:4318";
+const DEFAULT_EXPORT_INTERVAL_MS = 5000;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10_000;
+
+/**
+ * Parses OTEL_RESOURCE_ATTRIBUTES ("k1=v1,k2=v2") into an object.
+ * Values are percent-decoded as required by the spec.
+ */
+export function parseResourceAttributes(raw = "") {
+  const attributes = {};
+
+  for (const pair of raw.split(",")) {
+    const index = pair.indexOf("=");
+    if (index <= 0) continue;
+
+    const key = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      attributes[key] = decodeURIComponent(value);
+    } catch {
+      attributes[key] = value;
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Reads the "version" field from the service's package.json.
+ * Services are started from their own directory (npm start / Docker WORKDIR).
+ */
+export function readPackageVersion(dir = process.cwd()) {
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(dir, "package.json"), "utf8")
+    );
+    return pkg.version || "0.0.0";
+  } catch {
+    return "0.0.0";
+  }
+}
+
+/**
+ * Builds the effective telemetry configuration for a service.
+ */
+export function resolveConfig({ serviceName, serviceVersion } = {}) {
+  const env = process.env;
+  const resourceAttributes = parseResourceAttributes(
+    env.OTEL_RESOURCE_ATTRIBUTES
+  );
+
+  const name =
+    env.OTEL_SERVICE_NAME || resourceAttributes["service.name"] || serviceName;
+
+  if (!name) {
+    throw new Error(
+      "initTelemetry requires a serviceName (or OTEL_SERVICE_NAME)"
+    );
+  }
+
+  const version =
+    resourceAttributes["service.version"] ||
+    serviceVersion ||
+    readPackageVersion();
+
+  const endpoint = (
+    env.OTEL_EXPORTER_OTLP_ENDPOINT ||
+    env.OTLP_ENDPOINT ||
+    DEFAULT_OTLP_ENDPOINT
+  ).replace(/\/+$/, "");
+
+  const interval = Number(env.OTEL_METRIC_EXPORT_INTERVAL);
+  const shutdownTimeout = Number(env.SHUTDOWN_TIMEOUT_MS);
+  const samplerRatio = Number(env.OTEL_TRACES_SAMPLER_ARG);
+
+  return {
+    serviceName: name,
+    serviceVersion: version,
+    resourceAttributes: {
+      ...resourceAttributes,
+      "service.name": name,
+      "service.version": version,
+    },
+    otlpEndpoint: endpoint,
+    metricExportIntervalMillis:
+      Number.isFinite(interval) && interval > 0
+        ? interval
+        : DEFAULT_EXPORT_INTERVAL_MS,
+    shutdownTimeoutMillis:
+      Number.isFinite(shutdownTimeout) && shutdownTimeout >= 0
+        ? shutdownTimeout
+        : DEFAULT_SHUTDOWN_TIMEOUT_MS,
+    sampler: {
+      sampler: SAMPLERS.includes(env.OTEL_TRACES_SAMPLER)
+        ? env.OTEL_TRACES_SAMPLER
+        : DEFAULT_SAMPLER,
+      ratio:
+        env.OTEL_TRACES_SAMPLER_ARG && samplerRatio >= 0 && samplerRatio <= 1
+          ? samplerRatio
+          : 1,
+    },
+    logLevel: env.LOG_LEVEL || "info",
+    environment: env.NODE_ENV || "development",
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * ============================================================
+ * EXPORTER HEALTH - Is telemetry actually leaving the process?
+ * ============================================================
+ *
+ * The OTLP exporters fail quietly: spans and metrics are dropped
+ * and the service carries on. trackExports() wraps an exporter and
+ * remembers the outcome of its last export; exporterCheck() turns
+ * those outcomes into a readiness check (see @lgtm/http health.js):
+ *
+ *   { name: "telemetry", critical: false, run() }
+ *
+ * It fails while the last export of any signal failed and passes
+ * again after the next successful one. Not critical: a service
+ * whose collector is down still serves requests.
+ * ============================================================
+ */
+
+import { ExportResultCode } from "@opentelemetry/core";
+
+const isoOrNull = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Wraps exporter.export() in place and returns the export status
+ * it keeps up to date.
+ *
+ * @param {{ export: Function }} exporter - span or metric exporter
+ */
+export function trackExports(exporter) {
+  const status = { failing: false, lastSuccessAt: null, lastError: null };
+
+  const original = exporter.export.bind(exporter);
+  exporter.export = (items, resultCallback) =>
+    original(items, (result) => {
+      if (result.code === ExportResultCode.SUCCESS) {
+        status.failing = false;
+        status.lastSuccessAt = Date.now();
+      } else {
+        status.failing = true;
+        status.lastError = result.error?.message ?? "export failed";
+      }
+      resultCallback(result);
+    });
+
+  return status;
+}
+
+/**
+ * Readiness check over the export status of each signal.
+ *
+ * @param {Record<string, ReturnType<typeof trackExports>>} statuses
+ *   e.g. { traces, metrics }
+ */
+export const exporterCheck = (statuses) => ({
+  name: "telemetry",
+  critical: false,
+  run: async () => {
+    const failing = Object.entries(statuses).filter(
+      ([, status]) => status.failing
+    );
+    if (failing.length > 0) {
+      throw new Error(
+        failing
+          .map(([signal, status]) => `${signal}: ${status.lastError}`)
+          .join("; ")
+      );
+    }
+
+    return Object.fromEntries(
+      Object.entries(statuses).map(([signal, status]) => [
+        signal,
+        { lastSuccessAt: isoOrNull(status.lastSuccessAt) },
+      ])
+    );
+  },
+});
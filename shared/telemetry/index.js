@@ -0,0 +1,221 @@
+/**
+ * ============================================================
+ * @lgtm/telemetry - Shared OpenTelemetry setup
+ * ============================================================
+ *
+ * IMPORTANT: initTelemetry() MUST run BEFORE express/axios are imported!
+ * OpenTelemetry works by "monkey-patching" Node.js modules, so each
+ * service calls it from a small telemetry.js that app.js imports first.
+ *
+ * This unified setup handles:
+ * - TRACES: Auto-instrumented HTTP requests sent to Alloy → Tempo
+ * - METRICS: Auto-instrumented + custom metrics sent to Alloy → Prometheus
+ * - LOGS: Winston JSON on stdout, collected by Alloy → Loki
+ * - BAGGAGE: allow-listed customer attributes on spans and logs
+ *   (see baggage.js)
+ * - EXPORTER HEALTH: a readiness check that fails while exports
+ *   to the collector fail (see exporters.js)
+ * - RUNTIME CONTROL: log level per service/module and trace sampler,
+ *   changeable without a restart (see log-levels.js, sampling.js)
+ * - SHUTDOWN: SIGTERM/SIGINT drain requests, then flush telemetry
+ *   and logs (see shutdown.js)
+ *
+ * DATA FLOW:
+ * Your App → OpenTelemetry SDK → OTLP Exporter → Alloy → Tempo/Prometheus
+ *
+ * USAGE:
+ *   const { logger, meter, tracer, activeRequestsMiddleware } =
+ *     initTelemetry({ serviceName: "order-service" });
+ * ============================================================
+ */
+
+import { NodeSDK } from "@opentelemetry/sdk-node";
+import { getNodeAutoInstrumentations } from "@opentelemetry/auto-instrumentations-node";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { OTLPMetricExporter } from "@opentelemetry/exporter-metrics-otlp-http";
+import { PeriodicExportingMetricReader } from "@opentelemetry/sdk-metrics";
+import { BatchSpanProcessor } from "@opentelemetry/sdk-trace-base";
+import { Resource } from "@opentelemetry/resources";
+import { metrics, trace } from "@opentelemetry/api";
+
+import { BaggageSpanProcessor, createPropagator } from "./baggage.js";
+import { resolveConfig } from "./config.js";
+import { exporterCheck, trackExports } from "./exporters.js";
+import { createLogLevels } from "./log-levels.js";
+import { createLogger } from "./logger.js";
+import { createSamplingControl, SwitchableSampler } from "./sampling.js";
+import { createShutdown } from "./shutdown.js";
+
+let telemetry = null;
+
+/**
+ * Starts the OpenTelemetry SDK and builds the per-service helpers.
+ *
+ * @param {object} options
+ * @param {string} options.serviceName - e.g. "gateway" (OTEL_SERVICE_NAME wins)
+ * @param {string} [options.serviceVersion] - defaults to package.json version
+ * @param {boolean} [options.trustInboundBaggage] - false at the public edge:
+ *   the `baggage` header of incoming requests is ignored
+ * @returns {{ sdk, config, logger, meter, tracer, activeRequestsGauge, activeRequestsMiddleware, healthCheck, logLevels, sampling, shutdown }}
+ */
+export function initTelemetry(options = {}) {
+  // One SDK per process: a second call returns the running instance
+  if (telemetry) return telemetry;
+
+  const config = resolveConfig(options);
+  const { serviceName, otlpEndpoint } = config;
+
+  // ============================================================
+  // EXPORTERS
+  // ============================================================
+
+  const traceExporter = new OTLPTraceExporter({
+    url: `${otlpEndpoint}/v1/traces`,
+  });
+  const metricExporter = new OTLPMetricExporter({
+    url: `${otlpEndpoint}/v1/metrics`,
+  });
+
+  // Outcome of the last export per signal, for readiness checks
+  const healthCheck = exporterCheck({
+    traces: trackExports(traceExporter),
+    metrics: trackExports(metricExporter),
+  });
+
+  const metricReader = new PeriodicExportingMetricReader({
+    exporter: metricExporter,
+    exportIntervalMillis: config.metricExportIntervalMillis,
+  });
+
+  // ============================================================
+  // SDK CONFIGURATION
+  // ============================================================
+
+  // OTEL_TRACES_SAMPLER at startup, switchable later (sampling.js)
+  const sampler = new SwitchableSampler(config.sampler);
+
+  const sdk = new NodeSDK({
+    resource: new Resource(config.resourceAttributes),
+    sampler,
+
+    // Allow-listed baggage is copied onto every span before export
+    spanProcessor: new BaggageSpanProcessor(
+      new BatchSpanProcessor(traceExporter)
+    ),
+    textMapPropagator: createPropagator({
+      trustInbound: options.trustInboundBaggage ?? true,
+    }),
+    metricReader,
+
+    // Auto-instrumentation: Automatically creates spans AND metrics for HTTP
+    // This provides default metrics like http.server.duration, http.server.request.size
+    instrumentations: [
+      getNodeAutoInstrumentations({
+        "@opentelemetry/instrumentation-fs": { enabled: false },
+        // @lgtm/messaging creates the producer/consumer spans itself,
+        // the same way for RabbitMQ and its in-process broker
+        "@opentelemetry/instrumentation-amqplib": { enabled: false },
+      }),
+    ],
+  });
+
+  sdk.start();
+
+  // ============================================================
+  // CUSTOM METRICS - Active Requests Gauge
+  // ============================================================
+
+  const meter = metrics.getMeter(serviceName, config.serviceVersion);
+  const tracer = trace.getTracer(serviceName, config.serviceVersion);
+
+  const activeRequestsGauge = meter.createUpDownCounter(
+    "http_active_requests",
+    {
+      description: "Number of active HTTP requests being processed",
+    }
+  );
+
+  /**
+   * Express middleware tracking in-flight requests for this service.
+   */
+  const activeRequestsMiddleware = (req, res, next) => {
+    activeRequestsGauge.add(1, { service: serviceName });
+    let decremented = false;
+    const decrement = () => {
+      if (!decremented) {
+        decremented = true;
+        activeRequestsGauge.add(-1, { service: serviceName });
+      }
+    };
+    res.on("finish", decrement);
+    res.on("close", decrement); // Handles client disconnect
+    next();
+  };
+
+  // ============================================================
+  // LOGGER & RUNTIME CONTROL
+  // ============================================================
+
+  const logLevels = createLogLevels({
+    service: serviceName,
+    level: config.logLevel,
+    meter,
+  });
+  const logger = createLogger({
+    serviceName,
+    serviceVersion: config.serviceVersion,
+    level: config.logLevel,
+    environment: config.environment,
+    filter: logLevels.filter,
+  });
+  logLevels.attach(logger);
+
+  const sampling = createSamplingControl({
+    sampler,
+    service: serviceName,
+    logger,
+    meter,
+  });
+
+  logger.info("OpenTelemetry initialized", { otlp_endpoint: otlpEndpoint });
+
+  // ============================================================
+  // GRACEFUL SHUTDOWN
+  // ============================================================
+
+  // Nothing happens on SIGTERM/SIGINT until the service calls
+  // shutdown.handle({ server, ... }): a CLI such as loadgen handles
+  // its signals itself and calls sdk.shutdown().
+  const shutdown = createShutdown({
+    sdk,
+    logger,
+    timeoutMs: config.shutdownTimeoutMillis,
+  });
+
+  telemetry = {
+    sdk,
+    config,
+    logger,
+    meter,
+    tracer,
+    activeRequestsGauge,
+    activeRequestsMiddleware,
+    healthCheck,
+    logLevels,
+    sampling,
+    shutdown,
+  };
+
+  return telemetry;
+}
+
+export { resolveConfig, parseResourceAttributes } from "./config.js";
+export { traceContext } from "./logger.js";
+export {
+  allowedBaggage,
+  baggageFields,
+  baggageLabels,
+  baggageMiddleware,
+  BAGGAGE_ALLOW_LIST,
+} from "./baggage.js";
+export { withSpan } from "./spans.js";
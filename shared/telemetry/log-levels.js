@@ -0,0 +1,222 @@
+/**
+ * ============================================================
+ * LOG LEVELS - Per service and per module, changeable at runtime
+ * ============================================================
+ *
+ * LOG_LEVEL sets the service's level at startup. While it runs, the
+ * level can be changed for the whole service or for one module: the
+ * `module` field of the entries, set with a child logger:
+ *
+ *   createSagaOrchestrator({ logger: logger.child({ module: "saga" }) });
+ *
+ * A module without a level of its own follows the service's. A
+ * change can carry a TTL: debug logging switched on for an
+ * investigation turns itself off again.
+ *
+ * Winston has one level per logger, so the logger runs at the most
+ * verbose level in use and filter() drops each entry above the
+ * level of its module.
+ *
+ * OBSERVABILITY:
+ * - Metric: log_level{service, module} = severity of the level
+ *   (0 error, 1 warn, 2 info, 3 http, 4 verbose, 5 debug, 6 silly);
+ *   module "default" is the service-wide level
+ * - Metric: log_level_changes{service, module, level, source}
+ *   source = admin | ttl
+ * - Warn logs "Log level changed" and "Log level reverted", with
+ *   for_module (not `module`: they follow the service's level) and
+ *   new_level (`level` is the entry's own)
+ * ============================================================
+ */
+
+import { context, ROOT_CONTEXT } from "@opentelemetry/api";
+import winston from "winston";
+
+const LEVELS = winston.config.npm.levels;
+const MODULE_PATTERN = /^[\w.-]{1,64}$/;
+
+// Metric label of the service-wide level
+const DEFAULT_MODULE = "default";
+
+const invalid = (message) =>
+  Object.assign(new Error(message), { code: "INVALID_RUNTIME_CONFIG" });
+
+const validate = ({ level, module, ttlSeconds }) => {
+  if (!Object.hasOwn(LEVELS, level)) {
+    throw invalid(`level must be one of ${Object.keys(LEVELS).join(", ")}`);
+  }
+  if (module !== undefined && !MODULE_PATTERN.test(module)) {
+    throw invalid("module must be 1-64 letters, digits, '.', '_' or '-'");
+  }
+  if (module === DEFAULT_MODULE) {
+    throw invalid(`"${DEFAULT_MODULE}" is the service-wide level: omit module`);
+  }
+  if (
+    ttlSeconds !== undefined &&
+    (typeof ttlSeconds !== "number" || !(ttlSeconds > 0))
+  ) {
+    throw invalid("ttlSeconds must be a positive number");
+  }
+};
+
+/**
+ * Creates the level state of a service. Pass filter() to
+ * createLogger() and the logger to attach() once it exists.
+ *
+ * @param {object} options
+ * @param {string} options.service - metric label
+ * @param {string} options.level - startup level (LOG_LEVEL)
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ */
+export function createLogLevels({ service, level, meter }) {
+  const initial = Object.hasOwn(LEVELS, level) ? level : "info";
+  // module (null = service-wide) → { level, expiresAt, timer }
+  const overrides = new Map();
+  let logger = null;
+
+  const serviceLevel = () => overrides.get(null)?.level ?? initial;
+  const levelOf = (module) =>
+    (module && overrides.get(module)?.level) || serviceLevel();
+
+  const changes = meter.createCounter("log_level_changes", {
+    description:
+      "Log level changes made at runtime, by module, new level and source (admin, ttl)",
+  });
+  meter
+    .createObservableGauge("log_level", {
+      description:
+        "Current log level severity (0 error ... 5 debug, 6 silly), by module",
+    })
+    .addCallback((result) => {
+      result.observe(LEVELS[serviceLevel()], {
+        service,
+        module: DEFAULT_MODULE,
+      });
+      for (const [module, { level }] of overrides) {
+        if (module) result.observe(LEVELS[level], { service, module });
+      }
+    });
+
+  /**
+   * Lets through the entries at or below their module's level.
+   */
+  const filter = winston.format((info) =>
+    LEVELS[info.level] <= LEVELS[levelOf(info.module)] ? info : false
+  );
+
+  // The logger itself must not drop what a module still wants
+  const sync = () => {
+    if (!logger) return;
+    const levels = [
+      serviceLevel(),
+      ...[...overrides.values()].map((o) => o.level),
+    ];
+    logger.level = levels.reduce((most, next) =>
+      LEVELS[next] > LEVELS[most] ? next : most
+    );
+  };
+
+  const record = (module, source) =>
+    changes.add(1, {
+      service,
+      module: module ?? DEFAULT_MODULE,
+      level: levelOf(module),
+      source,
+    });
+
+  /**
+   * Drops the override of `module` (null = service-wide).
+   */
+  const revert = (module, source) => {
+    const override = overrides.get(module);
+    if (!override) return;
+    clearTimeout(override.timer);
+    overrides.delete(module);
+    sync();
+
+    record(module, source);
+    logger?.warn("Log level reverted", {
+      for_module: module ?? DEFAULT_MODULE,
+      new_level: levelOf(module),
+      reverted_level: override.level,
+      reason: source,
+    });
+  };
+
+  /**
+   * Sets the level of the service, or of one module.
+   * Throws (code INVALID_RUNTIME_CONFIG) on invalid input.
+   *
+   * @param {{ level: string, module?: string, ttlSeconds?: number }} change
+   */
+  const set = (change) => {
+    validate(change);
+    const { level, ttlSeconds } = change;
+    const module = change.module ?? null;
+    const previous = levelOf(module);
+
+    clearTimeout(overrides.get(module)?.timer);
+    const override = { level, expiresAt: null, timer: null };
+    if (ttlSeconds !== undefined) {
+      override.expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+      // Outside the request that set it: the revert is not part of its trace
+      override.timer = context.with(ROOT_CONTEXT, () =>
+        setTimeout(() => revert(module, "ttl"), ttlSeconds * 1000).unref()
+      );
+    }
+    overrides.set(module, override);
+    sync();
+
+    record(module, "admin");
+    logger?.warn("Log level changed", {
+      for_module: module ?? DEFAULT_MODULE,
+      new_level: level,
+      previous_level: previous,
+      ttl_s: ttlSeconds,
+      expires_at: override.expiresAt?.toISOString(),
+    });
+    return get();
+  };
+
+  /**
+   * Back to the startup level: one module's override, or all of them.
+   *
+   * @param {{ module?: string }} [options]
+   */
+  const reset = ({ module } = {}) => {
+    const modules = module === undefined ? [...overrides.keys()] : [module];
+    for (const name of modules) revert(name, "admin");
+    return get();
+  };
+
+  const view = ({ level, expiresAt }) => ({
+    level,
+    expiresAt: expiresAt?.toISOString() ?? null,
+  });
+
+  /**
+   * { level, initial, expiresAt, modules: { saga: { level, expiresAt } } }
+   */
+  const get = () => ({
+    ...view(overrides.get(null) ?? { level: initial }),
+    initial,
+    modules: Object.fromEntries(
+      [...overrides]
+        .filter(([module]) => module)
+        .map(([module, override]) => [module, view(override)])
+    ),
+  });
+
+  /**
+   * Binds the service's logger: its level follows the overrides and
+   * the changes are logged through it.
+   *
+   * @param {import("winston").Logger} serviceLogger
+   */
+  const attach = (serviceLogger) => {
+    logger = serviceLogger;
+    sync();
+  };
+
+  return { filter, attach, get, set, reset, levelOf };
+}
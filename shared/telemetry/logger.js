@@ -0,0 +1,123 @@
+/**
+ * ============================================================
+ * WINSTON LOGGER - Structured JSON Logging
+ * ============================================================
+ *
+ * WHY WINSTON:
+ * - Industry standard for Node.js logging
+ * - Outputs structured JSON (machine-parseable, not just text)
+ * - Supports log levels (info, warn, error, debug)
+ * - Easily extensible with transports (console, file, remote)
+ *
+ * WHY JSON FORMAT:
+ * Text logs: "2024-01-04 User john logged in"
+ *   → Hard to parse, search, or filter programmatically
+ *
+ * JSON logs: {"timestamp":"...", "user":"john", "action":"login"}
+ *   → Easy to parse, filter by any field, aggregate in dashboards
+ *
+ * HOW LOGS FLOW TO LOKI:
+ * 1. Winston outputs JSON to console (stdout)
+ * 2. Docker captures container stdout
+ * 3. Alloy reads Docker log files
+ * 4. Alloy parses JSON, extracts labels (level, app)
+ * 5. Alloy pushes to Loki
+ * 6. Grafana queries Loki with LogQL
+ *
+ * LOG ↔ TRACE CORRELATION:
+ * Every entry carries trace_id / span_id / trace_flags of the span
+ * that was active when it was written, so Grafana can jump from a
+ * Loki line straight to the Tempo trace (derived field on trace_id).
+ * Allow-listed baggage adds tenant_id / customer_tier (baggage.js).
+ * ============================================================
+ */
+
+import winston from "winston";
+import {
+  context,
+  createContextKey,
+  isSpanContextValid,
+  trace,
+} from "@opentelemetry/api";
+
+import { baggageFields } from "./baggage.js";
+
+// Set by @lgtm/http's fault injector on requests it tampered with
+const INJECTED_FAULTS_KEY = createContextKey("lgtm.injected_faults");
+// Set by @lgtm/http's authenticator on authenticated requests
+const AUTH_KEY = createContextKey("lgtm.auth");
+
+/**
+ * Winston format that stamps the active OpenTelemetry span context
+ * (plus service name/version, customer baggage, the authenticated
+ * client and injected chaos faults) onto each log entry.
+ *
+ * The SDK's AsyncLocalStorage context manager keeps the request span
+ * active across awaits, so this also works for logs written after
+ * axios calls return.
+ */
+export const traceContext = winston.format((info, opts = {}) => {
+  if (opts.serviceName) info.service_name = opts.serviceName;
+  if (opts.serviceVersion) info.service_version = opts.serviceVersion;
+
+  const span = trace.getSpan(context.active());
+  const spanContext = span && span.spanContext();
+
+  if (spanContext && isSpanContextValid(spanContext)) {
+    info.trace_id = spanContext.traceId;
+    info.span_id = spanContext.spanId;
+    info.trace_flags = spanContext.traceFlags.toString(16).padStart(2, "0");
+  }
+
+  Object.assign(info, baggageFields());
+
+  const identity = context.active().getValue(AUTH_KEY);
+  if (identity) info.client_id = identity.clientId;
+
+  const faults = context.active().getValue(INJECTED_FAULTS_KEY);
+  if (faults && faults.length > 0) {
+    info.fault_injected = true;
+    info.fault_ids = [...new Set(faults.map((fault) => fault.id))];
+  }
+
+  return info;
+});
+
+/**
+ * Creates the Winston logger for a service.
+ * The only per-service difference is the `app` label used in LogQL.
+ * `filter` (log-levels.js) drops entries by module level first.
+ */
+export function createLogger({
+  serviceName,
+  serviceVersion,
+  level,
+  environment,
+  filter,
+}) {
+  return winston.createLogger({
+    level,
+
+    format: winston.format.combine(
+      ...(filter ? [filter()] : []),
+
+      // trace_id, span_id, trace_flags, service_name, service_version
+      traceContext({ serviceName, serviceVersion }),
+
+      // ISO timestamp, used by Loki for ordering
+      winston.format.timestamp(),
+
+      // Output as JSON (required for Alloy to parse)
+      winston.format.json()
+    ),
+
+    // Default metadata added to EVERY log entry
+    defaultMeta: {
+      app: serviceName, // Used in LogQL: {app="gateway"}
+      env: environment,
+    },
+
+    // Console transport: Docker captures stdout, Alloy reads it
+    transports: [new winston.transports.Console()],
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * ============================================================
+ * SAMPLING - Trace sampler switchable at runtime
+ * ============================================================
+ *
+ * The NodeSDK takes its sampler once, at startup. SwitchableSampler
+ * is that sampler: it delegates to one of the standard samplers and
+ * can be pointed at another while the service runs, so trace volume
+ * can be cut (or raised back) without a redeploy.
+ *
+ * SAMPLERS (OTEL_TRACES_SAMPLER names):
+ *   always_on                 every trace
+ *   parentbased_always_on     follow the caller's sampled flag, else
+ *                             every trace (default)
+ *   traceidratio              `ratio` of traces, by trace ID
+ *   parentbased_traceidratio  follow the caller, else `ratio` of the
+ *                             traces starting here
+ *
+ * The ratio is decided from the trace ID, so every service with the
+ * same ratio keeps the same traces.
+ *
+ * OBSERVABILITY:
+ * - Metric: trace_sampling_ratio{service, sampler} (1 when always on)
+ * - Metric: trace_sampler_changes{service, sampler}
+ * - Warn log "Trace sampler changed" with the previous sampler
+ * ============================================================
+ */
+
+import {
+  AlwaysOnSampler,
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler,
+} from "@opentelemetry/sdk-trace-base";
+
+export const SAMPLERS = [
+  "always_on",
+  "parentbased_always_on",
+  "traceidratio",
+  "parentbased_traceidratio",
+];
+
+export const DEFAULT_SAMPLER = "parentbased_always_on";
+
+const invalid = (message) =>
+  Object.assign(new Error(message), { code: "INVALID_RUNTIME_CONFIG" });
+
+/**
+ * Validates a sampler setting: { sampler, ratio }. The ratio is
+ * required by the ratio samplers and dropped by the others.
+ */
+export const normalizeSampler = ({ sampler, ratio } = {}) => {
+  if (!SAMPLERS.includes(sampler)) {
+    throw invalid(`sampler must be one of ${SAMPLERS.join(", ")}`);
+  }
+  if (!sampler.endsWith("traceidratio")) return { sampler, ratio: 1 };
+
+  if (typeof ratio !== "number" || ratio < 0 || ratio > 1) {
+    throw invalid(`${sampler} needs a ratio between 0 and 1`);
+  }
+  return { sampler, ratio };
+};
+
+const build = ({ sampler, ratio }) => {
+  switch (sampler) {
+    case "always_on":
+      return new AlwaysOnSampler();
+    case "traceidratio":
+      return new TraceIdRatioBasedSampler(ratio);
+    case "parentbased_traceidratio":
+      return new ParentBasedSampler({
+        root: new TraceIdRatioBasedSampler(ratio),
+      });
+    default:
+      return new ParentBasedSampler({ root: new AlwaysOnSampler() });
+  }
+};
+
+/**
+ * Sampler delegating to the one selected last (Sampler interface of
+ * @opentelemetry/sdk-trace-base).
+ */
+export class SwitchableSampler {
+  /**
+   * @param {{ sampler: string, ratio?: number }} setting
+   */
+  constructor(setting) {
+    this.switchTo(setting);
+  }
+
+  /**
+   * Applies to every span started from now on.
+   */
+  switchTo(setting) {
+    this.setting = normalizeSampler(setting);
+    this.delegate = build(this.setting);
+  }
+
+  shouldSample(...args) {
+    return this.delegate.shouldSample(...args);
+  }
+
+  toString() {
+    return `SwitchableSampler{${this.delegate.toString()}}`;
+  }
+}
+
+/**
+ * Runtime control of the sampler, logged and measured.
+ *
+ * @param {object} options
+ * @param {SwitchableSampler} options.sampler - the SDK's sampler
+ * @param {string} options.service - metric label
+ * @param {import("winston").Logger} options.logger
+ * @param {import("@opentelemetry/api").Meter} options.meter
+ */
+export function createSamplingControl({ sampler, service, logger, meter }) {
+  const changes = meter.createCounter("trace_sampler_changes", {
+    description: "Trace sampler switches made at runtime, by new sampler",
+  });
+  meter
+    .createObservableGauge("trace_sampling_ratio", {
+      description: "Share of new traces the service samples (1 = all)",
+    })
+    .addCallback((result) => {
+      const { sampler: name, ratio } = sampler.setting;
+      result.observe(ratio, { service, sampler: name });
+    });
+
+  const initial = sampler.setting;
+
+  /**
+   * Switches the sampler; throws (code INVALID_RUNTIME_CONFIG) on an
+   * unknown sampler or a missing ratio.
+   *
+   * @param {{ sampler: string, ratio?: number }} setting
+   */
+  const set = (setting) => {
+    const previous = sampler.setting;
+    sampler.switchTo(setting);
+
+    changes.add(1, { service, sampler: sampler.setting.sampler });
+    logger.warn("Trace sampler changed", {
+      ...sampler.setting,
+      previous_sampler: previous.sampler,
+      previous_ratio: previous.ratio,
+    });
+    return sampler.setting;
+  };
+
+  return {
+    get: () => ({ ...sampler.setting, initial }),
+    set,
+    reset: () => set(initial),
+  };
+}
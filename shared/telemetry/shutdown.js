@@ -0,0 +1,214 @@
+/**
+ * ============================================================
+ * SHUTDOWN - One coordinator for SIGTERM and SIGINT
+ * ============================================================
+ *
+ * On a rollout Kubernetes sends SIGTERM, then SIGKILL after
+ * terminationGracePeriodSeconds. In between, in this order:
+ *   1. stop accepting connections (server.close())
+ *   2. fail readiness (onDrain hooks, e.g. health.drain)
+ *   3. wait for the requests in flight, up to timeoutMs; after
+ *      that the remaining connections are closed
+ *   4. run the onClose hooks (e.g. messaging.close)
+ *   5. flush and shut down the OpenTelemetry SDK: the spans of
+ *      those last requests and a final metric export
+ *   6. flush the Winston transports and exit
+ *
+ * Exits 0, or 1 when a step failed. A second signal while shutting
+ * down exits 1 right away.
+ *
+ * USAGE:
+ *   const server = app.listen(PORT, ...);
+ *   telemetry.shutdown.handle({
+ *     server,
+ *     onDrain: [health.drain],
+ *     onClose: [() => messaging.close()],
+ *   });
+ * ============================================================
+ */
+
+// Longest wait for the SDK's last exports, then for the logs
+const FLUSH_TIMEOUT_MS = 5000;
+
+const SIGNALS = ["SIGTERM", "SIGINT"];
+
+/**
+ * Resolves `true` when `promise` settles within `ms`, else `false`.
+ */
+const settlesWithin = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise.then(() => true),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Ends the logger and waits until its transports, then stdout, have
+ * written everything: process.exit() drops what is still buffered
+ * when stdout is a pipe.
+ */
+const flushLogger = (logger) =>
+  new Promise((resolve) => {
+    logger.once("finish", resolve);
+    logger.end();
+  }).then(
+    () => new Promise((resolve) => process.stdout.write("", () => resolve()))
+  );
+
+/**
+ * Creates the shutdown coordinator of a process.
+ *
+ * @param {object} options
+ * @param {import("@opentelemetry/sdk-node").NodeSDK} options.sdk
+ * @param {import("winston").Logger} options.logger
+ * @param {number} options.timeoutMs - longest wait for requests in flight
+ * @param {(code: number) => void} [options.exit]
+ */
+export function createShutdown({
+  sdk,
+  logger,
+  timeoutMs,
+  exit = (code) => process.exit(code),
+}) {
+  const servers = [];
+  const drainHooks = [];
+  const closeHooks = [];
+  let shuttingDown = null;
+
+  /**
+   * Requests in flight per server, so idle keep-alive connections
+   * can be closed as soon as the last answer is sent.
+   */
+  const track = (server) => {
+    const entry = { server, inFlight: 0, closing: false };
+    server.on("request", (req, res) => {
+      entry.inFlight++;
+      res.once("close", () => {
+        entry.inFlight--;
+        if (entry.closing && entry.inFlight === 0) {
+          server.closeIdleConnections();
+        }
+      });
+    });
+    servers.push(entry);
+  };
+
+  /**
+   * Stops accepting connections and resolves once every connection
+   * of `entry.server` is closed.
+   */
+  const closeServer = (entry) =>
+    new Promise((resolve) => {
+      entry.closing = true;
+      if (!entry.server.listening) return resolve();
+      entry.server.close(() => resolve());
+      entry.server.closeIdleConnections();
+    });
+
+  const inFlight = () =>
+    servers.reduce((total, entry) => total + entry.inFlight, 0);
+
+  /**
+   * Runs each hook, logging (not throwing) the ones that fail.
+   * Resolves `false` when any did.
+   */
+  const runHooks = async (hooks, step) => {
+    let ok = true;
+    for (const hook of hooks) {
+      try {
+        await hook();
+      } catch (error) {
+        ok = false;
+        logger.error("Shutdown step failed", { step, error: error.message });
+      }
+    }
+    return ok;
+  };
+
+  const shutdown = async (reason) => {
+    const startedAt = Date.now();
+    let ok = true;
+    logger.info("Shutting down", { reason, in_flight: inFlight() });
+
+    // 1-2. No new connections, and out of the load balancer
+    const closed = Promise.all(servers.map(closeServer));
+    ok = (await runHooks(drainHooks, "drain")) && ok;
+
+    // 3. Let the requests in flight finish
+    if (!(await settlesWithin(closed, timeoutMs))) {
+      logger.warn("Shutdown timeout, closing connections", {
+        timeout_ms: timeoutMs,
+        in_flight: inFlight(),
+      });
+      for (const { server } of servers) server.closeAllConnections();
+    }
+
+    // 4. Brokers, stores, ...
+    ok = (await runHooks(closeHooks, "close")) && ok;
+
+    // 5. Last spans and metrics
+    try {
+      if (!(await settlesWithin(sdk.shutdown(), FLUSH_TIMEOUT_MS))) {
+        ok = false;
+        logger.warn("Telemetry flush timed out", {
+          timeout_ms: FLUSH_TIMEOUT_MS,
+        });
+      }
+    } catch (error) {
+      ok = false;
+      logger.error("Telemetry flush failed", { error: error.message });
+    }
+
+    // 6. Nothing may log after this
+    logger.info("Shutdown complete", {
+      duration_ms: Date.now() - startedAt,
+    });
+    await settlesWithin(flushLogger(logger), FLUSH_TIMEOUT_MS);
+
+    exit(ok ? 0 : 1);
+  };
+
+  /**
+   * Shuts down once; later calls return the same promise.
+   *
+   * @param {string} [reason] - e.g. the signal
+   */
+  const run = (reason = "requested") => {
+    shuttingDown ??= shutdown(reason);
+    return shuttingDown;
+  };
+
+  const onSignal = (signal) => {
+    if (!shuttingDown) return run(signal);
+    // Second Ctrl-C: the operator does not want to wait
+    console.error(`${signal} received again, exiting now`);
+    exit(1);
+  };
+
+  let listening = false;
+
+  /**
+   * Registers what to shut down and handles SIGTERM and SIGINT.
+   * Call it once the server exists; a later call adds to the first.
+   *
+   * @param {object} options
+   * @param {import("node:http").Server} [options.server]
+   * @param {Function[]} [options.onDrain] - run when shutdown starts
+   * @param {Function[]} [options.onClose] - run once requests finished
+   */
+  const handle = ({ server, onDrain = [], onClose = [] } = {}) => {
+    if (server) track(server);
+    drainHooks.push(...onDrain);
+    closeHooks.push(...onClose);
+
+    if (!listening) {
+      listening = true;
+      for (const signal of SIGNALS) process.on(signal, onSignal);
+    }
+  };
+
+  return { handle, run, isShuttingDown: () => shuttingDown !== null };
+}
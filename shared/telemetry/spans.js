@@ -0,0 +1,35 @@
+/**
+ * ============================================================
+ * SPAN HELPERS - Manual instrumentation
+ * ============================================================
+ *
+ * Auto-instrumentation only sees HTTP. Work that happens inside a
+ * service (storage calls, business steps) is wrapped with withSpan()
+ * so it shows up as a child span of the current request.
+ * ============================================================
+ */
+
+import { SpanStatusCode } from "@opentelemetry/api";
+
+/**
+ * Runs `fn` inside a new active span and ends the span afterwards.
+ * Thrown errors are recorded on the span and re-thrown.
+ *
+ * @param {import("@opentelemetry/api").Tracer} tracer
+ * @param {string} name - span name, e.g. "INSERT orders"
+ * @param {import("@opentelemetry/api").SpanOptions} options - kind, attributes
+ * @param {(span: import("@opentelemetry/api").Span) => any} fn
+ */
+export function withSpan(tracer, name, options, fn) {
+  return tracer.startActiveSpan(name, options, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
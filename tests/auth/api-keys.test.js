@@ -0,0 +1,56 @@
+/**
+ * ============================================================
+ * API KEY CONFIG TESTS - Where the gateway's keys come from
+ * ============================================================
+ *
+ * Starts the three services outside development: the demo keys of
+ * sample-app/api-keys.json are then only loaded through an explicit
+ * API_KEYS_FILE, and a gateway without any keys or JWKS refuses to
+ * start rather than let every caller through. The file keeps only
+ * the keys' SHA-256 (shared/http/auth.js, sample-app/app.js).
+ *
+ *   cd tests && npm install && npm run test:auth
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { startServices } from "../support/services.js";
+
+const KEYS_FILE = fileURLToPath(
+  new URL("../../sample-app/api-keys.json", import.meta.url)
+);
+
+test("the demo keys file holds no plain keys", () => {
+  const { keys } = JSON.parse(fs.readFileSync(KEYS_FILE, "utf8"));
+  assert.ok(keys.length > 0);
+  for (const entry of keys) {
+    assert.equal(entry.key, undefined, entry.clientId);
+    assert.match(entry.keySha256, /^[0-9a-f]{64}$/, entry.clientId);
+  }
+});
+
+test("the gateway does not start without keys outside development", async () => {
+  await assert.rejects(startServices({ env: { NODE_ENV: "production" } }), {
+    message: /gateway exited during startup[\s\S]*no API keys or JWKS/,
+  });
+});
+
+test("an explicit API_KEYS_FILE loads the demo keys", async () => {
+  const stack = await startServices({
+    env: { NODE_ENV: "production", API_KEYS_FILE: KEYS_FILE },
+  });
+  try {
+    const call = (key) =>
+      fetch(`${stack.urls.gateway}/api/fast`, {
+        headers: { "X-API-Key": key },
+      });
+    assert.equal((await call("lgtm-dev-loadgen-key")).status, 200);
+    assert.equal((await call("lgtm-dev-not-a-key")).status, 401);
+  } finally {
+    await stack.stop();
+  }
+});
@@ -0,0 +1,128 @@
+/**
+ * ============================================================
+ * ORDER OWNERSHIP TESTS - Clients only see their own orders
+ * ============================================================
+ *
+ * Starts the three services and places orders through the gateway
+ * with two API keys: each client lists, fetches, follows, cancels
+ * and refunds only the orders it placed, others' are answered 404
+ * as if they did not exist, and the admin scope sees every order
+ * (sample-app/app.js, fetchOwnOrder).
+ *
+ *   cd tests && npm install && npm run test:auth
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { startServices } from "../support/services.js";
+import { openEventStream } from "../support/sse.js";
+
+// sample-app/api-keys.json
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  acme: "lgtm-dev-acme-key",
+  admin: "lgtm-dev-admin-key",
+};
+
+let stack;
+
+before(async () => {
+  stack = await startServices({
+    env: { SERVICE_TOKEN: randomUUID(), PAYMENT_PROVIDER_LATENCY: "instant" },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+});
+
+const gateway = async (client, method, path, body) => {
+  const response = await fetch(`${stack.urls.gateway}${path}`, {
+    method,
+    headers: {
+      "X-API-Key": API_KEYS[client],
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const placeOrder = async (client, total) => {
+  const { status, body } = await gateway(client, "POST", "/api/order", {
+    item: "Widget",
+    total,
+  });
+  assert.equal(status, 200);
+  return body;
+};
+
+const listedIds = async (client) => {
+  const { status, body } = await gateway(
+    client,
+    "GET",
+    "/api/orders?limit=100"
+  );
+  assert.equal(status, 200);
+  return body.orders.map((order) => order.orderId);
+};
+
+test("orders are listed for the client that placed them", async () => {
+  const mine = await placeOrder("loadgen", 20);
+  const theirs = await placeOrder("acme", 21);
+
+  const loadgen = await listedIds("loadgen");
+  assert.ok(loadgen.includes(mine.orderId));
+  assert.ok(!loadgen.includes(theirs.orderId));
+
+  const acme = await listedIds("acme");
+  assert.ok(acme.includes(theirs.orderId));
+  assert.ok(!acme.includes(mine.orderId));
+
+  const admin = await listedIds("admin");
+  assert.ok(admin.includes(mine.orderId) && admin.includes(theirs.orderId));
+});
+
+test("another client's order is answered 404 on every route", async () => {
+  const order = await placeOrder("loadgen", 40);
+  const path = `/api/orders/${order.orderId}`;
+
+  const attempts = [
+    await gateway("acme", "GET", path),
+    await gateway("acme", "POST", `${path}/cancel`),
+    await gateway("acme", "POST", `${path}/refunds`, { amount: 10 }),
+  ];
+  for (const { status, body } of attempts) {
+    assert.equal(status, 404);
+    assert.equal(body.code, "ORDER_NOT_FOUND");
+  }
+
+  const stream = await openEventStream(`${stack.urls.gateway}${path}/events`, {
+    headers: { "X-API-Key": API_KEYS.acme },
+  });
+  assert.equal(stream.status, 404);
+  await stream.ended;
+
+  // Untouched: still paid, nothing refunded
+  const own = await gateway("loadgen", "GET", path);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.status, "paid");
+  assert.equal(own.body.refundedAmount ?? 0, 0);
+});
+
+test("the admin scope sees and acts on every client's orders", async () => {
+  const order = await placeOrder("acme", 30);
+  const path = `/api/orders/${order.orderId}`;
+
+  const fetched = await gateway("admin", "GET", path);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.clientId, "acme-storefront");
+
+  const refund = await gateway("admin", "POST", `${path}/refunds`, {
+    amount: 5,
+  });
+  assert.equal(refund.status, 201);
+});
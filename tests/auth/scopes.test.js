@@ -0,0 +1,186 @@
+/**
+ * ============================================================
+ * SCOPE TESTS - What each caller may do, and who it is downstream
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector, with a throwaway JWT issuer next to the API keys:
+ * every /api route refuses callers without its scope (403
+ * INSUFFICIENT_SCOPE, nothing done), JWT scopes work like an API
+ * key's, and the authenticated client is the one order-service and
+ * payment-service see, on their spans and log lines, whatever
+ * X-Client-Id the caller sent (shared/http/auth.js).
+ *
+ *   cd tests && npm install && npm run test:auth
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { createJwtIssuer } from "../support/jwt.js";
+import { startServices } from "../support/services.js";
+import { findSpan } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  acme: "lgtm-dev-acme-key",
+  reporting: "lgtm-dev-reporting-key",
+};
+
+const jwt = createJwtIssuer();
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: {
+      SERVICE_TOKEN: randomUUID(),
+      PAYMENT_PROVIDER_LATENCY: "instant",
+      JWT_JWKS_FILE: jwt.jwksFile,
+      JWT_ISSUER: jwt.issuer,
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+  jwt.remove();
+});
+
+/**
+ * Calls the gateway in a new trace, with an API key (a client name
+ * of API_KEYS) or `{ bearer: claims }`.
+ */
+const gateway = async (caller, method, path, { body, headers } = {}) => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls.gateway}${path}`, {
+    method,
+    headers: {
+      ...(typeof caller === "string"
+        ? { "X-API-Key": API_KEYS[caller] }
+        : { Authorization: `Bearer ${jwt.sign(caller.bearer)}` }),
+      ...(body && { "Content-Type": "application/json" }),
+      traceparent,
+      ...headers,
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { traceId, status: response.status, body: await response.json() };
+};
+
+const order = { item: "Widget", total: 20 };
+
+test("a read-only client can read orders but not change them", async () => {
+  const placed = await gateway("loadgen", "POST", "/api/order", {
+    body: order,
+  });
+  assert.equal(placed.status, 200);
+  const path = `/api/orders/${placed.body.orderId}`;
+
+  assert.equal((await gateway("reporting", "GET", "/api/orders")).status, 200);
+
+  const refused = [
+    ["POST", "/api/order", order, "orders:write"],
+    ["POST", `${path}/cancel`, undefined, "orders:write"],
+    ["POST", `${path}/refunds`, { amount: 5 }, "orders:write"],
+    ["GET", "/api/fast", undefined, "demo"],
+    ["GET", "/admin/faults", undefined, "admin"],
+  ];
+  for (const [method, route, body, scope] of refused) {
+    const { status, body: error } = await gateway("reporting", method, route, {
+      body,
+    });
+    assert.equal(status, 403, `${method} ${route}`);
+    assert.equal(error.code, "INSUFFICIENT_SCOPE");
+    assert.deepEqual(error.details.missing, [scope], `${method} ${route}`);
+  }
+
+  // Nothing was done: still paid, nothing refunded
+  const own = await gateway("loadgen", "GET", path);
+  assert.equal(own.body.status, "paid");
+  assert.equal(own.body.refundedAmount ?? 0, 0);
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("auth_requests", {
+        service: "gateway",
+        method: "api_key",
+        outcome: "forbidden",
+      }) >= refused.length,
+    { message: "auth_requests{outcome=forbidden}" }
+  );
+});
+
+test("JWT scopes grant the same as an API key's", async () => {
+  const writer = {
+    bearer: { client_id: "jwt-shop", scp: ["orders:read", "orders:write"] },
+  };
+  const placed = await gateway(writer, "POST", "/api/order", { body: order });
+  assert.equal(placed.status, 200);
+
+  const fetched = await gateway(
+    writer,
+    "GET",
+    `/api/orders/${placed.body.orderId}`
+  );
+  assert.equal(fetched.status, 200);
+
+  const reader = { bearer: { sub: "jwt-shop", scope: "orders:read" } };
+  const refused = await gateway(reader, "POST", "/api/order", { body: order });
+  assert.equal(refused.status, 403);
+  assert.deepEqual(refused.body.details.missing, ["orders:write"]);
+});
+
+test("services downstream see the authenticated client, not X-Client-Id", async () => {
+  const { traceId, status } = await gateway("acme", "POST", "/api/order", {
+    body: order,
+    headers: { "X-Client-Id": "loadgen" },
+  });
+  assert.equal(status, 200);
+
+  const services = ["gateway", "order-service", "payment-service"];
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      return (
+        services.every((service) =>
+          spans.some(
+            (span) => span.service === service && span.kind === "server"
+          )
+        ) && spans
+      );
+    },
+    { message: `the server spans of trace ${traceId}` }
+  );
+  const identities = Object.fromEntries(
+    services.map((service) => {
+      const span = findSpan(spans, { service, kind: "server" });
+      return [
+        service,
+        [span.attributes["enduser.id"], span.attributes["auth.method"]],
+      ];
+    })
+  );
+  assert.deepEqual(identities, {
+    gateway: ["acme-storefront", "api_key"],
+    "order-service": ["acme-storefront", "service_token"],
+    "payment-service": ["acme-storefront", "service_token"],
+  });
+
+  for (const service of ["order-service", "payment-service"]) {
+    const logged = stack
+      .logs(service)
+      .filter((entry) => entry.trace_id === traceId);
+    assert.ok(logged.length > 0, service);
+    for (const entry of logged) {
+      assert.equal(entry.client_id, "acme-storefront", entry.message);
+    }
+  }
+});
@@ -0,0 +1,167 @@
+/**
+ * ============================================================
+ * BAGGAGE TESTS - Customer attributes across the services
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and places orders through the gateway as different
+ * customers: the tenant and tier the gateway derives must reach the
+ * spans, logs and business metrics of every service, limited to the
+ * allow-list. Clients cannot pick their own: a `baggage` header sent
+ * to the gateway is ignored, and a tenant bound to the API key wins
+ * over the headers (shared/telemetry/baggage.js).
+ *
+ *   cd tests && npm install && npm run test:baggage
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { SERVICES, startServices } from "../support/services.js";
+import { findSpans } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  // Bound to tenant "acme", tier "enterprise"
+  acme: "lgtm-dev-acme-key",
+};
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({ collector });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+/**
+ * POST /api/order in a new trace; resolves once every service
+ * exported its server span.
+ */
+const placeOrder = async ({ client = "loadgen", headers = {} } = {}) => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEYS[client],
+      "Content-Type": "application/json",
+      traceparent,
+      ...headers,
+    },
+    body: JSON.stringify({ item: "Widget", total: 20 }),
+  });
+  assert.equal(response.status, 200);
+
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      const servers = findSpans(spans, { kind: "server" });
+      return (
+        Object.keys(SERVICES).every((service) =>
+          servers.some((span) => span.service === service)
+        ) && spans
+      );
+    },
+    { message: `the server spans of trace ${traceId}` }
+  );
+  return { traceId, spans };
+};
+
+/**
+ * tenant.id / customer.tier of each service's server span.
+ */
+const serverBaggage = (spans) =>
+  Object.fromEntries(
+    findSpans(spans, { kind: "server" }).map((span) => [
+      span.service,
+      {
+        tenant: span.attributes["tenant.id"],
+        tier: span.attributes["customer.tier"],
+      },
+    ])
+  );
+
+const everyService = (value) =>
+  Object.fromEntries(Object.keys(SERVICES).map((name) => [name, value]));
+
+test("the gateway's baggage reaches every service's spans, logs and metrics", async () => {
+  const { traceId, spans } = await placeOrder({
+    headers: { "X-Tenant-Id": "globex", "X-Customer-Tier": "premium" },
+  });
+
+  assert.deepEqual(
+    serverBaggage(spans),
+    everyService({ tenant: "globex", tier: "premium" })
+  );
+  // Client spans too, down to the provider call
+  for (const span of findSpans(spans, { kind: "client" })) {
+    assert.equal(span.attributes["tenant.id"], "globex", span.name);
+  }
+
+  for (const service of ["order-service", "payment-service"]) {
+    const logged = stack
+      .logs(service)
+      .filter((entry) => entry.trace_id === traceId);
+    assert.ok(logged.length > 0, service);
+    for (const entry of logged) {
+      assert.equal(entry.tenant_id, "globex", entry.message);
+      assert.equal(entry.customer_tier, "premium", entry.message);
+    }
+  }
+
+  const labels = { tenant_id: "globex", customer_tier: "premium" };
+  await collector.waitFor(
+    () =>
+      collector.lastValue("orders_created", { ...labels, status: "paid" }) >=
+        1 && collector.lastValue("payments_processed", labels) >= 1,
+    { message: "business metrics labelled globex/premium" }
+  );
+});
+
+test("values outside the allow-list are reported as other", async () => {
+  const { spans } = await placeOrder({
+    headers: { "X-Tenant-Id": "hooli", "X-Customer-Tier": "platinum" },
+  });
+
+  assert.deepEqual(
+    serverBaggage(spans),
+    everyService({ tenant: "other", tier: "other" })
+  );
+  assert.ok(
+    !stack
+      .logs("payment-service")
+      .some((entry) => JSON.stringify(entry).includes("hooli")),
+    "the raw value never reaches the logs"
+  );
+});
+
+test("a baggage header sent to the gateway is ignored", async () => {
+  const { spans } = await placeOrder({
+    headers: { baggage: "tenant.id=initech,customer.tier=enterprise" },
+  });
+
+  assert.deepEqual(
+    serverBaggage(spans),
+    everyService({ tenant: undefined, tier: undefined })
+  );
+});
+
+test("a tenant bound to the API key wins over the headers", async () => {
+  const { spans } = await placeOrder({
+    client: "acme",
+    headers: { "X-Tenant-Id": "globex", "X-Customer-Tier": "free" },
+  });
+
+  assert.deepEqual(
+    serverBaggage(spans),
+    everyService({ tenant: "acme", tier: "enterprise" })
+  );
+});
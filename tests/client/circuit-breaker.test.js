@@ -0,0 +1,205 @@
+/**
+ * ============================================================
+ * CIRCUIT BREAKER TESTS - When a downstream stops being called
+ * ============================================================
+ *
+ * Runs @lgtm/http's createHttpClient() in this process against a
+ * scripted HTTP server: consecutive failures open the breaker, an
+ * open breaker fails fast without a network call (answered 503 by
+ * the caller), and after its reset timeout a single trial call
+ * closes it again or reopens it. Answers that say nothing about the
+ * downstream's health (4xx, or a 5xx relaying a failed upstream) never
+ * count (shared/http/client.js, shared/http/circuit-breaker.js).
+ *
+ *   cd tests && npm install && npm run test:client
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import { after, before, beforeEach, test } from "node:test";
+
+import {
+  createHttpClient,
+  statusForClientError,
+} from "../../shared/http/client.js";
+
+const meter = {
+  createCounter: () => ({ add() {} }),
+  createObservableGauge: () => ({ addCallback() {} }),
+};
+
+const RESET_MS = 300;
+
+// Answers with the next scripted status, 503 once the script is over;
+// an entry may be { status, body } instead
+let script = [];
+let requests = 0;
+let server;
+let baseURL;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests += 1;
+    const next = script.shift() ?? 503;
+    const { status, body = {} } =
+      typeof next === "object" ? next : { status: next };
+    // A slow answer leaves a trial call in flight
+    const delayMs = req.headers["x-delay-ms"] ?? 0;
+    setTimeout(() => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    }, Number(delayMs));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  script = [];
+  requests = 0;
+});
+
+after(() => {
+  server.close();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A client without retries, opening after three failures;
+ * `transitions` records its breaker's state changes.
+ */
+const createClient = () => {
+  const transitions = [];
+  const logger = {
+    info() {},
+    error() {},
+    warn: (message, { from, to } = {}) => {
+      if (message === "Circuit breaker state changed") {
+        transitions.push(`${from} → ${to}`);
+      }
+    },
+  };
+  const client = createHttpClient({
+    service: "tests",
+    downstream: "payment-service",
+    baseURL,
+    meter,
+    logger,
+    retry: { maxRetries: 0 },
+    breaker: { failureThreshold: 3, resetTimeoutMs: RESET_MS },
+  });
+  return { client, transitions };
+};
+
+const failing = (client) => assert.rejects(client.get("/payments/PAY-1"));
+
+test("consecutive failures open the breaker, which then fails fast", async () => {
+  const { client, transitions } = createClient();
+
+  for (let call = 0; call < 3; call++) await failing(client);
+  assert.equal(client.breaker.state, "open");
+  assert.deepEqual(transitions, ["closed → open"]);
+
+  const error = await client.get("/payments/PAY-1").catch((error) => error);
+  assert.equal(error.code, "ECIRCUITOPEN");
+  assert.equal(error.downstream, "payment-service");
+  assert.ok(error.retryAfterMs > 0 && error.retryAfterMs <= RESET_MS);
+  assert.equal(statusForClientError(error), 503);
+  // Refused without calling the downstream
+  assert.equal(requests, 3);
+});
+
+test("a success resets the count of consecutive failures", async () => {
+  const { client } = createClient();
+  script = [503, 503, 200, 503, 503];
+
+  for (let call = 0; call < 2; call++) await failing(client);
+  await client.get("/payments/PAY-1");
+  for (let call = 0; call < 2; call++) await failing(client);
+
+  assert.equal(client.breaker.state, "closed");
+});
+
+test("client errors say nothing about the downstream's health", async () => {
+  const { client } = createClient();
+  script = [404, 404, 404, 409, 422];
+
+  for (let call = 0; call < 5; call++) await failing(client);
+
+  assert.equal(client.breaker.state, "closed");
+  assert.equal(requests, 5);
+});
+
+test("a failed upstream relayed by the downstream does not count", async () => {
+  const { client } = createClient();
+  // What payment-service answers when the payment provider times out
+  const providerTimeout = {
+    status: 504,
+    body: {
+      code: "PAYMENT_PROVIDER_TIMEOUT",
+      details: { paymentId: "PAY-1", upstream: "payment-provider" },
+    },
+  };
+  script = Array(5).fill(providerTimeout);
+
+  for (let call = 0; call < 5; call++) await failing(client);
+
+  assert.equal(client.breaker.state, "closed");
+  assert.equal(requests, 5);
+});
+
+test("after the reset timeout a successful trial call closes it", async () => {
+  const { client, transitions } = createClient();
+  for (let call = 0; call < 3; call++) await failing(client);
+
+  await sleep(RESET_MS + 50);
+  script = [200];
+  const response = await client.get("/payments/PAY-1");
+
+  assert.equal(response.status, 200);
+  assert.equal(client.breaker.state, "closed");
+  assert.deepEqual(transitions, [
+    "closed → open",
+    "open → half_open",
+    "half_open → closed",
+  ]);
+});
+
+test("a failed trial call opens it again", async () => {
+  const { client, transitions } = createClient();
+  for (let call = 0; call < 3; call++) await failing(client);
+
+  await sleep(RESET_MS + 50);
+  await failing(client);
+
+  assert.equal(client.breaker.state, "open");
+  assert.deepEqual(transitions, [
+    "closed → open",
+    "open → half_open",
+    "half_open → open",
+  ]);
+  const error = await client.get("/payments/PAY-1").catch((error) => error);
+  assert.equal(error.code, "ECIRCUITOPEN");
+  assert.equal(requests, 4);
+});
+
+test("only one trial call at a time while half open", async () => {
+  const { client } = createClient();
+  for (let call = 0; call < 3; call++) await failing(client);
+
+  await sleep(RESET_MS + 50);
+  script = [200];
+  const trial = client.get("/payments/PAY-1", {
+    headers: { "X-Delay-Ms": "200" },
+  });
+  const meanwhile = await client.get("/payments/PAY-1").catch((error) => error);
+
+  assert.equal(meanwhile.code, "ECIRCUITOPEN");
+  assert.equal((await trial).status, 200);
+  assert.equal(client.breaker.state, "closed");
+  assert.equal(requests, 4);
+});
@@ -0,0 +1,142 @@
+/**
+ * ============================================================
+ * HTTP CLIENT RETRY TESTS - Which failures get another attempt
+ * ============================================================
+ *
+ * Runs @lgtm/http's createHttpClient() in this process against a
+ * scripted HTTP server: transient answers are retried for requests
+ * that may be repeated, and a 409 IDEMPOTENCY_KEY_IN_USE (our own
+ * earlier attempt still running downstream) is waited out instead
+ * of being taken for the answer (shared/http/client.js).
+ *
+ *   cd tests && npm install && npm run test:client
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import { after, before, beforeEach, test } from "node:test";
+
+import { createHttpClient } from "../../shared/http/client.js";
+
+const meter = {
+  createCounter: () => ({ add() {} }),
+  createObservableGauge: () => ({ addCallback() {} }),
+};
+
+const logger = { warn() {}, info() {}, error() {} };
+
+// Answers POST /payments with the next scripted response
+let script = [];
+let requests = [];
+let server;
+let baseURL;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ at: Date.now(), key: req.headers["idempotency-key"] });
+    const { status, body, headers } = script.shift() ?? { status: 500 };
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body ?? {}));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  script = [];
+  requests = [];
+});
+
+after(() => {
+  server.close();
+});
+
+const createClient = () =>
+  createHttpClient({
+    service: "tests",
+    downstream: "payment-service",
+    baseURL,
+    meter,
+    logger,
+    retry: { maxRetries: 2, baseDelayMs: 10, maxDelayMs: 2000 },
+    serviceToken: "",
+  });
+
+const keyInUse = {
+  status: 409,
+  headers: { "Retry-After": "1" },
+  body: { code: "IDEMPOTENCY_KEY_IN_USE", message: "Still being processed" },
+};
+
+test("a key still in use is retried until the stored answer comes back", async () => {
+  script = [keyInUse, { status: 201, body: { paymentId: "PAY-1" } }];
+
+  const response = await createClient().post(
+    "/payments",
+    { orderId: "o-1", amount: 20 },
+    { headers: { "Idempotency-Key": "o-1" } }
+  );
+
+  assert.equal(response.status, 201);
+  assert.equal(response.data.paymentId, "PAY-1");
+  assert.deepEqual(
+    requests.map((request) => request.key),
+    ["o-1", "o-1"]
+  );
+  // Retry-After: 1 stretched the backoff
+  assert.ok(requests[1].at - requests[0].at >= 950);
+});
+
+test("a key still in use after every retry is the caller's error", async () => {
+  script = [keyInUse, keyInUse, keyInUse];
+
+  await assert.rejects(
+    createClient().post(
+      "/payments",
+      {},
+      { headers: { "Idempotency-Key": "o-2" } }
+    ),
+    (error) => error.response?.status === 409
+  );
+  assert.equal(requests.length, 3);
+});
+
+test("other conflicts are final", async () => {
+  script = [
+    {
+      status: 409,
+      body: { code: "INVALID_STATUS_TRANSITION", message: "Not pending" },
+    },
+  ];
+
+  await assert.rejects(
+    createClient().post(
+      "/payments",
+      {},
+      { headers: { "Idempotency-Key": "o-3" } }
+    ),
+    (error) => error.response?.status === 409
+  );
+  assert.equal(requests.length, 1);
+});
+
+test("a POST without an Idempotency-Key is never retried", async () => {
+  script = [{ status: 503 }, { status: 201 }];
+
+  await assert.rejects(
+    createClient().post("/payments", {}),
+    (error) => error.response?.status === 503
+  );
+  assert.equal(requests.length, 1);
+});
+
+test("transient failures of repeatable requests are retried", async () => {
+  script = [{ status: 503 }, { status: 502 }, { status: 200, body: {} }];
+
+  const response = await createClient().get("/payments/PAY-1");
+  assert.equal(response.status, 200);
+  assert.equal(requests.length, 3);
+});
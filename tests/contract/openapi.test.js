@@ -0,0 +1,636 @@
+/**
+ * ============================================================
+ * CONTRACT TESTS - Responses match each service's /openapi.json
+ * ============================================================
+ *
+ * Starts gateway, order-service and payment-service, then calls
+ * every documented operation (success and error paths) through
+ * loadContract(), which fails on any undocumented status or any
+ * body that does not match its schema.
+ *
+ * The gateway is called with a key from sample-app/api-keys.json,
+ * the internal services with SERVICE_TOKEN; 401/403 are covered by
+ * the "authentication" tests.
+ *
+ *   cd tests && npm install && npm run test:contract
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, describe, test } from "node:test";
+
+import { loadContract } from "../support/contract.js";
+import { createJwtIssuer } from "../support/jwt.js";
+import { startServices, SERVICES } from "../support/services.js";
+
+const SERVICE_TOKEN = randomUUID();
+const INTERNAL = { headers: { "X-Service-Token": SERVICE_TOKEN } };
+// sample-app/api-keys.json
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  reporting: "lgtm-dev-reporting-key",
+  // added below, with its own rate limit
+  throttled: randomUUID(),
+};
+
+const jwt = createJwtIssuer();
+let stack;
+
+before(async () => {
+  stack = await startServices({
+    env: {
+      // In-process broker: "Prefer: respond-async" orders are answered 202
+      // and stay pending (payment-service runs in another process)
+      BROKER_URL: "memory://",
+      SERVICE_TOKEN,
+      // The webhook test subscribes a local URL nothing listens on
+      WEBHOOK_ALLOWED_HOSTS: "127.0.0.1",
+      JWT_JWKS_FILE: jwt.jwksFile,
+      JWT_ISSUER: jwt.issuer,
+      API_KEYS: JSON.stringify([
+        {
+          clientId: "throttled",
+          key: API_KEYS.throttled,
+          scopes: ["demo"],
+          rateLimit: { rate: 0.1, burst: 2 },
+        },
+      ]),
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  jwt.remove();
+});
+
+/**
+ * Creates a paid order (the provider simulator approves any amount
+ * but its magic ones, see payment-service/simulator.js).
+ */
+const createPaidOrder = async (
+  api,
+  path,
+  body = { item: "Widget", total: 30 }
+) => {
+  const { status, body: order } = await api.request("POST", path, { body });
+  assert.equal(status, 200);
+  return order;
+};
+
+describe("payment-service", () => {
+  let api;
+
+  before(async () => {
+    api = await loadContract(stack.urls["payment-service"], INTERNAL);
+  });
+
+  test("POST /payments", async () => {
+    const invalid = await api.request("POST", "/payments", {
+      body: { amount: -1 },
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "VALIDATION_FAILED");
+
+    const { body: payment } = await api.request("POST", "/payments", {
+      body: { orderId: randomUUID(), amount: 20 },
+    });
+    assert.ok(payment.paymentId);
+
+    const declined = await api.request("POST", "/payments", {
+      body: {
+        orderId: randomUUID(),
+        amount: 20,
+        cardNumber: "4000000000009995",
+      },
+    });
+    assert.equal(declined.status, 400);
+    assert.equal(declined.body.code, "PAYMENT_DECLINED");
+    assert.equal(declined.body.details.declineReason, "insufficient_funds");
+  });
+
+  test("GET /payments/:id and refunds", async () => {
+    const { body: payment } = await api.request("POST", "/payments", {
+      body: { orderId: randomUUID(), amount: 20 },
+    });
+
+    const fetched = await api.request("GET", `/payments/${payment.paymentId}`);
+    assert.equal(fetched.status, 200);
+
+    const missing = await api.request("GET", `/payments/PAY-${randomUUID()}`);
+    assert.equal(missing.status, 404);
+
+    const malformed = await api.request("GET", "/payments/nope");
+    assert.equal(malformed.status, 400);
+
+    const partial = await api.request(
+      "POST",
+      `/payments/${payment.paymentId}/refunds`,
+      { body: { amount: 5, reason: "damaged" } }
+    );
+    assert.equal(partial.status, 201);
+
+    const tooMuch = await api.request(
+      "POST",
+      `/payments/${payment.paymentId}/refunds`,
+      { body: { amount: 100 } }
+    );
+    assert.equal(tooMuch.status, 422);
+
+    const full = await api.request(
+      "POST",
+      `/payments/${payment.paymentId}/refunds`,
+      { body: {} }
+    );
+    assert.equal(full.status, 201);
+    assert.equal(full.body.payment.status, "refunded");
+
+    const again = await api.request(
+      "POST",
+      `/payments/${payment.paymentId}/refunds`,
+      { body: {} }
+    );
+    assert.equal(again.status, 409);
+
+    const history = await api.request(
+      "GET",
+      `/payments/${payment.paymentId}/refunds`
+    );
+    assert.equal(history.status, 200);
+    assert.equal(history.body.refunds.length, 2);
+  });
+
+  test("every operation is covered", () => {
+    assert.deepEqual(api.unexercised(), []);
+  });
+});
+
+describe("order-service", () => {
+  let api;
+
+  before(async () => {
+    api = await loadContract(stack.urls["order-service"], INTERNAL);
+  });
+
+  test("POST /orders", async () => {
+    const invalid = await api.request("POST", "/orders", {
+      body: { total: "ten" },
+    });
+    assert.equal(invalid.status, 400);
+
+    const order = await createPaidOrder(api, "/orders");
+    assert.equal(order.status, "paid");
+  });
+
+  test("POST /orders with Prefer: respond-async", async () => {
+    const accepted = await api.request("POST", "/orders", {
+      body: { total: 12.5 },
+      headers: { Prefer: "respond-async" },
+    });
+    assert.equal(accepted.status, 202);
+    assert.equal(accepted.body.status, "pending");
+    assert.equal(accepted.headers.get("preference-applied"), "respond-async");
+
+    const polled = await api.request("GET", accepted.headers.get("location"));
+    assert.equal(polled.status, 200);
+  });
+
+  test("POST /orders scored by the risk rules", async () => {
+    // order-service/risk-rules.json
+    const blocked = await api.request("POST", "/orders", {
+      body: { total: 12.5, customerId: "customer-blocked" },
+    });
+    assert.equal(blocked.status, 422);
+    assert.equal(blocked.body.code, "RISK_REJECTED");
+
+    const held = await api.request("POST", "/orders", {
+      body: { total: 60000 },
+    });
+    assert.equal(held.status, 202);
+    assert.equal(held.body.status, "pending_review");
+    assert.equal(held.headers.get("preference-applied"), null);
+
+    const cancelled = await api.request(
+      "POST",
+      `/orders/${held.body.orderId}/cancel`
+    );
+    assert.equal(cancelled.status, 200);
+  });
+
+  test("POST /orders runs the create-order saga", async () => {
+    const stockOf = async (item) => {
+      const { status, body } = await api.request("GET", "/inventory");
+      assert.equal(status, 200);
+      return body.items.find((level) => level.item === item);
+    };
+
+    const before = await stockOf("desk-lamp");
+    const order = await createPaidOrder(api, "/orders", {
+      item: "desk-lamp",
+      quantity: 2,
+      total: 64,
+    });
+    assert.ok(order.sagaId);
+
+    // .01: declined by the provider simulator
+    const declined = await api.request("POST", "/orders", {
+      body: { item: "desk-lamp", quantity: 1, total: 32.01 },
+    });
+    assert.equal(declined.status, 400);
+    assert.equal(declined.body.code, "PAYMENT_DECLINED");
+
+    // The declined order released its reservation, the paid one committed
+    const after = await stockOf("desk-lamp");
+    assert.equal(after.reserved, before.reserved);
+    assert.equal(after.onHand, before.onHand - 2);
+
+    const rejected = await api.request("POST", "/orders", {
+      body: { item: "desk-lamp", quantity: 1000, total: 32000 },
+    });
+    assert.equal(rejected.status, 409);
+    assert.equal(rejected.body.code, "OUT_OF_STOCK");
+
+    const { body: stored } = await api.request(
+      "GET",
+      `/orders/${rejected.body.details.orderId}`
+    );
+    assert.equal(stored.status, "rejected");
+  });
+
+  test("authentication", async () => {
+    const missing = await fetch(`${stack.urls["order-service"]}/inventory`);
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).code, "AUTHENTICATION_REQUIRED");
+
+    const forged = await api.request("GET", "/inventory", {
+      headers: { "X-Service-Token": "not-the-token" },
+    });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.details.method, "service_token");
+  });
+
+  test("GET /orders", async () => {
+    const page = await api.request("GET", "/orders?limit=1");
+    assert.equal(page.status, 200);
+
+    const badCursor = await api.request("GET", "/orders?cursor=bogus");
+    assert.equal(badCursor.status, 400);
+    assert.equal(badCursor.body.code, "INVALID_CURSOR");
+  });
+
+  test("GET /orders/events", async () => {
+    const stream = await api.request("GET", "/orders/events", {
+      headers: { "Last-Event-ID": "unknown:1" },
+    });
+    assert.equal(stream.status, 200);
+    assert.equal(stream.headers.get("cache-control"), "no-cache");
+
+    const one = await api.request(
+      "GET",
+      `/orders/events?orderId=${randomUUID()}`
+    );
+    assert.equal(one.status, 200);
+    assert.equal(
+      (await api.request("GET", "/orders/events?orderId=bogus")).status,
+      400
+    );
+  });
+
+  test("GET /orders/:id, cancel and refunds", async () => {
+    const order = await createPaidOrder(api, "/orders");
+
+    assert.equal(
+      (await api.request("GET", `/orders/${order.orderId}`)).status,
+      200
+    );
+    assert.equal(
+      (await api.request("GET", `/orders/${randomUUID()}`)).status,
+      404
+    );
+
+    const cancel = await api.request("POST", `/orders/${order.orderId}/cancel`);
+    assert.equal(cancel.status, 409);
+
+    const refund = await api.request(
+      "POST",
+      `/orders/${order.orderId}/refunds`,
+      {
+        body: { amount: 10 },
+        headers: { "Idempotency-Key": randomUUID() },
+      }
+    );
+    assert.equal(refund.status, 201);
+    assert.equal(refund.body.order.status, "partially_refunded");
+
+    const tooMuch = await api.request(
+      "POST",
+      `/orders/${order.orderId}/refunds`,
+      {
+        body: { amount: 1000 },
+      }
+    );
+    assert.equal(tooMuch.status, 422);
+  });
+
+  test("every operation is covered", () => {
+    assert.deepEqual(api.unexercised(), []);
+  });
+});
+
+describe("gateway", () => {
+  let api;
+
+  before(async () => {
+    api = await loadContract(stack.urls.gateway, {
+      headers: { "X-API-Key": API_KEYS.loadgen },
+    });
+  });
+
+  test("GET / lists the documented endpoints only", async () => {
+    const response = await fetch(`${stack.urls.gateway}/`);
+    const { endpoints } = await response.json();
+    const operations = Object.entries(api.document.paths).flatMap(
+      ([path, methods]) =>
+        Object.keys(methods).map((method) => `${method.toUpperCase()} ${path}`)
+    );
+    assert.deepEqual(Object.keys(endpoints).sort(), operations.sort());
+  });
+
+  test("authentication", async () => {
+    const unknownKey = await api.request("GET", "/api/fast", {
+      headers: { "X-API-Key": "not-a-key" },
+    });
+    assert.equal(unknownKey.status, 401);
+    assert.equal(unknownKey.body.code, "INVALID_CREDENTIALS");
+
+    const missing = await fetch(`${stack.urls.gateway}/api/fast`);
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).code, "AUTHENTICATION_REQUIRED");
+    assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+
+    const readOnly = await api.request("POST", "/api/order", {
+      body: { total: 10 },
+      headers: { "X-API-Key": API_KEYS.reporting },
+    });
+    assert.equal(readOnly.status, 403);
+    assert.deepEqual(readOnly.body.details.missing, ["orders:write"]);
+
+    const bearer = (claims) => ({
+      headers: {
+        "X-API-Key": undefined,
+        Authorization: `Bearer ${jwt.sign(claims)}`,
+      },
+    });
+    const fast = await api.request(
+      "GET",
+      "/api/fast",
+      bearer({ sub: "jwt-client", scope: "demo orders:read" })
+    );
+    assert.equal(fast.status, 200);
+
+    const expired = await api.request(
+      "GET",
+      "/api/fast",
+      bearer({ sub: "jwt-client", scope: "demo", exp: 1 })
+    );
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.details.reason, "expired");
+
+    const wrongIssuer = await api.request(
+      "GET",
+      "/api/fast",
+      bearer({ sub: "jwt-client", scope: "demo", iss: "someone-else" })
+    );
+    assert.equal(wrongIssuer.status, 401);
+  });
+
+  test("rate limiting", async () => {
+    const throttled = { headers: { "X-API-Key": API_KEYS.throttled } };
+    for (const remaining of ["1", "0"]) {
+      const allowed = await api.request("GET", "/api/fast", throttled);
+      assert.equal(allowed.status, 200);
+      assert.equal(allowed.headers.get("ratelimit-limit"), "2");
+      assert.equal(allowed.headers.get("ratelimit-remaining"), remaining);
+    }
+
+    const limited = await api.request("GET", "/api/fast", throttled);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.equal(limited.body.details.limit, "client");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+
+    // Other clients have their own buckets
+    assert.equal((await api.request("GET", "/api/fast")).status, 200);
+  });
+
+  test("GET /docs serves the UI", async () => {
+    const response = await fetch(`${stack.urls.gateway}/docs`);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /swagger-ui/);
+  });
+
+  test("demo endpoints", async () => {
+    assert.equal((await api.request("GET", "/api/fast")).status, 200);
+    assert.equal((await api.request("GET", "/api/slow")).status, 200);
+
+    const error = await api.request("GET", "/api/error");
+    assert.equal(error.status, 500);
+    assert.equal(error.body.code, "SIMULATED_FAILURE");
+  });
+
+  test("orders", async () => {
+    const invalid = await api.request("POST", "/api/order", {
+      body: { total: 10, extra: true },
+    });
+    assert.equal(invalid.status, 400);
+
+    const accepted = await api.request("POST", "/api/order", {
+      body: { total: 12.5 },
+      headers: { Prefer: "respond-async" },
+    });
+    assert.equal(accepted.status, 202);
+    assert.equal(
+      accepted.headers.get("location"),
+      `/api/orders/${accepted.body.orderId}`
+    );
+
+    const late = await api.request("POST", "/api/order", {
+      body: { total: 12.5 },
+      headers: { "X-Request-Budget-Ms": "0" },
+    });
+    assert.equal(late.status, 504);
+    assert.equal(late.body.code, "DEADLINE_EXCEEDED");
+
+    const blocked = await api.request("POST", "/api/order", {
+      body: { total: 12.5, customerId: "customer-blocked" },
+    });
+    assert.equal(blocked.status, 422);
+    assert.equal(blocked.body.code, "RISK_REJECTED");
+
+    const held = await api.request("POST", "/api/order", {
+      body: { total: 60000 },
+    });
+    assert.equal(held.status, 202);
+    assert.equal(held.body.status, "pending_review");
+
+    const order = await createPaidOrder(api, "/api/order");
+
+    const key = randomUUID();
+    const first = await api.request(
+      "POST",
+      `/api/orders/${order.orderId}/refunds`,
+      {
+        body: { amount: 5 },
+        headers: { "Idempotency-Key": key },
+      }
+    );
+    assert.equal(first.status, 201);
+
+    const reused = await api.request(
+      "POST",
+      `/api/orders/${order.orderId}/refunds`,
+      {
+        body: { amount: 6 },
+        headers: { "Idempotency-Key": key },
+      }
+    );
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.code, "IDEMPOTENCY_KEY_REUSED");
+
+    assert.equal(
+      (await api.request("GET", "/api/orders?status=partially_refunded"))
+        .status,
+      200
+    );
+    assert.equal(
+      (await api.request("GET", `/api/orders/${order.orderId}`)).status,
+      200
+    );
+    assert.equal(
+      (await api.request("GET", "/api/orders/not-a-uuid")).status,
+      400
+    );
+
+    const events = await api.request(
+      "GET",
+      `/api/orders/${order.orderId}/events`,
+      { headers: { "Last-Event-ID": "unknown:1" } }
+    );
+    assert.equal(events.status, 200);
+    assert.equal(
+      (await api.request("GET", `/api/orders/${randomUUID()}/events`)).status,
+      404
+    );
+
+    const cancel = await api.request(
+      "POST",
+      `/api/orders/${order.orderId}/cancel`
+    );
+    assert.equal(cancel.status, 409);
+    assert.equal(
+      (await api.request("POST", `/api/orders/${randomUUID()}/cancel`)).status,
+      404
+    );
+  });
+
+  test("webhooks", async () => {
+    const invalid = await api.request("POST", "/api/webhooks", {
+      body: { url: "ftp://example.com/hook", events: ["order.completed"] },
+    });
+    assert.equal(invalid.status, 400);
+
+    const created = await api.request("POST", "/api/webhooks", {
+      body: {
+        // Nothing listens there: deliveries fail until it is deleted
+        url: "http://127.0.0.1:9/hook",
+        events: ["order.completed", "payment.refunded"],
+        description: "contract test",
+      },
+    });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+    const { subscriptionId } = created.body;
+
+    const listed = await api.request("GET", "/api/webhooks");
+    assert.equal(listed.status, 200);
+    const mine = listed.body.webhooks.find(
+      (webhook) => webhook.subscriptionId === subscriptionId
+    );
+    assert.equal(mine.secret, undefined);
+
+    const forbidden = await api.request("GET", "/api/webhooks", {
+      headers: { "X-API-Key": API_KEYS.reporting },
+    });
+    assert.equal(forbidden.status, 403);
+
+    const log = await api.request(
+      "GET",
+      `/api/webhooks/${subscriptionId}/deliveries?status=retrying&limit=5`
+    );
+    assert.equal(log.status, 200);
+    assert.equal(
+      (await api.request("GET", "/api/webhooks/dead-letters")).status,
+      200
+    );
+
+    assert.equal(
+      (await api.request("DELETE", `/api/webhooks/${subscriptionId}`)).status,
+      204
+    );
+    const gone = await api.request(
+      "GET",
+      `/api/webhooks/${subscriptionId}/deliveries`
+    );
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.code, "WEBHOOK_NOT_FOUND");
+    assert.equal(
+      (await api.request("DELETE", `/api/webhooks/${subscriptionId}`)).status,
+      404
+    );
+  });
+
+  test("every operation is covered", () => {
+    assert.deepEqual(api.unexercised(), []);
+  });
+});
+
+test("every /api, /orders and /payments route is documented", () => {
+  for (const name of Object.keys(SERVICES)) {
+    assert.doesNotMatch(
+      stack.output(name),
+      /Route missing from OpenAPI document/,
+      name
+    );
+  }
+});
+
+test("/livez and /readyz", async () => {
+  const checks = {};
+  for (const [name, url] of Object.entries(stack.urls)) {
+    const live = await fetch(`${url}/livez`);
+    assert.equal(live.status, 200, name);
+
+    // The collector (port 9) is unreachable: degraded at worst
+    const ready = await fetch(`${url}/readyz`);
+    const report = await ready.json();
+    assert.equal(ready.status, 200, name);
+    assert.match(report.status, /^(ready|degraded)$/, name);
+    for (const [check, result] of Object.entries(report.checks)) {
+      if (result.critical) assert.equal(result.status, "pass", check);
+    }
+    checks[name] = Object.keys(report.checks).sort();
+  }
+
+  assert.deepEqual(checks, {
+    gateway: ["order-service", "telemetry"],
+    "order-service": [
+      "broker",
+      "inventory",
+      "order-store",
+      "payment-service",
+      "telemetry",
+    ],
+    "payment-service": ["broker", "payment-store", "telemetry"],
+  });
+});
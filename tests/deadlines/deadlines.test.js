@@ -0,0 +1,202 @@
+/**
+ * ============================================================
+ * DEADLINE TESTS - One time budget for the whole chain
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and places orders with and without X-Request-Budget-Ms:
+ * each hop must get what is left of the caller's budget (capped,
+ * or the route's default without a header), and a budget that runs
+ * out while payment-service is slowed down by an injected fault
+ * must be answered 504 DEADLINE_EXCEEDED at once, without a retry
+ * the budget has no room for (shared/http/deadline.js).
+ *
+ *   cd tests && npm install && npm run test:deadlines
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { SERVICES, startServices } from "../support/services.js";
+import { findSpan, findSpans } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: { ORDER_DEADLINE_MS: "4000" },
+  });
+});
+
+afterEach(async () => {
+  await setPaymentLatency(null);
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+/**
+ * Delays POST /payments on payment-service by `ms` (null: no delay).
+ */
+const setPaymentLatency = async (ms) => {
+  const response = await fetch(
+    `${stack.urls["payment-service"]}/admin/faults`,
+    {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        faults: ms
+          ? [
+              {
+                route: "POST /payments",
+                latency: { distribution: "fixed", ms },
+              },
+            ]
+          : [],
+      }),
+    }
+  );
+  assert.equal(response.status, 200);
+};
+
+/**
+ * POST /api/order in a new trace, with `budget` in
+ * X-Request-Budget-Ms unless it is undefined.
+ */
+const placeOrder = async (budget) => {
+  const { traceId, traceparent } = newTrace();
+  const started = Date.now();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEY,
+      "Content-Type": "application/json",
+      traceparent,
+      ...(budget !== undefined && { "X-Request-Budget-Ms": String(budget) }),
+    },
+    body: JSON.stringify({ item: "Widget", total: 20 }),
+  });
+  return {
+    traceId,
+    elapsedMs: Date.now() - started,
+    status: response.status,
+    body: await response.json(),
+  };
+};
+
+/**
+ * deadline.budget_ms / deadline.source of each service's server
+ * span, once every service exported it.
+ */
+const budgets = async (traceId) => {
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      return (
+        Object.keys(SERVICES).every((service) =>
+          spans.some(
+            (span) => span.service === service && span.kind === "server"
+          )
+        ) && spans
+      );
+    },
+    { message: `the server spans of trace ${traceId}` }
+  );
+  return Object.fromEntries(
+    Object.keys(SERVICES).map((service) => {
+      const span = findSpan(spans, { service, kind: "server" });
+      return [
+        service,
+        {
+          budgetMs: span.attributes["deadline.budget_ms"],
+          source: span.attributes["deadline.source"],
+        },
+      ];
+    })
+  );
+};
+
+test("each hop gets what is left of the caller's budget", async () => {
+  const order = await placeOrder(5000);
+  assert.equal(order.status, 200);
+
+  const hops = await budgets(order.traceId);
+  assert.deepEqual(hops.gateway, { budgetMs: 5000, source: "header" });
+  assert.equal(hops["order-service"].source, "header");
+  assert.equal(hops["payment-service"].source, "header");
+  assert.ok(hops["order-service"].budgetMs < 5000);
+  assert.ok(hops["payment-service"].budgetMs <= hops["order-service"].budgetMs);
+});
+
+test("without a header the route's default applies, and budgets are capped", async () => {
+  const unset = await placeOrder();
+  assert.equal(unset.status, 200);
+  assert.deepEqual((await budgets(unset.traceId)).gateway, {
+    budgetMs: 4000,
+    source: "route",
+  });
+
+  const huge = await placeOrder(3_600_000);
+  assert.equal(huge.status, 200);
+  assert.equal((await budgets(huge.traceId)).gateway.budgetMs, 60_000);
+
+  const invalid = await placeOrder("soon");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "INVALID_DEADLINE");
+});
+
+test("a budget that runs out is answered 504 at once, without retries", async () => {
+  await setPaymentLatency(1500);
+
+  const order = await placeOrder(400);
+  assert.equal(order.status, 504);
+  assert.equal(order.body.code, "DEADLINE_EXCEEDED");
+  assert.equal(order.body.details.budgetMs, 400);
+  assert.ok(order.elapsedMs < 1000, `answered after ${order.elapsedMs}ms`);
+
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(order.traceId);
+      return (
+        ["gateway", "payment-service"].every(
+          (service) => findSpans(spans, { service, kind: "server" }).length
+        ) && spans
+      );
+    },
+    { message: `the server spans of trace ${order.traceId}` }
+  );
+  const gateway = findSpan(spans, { service: "gateway", kind: "server" });
+  assert.equal(gateway.attributes["deadline.exceeded"], true);
+  // The payment-service call was not retried
+  assert.equal(
+    findSpans(spans, { service: "payment-service", kind: "server" }).length,
+    1
+  );
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("deadline_exceeded", {
+        service: "gateway",
+        source: "header",
+      }) >= 1,
+    { message: "deadline_exceeded{service=gateway}" }
+  );
+  const logged = stack
+    .logs("gateway")
+    .find(
+      (entry) =>
+        entry.message === "Deadline exceeded" &&
+        entry.trace_id === order.traceId
+    );
+  assert.equal(logged.budget_ms, 400);
+});
@@ -0,0 +1,206 @@
+/**
+ * ============================================================
+ * ORDER EVENT STREAM TESTS - GET /api/orders/:id/events
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and follows orders through the gateway's Server-Sent
+ * Events stream: the order's history is replayed, later status
+ * changes arrive as they happen, heartbeats keep the stream alive
+ * and a client reconnecting with Last-Event-ID only gets what it
+ * missed. Open streams must neither hold the gateway's load-shedding
+ * slots nor run into its request deadline.
+ *
+ *   cd tests && npm install && npm run test:events
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { openEventStream } from "../support/sse.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: {
+      SERVICE_TOKEN: randomUUID(),
+      PAYMENT_PROVIDER_LATENCY: "instant",
+      EVENT_STREAM_HEARTBEAT_MS: "100",
+      MAX_CONCURRENT_REQUESTS: "3",
+      REQUEST_DEADLINE_MS: "1000",
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const gateway = async (method, path, body) => {
+  const response = await fetch(`${stack.urls.gateway}${path}`, {
+    method,
+    headers: {
+      "X-API-Key": API_KEY,
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const placeOrder = async (total) => {
+  const { status, body } = await gateway("POST", "/api/order", {
+    item: "Widget",
+    total,
+  });
+  assert.equal(status, 200);
+  return body;
+};
+
+const refund = async (orderId, amount) => {
+  const { status } = await gateway("POST", `/api/orders/${orderId}/refunds`, {
+    amount,
+  });
+  assert.equal(status, 201);
+};
+
+const follow = (orderId, headers) =>
+  openEventStream(`${stack.urls.gateway}/api/orders/${orderId}/events`, {
+    headers: { "X-API-Key": API_KEY, ...headers },
+  });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const transitions = (events) =>
+  events.map(({ data }) => [data.previousStatus ?? null, data.status]);
+
+test("an order's status changes are replayed, then streamed live", async () => {
+  const order = await placeOrder(40);
+  const other = await placeOrder(15);
+
+  const stream = await follow(order.orderId);
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+
+  const replayed = await stream.next(2);
+  assert.deepEqual(transitions(replayed), [
+    [null, "pending"],
+    ["pending", "paid"],
+  ]);
+  assert.ok(replayed.every((event) => event.event === "order.status"));
+  assert.ok(replayed.every((event) => event.id));
+  assert.equal(replayed[1].data.order.paymentId, order.paymentId);
+  assert.equal(replayed[1].data.traceparent, undefined);
+
+  await refund(order.orderId, 10);
+  await refund(other.orderId, 15);
+  await refund(order.orderId, 30);
+  const live = await stream.next(2);
+  assert.deepEqual(transitions(live), [
+    ["paid", "partially_refunded"],
+    ["partially_refunded", "refunded"],
+  ]);
+  assert.equal(live[1].data.order.refundedAmount, 40);
+
+  await collector.waitFor(() => stream.comments > 0, {
+    message: "a heartbeat",
+  });
+  assert.ok(
+    stream.events.every((event) => event.data.orderId === order.orderId),
+    "only the order's own events"
+  );
+
+  const labels = { service: "gateway", stream: "order" };
+  await collector.waitFor(
+    () => collector.lastValue("event_streams_open", labels) === 1,
+    { message: "event_streams_open = 1" }
+  );
+  stream.close();
+  await collector.waitFor(
+    () => collector.lastValue("event_streams_open", labels) === 0,
+    { message: "event_streams_open = 0" }
+  );
+  assert.ok(collector.lastValue("event_stream_events", labels) >= 4);
+});
+
+test("reconnecting with Last-Event-ID only gets what was missed", async () => {
+  const order = await placeOrder(40);
+
+  const first = await follow(order.orderId);
+  const [, paid] = await first.next(2);
+  first.close();
+
+  await refund(order.orderId, 10);
+
+  const resumed = await follow(order.orderId, { "Last-Event-ID": paid.id });
+  const [missed] = await resumed.next();
+  assert.deepEqual(transitions([missed]), [["paid", "partially_refunded"]]);
+
+  await refund(order.orderId, 30);
+  const [refunded] = await resumed.next();
+  assert.equal(refunded.data.status, "refunded");
+  assert.equal(resumed.events.length, 2, "nothing replayed twice");
+  resumed.close();
+});
+
+test("unknown orders are answered 404 before any stream opens", async () => {
+  const stream = await follow(randomUUID());
+  assert.equal(stream.status, 404);
+  assert.match(stream.headers.get("content-type"), /^application\/json/);
+  await stream.ended;
+});
+
+test("open streams do not count as requests in flight", async () => {
+  const order = await placeOrder(25);
+
+  // More streams than MAX_CONCURRENT_REQUESTS
+  const streams = [];
+  for (let i = 0; i < 5; i++) {
+    const stream = await follow(order.orderId);
+    assert.equal(stream.status, 200, `stream ${i + 1}`);
+    streams.push(stream);
+  }
+
+  // Still room for ordinary requests while they stay open
+  const other = await placeOrder(15);
+  assert.equal(other.status, "paid");
+  for (const stream of streams) stream.close();
+});
+
+test("a stream outlives the request deadline", async () => {
+  const order = await placeOrder(40);
+  const stream = await follow(order.orderId);
+  await stream.next(2);
+
+  // Past REQUEST_DEADLINE_MS (1000)
+  await sleep(1500);
+  await refund(order.orderId, 10);
+  const [refunded] = await stream.next();
+  assert.equal(refunded.data.status, "partially_refunded");
+
+  // Two metric exports later, still nothing counted or logged
+  await sleep(500);
+  assert.equal(
+    collector.lastValue("deadline_exceeded", { service: "gateway" }),
+    undefined
+  );
+  assert.deepEqual(
+    stack
+      .logs("gateway")
+      .filter((entry) => entry.message === "Deadline exceeded"),
+    []
+  );
+  stream.close();
+});
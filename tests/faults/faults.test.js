@@ -0,0 +1,175 @@
+/**
+ * ============================================================
+ * FAULT INJECTION TESTS - /admin/faults and what it injects
+ * ============================================================
+ *
+ * Starts the three services and injects faults into payment-service
+ * through PUT /admin/faults: errors and latency must reach the
+ * caller tagged as injected, and rules that would take the process
+ * down (gigabytes of memory, minutes of busy loop) are refused.
+ * The middleware itself runs in this process too, to check that a
+ * fault failing on the way ends in the error handler, not in an
+ * unhandled rejection, and that repeated memory faults stay within
+ * their budget (shared/http/faults.js).
+ *
+ *   cd tests && npm install && npm run test:faults
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, afterEach, before, test } from "node:test";
+
+import { createFaultInjector } from "../../shared/http/faults.js";
+import { startServices } from "../support/services.js";
+
+const SERVICE_TOKEN = randomUUID();
+
+let stack;
+
+before(async () => {
+  stack = await startServices({
+    env: { SERVICE_TOKEN, PAYMENT_PROVIDER_LATENCY: "instant" },
+  });
+});
+
+afterEach(async () => {
+  await putFaults([]);
+});
+
+after(async () => {
+  await stack?.stop();
+});
+
+const call = async (method, path, body) => {
+  const response = await fetch(`${stack.urls["payment-service"]}${path}`, {
+    method,
+    headers: {
+      "X-Service-Token": SERVICE_TOKEN,
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const putFaults = (faults) => call("PUT", "/admin/faults", { faults });
+
+const pay = () =>
+  call("POST", "/payments", { orderId: randomUUID(), amount: 20 });
+
+test("an injected error is answered with the fault's status", async () => {
+  const configured = await putFaults([
+    { route: "POST /payments", error: { status: 503, message: "Chaos" } },
+  ]);
+  assert.equal(configured.status, 200);
+  const [fault] = configured.body.faults;
+
+  const payment = await pay();
+  assert.equal(payment.status, 503);
+  assert.equal(payment.body.code, "FAULT_INJECTED");
+  assert.equal(payment.body.message, "Chaos");
+  assert.equal(payment.body.details.fault_id, fault.id);
+
+  // Other routes are left alone
+  const other = await call("GET", `/payments/PAY-${randomUUID()}`);
+  assert.equal(other.status, 404);
+  assert.equal(other.body.code, "PAYMENT_NOT_FOUND");
+});
+
+test("injected latency delays the response", async () => {
+  await putFaults([
+    { route: "POST /payments", latency: { distribution: "fixed", ms: 300 } },
+  ]);
+
+  const started = Date.now();
+  const payment = await pay();
+  assert.equal(payment.status, 200);
+  assert.ok(Date.now() - started >= 300);
+});
+
+test("rules beyond the limits are refused", async () => {
+  const refused = [
+    { route: "/payments", memory: { mb: 1e9 } },
+    { route: "/payments", memory: { mb: 10, holdMs: 24 * 3600 * 1000 } },
+    { route: "/payments", cpu: { durationMs: 60_000 } },
+    { route: "/payments", latency: { ms: 3_600_000 } },
+    { route: "/payments", memory: { mb: Infinity } },
+  ];
+
+  for (const rule of refused) {
+    const { status, body } = await putFaults([rule]);
+    assert.equal(status, 400, JSON.stringify(rule));
+    assert.equal(body.code, "INVALID_FAULT");
+  }
+  const { body } = await call("GET", "/admin/faults");
+  assert.deepEqual(body.faults, []);
+});
+
+// For the injectors run in this process
+const meter = {
+  createCounter: () => ({ add() {} }),
+  createObservableGauge: () => ({ addCallback() {} }),
+};
+
+/**
+ * PUT /admin/faults on an injector, without Express.
+ */
+const configure = (injector, faults) => {
+  const routes = {};
+  injector.registerAdminRoutes({
+    get() {},
+    delete() {},
+    put: (path, handler) => (routes.put = handler),
+  });
+  routes.put({ body: { faults } }, { json() {} }, assert.fail);
+};
+
+test("a fault that throws goes to the error handler", async () => {
+  const logger = {
+    warn: (message) => {
+      if (message === "Injected fault") throw new Error("logger down");
+    },
+  };
+  const injector = createFaultInjector({ service: "tests", meter, logger });
+
+  configure(injector, [{ route: "/payments", cpu: { durationMs: 0 } }]);
+
+  const error = await new Promise((resolve) =>
+    injector.middleware({ method: "POST", path: "/payments" }, {}, resolve)
+  );
+  assert.equal(error.message, "logger down");
+});
+
+test("memory faults hold no more than the retained budget", async () => {
+  const logged = [];
+  const logger = {
+    warn: (message, fields) => {
+      if (message === "Injected fault") logged.push(fields);
+    },
+  };
+  const injector = createFaultInjector({
+    service: "tests",
+    meter,
+    logger,
+    maxRetainedMb: 64,
+  });
+  configure(injector, [
+    { route: "/payments", memory: { mb: 16, holdMs: 60_000 } },
+  ]);
+
+  const before = process.memoryUsage().arrayBuffers;
+  for (let request = 0; request < 20; request++) {
+    const error = await new Promise((resolve) =>
+      injector.middleware({ method: "POST", path: "/payments" }, {}, resolve)
+    );
+    assert.equal(error, undefined);
+  }
+  const grownMb = (process.memoryUsage().arrayBuffers - before) / 1024 / 1024;
+
+  // 4 x 16 MB held, the other requests recorded as capped
+  assert.ok(grownMb < 64 + 16, `grew by ${grownMb.toFixed(0)} MB`);
+  assert.equal(logged.length, 20);
+  assert.equal(logged.filter((fields) => fields.memory_capped).length, 16);
+  for (const fields of logged) assert.equal(fields.fault_type, "memory");
+});
@@ -0,0 +1,233 @@
+/**
+ * ============================================================
+ * HEALTH TESTS - Readiness from dependency checks
+ * ============================================================
+ *
+ * Runs @lgtm/http's createHealthChecks() in this process with
+ * scripted checks: a failing critical check makes the service
+ * unready, a failing non-critical one only degraded, slow checks
+ * time out, results are cached and shared between probes, and
+ * drain() fails readiness for good. Then stops payment-service
+ * under a running stack: order-service must report unready while
+ * staying live, without taking the gateway out of rotation
+ * (shared/http/health.js).
+ *
+ *   cd tests && npm install && npm run test:health
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { test } from "node:test";
+
+import { createHealthChecks } from "../../shared/http/health.js";
+import { startServices } from "../support/services.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Health checks over `checks`; `gauge(name)` reads the observable gauges
+ * and `entries` what was logged.
+ */
+const createHealth = (checks, options = {}) => {
+  const callbacks = {};
+  const meter = {
+    createHistogram: () => ({ record() {} }),
+    createObservableGauge: (name) => ({
+      addCallback: (callback) => (callbacks[name] = callback),
+    }),
+  };
+  const gauge = (name) => {
+    const observed = [];
+    callbacks[name]({
+      observe: (value, attributes) => observed.push({ value, ...attributes }),
+    });
+    return observed;
+  };
+
+  const entries = [];
+  const log =
+    (level) =>
+    (message, fields = {}) =>
+      entries.push({ level, message, ...fields });
+  const logger = { info: log("info"), warn: log("warn") };
+
+  const health = createHealthChecks({
+    service: "tests",
+    meter,
+    logger,
+    checks,
+    ...options,
+  });
+  return { ...health, gauge, entries };
+};
+
+/**
+ * A check answering with what `outcome()` returns (or throws),
+ * counting its runs; critical unless `{ critical: false }`.
+ */
+const scripted = (name, outcome, options = {}) => {
+  const check = {
+    name,
+    ...options,
+    runs: 0,
+    run: async () => {
+      check.runs += 1;
+      return outcome();
+    },
+  };
+  return check;
+};
+
+test("critical failures make the service unready, others degraded", async () => {
+  let storeUp = true;
+  let brokerUp = true;
+  const health = createHealth(
+    [
+      scripted("store", () => {
+        if (!storeUp) throw new Error("store down");
+        return { orders: 3 };
+      }),
+      scripted(
+        "broker",
+        () => {
+          if (!brokerUp) throw new Error("broker down");
+        },
+        { critical: false }
+      ),
+    ],
+    { cacheMs: 0 }
+  );
+
+  const ready = await health.report();
+  assert.equal(ready.status, "ready");
+  assert.deepEqual(ready.checks.store.details, { orders: 3 });
+  assert.deepEqual(health.gauge("health_ready"), [
+    { value: 1, service: "tests" },
+  ]);
+
+  brokerUp = false;
+  const degraded = await health.report();
+  assert.equal(degraded.status, "degraded");
+  assert.equal(degraded.checks.broker.status, "fail");
+  assert.equal(degraded.checks.broker.error, "broker down");
+  assert.equal(health.gauge("health_ready")[0].value, 1);
+
+  storeUp = false;
+  const unready = await health.report();
+  assert.equal(unready.status, "unready");
+  assert.equal(unready.checks.store.critical, true);
+  assert.equal(health.gauge("health_ready")[0].value, 0);
+  assert.deepEqual(
+    health
+      .gauge("health_check_status")
+      .map(({ check, value }) => [check, value]),
+    [
+      ["store", 0],
+      ["broker", 0],
+    ]
+  );
+});
+
+test("a check that hangs fails after its timeout", async () => {
+  const health = createHealth(
+    [scripted("payment-service", () => new Promise(() => {}))],
+    { timeoutMs: 100 }
+  );
+
+  const started = Date.now();
+  const report = await health.report();
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(report.status, "unready");
+  assert.equal(report.checks["payment-service"].error, "timed out after 100ms");
+});
+
+test("results are cached and shared by probes arriving together", async () => {
+  const check = scripted("store", () => sleep(50));
+  const health = createHealth([check], { cacheMs: 200 });
+
+  await Promise.all([health.report(), health.report(), health.report()]);
+  assert.equal(check.runs, 1);
+
+  await health.report();
+  assert.equal(check.runs, 1, "reused within cacheMs");
+
+  await sleep(250);
+  await health.report();
+  assert.equal(check.runs, 2);
+});
+
+test("a check starting to fail is logged once, and its recovery", async () => {
+  let up = true;
+  const health = createHealth(
+    [
+      scripted("order-service", () => {
+        if (!up) throw new Error("connect ECONNREFUSED");
+      }),
+    ],
+    { cacheMs: 0 }
+  );
+
+  await health.report();
+  up = false;
+  await health.report();
+  await health.report();
+  up = true;
+  await health.report();
+
+  assert.deepEqual(
+    health.entries.map(({ level, message, check }) => [level, message, check]),
+    [
+      ["warn", "Health check failing", "order-service"],
+      ["info", "Health check recovered", "order-service"],
+    ]
+  );
+});
+
+test("draining fails readiness even with every check passing", async () => {
+  const health = createHealth([scripted("store", () => null)]);
+
+  health.drain();
+  const report = await health.report();
+
+  assert.equal(report.status, "draining");
+  assert.equal(report.checks.store.status, "pass");
+  assert.equal(health.isDraining(), true);
+});
+
+test("a service whose dependency is down is unready but stays live", async () => {
+  const stack = await startServices({
+    env: { SERVICE_TOKEN: randomUUID() },
+  });
+  try {
+    await stack.kill("payment-service");
+    // Past the 5s the last passing result is reused
+    await sleep(5500);
+
+    const ready = await fetch(`${stack.urls["order-service"]}/readyz`);
+    const report = await ready.json();
+    assert.equal(ready.status, 503);
+    assert.equal(report.status, "unready");
+    assert.equal(report.checks["payment-service"].status, "fail");
+    assert.equal(report.checks["payment-service"].critical, true);
+
+    const live = await fetch(`${stack.urls["order-service"]}/livez`);
+    assert.equal(live.status, 200);
+
+    // The gateway only checks order-service's /livez
+    const gateway = await fetch(`${stack.urls.gateway}/readyz`);
+    assert.equal(gateway.status, 200);
+    assert.equal((await gateway.json()).checks["order-service"].status, "pass");
+
+    const logged = stack
+      .logs("order-service")
+      .find(
+        (entry) =>
+          entry.message === "Health check failing" &&
+          entry.check === "payment-service"
+      );
+    assert.equal(logged.critical, true);
+  } finally {
+    await stack.stop();
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * ============================================================
+ * IDEMPOTENCY TESTS - Repeated POSTs with an Idempotency-Key
+ * ============================================================
+ *
+ * Starts the three services and repeats POST /api/order on the
+ * gateway with the same Idempotency-Key: a repeat replays the first
+ * response instead of placing a second order, a different body is
+ * refused, and keys are the client's own, so another client using
+ * the same key gets an order of its own (shared/http/idempotency.js).
+ *
+ *   cd tests && npm install && npm run test:idempotency
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, afterEach, before, test } from "node:test";
+
+import { startServices } from "../support/services.js";
+
+// sample-app/api-keys.json
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  acme: "lgtm-dev-acme-key",
+};
+
+const SERVICE_TOKEN = randomUUID();
+
+let stack;
+
+before(async () => {
+  stack = await startServices({
+    env: { SERVICE_TOKEN, PAYMENT_PROVIDER_LATENCY: "instant" },
+  });
+});
+
+afterEach(async () => {
+  await setPaymentLatency(0);
+});
+
+after(async () => {
+  await stack?.stop();
+});
+
+const placeOrder = async ({ apiKey = API_KEYS.loadgen, key, body }) => {
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": apiKey,
+      "Idempotency-Key": key,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  return {
+    status: response.status,
+    replayed: response.headers.get("idempotent-replayed") === "true",
+    retryAfter: response.headers.get("retry-after"),
+    body: await response.json(),
+  };
+};
+
+/**
+ * Makes payment-service take `ms` before answering POST /payments
+ * (0 clears the fault).
+ */
+const setPaymentLatency = (ms) =>
+  fetch(`${stack.urls["payment-service"]}/admin/faults`, {
+    method: "PUT",
+    headers: {
+      "X-Service-Token": SERVICE_TOKEN,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      faults: ms
+        ? [{ route: "POST /payments", latency: { distribution: "fixed", ms } }]
+        : [],
+    }),
+  });
+
+test("a repeated request replays the first response", async () => {
+  const key = randomUUID();
+  const body = { item: "Widget", total: 30 };
+
+  const first = await placeOrder({ key, body });
+  assert.equal(first.status, 200);
+  assert.equal(first.replayed, false);
+
+  const repeat = await placeOrder({ key, body });
+  assert.equal(repeat.status, 200);
+  assert.equal(repeat.replayed, true);
+  assert.deepEqual(repeat.body, first.body);
+});
+
+test("the same key with a different body is refused", async () => {
+  const key = randomUUID();
+  await placeOrder({ key, body: { item: "Widget", total: 30 } });
+
+  const changed = await placeOrder({
+    key,
+    body: { item: "Widget", total: 31 },
+  });
+  assert.equal(changed.status, 422);
+  assert.equal(changed.body.code, "IDEMPOTENCY_KEY_REUSED");
+});
+
+test("two clients using the same key each get their own order", async () => {
+  const key = randomUUID();
+  const body = { item: "Widget", total: 30 };
+
+  const loadgen = await placeOrder({ apiKey: API_KEYS.loadgen, key, body });
+  const acme = await placeOrder({ apiKey: API_KEYS.acme, key, body });
+  assert.equal(loadgen.status, 200);
+  assert.equal(acme.status, 200);
+  assert.equal(acme.replayed, false);
+  assert.notEqual(acme.body.orderId, loadgen.body.orderId);
+
+  // Each one's repeat still replays its own order
+  const again = await placeOrder({ apiKey: API_KEYS.acme, key, body });
+  assert.equal(again.replayed, true);
+  assert.equal(again.body.orderId, acme.body.orderId);
+});
+
+test("a repeat while the first is in progress is told to retry", async () => {
+  await setPaymentLatency(1000);
+  const key = randomUUID();
+  const body = { item: "Widget", total: 30 };
+
+  const first = placeOrder({ key, body });
+  // The first one is now waiting for payment-service
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  const repeat = await placeOrder({ key, body });
+  assert.equal(repeat.status, 409);
+  assert.equal(repeat.body.code, "IDEMPOTENCY_KEY_IN_USE");
+  assert.equal(repeat.retryAfter, "1");
+
+  // Once it is done, the repeat gets its answer
+  const done = await first;
+  assert.equal(done.status, 200);
+  const later = await placeOrder({ key, body });
+  assert.equal(later.replayed, true);
+  assert.equal(later.body.orderId, done.body.orderId);
+});
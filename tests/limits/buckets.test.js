@@ -0,0 +1,74 @@
+/**
+ * ============================================================
+ * BUCKET TESTS - How many clients the rate limiter remembers
+ * ============================================================
+ *
+ * Runs @lgtm/http's createRateLimiter() in this process with room
+ * for three buckets: a fourth client drops the least recently used
+ * bucket, however drained it is, while a client that keeps calling
+ * keeps its own (shared/http/rate-limit.js).
+ *
+ *   cd tests && npm install && npm run test:limits
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createRateLimiter } from "../../shared/http/rate-limit.js";
+
+const meter = { createCounter: () => ({ add() {} }) };
+const logger = { warn() {} };
+
+/**
+ * A limiter allowing each client one request (and no second one for
+ * a long while), keeping three buckets; `call(client)` answers the
+ * status the client would get.
+ */
+const createLimiter = () => {
+  const limiter = createRateLimiter({
+    service: "tests",
+    meter,
+    logger,
+    limit: { rate: 0.001, burst: 1 },
+    maxBuckets: 3,
+  });
+
+  const call = (clientId) => {
+    let status = 200;
+    const req = { method: "GET", path: "/api/orders", auth: { clientId } };
+    const res = {
+      set: () => res,
+      status: (code) => {
+        status = code;
+        return res;
+      },
+      json: () => res,
+    };
+    limiter.middleware(req, res, () => {});
+    return status;
+  };
+
+  return { call };
+};
+
+test("a client with a drained bucket is limited", () => {
+  const { call } = createLimiter();
+
+  assert.equal(call("a"), 200);
+  assert.equal(call("a"), 429);
+});
+
+test("past the maximum the least recently used bucket is dropped", () => {
+  const { call } = createLimiter();
+  for (const client of ["a", "b", "c"]) assert.equal(call(client), 200);
+
+  // a is used again, b is now the least recently used
+  assert.equal(call("a"), 429);
+  assert.equal(call("d"), 200);
+
+  // b starts over, a and d still have their drained buckets
+  assert.equal(call("b"), 200);
+  assert.equal(call("a"), 429);
+  assert.equal(call("d"), 429);
+});
@@ -0,0 +1,161 @@
+/**
+ * ============================================================
+ * RATE LIMIT TESTS - Rate limits and load shedding on the gateway
+ * ============================================================
+ *
+ * Starts the three services with small limits and checks that the
+ * gateway says no before doing the work: a client over its bucket
+ * gets 429 RATE_LIMITED with Retry-After and RateLimit headers while
+ * other clients are unaffected, POST /api/order has its own stricter
+ * bucket, and requests beyond MAX_CONCURRENT_REQUESTS in flight are
+ * shed with 503 OVERLOADED, except for the probes
+ * (shared/http/rate-limit.js).
+ *
+ *   cd tests && npm install && npm run test:limits
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+
+// sample-app/api-keys.json; each test uses its own client's buckets
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  acme: "lgtm-dev-acme-key",
+  admin: "lgtm-dev-admin-key",
+  reporting: "lgtm-dev-reporting-key",
+};
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: {
+      SERVICE_TOKEN: randomUUID(),
+      PAYMENT_PROVIDER_LATENCY: "instant",
+      // Three requests, then one every two seconds
+      RATE_LIMIT_RPS: "0.5",
+      RATE_LIMIT_BURST: "3",
+      ORDER_RATE_LIMIT_RPS: "0.2",
+      ORDER_RATE_LIMIT_BURST: "1",
+      MAX_CONCURRENT_REQUESTS: "2",
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const gateway = async (client, method, path, body) => {
+  const response = await fetch(`${stack.urls.gateway}${path}`, {
+    method,
+    headers: {
+      ...(client && { "X-API-Key": API_KEYS[client] }),
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+};
+
+test("a client over its bucket is limited, others are not", async () => {
+  for (const remaining of ["2", "1", "0"]) {
+    const allowed = await gateway("reporting", "GET", "/api/orders");
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get("ratelimit-limit"), "3");
+    assert.equal(allowed.headers.get("ratelimit-remaining"), remaining);
+  }
+
+  const limited = await gateway("reporting", "GET", "/api/orders");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "RATE_LIMITED");
+  assert.equal(limited.body.details.limit, "default");
+  assert.equal(limited.headers.get("retry-after"), "2");
+  assert.ok(Number(limited.headers.get("ratelimit-reset")) > 0);
+
+  assert.equal((await gateway("admin", "GET", "/api/orders")).status, 200);
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("http_requests_rejected", {
+        service: "gateway",
+        reason: "rate_limited",
+        limit: "default",
+      }) >= 1,
+    { message: "http_requests_rejected{reason=rate_limited}" }
+  );
+  const logged = stack
+    .logs("gateway")
+    .find((entry) => entry.message === "Request rejected");
+  assert.equal(logged.reason, "rate_limited");
+  assert.equal(logged.retry_after_s, 2);
+});
+
+test("orders have their own bucket, on top of the client's", async () => {
+  const order = { item: "Widget", total: 20 };
+
+  assert.equal(
+    (await gateway("acme", "POST", "/api/order", order)).status,
+    200
+  );
+
+  const limited = await gateway("acme", "POST", "/api/order", order);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.details.limit, "POST /api/order");
+  assert.equal(limited.headers.get("ratelimit-limit"), "1");
+  assert.equal(limited.headers.get("retry-after"), "5");
+
+  // The rest of the API still answers
+  assert.equal((await gateway("acme", "GET", "/api/orders")).status, 200);
+});
+
+test("requests beyond the concurrency limit are shed, probes are not", async () => {
+  // Two requests of at least 200ms fill the gateway
+  const slow = [
+    gateway("loadgen", "GET", "/api/slow"),
+    gateway("loadgen", "GET", "/api/slow"),
+  ];
+  await sleep(100);
+
+  // Shed before authentication: no credentials needed for the 503
+  const shed = await gateway(null, "GET", "/api/fast");
+  assert.equal(shed.status, 503);
+  assert.equal(shed.body.code, "OVERLOADED");
+  assert.equal(shed.headers.get("retry-after"), "1");
+
+  for (const probe of ["/livez", "/readyz"]) {
+    const response = await fetch(`${stack.urls.gateway}${probe}`);
+    assert.equal(response.status, 200, probe);
+  }
+
+  for (const response of await Promise.all(slow)) {
+    assert.equal(response.status, 200);
+  }
+  // Slots are given back once the requests are answered
+  assert.equal((await gateway("loadgen", "GET", "/api/fast")).status, 200);
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("http_requests_rejected", {
+        service: "gateway",
+        reason: "overloaded",
+        limit: "concurrency",
+      }) >= 1,
+    { message: "http_requests_rejected{reason=overloaded}" }
+  );
+});
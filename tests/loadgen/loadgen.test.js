@@ -0,0 +1,283 @@
+/**
+ * ============================================================
+ * LOAD GENERATOR TESTS - Scenarios, arrivals and the report
+ * ============================================================
+ *
+ * Loads every bundled scenario, checks validation and the arrival
+ * math, runs the runner in this process against a scripted HTTP
+ * server (weighted mix, Idempotency-Key and customer headers per
+ * request, drops at the concurrency limit), then runs the CLI
+ * against the three services exporting to an in-memory OTLP
+ * collector: the JSON report counts every outcome and each request
+ * is the root span of a trace the gateway continues (loadgen/).
+ *
+ *   cd tests && npm install && npm run test:loadgen
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { once } from "node:events";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { after, before, test } from "node:test";
+
+import { nextDelayMs, rateAt } from "../../loadgen/arrivals.js";
+import { runScenario } from "../../loadgen/runner.js";
+import {
+  loadScenario,
+  parseDuration,
+  validateScenario,
+} from "../../loadgen/scenario.js";
+import { createStats, percentile } from "../../loadgen/stats.js";
+import { startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { assertDescendantOf, findSpan, rootsOf } from "../support/traces.js";
+
+const LOADGEN = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../loadgen"
+);
+
+// The runner only needs startActiveSpan; spans are checked end to end below
+const span = {
+  setAttribute() {},
+  setStatus() {},
+  recordException() {},
+  end() {},
+};
+const tracer = { startActiveSpan: (name, options, fn) => fn(span) };
+
+// Answers after ?delay= ms; records what it was sent
+let received = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received.push({ url: req.url, headers: req.headers });
+    const delayMs = Number(
+      new URL(req.url, "http://x").searchParams.get("delay")
+    );
+    setTimeout(() => {
+      res.writeHead(req.url.startsWith("/missing") ? 404 : 200);
+      res.end("{}");
+    }, delayMs || 0);
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test("every bundled scenario loads", () => {
+  const files = fs.readdirSync(path.join(LOADGEN, "scenarios"));
+  assert.ok(files.length >= 4);
+
+  for (const file of files) {
+    const scenario = loadScenario(path.join(LOADGEN, "scenarios", file));
+    assert.ok(scenario.requests.length > 0, file);
+    assert.ok(scenario.durationMs > 0 || scenario.maxRequests > 0, file);
+  }
+});
+
+test("scenarios are validated and defaulted", () => {
+  assert.equal(parseDuration("500ms"), 500);
+  assert.equal(parseDuration("30"), 30_000);
+  assert.equal(parseDuration("2m"), 120_000);
+  assert.throws(() => parseDuration("soon"), /Invalid duration/);
+
+  const scenario = validateScenario({
+    requests: [{ path: "/api/fast" }],
+  });
+  assert.equal(scenario.concurrency, 50);
+  assert.equal(scenario.timeoutMs, 10_000);
+  assert.deepEqual(scenario.arrival, { type: "constant", rate: 5 });
+  assert.deepEqual(scenario.requests[0], {
+    name: "GET /api/fast",
+    method: "GET",
+    path: "/api/fast",
+    weight: 1,
+    body: undefined,
+    headers: {},
+    idempotencyKey: false,
+    customer: false,
+  });
+
+  for (const [raw, message] of [
+    [{}, /requests must be a non-empty list/],
+    [{ requests: [{ path: "api/fast" }] }, /path must start with/],
+    [{ requests: [{ path: "/", method: "TRACE" }] }, /bad method/],
+    [{ requests: [{ path: "/", weight: 0 }] }, /weight must be > 0/],
+    [{ requests: [{ path: "/", body: "cart" }] }, /unknown body generator/],
+    [{ arrival: { type: "spike" }, requests: [{ path: "/" }] }, /arrival.type/],
+    [
+      { arrival: { type: "ramp", from: 1 }, requests: [{ path: "/" }] },
+      /ramp arrival needs/,
+    ],
+  ]) {
+    assert.throws(() => validateScenario(raw, "bad.yaml"), message);
+  }
+});
+
+test("a ramp climbs linearly, then holds", () => {
+  const ramp = { type: "ramp", from: 0, to: 20, overMs: 10_000 };
+
+  assert.equal(rateAt(ramp, 0), 0);
+  assert.equal(rateAt(ramp, 5_000), 10);
+  assert.equal(rateAt(ramp, 60_000), 20);
+  assert.equal(nextDelayMs(ramp, 5_000), 100);
+  // Polled until the rate picks up
+  assert.equal(nextDelayMs(ramp, 0), 100);
+  assert.equal(nextDelayMs({ type: "constant", rate: 4 }, 0), 250);
+});
+
+test("the report has nearest-rank percentiles per request", () => {
+  assert.equal(percentile([], 50), 0);
+  assert.equal(percentile([1, 2, 3, 4], 50), 2);
+  assert.equal(percentile([1, 2, 3, 4], 99), 4);
+
+  const stats = createStats();
+  for (let ms = 1; ms <= 100; ms++) stats.record("fast", 200, ms);
+  stats.record("fast", 503, 500);
+  stats.record("fast", "dropped");
+
+  const report = stats.report();
+  assert.equal(report.total, 102);
+  assert.deepEqual(report.outcomes, { 200: 100, 503: 1, dropped: 1 });
+  assert.equal(report.requests.fast.latencyMs.count, 101);
+  assert.equal(report.requests.fast.latencyMs.p50, 51);
+  assert.equal(report.requests.fast.latencyMs.max, 500);
+});
+
+test("the runner sends the mix and drops at the concurrency limit", async () => {
+  received = [];
+  const stats = createStats();
+  const scenario = validateScenario({
+    baseUrl,
+    maxRequests: 20,
+    concurrency: 2,
+    arrival: { type: "constant", rate: 200 },
+    requests: [
+      { name: "slow", path: "/orders?delay=100", idempotencyKey: true },
+      { name: "missing", path: "/missing", customer: true },
+    ],
+  });
+
+  await runScenario(scenario, { tracer, stats }).done;
+
+  const report = stats.report();
+  assert.equal(report.total, 20);
+  assert.ok(report.outcomes.dropped > 0, JSON.stringify(report.outcomes));
+  assert.equal(received.length, 20 - report.outcomes.dropped);
+  assert.equal(report.requests.missing?.outcomes["200"], undefined);
+
+  // A fresh key per request, none on requests without idempotencyKey
+  const keys = received
+    .filter((request) => request.url.startsWith("/orders"))
+    .map((request) => request.headers["idempotency-key"]);
+  assert.ok(keys.every(Boolean));
+  assert.equal(new Set(keys).size, keys.length);
+  // A random customer's caller headers where asked for
+  for (const request of received.filter((r) => r.url === "/missing")) {
+    assert.equal(request.headers["idempotency-key"], undefined);
+    assert.match(
+      request.headers["x-tenant-id"],
+      /^(acme|globex|initech|umbrella)$/
+    );
+    assert.ok(request.headers["x-customer-tier"]);
+  }
+  for (const request of received.filter((r) => r.url !== "/missing")) {
+    assert.equal(request.headers["x-tenant-id"], undefined);
+  }
+});
+
+test("each generated request is the root of a gateway trace", async () => {
+  const collector = await startCollector();
+  const stack = await startServices({ collector });
+
+  try {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "loadgen-"));
+    const file = path.join(dir, "smoke.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        name: "smoke",
+        maxRequests: 6,
+        arrival: { type: "constant", rate: 20 },
+        requests: [
+          { name: "fast", path: "/api/fast", weight: 2 },
+          { name: "error", path: "/api/error", weight: 1 },
+        ],
+      })
+    );
+
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      ["cli.js", file, "--url", stack.urls.gateway, "--json"],
+      {
+        cwd: LOADGEN,
+        timeout: 30_000,
+        env: {
+          ...process.env,
+          OTEL_EXPORTER_OTLP_ENDPOINT: collector.url,
+          OTEL_BSP_SCHEDULE_DELAY: "100",
+        },
+      }
+    );
+    fs.rmSync(dir, { recursive: true });
+
+    // The banner, then the JSON report
+    const report = JSON.parse(stdout.slice(stdout.indexOf('{\n  "elapsedMs"')));
+    assert.equal(report.total, 6);
+    assert.equal(
+      (report.outcomes["200"] ?? 0) + (report.outcomes["500"] ?? 0),
+      6,
+      JSON.stringify(report.outcomes)
+    );
+
+    // The CLI flushes its spans before exiting; the gateway's follow
+    const roots = await collector.waitFor(
+      () => {
+        const roots = collector
+          .spans()
+          .filter((span) => span.service === "loadgen" && !span.parentSpanId);
+        return (
+          roots.length === 6 &&
+          roots.every((root) =>
+            collector
+              .trace(root.traceId)
+              .some((span) => span.service === "gateway")
+          ) &&
+          roots
+        );
+      },
+      { message: "6 loadgen traces reaching the gateway" }
+    );
+
+    for (const root of roots) {
+      const spans = collector.trace(root.traceId);
+      assert.deepEqual(rootsOf(spans), [root]);
+      assert.equal(root.kind, "internal");
+      assert.equal(root.attributes["loadgen.scenario"], "smoke");
+      assert.equal(root.name, root.attributes["loadgen.request"]);
+
+      const gateway = findSpan(spans, { service: "gateway", kind: "server" });
+      assertDescendantOf(spans, gateway, root);
+      if (root.name === "error") {
+        assert.equal(root.attributes["http.status_code"], 500);
+        assert.equal(root.status.code, "error");
+      }
+    }
+  } finally {
+    await stack.stop();
+    await collector.close();
+  }
+});
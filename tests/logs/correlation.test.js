@@ -0,0 +1,147 @@
+/**
+ * ============================================================
+ * LOG CORRELATION TESTS - Every log line points at its span
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and places orders in traces of our own: each log line
+ * written while handling the request, before and after the calls to
+ * the next service, must carry that trace's trace_id, the span_id
+ * of a span the same service exported and its trace_flags, next to
+ * service_name / service_version, and nothing but such JSON lines is
+ * written (shared/telemetry/logger.js).
+ *
+ *   cd tests && npm install && npm run test:logs
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { SERVICES, startServices } from "../support/services.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({ collector });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const placeOrder = async (traceparent) => {
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEY,
+      "Content-Type": "application/json",
+      traceparent,
+    },
+    body: JSON.stringify({ total: 20 }),
+  });
+  await response.body?.cancel();
+  return response.status;
+};
+
+const logsOfTrace = (service, traceId) =>
+  stack.logs(service).filter((entry) => entry.trace_id === traceId);
+
+test("log lines carry the trace and span they were written in", async () => {
+  const { traceId, traceparent } = newTrace();
+  await placeOrder(traceparent);
+
+  // Every service logged, and exported its spans, for this trace
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      return (
+        Object.keys(SERVICES).every((service) =>
+          spans.some(
+            (span) => span.service === service && span.kind === "server"
+          )
+        ) && spans
+      );
+    },
+    { message: `the server spans of trace ${traceId}` }
+  );
+
+  for (const service of Object.keys(SERVICES)) {
+    const entries = logsOfTrace(service, traceId);
+    assert.ok(entries.length > 0, `${service} logged nothing for the trace`);
+
+    const spanIds = new Set(
+      spans.filter((span) => span.service === service).map((s) => s.spanId)
+    );
+    for (const entry of entries) {
+      assert.ok(
+        spanIds.has(entry.span_id),
+        `${service} "${entry.message}" has span_id ${entry.span_id}, not one of its spans`
+      );
+      assert.equal(entry.trace_flags, "01");
+      assert.equal(entry.service_name, service);
+      assert.equal(entry.service_version, "1.0.0");
+    }
+  }
+});
+
+test("lines written after awaiting the next service keep the trace", async () => {
+  const { traceId, traceparent } = newTrace();
+  assert.equal(await placeOrder(traceparent), 200);
+
+  const messages = (service) =>
+    logsOfTrace(service, traceId).map((entry) => entry.message);
+
+  const gateway = messages("gateway");
+  assert.ok(
+    gateway.includes("Received order request, forwarding to order-service")
+  );
+  assert.ok(gateway.includes("Order completed"));
+
+  // order-service logs before and after payment-service answers
+  const orders = messages("order-service");
+  assert.ok(orders.includes("Processing order"), orders.join(", "));
+  assert.ok(orders.includes("Order completed"), orders.join(", "));
+});
+
+test("an unsampled trace is logged with trace_flags 00", async () => {
+  const { traceId, traceparent } = newTrace();
+  await placeOrder(traceparent.replace(/-01$/, "-00"));
+
+  const entries = logsOfTrace("gateway", traceId);
+  assert.ok(entries.length > 0);
+  for (const entry of entries) assert.equal(entry.trace_flags, "00");
+});
+
+test("lines outside any request have no trace fields", () => {
+  for (const service of Object.keys(SERVICES)) {
+    const started = stack
+      .logs(service)
+      .find((entry) => /started$/i.test(entry.message));
+    assert.ok(started, `${service} startup line`);
+    assert.equal(started.trace_id, undefined);
+    assert.equal(started.span_id, undefined);
+    assert.equal(started.service_name, service);
+  }
+});
+
+test("startup writes structured log lines only", () => {
+  for (const service of Object.keys(SERVICES)) {
+    const lines = stack.output(service).split("\n").filter(Boolean);
+    for (const line of lines) {
+      assert.ok(line.startsWith("{"), `${service} wrote: ${line}`);
+    }
+
+    const initialized = stack
+      .logs(service)
+      .find((entry) => entry.message === "OpenTelemetry initialized");
+    assert.equal(initialized.otlp_endpoint, collector.url);
+  }
+});
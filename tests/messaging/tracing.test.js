@@ -0,0 +1,190 @@
+/**
+ * ============================================================
+ * MESSAGING TRACE TESTS - One trace across the message queue
+ * ============================================================
+ *
+ * Runs @lgtm/messaging on the in-process broker with an in-memory
+ * span exporter registered in this process (BROKER_URL=memory://
+ * does not connect two services): the consumer's span must continue
+ * the trace of the request that published the message, link to the
+ * producer span and see the publisher's baggage, and a failed
+ * delivery and its redelivery must both show up in that trace
+ * (shared/messaging/index.js).
+ *
+ *   cd tests && npm install && npm run test:messaging
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, beforeEach, test } from "node:test";
+
+import { context, propagation, trace } from "@opentelemetry/api";
+import { AsyncLocalStorageContextManager } from "@opentelemetry/context-async-hooks";
+import {
+  BasicTracerProvider,
+  InMemorySpanExporter,
+  SimpleSpanProcessor,
+} from "@opentelemetry/sdk-trace-base";
+
+const meter = { createCounter: () => ({ add() {} }) };
+const errors = [];
+const logger = {
+  info() {},
+  warn() {},
+  error: (message, fields) => errors.push({ message, ...fields }),
+};
+
+const exporter = new InMemorySpanExporter();
+const provider = new BasicTracerProvider();
+provider.addSpanProcessor(new SimpleSpanProcessor(exporter));
+provider.register({ contextManager: new AsyncLocalStorageContextManager() });
+
+// @lgtm/messaging takes its tracer when loaded: register first, as the
+// services load telemetry.js before anything else
+const { createMessaging, TOPICS } = await import("@lgtm/messaging");
+
+const tracer = trace.getTracer("tests");
+let messaging;
+
+beforeEach(async () => {
+  exporter.reset();
+  errors.length = 0;
+  await messaging?.close();
+  messaging = createMessaging({
+    service: "tests",
+    meter,
+    logger,
+    url: "memory://",
+  });
+});
+
+after(async () => {
+  await messaging?.close();
+  await provider.shutdown();
+});
+
+const waitFor = async (check, message) => {
+  const deadline = Date.now() + 2000;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out: ${message}`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const spansNamed = (name) =>
+  exporter.getFinishedSpans().filter((span) => span.name === name);
+
+/**
+ * Publishes orders.created inside a "POST /orders" span carrying
+ * tenant baggage, as order-service does for an async order.
+ */
+const publishFromRequest = async (body) => {
+  const baggage = propagation.createBaggage({
+    "tenant.id": { value: "acme" },
+  });
+  const request = tracer.startSpan("POST /orders");
+  await context.with(
+    propagation.setBaggage(trace.setSpan(context.active(), request), baggage),
+    () => messaging.publish(TOPICS.ORDER_CREATED, body)
+  );
+  request.end();
+  return request.spanContext();
+};
+
+test("the consumer continues the publishing request's trace", async () => {
+  const received = [];
+  messaging.subscribe(TOPICS.ORDER_CREATED, async (body) => {
+    received.push({
+      body,
+      traceId: trace.getActiveSpan()?.spanContext().traceId,
+      tenant: propagation.getActiveBaggage()?.getEntry("tenant.id")?.value,
+    });
+  });
+
+  const orderId = randomUUID();
+  const request = await publishFromRequest({ orderId, amount: 20 });
+  await waitFor(
+    () => spansNamed("orders.created process").length > 0,
+    "the consumer span"
+  );
+
+  const [producer] = spansNamed("orders.created publish");
+  const [consumer] = spansNamed("orders.created process");
+
+  assert.equal(producer.spanContext().traceId, request.traceId);
+  assert.equal(producer.parentSpanId, request.spanId);
+  assert.equal(producer.attributes["messaging.operation"], "publish");
+
+  assert.equal(consumer.spanContext().traceId, request.traceId);
+  assert.equal(consumer.parentSpanId, producer.spanContext().spanId);
+  assert.deepEqual(
+    consumer.links.map((link) => link.context.spanId),
+    [producer.spanContext().spanId]
+  );
+  assert.equal(
+    consumer.attributes["messaging.message.id"],
+    producer.attributes["messaging.message.id"]
+  );
+  assert.equal(consumer.attributes["messaging.message.redelivered"], false);
+
+  // The handler runs inside the consumer span, with the baggage
+  assert.deepEqual(received, [
+    {
+      body: { orderId, amount: 20 },
+      traceId: request.traceId,
+      tenant: "acme",
+    },
+  ]);
+});
+
+test("a failed delivery and its redelivery are both in the trace", async () => {
+  let deliveries = 0;
+  messaging.subscribe(TOPICS.ORDER_CREATED, async () => {
+    deliveries += 1;
+    if (deliveries === 1) throw new Error("payment store unavailable");
+  });
+
+  const request = await publishFromRequest({
+    orderId: randomUUID(),
+    amount: 20,
+  });
+  await waitFor(
+    () => spansNamed("orders.created process").length === 2,
+    "two consumer spans"
+  );
+
+  const [failed, redelivered] = spansNamed("orders.created process");
+  for (const span of [failed, redelivered]) {
+    assert.equal(span.spanContext().traceId, request.traceId);
+  }
+  assert.equal(failed.status.message, "payment store unavailable");
+  assert.equal(failed.events[0].name, "exception");
+  assert.equal(failed.attributes["messaging.message.redelivered"], false);
+  assert.equal(redelivered.attributes["messaging.message.redelivered"], true);
+  assert.equal(deliveries, 2);
+
+  assert.deepEqual(
+    errors.map(({ message, redelivered, error }) => [
+      message,
+      redelivered,
+      error,
+    ]),
+    [["Message processing failed", false, "payment store unavailable"]]
+  );
+});
+
+test("a message without trace context starts a new trace", async () => {
+  let traceId;
+  messaging.subscribe(TOPICS.ORDER_CREATED, async () => {
+    traceId = trace.getActiveSpan()?.spanContext().traceId;
+  });
+
+  // Published outside of any request
+  await messaging.publish(TOPICS.ORDER_CREATED, { orderId: randomUUID() });
+  await waitFor(() => traceId, "the consumer span");
+
+  const [producer] = spansNamed("orders.created publish");
+  assert.equal(producer.parentSpanId, undefined);
+  assert.equal(traceId, producer.spanContext().traceId);
+});
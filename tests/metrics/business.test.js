@@ -0,0 +1,189 @@
+/**
+ * ============================================================
+ * BUSINESS METRICS TESTS - Orders and payments, counted
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector, places a handful of orders and checks the domain
+ * metrics against what actually happened to each one: orders and
+ * order value by final status, pending orders, payments by outcome
+ * and decline reason, processing time, all with nothing but their
+ * few fixed labels (order-service/metrics.js,
+ * payment-service/metrics.js).
+ *
+ *   cd tests && npm install && npm run test:metrics
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+// The provider simulator declines totals ending in .01, .02 and .03
+const DECLINED = {
+  30.01: "card_declined",
+  50.02: "insufficient_funds",
+  70.03: "fraud_suspected",
+};
+const TOTALS = [10, 20, 30.01, 40, 50.02, 60, 70.03, 80];
+
+let collector;
+let stack;
+// Final status of every order placed, by total
+const placed = [];
+let settledAt;
+
+before(async () => {
+  collector = await startCollector();
+  // Orders are only the caller's own with the service token
+  stack = await startServices({
+    collector,
+    env: { SERVICE_TOKEN: randomUUID() },
+  });
+
+  for (const total of TOTALS) {
+    const response = await fetch(`${stack.urls.gateway}/api/order`, {
+      method: "POST",
+      headers: { "X-API-Key": API_KEY, "Content-Type": "application/json" },
+      body: JSON.stringify({ item: "Widget", total }),
+    });
+    // A declined order's ID is in the error's details
+    const body = await response.json();
+    const orderId = body.orderId ?? body.details.orderId;
+    const order = await fetch(`${stack.urls.gateway}/api/orders/${orderId}`, {
+      headers: { "X-API-Key": API_KEY },
+    }).then((response) => response.json());
+    placed.push({ total, status: order.status });
+  }
+  settledAt = Date.now();
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const withStatus = (status) =>
+  placed.filter((order) => order.status === status);
+
+/**
+ * Newest value of a counter, 0 while none was exported.
+ */
+const counted = (name, attributes) =>
+  collector.lastValue(name, attributes) ?? 0;
+
+test("orders are counted and valued by final status", async () => {
+  await collector.waitFor(
+    () =>
+      counted("orders_created", { status: "paid" }) +
+        counted("orders_created", { status: "payment_failed" }) ===
+      TOTALS.length,
+    { message: `orders_created to reach ${TOTALS.length}` }
+  );
+
+  for (const { total, status } of placed) {
+    assert.equal(status, DECLINED[total] ? "payment_failed" : "paid", total);
+  }
+
+  for (const status of ["paid", "payment_failed"]) {
+    const orders = withStatus(status);
+    assert.equal(counted("orders_created", { status }), orders.length, status);
+
+    const value = collector.lastValue("order_value_usd", { status });
+    assert.equal(value.count, orders.length);
+    const sum = orders.reduce((sum, order) => sum + order.total, 0);
+    assert.ok(Math.abs(value.sum - sum) < 1e-6, `${value.sum} != ${sum}`);
+  }
+});
+
+test("no order is left pending once paid or failed", async () => {
+  // Observed after the last order settled
+  const point = await collector.waitFor(
+    () =>
+      collector
+        .metric("orders_pending")
+        .find((point) => point.timeMs > settledAt),
+    { message: "orders_pending after the orders settled" }
+  );
+  assert.equal(point.value, 0);
+});
+
+test("payments are counted by outcome and decline reason", async () => {
+  // One series per decline reason
+  const declined = () =>
+    Object.values(DECLINED).reduce(
+      (sum, reason) =>
+        sum +
+        counted("payments_processed", {
+          outcome: "declined",
+          decline_reason: reason,
+        }),
+      0
+    );
+  await collector.waitFor(
+    () =>
+      counted("payments_processed", { outcome: "approved" }) + declined() ===
+      TOTALS.length,
+    { message: `payments_processed to reach ${TOTALS.length}` }
+  );
+
+  assert.equal(
+    counted("payments_processed", { outcome: "approved" }),
+    withStatus("paid").length
+  );
+  for (const reason of Object.values(DECLINED)) {
+    assert.equal(
+      counted("payments_processed", {
+        outcome: "declined",
+        decline_reason: reason,
+      }),
+      1,
+      reason
+    );
+  }
+
+  const durations = ["approved", "declined"]
+    .map((outcome) =>
+      collector.lastValue("payment_processing_duration", { outcome })
+    )
+    .filter(Boolean);
+  assert.equal(
+    durations.reduce((sum, duration) => sum + duration.count, 0),
+    TOTALS.length
+  );
+  // The provider answers in 100-300ms by default
+  for (const duration of durations) {
+    assert.ok(duration.sum / duration.count >= 100, JSON.stringify(duration));
+  }
+});
+
+test("labels stay within their fixed sets", () => {
+  const customer = ["tenant_id", "customer_tier"];
+  const allowed = {
+    orders_created: ["status", ...customer],
+    order_value_usd: ["status", ...customer],
+    orders_pending: [],
+    payments_processed: ["outcome", "decline_reason", ...customer],
+    payment_processing_duration: ["outcome", ...customer],
+  };
+
+  for (const [name, keys] of Object.entries(allowed)) {
+    const points = collector.metric(name);
+    assert.ok(points.length > 0, name);
+    for (const point of points) {
+      for (const key of Object.keys(point.attributes)) {
+        assert.ok(keys.includes(key), `${name} has label ${key}`);
+      }
+      // No tenant or tier was sent
+      for (const key of customer.filter((key) => keys.includes(key))) {
+        assert.equal(point.attributes[key], "unknown", `${name} ${key}`);
+      }
+    }
+  }
+});
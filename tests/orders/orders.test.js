@@ -0,0 +1,214 @@
+/**
+ * ============================================================
+ * ORDER STORE TESTS - Orders kept, listed, fetched and cancelled
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and places orders through the gateway: each is stored
+ * under a UUID, listed newest first in pages chained by an opaque
+ * cursor (filtered by status), fetched by ID, cancelled only while
+ * pending, and every store call shows up as a database span of the
+ * request (order-service/store.js).
+ *
+ *   cd tests && npm install && npm run test:orders
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { assertDescendantOf, findSpan, findSpans } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+const UUID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  // Orders only record their client (and so are only the caller's own)
+  // when the client ID reaches order-service with the service token
+  stack = await startServices({
+    collector,
+    env: { SERVICE_TOKEN: randomUUID() },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const gateway = async (method, path, { body, headers } = {}) => {
+  const response = await fetch(`${stack.urls.gateway}${path}`, {
+    method,
+    headers: {
+      "X-API-Key": API_KEY,
+      ...(body && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Places an order; paid, or payment_failed for a total ending in .01
+ * (declined by the provider simulator, the order ID then in the
+ * error's details).
+ */
+const placeOrder = async (total, headers) => {
+  const { body } = await gateway("POST", "/api/order", {
+    body: { item: "Widget", total },
+    headers,
+  });
+  const orderId = body.orderId ?? body.details?.orderId;
+  assert.match(orderId, UUID);
+  return orderId;
+};
+
+test("an order is stored under a UUID and can be fetched", async () => {
+  const orderId = await placeOrder(12.5);
+
+  const { status, body: order } = await gateway(
+    "GET",
+    `/api/orders/${orderId}`
+  );
+  assert.equal(status, 200);
+  assert.equal(order.orderId, orderId);
+  assert.equal(order.total, 12.5);
+  assert.equal(order.item, "Widget");
+  assert.equal(order.status, "paid");
+  assert.ok(order.paymentId);
+  assert.ok(Date.parse(order.createdAt) <= Date.parse(order.updatedAt));
+
+  const missing = await gateway(
+    "GET",
+    "/api/orders/00000000-0000-4000-8000-000000000000"
+  );
+  assert.equal(missing.status, 404);
+});
+
+test("orders are listed newest first, page by page", async () => {
+  const placed = [];
+  for (let total = 1; total <= 5; total++) placed.push(await placeOrder(total));
+
+  const { body: everything } = await gateway("GET", "/api/orders?limit=100");
+  assert.equal(everything.nextCursor, null);
+  // Ours are the newest
+  assert.deepEqual(
+    everything.orders.slice(0, 5).map((order) => order.orderId),
+    placed.toReversed()
+  );
+
+  // Two at a time: the same orders, none twice, none skipped
+  const paged = [];
+  let cursor;
+  do {
+    const query = `limit=2${cursor ? `&cursor=${cursor}` : ""}`;
+    const { status, body } = await gateway("GET", `/api/orders?${query}`);
+    assert.equal(status, 200);
+    assert.ok(body.orders.length <= 2);
+    paged.push(...body.orders.map((order) => order.orderId));
+    cursor = body.nextCursor;
+  } while (cursor);
+  assert.deepEqual(
+    paged,
+    everything.orders.map((order) => order.orderId)
+  );
+});
+
+test("the list filters by status and refuses bad parameters", async () => {
+  await placeOrder(3);
+  const declined = await placeOrder(3.01);
+
+  const { body: paid } = await gateway("GET", "/api/orders?status=paid");
+  assert.ok(paid.orders.length > 0);
+  for (const order of paid.orders) assert.equal(order.status, "paid");
+
+  const { body: failed } = await gateway(
+    "GET",
+    "/api/orders?status=payment_failed"
+  );
+  assert.equal(failed.orders[0].orderId, declined);
+  for (const order of failed.orders) {
+    assert.equal(order.status, "payment_failed");
+  }
+
+  const { body: cancelled } = await gateway(
+    "GET",
+    "/api/orders?status=cancelled"
+  );
+  assert.deepEqual(cancelled.orders, []);
+
+  for (const query of [
+    "status=lost",
+    "limit=0",
+    "limit=101",
+    "limit=ten",
+    "cursor=not-a-cursor",
+  ]) {
+    const { status } = await gateway("GET", `/api/orders?${query}`);
+    assert.equal(status, 400, query);
+  }
+});
+
+test("only pending orders can be cancelled", async () => {
+  const orderId = await placeOrder(7);
+  const { body: order } = await gateway("GET", `/api/orders/${orderId}`);
+
+  // Paid by the time POST /api/order answered
+  const refused = await gateway("POST", `/api/orders/${orderId}/cancel`);
+  assert.equal(refused.status, 409);
+  const { body: unchanged } = await gateway("GET", `/api/orders/${orderId}`);
+  assert.equal(unchanged.status, order.status);
+
+  const missing = await gateway(
+    "POST",
+    "/api/orders/00000000-0000-4000-8000-000000000000/cancel"
+  );
+  assert.equal(missing.status, 404);
+
+  const logged = stack
+    .logs("order-service")
+    .find(
+      (entry) =>
+        entry.message === "Order cannot be cancelled" &&
+        entry.order_id === orderId
+    );
+  assert.equal(logged.status, order.status);
+});
+
+test("store calls are database spans of the request", async () => {
+  const { traceId, traceparent } = newTrace();
+  await placeOrder(9, { traceparent });
+
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      return findSpans(spans, { name: "UPDATE orders" }).length > 0 && spans;
+    },
+    { message: `the store spans of trace ${traceId}` }
+  );
+
+  const server = findSpan(spans, { service: "order-service", kind: "server" });
+  const insert = findSpan(spans, { name: "INSERT orders" });
+  const update = findSpan(spans, { name: "UPDATE orders" });
+  assert.ok(insert.startMs < update.startMs);
+  for (const span of [insert, update]) {
+    assert.equal(span.service, "order-service");
+    assert.equal(span.kind, "client");
+    assert.equal(span.attributes["db.system"], "memory");
+    assert.equal(span.attributes["db.sql.table"], "orders");
+  }
+  assertDescendantOf(spans, insert, server);
+  assertDescendantOf(spans, update, server);
+  assert.equal(update.attributes["order.status"], "paid");
+});
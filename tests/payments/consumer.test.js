@@ -0,0 +1,222 @@
+/**
+ * ============================================================
+ * ORDER CONSUMER TESTS - Every queued order gets a payment result
+ * ============================================================
+ *
+ * Runs payment-service's orders.created consumer in this process on
+ * the in-memory broker (BROKER_URL=memory:// only reaches subscribers
+ * in the same process), with stand-ins for the payment store and for
+ * processPayment: provider failures must still answer
+ * payments.completed, so order-service can fail the order and release
+ * its stock (payment-service/consumer.js).
+ *
+ *   cd tests && npm install && npm run test:payments
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { test } from "node:test";
+
+import { createMessaging, TOPICS } from "@lgtm/messaging";
+
+import { createOrderConsumer } from "../../payment-service/consumer.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const meter = { createCounter: () => ({ add() {} }) };
+
+const createLogger = () => {
+  const entries = [];
+  const log =
+    (level) =>
+    (message, fields = {}) =>
+      entries.push({ level, message, ...fields });
+  return {
+    entries,
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+};
+
+/**
+ * The consumer on a memory broker; `results` collects what it
+ * publishes on payments.completed, `attempts` each processPayment call.
+ */
+const startConsumer = ({ processPayment, stored = [] }) => {
+  const logger = createLogger();
+  const messaging = createMessaging({
+    service: "payment-service",
+    meter,
+    logger,
+    url: "memory://",
+  });
+  const results = [];
+  const attempts = [];
+
+  messaging.subscribe(TOPICS.PAYMENT_COMPLETED, async (body) => {
+    results.push(body);
+  });
+  messaging.subscribe(
+    TOPICS.ORDER_CREATED,
+    createOrderConsumer({
+      messaging,
+      payments: {
+        getByOrderId: async (orderId) =>
+          stored.find((payment) => payment.orderId === orderId) ?? null,
+      },
+      processPayment: async (order) => {
+        attempts.push(order);
+        return processPayment(order);
+      },
+      logger,
+    })
+  );
+
+  return {
+    logger,
+    results,
+    attempts,
+    order: (body) => messaging.publish(TOPICS.ORDER_CREATED, body),
+    close: () => messaging.close(),
+  };
+};
+
+/**
+ * What processPayment() throws for a provider timeout (a 504
+ * httpError caused by the provider's PROVIDER_TIMEOUT).
+ */
+const providerTimeout = (orderId) =>
+  Object.assign(new Error("Payment provider did not answer in time"), {
+    status: 504,
+    code: "PAYMENT_PROVIDER_TIMEOUT",
+    details: { paymentId: "PAY-timeout", orderId },
+    expose: true,
+    cause: Object.assign(new Error("timeout"), { code: "PROVIDER_TIMEOUT" }),
+  });
+
+const waitFor = async (check, message) => {
+  const deadline = Date.now() + 2000;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out: ${message}`);
+    await sleep(10);
+  }
+};
+
+test("a provider failure answers a failed payment instead of nothing", async () => {
+  const orderId = randomUUID();
+  const consumer = startConsumer({
+    processPayment: async () => {
+      throw providerTimeout(orderId);
+    },
+  });
+
+  await consumer.order({ orderId, amount: 20.04 });
+  await waitFor(() => consumer.results.length > 0, "payments.completed");
+
+  assert.deepEqual(consumer.results, [
+    {
+      orderId,
+      paymentId: "PAY-timeout",
+      status: "failed",
+      declineReason: "provider_error",
+    },
+  ]);
+  // Answered on the first delivery, not retried against the provider
+  assert.equal(consumer.attempts.length, 1);
+  const logged = consumer.logger.entries.find(
+    (entry) => entry.order_id === orderId && entry.level === "warn"
+  );
+  assert.equal(logged.error_code, "PAYMENT_PROVIDER_TIMEOUT");
+  await consumer.close();
+});
+
+test("captured and declined payments are published as they are", async () => {
+  const consumer = startConsumer({
+    processPayment: async ({ orderId, amount }) =>
+      amount === 20.01
+        ? {
+            orderId,
+            paymentId: "PAY-1",
+            status: "declined",
+            declineReason: "card_declined",
+          }
+        : { orderId, paymentId: "PAY-2", status: "captured" },
+  });
+  const [declined, captured] = [randomUUID(), randomUUID()];
+
+  await consumer.order({ orderId: declined, amount: 20.01 });
+  await consumer.order({ orderId: captured, amount: 20 });
+  await waitFor(() => consumer.results.length === 2, "two results");
+
+  assert.deepEqual(
+    consumer.results.map(({ orderId, status, declineReason }) => [
+      orderId,
+      status,
+      declineReason,
+    ]),
+    [
+      [declined, "declined", "card_declined"],
+      [captured, "captured", undefined],
+    ]
+  );
+  await consumer.close();
+});
+
+test("the order's card number is charged", async () => {
+  const consumer = startConsumer({
+    processPayment: async ({ orderId }) => ({
+      orderId,
+      paymentId: "PAY-1",
+      status: "captured",
+    }),
+  });
+  const orderId = randomUUID();
+
+  await consumer.order({ orderId, amount: 20, cardNumber: "4242424242424242" });
+  await waitFor(() => consumer.results.length > 0, "payments.completed");
+
+  assert.deepEqual(consumer.attempts, [
+    { orderId, amount: 20, cardNumber: "4242424242424242" },
+  ]);
+  await consumer.close();
+});
+
+test("a redelivered order gets its stored result, not a second charge", async () => {
+  const orderId = randomUUID();
+  const consumer = startConsumer({
+    stored: [{ orderId, paymentId: "PAY-stored", status: "captured" }],
+    processPayment: async () => assert.fail("charged twice"),
+  });
+
+  await consumer.order({ orderId, amount: 20 });
+  await waitFor(() => consumer.results.length > 0, "payments.completed");
+
+  assert.deepEqual(consumer.results, [
+    { orderId, paymentId: "PAY-stored", status: "captured" },
+  ]);
+  await consumer.close();
+});
+
+test("other failures are left to the broker to redeliver", async () => {
+  const orderId = randomUUID();
+  const consumer = startConsumer({
+    processPayment: async () => {
+      throw new Error("payment store unavailable");
+    },
+  });
+
+  await consumer.order({ orderId, amount: 20 });
+  await waitFor(() => consumer.attempts.length === 2, "the redelivery");
+  await sleep(50);
+
+  assert.deepEqual(consumer.results, []);
+  assert.equal(
+    consumer.logger.entries.filter(
+      (entry) => entry.message === "Message processing failed"
+    ).length,
+    2
+  );
+  await consumer.close();
+});
@@ -0,0 +1,293 @@
+/**
+ * ============================================================
+ * PAYMENT PROVIDER TESTS - The simulator's scenarios, end to end
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and drives payment-service's provider simulator with
+ * its magic card numbers and amounts: declines, timeouts and
+ * network errors must come out the same every time, each provider
+ * call must be a client span, and the simulator's webhooks must be
+ * verified and reconciled (payment-service/simulator.js). A card
+ * number given to the gateway must make it to the provider.
+ *
+ *   cd tests && npm install && npm run test:payments
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { findSpan, findSpans } from "../support/traces.js";
+
+const SERVICE_TOKEN = randomUUID();
+const INTERNAL = { "X-Service-Token": SERVICE_TOKEN };
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: {
+      SERVICE_TOKEN,
+      PAYMENT_PROVIDER_LATENCY: "fast",
+      PAYMENT_PROVIDER_TIMEOUT_MS: "300",
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+/**
+ * POST /payments on payment-service in a new trace.
+ */
+const pay = async (body) => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls["payment-service"]}/payments`, {
+    method: "POST",
+    headers: { ...INTERNAL, "Content-Type": "application/json", traceparent },
+    body: JSON.stringify({ orderId: randomUUID(), ...body }),
+  });
+  return { traceId, status: response.status, body: await response.json() };
+};
+
+/**
+ * The spans of `traceId` once `count` provider calls arrived.
+ */
+const providerCalls = (traceId, count) =>
+  collector.waitFor(
+    () => {
+      const calls = findSpans(collector.trace(traceId), {
+        service: "payment-service",
+        kind: "client",
+        name: /^simulator /,
+      });
+      return calls.length >= count && calls;
+    },
+    { message: `${count} provider calls in trace ${traceId}` }
+  );
+
+const logged = (message, match = () => true) =>
+  collector.waitFor(
+    () =>
+      stack
+        .logs("payment-service")
+        .find((entry) => entry.message === message && match(entry)),
+    { message: `payment-service log "${message}"` }
+  );
+
+test("magic card numbers and amounts pick the outcome", async () => {
+  const cases = [
+    [{ amount: 20 }, null],
+    [{ amount: 20.01 }, "card_declined"],
+    [{ amount: 20.02 }, "insufficient_funds"],
+    [{ amount: 20.03 }, "fraud_suspected"],
+    [{ amount: 20, cardNumber: "4100000000000019" }, "fraud_suspected"],
+    // The card wins over the amount
+    [{ amount: 20.02, cardNumber: "4000000000000002" }, "card_declined"],
+    [{ amount: 20, cardNumber: "4242424242424242" }, null],
+  ];
+
+  for (const [body, declineReason] of cases) {
+    const { status, body: payment } = await pay(body);
+    const label = JSON.stringify(body);
+    if (declineReason) {
+      assert.equal(status, 400, label);
+      assert.equal(payment.code, "PAYMENT_DECLINED", label);
+      assert.equal(payment.details.declineReason, declineReason, label);
+    } else {
+      assert.equal(status, 200, label);
+      assert.equal(payment.status, "captured", label);
+      assert.equal(payment.provider, "simulator", label);
+      assert.match(payment.providerRef, /^sim_ch_/, label);
+    }
+  }
+
+  const { traceId } = await pay({ amount: 20.03 });
+  const [authorize] = await providerCalls(traceId, 1);
+  assert.equal(authorize.name, "simulator authorize");
+  assert.equal(authorize.status.code, "unset");
+  assert.deepEqual(
+    {
+      outcome: authorize.attributes["payment_provider.outcome"],
+      declineCode: authorize.attributes["payment_provider.decline_code"],
+      scenario: authorize.attributes["simulator.scenario"],
+      matchedBy: authorize.attributes["simulator.scenario.matched_by"],
+      latency: authorize.attributes["simulator.latency_profile"],
+    },
+    {
+      outcome: "declined",
+      declineCode: "fraud_suspected",
+      scenario: "fraud_suspected",
+      matchedBy: "amount",
+      latency: "fast",
+    }
+  );
+});
+
+test("a provider timeout answers 504, the late authorization is voided", async () => {
+  const { traceId, status, body } = await pay({ amount: 20.04 });
+  assert.equal(status, 504);
+  assert.equal(body.code, "PAYMENT_PROVIDER_TIMEOUT");
+
+  const [authorize] = await providerCalls(traceId, 1);
+  assert.equal(authorize.status.code, "error");
+  assert.equal(authorize.attributes["payment_provider.outcome"], "timeout");
+
+  // The simulator authorizes after all and says so in a webhook
+  const { paymentId } = body.details;
+  const voided = await logged(
+    "Orphaned authorization voided",
+    (entry) => entry.payment_id === paymentId
+  );
+  const [voidCall] = await providerCalls(voided.trace_id, 1);
+  assert.equal(voidCall.name, "simulator void");
+  assert.equal(voidCall.attributes["payment.id"], paymentId);
+
+  const stored = await fetch(
+    `${stack.urls["payment-service"]}/payments/${paymentId}`,
+    { headers: INTERNAL }
+  );
+  assert.equal(stored.status, 404);
+});
+
+test("webhooks are verified and reconciled, refunds go to the provider", async () => {
+  const { body: payment } = await pay({ amount: 20 });
+
+  for (const type of ["payment.authorized", "payment.captured"]) {
+    const entry = await logged(
+      "Provider webhook received",
+      (entry) =>
+        entry.payment_id === payment.paymentId && entry.event_type === type
+    );
+    assert.equal(entry.result, "confirmed");
+  }
+
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(
+    `${stack.urls["payment-service"]}/payments/${payment.paymentId}/refunds`,
+    {
+      method: "POST",
+      headers: { ...INTERNAL, "Content-Type": "application/json", traceparent },
+      body: JSON.stringify({ amount: 5 }),
+    }
+  );
+  assert.equal(response.status, 201);
+  const { refund } = await response.json();
+  assert.match(refund.providerRef, /^sim_re_/);
+
+  const [call] = await providerCalls(traceId, 1);
+  assert.equal(call.name, "simulator refund");
+  assert.equal(call.attributes["refund.id"], refund.refundId);
+  await logged(
+    "Provider webhook received",
+    (entry) =>
+      entry.payment_id === payment.paymentId &&
+      entry.event_type === "payment.refunded" &&
+      entry.result === "confirmed"
+  );
+
+  // Not signed by the simulator
+  const forged = await fetch(
+    `${stack.urls["payment-service"]}/webhooks/payment-provider`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Simulator-Signature": `t=${Math.floor(Date.now() / 1000)},v1=00`,
+      },
+      body: JSON.stringify({
+        id: "evt_forged",
+        type: "payment.refunded",
+        data: { reference: payment.paymentId },
+      }),
+    }
+  );
+  assert.equal(forged.status, 401);
+  assert.equal((await forged.json()).code, "INVALID_WEBHOOK_SIGNATURE");
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("payment_provider_webhooks", {
+        result: "invalid_signature",
+      }) === 1,
+    { message: "payment_provider_webhooks{result=invalid_signature}" }
+  );
+});
+
+test("a network error fails the order; order-service retries it", async () => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEY,
+      "Content-Type": "application/json",
+      traceparent,
+    },
+    body: JSON.stringify({ item: "Widget", total: 30.05 }),
+  });
+  assert.equal(response.status, 502);
+  assert.equal((await response.json()).code, "PAYMENT_PROVIDER_UNAVAILABLE");
+
+  // The first attempt and order-service's two retries (HTTP_CLIENT_MAX_RETRIES)
+  const calls = await providerCalls(traceId, 3);
+  for (const call of calls) {
+    assert.equal(call.name, "simulator authorize");
+    assert.equal(call.status.code, "error");
+    assert.equal(
+      call.attributes["payment_provider.error"],
+      "PROVIDER_UNAVAILABLE"
+    );
+    assert.equal(call.attributes["simulator.scenario"], "network_error");
+  }
+
+  const order = findSpan(collector.trace(traceId), {
+    service: "order-service",
+    kind: "server",
+    attributes: { "http.target": "/orders" },
+  });
+  assert.equal(order.attributes["http.status_code"], 502);
+});
+
+test("a card number sent to the gateway reaches the provider", async () => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEY,
+      "Content-Type": "application/json",
+      traceparent,
+    },
+    body: JSON.stringify({
+      item: "Widget",
+      total: 20,
+      cardNumber: "4000000000000002",
+    }),
+  });
+  const body = await response.json();
+  assert.equal(response.status, 400);
+  assert.equal(body.code, "PAYMENT_DECLINED");
+  assert.equal(body.details.declineReason, "card_declined");
+
+  const [authorize] = await providerCalls(traceId, 1);
+  assert.equal(authorize.attributes["simulator.scenario"], "card_declined");
+  assert.equal(authorize.attributes["simulator.scenario.matched_by"], "card");
+
+  // Charged, never kept
+  const order = await fetch(
+    `${stack.urls.gateway}/api/orders/${body.details.orderId}`,
+    { headers: { "X-API-Key": API_KEY } }
+  ).then((res) => res.json());
+  assert.equal(order.status, "payment_failed");
+  assert.equal(order.cardNumber, undefined);
+});
@@ -0,0 +1,106 @@
+/**
+ * ============================================================
+ * WEBHOOK RECONCILER TESTS - Provider events, handled once
+ * ============================================================
+ *
+ * Runs payment-service's webhook reconciler in this process with
+ * stand-ins for the payment store and the provider: an event counts
+ * as seen only once it was handled, so an orphaned authorization
+ * whose void failed is voided when the provider redelivers the
+ * event, and a second delivery while the first is still running is
+ * a duplicate (payment-service/reconcile.js).
+ *
+ *   cd tests && npm install && npm run test:payments
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { test } from "node:test";
+
+import { createReconciler } from "../../payment-service/reconcile.js";
+
+const logger = { info() {}, warn() {}, error() {} };
+
+/**
+ * A reconciler over `stored` payments whose provider answers each
+ * void with the next of `voids` (an Error is thrown), or succeeds;
+ * `voided` collects the voids that went through.
+ */
+const createTestReconciler = ({ stored = [], voids = [] } = {}) => {
+  const voided = [];
+  const reconcile = createReconciler({
+    payments: {
+      get: async (paymentId) =>
+        stored.find((payment) => payment.paymentId === paymentId) ?? null,
+    },
+    provider: {
+      void: async (charge) => {
+        const outcome = voids.shift();
+        if (outcome instanceof Error) throw outcome;
+        await outcome;
+        voided.push(charge);
+        return { providerRef: charge.providerRef };
+      },
+    },
+    logger,
+  });
+  return { reconcile, voided };
+};
+
+const orphanAuthorized = () => ({
+  id: `evt_${randomUUID()}`,
+  type: "payment.authorized",
+  reference: `PAY-${randomUUID()}`,
+  providerRef: `sim_ch_${randomUUID()}`,
+  amount: 20,
+});
+
+test("events are reconciled once, redeliveries are duplicates", async () => {
+  const payment = { paymentId: "PAY-1", status: "captured" };
+  const { reconcile } = createTestReconciler({ stored: [payment] });
+  const event = {
+    id: "evt_1",
+    type: "payment.captured",
+    reference: payment.paymentId,
+  };
+
+  assert.equal(await reconcile(event), "confirmed");
+  assert.equal(await reconcile(event), "duplicate");
+  assert.equal(
+    await reconcile({ ...event, id: "evt_2", type: "payment.voided" }),
+    "mismatch"
+  );
+});
+
+test("an orphan whose void failed is voided on redelivery", async () => {
+  const { reconcile, voided } = createTestReconciler({
+    voids: [new Error("Connection reset by the payment provider")],
+  });
+  const event = orphanAuthorized();
+
+  // The delivery fails, so the provider sends the event again
+  await assert.rejects(reconcile(event), /Connection reset/);
+  assert.deepEqual(voided, []);
+
+  assert.equal(await reconcile(event), "voided_orphan");
+  assert.deepEqual(voided, [
+    { providerRef: event.providerRef, reference: event.reference },
+  ]);
+  assert.equal(await reconcile(event), "duplicate");
+});
+
+test("a delivery arriving while the first is handled is a duplicate", async () => {
+  let finishVoid;
+  const { reconcile, voided } = createTestReconciler({
+    voids: [new Promise((resolve) => (finishVoid = resolve))],
+  });
+  const event = orphanAuthorized();
+
+  const first = reconcile(event);
+  assert.equal(await reconcile(event), "duplicate");
+  finishVoid();
+
+  assert.equal(await first, "voided_orphan");
+  assert.equal(voided.length, 1);
+});
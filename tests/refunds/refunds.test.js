@@ -0,0 +1,226 @@
+/**
+ * ============================================================
+ * REFUND TESTS - Paid orders refunded, fully or in parts
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and refunds paid orders through the gateway: partial
+ * refunds add up in cents until the payment is refunded, amounts
+ * beyond what is left are refused, concurrent or repeated requests
+ * never refund twice, and each status change of the payment is a
+ * span, a log line and a metric (payment-service/app.js,
+ * order-service/app.js).
+ *
+ *   cd tests && npm install && npm run test:refunds
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { findSpan } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+// Orders are only the caller's own with the service token, which the
+// internal services then ask for
+const SERVICE_TOKEN = randomUUID();
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({ collector, env: { SERVICE_TOKEN } });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const call = async (service, method, path, { body, headers } = {}) => {
+  const response = await fetch(`${stack.urls[service]}${path}`, {
+    method,
+    headers: {
+      ...(service === "gateway"
+        ? { "X-API-Key": API_KEY }
+        : { "X-Service-Token": SERVICE_TOKEN }),
+      ...(body && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const refund = (orderId, body, headers) =>
+  call("gateway", "POST", `/api/orders/${orderId}/refunds`, {
+    body,
+    headers,
+  });
+
+const paymentOf = async (order) =>
+  (await call("payment-service", "GET", `/payments/${order.paymentId}`)).body;
+
+/**
+ * A paid order of `total`.
+ */
+const paidOrder = async (total) => {
+  const { status, body } = await call("gateway", "POST", "/api/order", {
+    body: { item: "Widget", total },
+  });
+  assert.equal(status, 200);
+  return (await call("gateway", "GET", `/api/orders/${body.orderId}`)).body;
+};
+
+test("partial refunds add up until the order is refunded", async () => {
+  const order = await paidOrder(50);
+  assert.equal(order.status, "paid");
+  assert.equal((await paymentOf(order)).status, "captured");
+
+  const partial = await refund(order.orderId, {
+    amount: 10.1,
+    reason: "scratched",
+  });
+  assert.equal(partial.status, 201);
+  assert.equal(partial.body.order.status, "partially_refunded");
+  assert.equal(partial.body.order.refundedAmount, 10.1);
+  assert.equal(partial.body.refund.amount, 10.1);
+  assert.equal(partial.body.refund.reason, "scratched");
+  assert.match(partial.body.refund.refundId, /^RFD-/);
+
+  // No amount: whatever is left
+  const rest = await refund(order.orderId, {});
+  assert.equal(rest.status, 201);
+  assert.equal(rest.body.refund.amount, 39.9);
+  assert.equal(rest.body.order.status, "refunded");
+  assert.equal(rest.body.order.refundedAmount, 50);
+
+  const payment = await paymentOf(order);
+  assert.equal(payment.status, "refunded");
+  assert.equal(payment.refundedAmount, 50);
+  assert.deepEqual(
+    payment.refunds.map((entry) => entry.amount),
+    [10.1, 39.9]
+  );
+
+  const history = await call(
+    "payment-service",
+    "GET",
+    `/payments/${order.paymentId}/refunds`
+  );
+  assert.equal(history.body.refundableAmount, 0);
+  assert.equal(history.body.refunds.length, 2);
+
+  // Nothing left to refund
+  const again = await refund(order.orderId, { amount: 1 });
+  assert.equal(again.status, 409);
+});
+
+test("amounts beyond what is left, or malformed, are refused", async () => {
+  const order = await paidOrder(30);
+  await refund(order.orderId, { amount: 0.1 });
+  await refund(order.orderId, { amount: 0.2 });
+
+  const over = await refund(order.orderId, { amount: 29.71 });
+  assert.equal(over.status, 422);
+  assert.equal(over.body.code, "REFUND_EXCEEDS_CAPTURED");
+  assert.equal(over.body.details.refundableAmount, 29.7);
+
+  for (const body of [
+    { amount: -5 },
+    { amount: 0 },
+    { amount: "ten" },
+    { reason: "x".repeat(201) },
+  ]) {
+    const { status } = await refund(order.orderId, body);
+    assert.equal(status, 400, JSON.stringify(body));
+  }
+
+  const payment = await paymentOf(order);
+  assert.equal(payment.status, "partially_refunded");
+  assert.equal(payment.refundedAmount, 0.3);
+
+  const missing = await refund(randomUUID(), {});
+  assert.equal(missing.status, 404);
+});
+
+test("concurrent refunds never exceed the captured amount", async () => {
+  const order = await paidOrder(50);
+
+  const answers = await Promise.all(
+    [1, 2, 3].map(() => refund(order.orderId, { amount: 20 }))
+  );
+
+  assert.deepEqual(
+    answers.map((answer) => answer.status).sort(),
+    [201, 201, 422]
+  );
+  const payment = await paymentOf(order);
+  assert.equal(payment.refundedAmount, 40);
+  assert.equal(payment.refunds.length, 2);
+});
+
+test("a repeated Idempotency-Key refunds once", async () => {
+  const order = await paidOrder(40);
+  const headers = { "Idempotency-Key": randomUUID() };
+
+  const first = await refund(order.orderId, { amount: 15 }, headers);
+  const replay = await refund(order.orderId, { amount: 15 }, headers);
+
+  assert.equal(first.status, 201);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.body.refund.refundId, first.body.refund.refundId);
+  assert.equal((await paymentOf(order)).refunds.length, 1);
+});
+
+test("each payment status change is a span and a metric", async () => {
+  const order = await paidOrder(25);
+  const { traceId, traceparent } = newTrace();
+  await refund(order.orderId, { amount: 5 }, { traceparent });
+
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      return (
+        spans.some((span) => span.name === "payment partially_refunded") &&
+        spans
+      );
+    },
+    { message: `the refund spans of trace ${traceId}` }
+  );
+  const change = findSpan(spans, { name: "payment partially_refunded" });
+  assert.equal(change.service, "payment-service");
+  assert.equal(change.attributes["payment.id"], order.paymentId);
+  assert.equal(change.attributes["payment.status.from"], "captured");
+  assert.equal(change.attributes["refund.amount"], 5);
+
+  const logged = stack
+    .logs("payment-service")
+    .find(
+      (entry) =>
+        entry.message === "Payment status changed" &&
+        entry.payment_id === order.paymentId &&
+        entry.to === "partially_refunded"
+    );
+  assert.equal(logged.trace_id, traceId);
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("payment_status_transitions", {
+        from: "captured",
+        to: "partially_refunded",
+      }) > 0 && collector.lastValue("refund_amount_usd", { kind: "partial" }),
+    { message: "the refund metrics" }
+  );
+  assert.ok(
+    collector.lastValue("payment_status_transitions", {
+      from: "none",
+      to: "authorized",
+    }) > 0
+  );
+});
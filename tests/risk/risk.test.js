@@ -0,0 +1,246 @@
+/**
+ * ============================================================
+ * RISK TESTS - Orders scored before they are charged
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector, with risk rules of its own (RISK_RULES), and places
+ * orders through the gateway: rejected and held orders must never
+ * reach payment-service, velocity must slide with its window, and
+ * every decision must show up on the span, in the logs and in the
+ * metrics (order-service/risk.js).
+ *
+ *   cd tests && npm install && npm run test:risk
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { findSpan, findSpans } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+const VELOCITY_WINDOW_S = 2;
+
+const RISK_RULES = {
+  thresholds: { review: 50, reject: 100 },
+  rules: [
+    { name: "large_order", type: "amount", min: 1000, score: 30 },
+    { name: "very_large_order", type: "amount", min: 5000, score: 30 },
+    {
+      name: "order_burst",
+      type: "velocity",
+      windowSeconds: VELOCITY_WINDOW_S,
+      maxOrders: 2,
+      score: 50,
+    },
+    {
+      name: "blocked_customer",
+      type: "blocklist",
+      customers: ["mallory"],
+      score: 10,
+      decision: "reject",
+    },
+  ],
+};
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: {
+      SERVICE_TOKEN: randomUUID(),
+      RISK_RULES: JSON.stringify(RISK_RULES),
+      PAYMENT_PROVIDER_LATENCY: "instant",
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * POST /api/order through the gateway in a new trace; resolves once
+ * the order-service request span arrived.
+ */
+const placeOrder = async (body) => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEY,
+      "Content-Type": "application/json",
+      traceparent,
+    },
+    body: JSON.stringify({ item: "Widget", ...body }),
+  });
+  const spans = await collector.waitFor(
+    () => {
+      const trace = collector.trace(traceId);
+      return (
+        findSpans(trace, { service: "order-service", kind: "server" }).length >
+          0 && trace
+      );
+    },
+    { message: `order-service span in trace ${traceId}` }
+  );
+  return {
+    traceId,
+    spans,
+    status: response.status,
+    body: await response.json(),
+  };
+};
+
+const riskSpanOf = (spans) =>
+  findSpan(spans, { service: "order-service", name: "risk assess" });
+
+const fetchOrder = async (orderId) => {
+  const response = await fetch(`${stack.urls.gateway}/api/orders/${orderId}`, {
+    headers: { "X-API-Key": API_KEY },
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+test("approved orders carry their score and are charged", async () => {
+  const { status, body, spans } = await placeOrder({
+    total: 1500,
+    customerId: "alice",
+  });
+  assert.equal(status, 200);
+  assert.equal(body.status, "paid");
+  assert.deepEqual(body.risk, {
+    decision: "approve",
+    score: 30,
+    reasons: [
+      {
+        rule: "large_order",
+        score: 30,
+        message: "Total 1500 is at least 1000",
+      },
+    ],
+  });
+
+  const risk = riskSpanOf(spans);
+  assert.equal(risk.attributes["risk.decision"], "approve");
+  assert.equal(risk.attributes["risk.score"], 30);
+  assert.deepEqual(risk.attributes["risk.rules"], ["large_order"]);
+  assert.equal(risk.attributes["risk.customer_id"], "alice");
+  assert.equal(risk.attributes["order.id"], body.orderId);
+});
+
+test("rejected orders never reach payment-service", async () => {
+  const { traceId, status, body, spans } = await placeOrder({
+    total: 20,
+    customerId: "mallory",
+  });
+  assert.equal(status, 422);
+  assert.equal(body.code, "RISK_REJECTED");
+  // Below the reject threshold, but the blocklist rule forces it
+  assert.equal(body.details.score, 10);
+  assert.deepEqual(
+    body.details.reasons.map((reason) => reason.rule),
+    ["blocked_customer"]
+  );
+
+  assert.deepEqual(findSpans(spans, { service: "payment-service" }), []);
+  assert.deepEqual(findSpans(spans, { name: /^saga / }), []);
+  const risk = riskSpanOf(spans);
+  assert.equal(risk.attributes["risk.decision"], "reject");
+  assert.equal(risk.status.code, "unset");
+
+  const stored = await fetchOrder(body.details.orderId);
+  assert.equal(stored.status, "rejected");
+  assert.equal(stored.risk.decision, "reject");
+  assert.match(stored.failureReason, /blocked_customer/);
+
+  const logged = stack
+    .logs("order-service")
+    .find(
+      (entry) => entry.message === "Risk assessed" && entry.trace_id === traceId
+    );
+  assert.ok(logged, "Risk assessed log in the trace");
+  assert.equal(logged.level, "warn");
+  assert.equal(logged.module, "risk");
+  assert.equal(logged.customer_id, "mallory");
+  assert.equal(logged.risk_decision, "reject");
+  assert.equal(logged.risk_score, 10);
+  assert.deepEqual(logged.risk_rules, ["blocked_customer"]);
+});
+
+test("orders held for review are parked until cancelled", async () => {
+  const { status, body, spans } = await placeOrder({ total: 6000 });
+  assert.equal(status, 202);
+  assert.equal(body.status, "pending_review");
+  assert.equal(body.risk.score, 60);
+  assert.deepEqual(findSpans(spans, { service: "payment-service" }), []);
+  assert.equal(riskSpanOf(spans).attributes["risk.decision"], "review");
+
+  const listed = await fetch(
+    `${stack.urls.gateway}/api/orders?status=pending_review`,
+    { headers: { "X-API-Key": API_KEY } }
+  );
+  const { orders } = await listed.json();
+  assert.ok(orders.some((order) => order.orderId === body.orderId));
+
+  const cancelled = await fetch(
+    `${stack.urls.gateway}/api/orders/${body.orderId}/cancel`,
+    { method: "POST", headers: { "X-API-Key": API_KEY } }
+  );
+  assert.equal(cancelled.status, 200);
+  assert.equal((await cancelled.json()).status, "cancelled");
+});
+
+test("velocity is counted per customer over a sliding window", async () => {
+  const decisions = async (customerId, count) => {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      const { body } = await placeOrder({ total: 20, customerId });
+      results.push(body.risk.decision);
+    }
+    return results;
+  };
+
+  assert.deepEqual(await decisions("bob", 3), ["approve", "approve", "review"]);
+  // Someone else's orders do not count
+  assert.deepEqual(await decisions("carol", 1), ["approve"]);
+
+  // Bob's earlier orders slide out of the window
+  await sleep(VELOCITY_WINDOW_S * 1000 + 200);
+  assert.deepEqual(await decisions("bob", 1), ["approve"]);
+});
+
+test("decisions and fired rules are measured", async () => {
+  for (const decision of ["approve", "review", "reject"]) {
+    await collector.waitFor(
+      () => collector.lastValue("risk_decisions", { decision }) > 0,
+      { message: `risk_decisions{decision=${decision}}` }
+    );
+  }
+  await collector.waitFor(
+    () =>
+      collector.lastValue("risk_rules_fired", {
+        rule: "order_burst",
+        decision: "review",
+      }) === 1,
+    { message: "risk_rules_fired{rule=order_burst}" }
+  );
+  await collector.waitFor(
+    () =>
+      collector.lastValue("risk_score", { decision: "reject" })?.count === 1,
+    { message: "risk_score{decision=reject}" }
+  );
+});
@@ -0,0 +1,193 @@
+/**
+ * ============================================================
+ * RUNTIME ADMIN TESTS - Log levels and sampling without restarts
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector (support/collector.js) and changes their log levels
+ * and trace sampler through /admin/log-levels and /admin/sampling:
+ * entries must appear or disappear by module, TTLs must revert, and
+ * traces must stop and resume with the sampler.
+ *
+ *   cd tests && npm install && npm run test:runtime
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+
+const SERVICE_TOKEN = randomUUID();
+// sample-app/api-keys.json
+const API_KEYS = {
+  admin: "lgtm-dev-admin-key",
+  loadgen: "lgtm-dev-loadgen-key",
+};
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({ collector, env: { SERVICE_TOKEN } });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Calls an admin route; `auth` is the header identifying the caller.
+ */
+const admin = async (url, method, path, { auth, body } = {}) => {
+  const response = await fetch(`${url}${path}`, {
+    method,
+    headers: { ...auth, "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const internal = { "X-Service-Token": SERVICE_TOKEN };
+const gatewayAdmin = { "X-API-Key": API_KEYS.admin };
+
+/**
+ * Log entries written by `name` after its first `offset` ones.
+ */
+const entriesSince = (name, offset) => stack.logs(name).slice(offset);
+
+test("gateway admin routes need the admin scope", async () => {
+  const denied = await admin(stack.urls.gateway, "GET", "/admin/log-levels", {
+    auth: { "X-API-Key": API_KEYS.loadgen },
+  });
+  assert.equal(denied.status, 403);
+
+  const allowed = await admin(stack.urls.gateway, "GET", "/admin/sampling", {
+    auth: gatewayAdmin,
+  });
+  assert.equal(allowed.status, 200);
+  assert.deepEqual(allowed.body, {
+    sampler: "parentbased_always_on",
+    ratio: 1,
+    initial: { sampler: "parentbased_always_on", ratio: 1 },
+  });
+});
+
+test("log levels per module, reverted after their TTL", async () => {
+  const url = stack.urls["order-service"];
+
+  const invalid = await admin(url, "PUT", "/admin/log-levels", {
+    auth: internal,
+    body: { level: "loud" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "INVALID_RUNTIME_CONFIG");
+
+  // Quiet service, chatty saga
+  await admin(url, "PUT", "/admin/log-levels", {
+    auth: internal,
+    body: { level: "warn" },
+  });
+  const { body: levels } = await admin(url, "PUT", "/admin/log-levels", {
+    auth: internal,
+    body: { level: "info", module: "saga", ttlSeconds: 1 },
+  });
+  assert.equal(levels.level, "warn");
+  assert.equal(levels.modules.saga.level, "info");
+  assert.ok(levels.modules.saga.expiresAt);
+
+  const offset = stack.logs("order-service").length;
+  const order = await fetch(`${url}/orders`, {
+    method: "POST",
+    headers: { ...internal, "Content-Type": "application/json" },
+    body: JSON.stringify({ item: "Widget", total: 30 }),
+  });
+  assert.equal(order.status, 200);
+
+  const written = entriesSince("order-service", offset);
+  assert.ok(
+    written.some((entry) => entry.module === "saga" && entry.level === "info"),
+    "saga info entries are kept"
+  );
+  assert.ok(
+    !written.some((entry) => !entry.module && entry.level === "info"),
+    "other info entries are dropped"
+  );
+
+  await sleep(1500);
+  const reverted = await admin(url, "GET", "/admin/log-levels", {
+    auth: internal,
+  });
+  assert.deepEqual(reverted.body.modules, {});
+  assert.ok(
+    entriesSince("order-service", offset).some(
+      (entry) =>
+        entry.message === "Log level reverted" &&
+        entry.for_module === "saga" &&
+        entry.reason === "ttl"
+    )
+  );
+
+  const reset = await admin(url, "DELETE", "/admin/log-levels", {
+    auth: internal,
+  });
+  assert.equal(reset.body.level, "info");
+});
+
+test("switching the sampler stops and resumes traces", async () => {
+  const url = stack.urls.gateway;
+
+  const missingRatio = await admin(url, "PUT", "/admin/sampling", {
+    auth: gatewayAdmin,
+    body: { sampler: "traceidratio" },
+  });
+  assert.equal(missingRatio.status, 400);
+
+  const off = await admin(url, "PUT", "/admin/sampling", {
+    auth: gatewayAdmin,
+    body: { sampler: "traceidratio", ratio: 0 },
+  });
+  assert.equal(off.body.sampler, "traceidratio");
+
+  const call = async () => {
+    const { traceId, traceparent } = newTrace();
+    const response = await fetch(`${url}/api/fast`, {
+      headers: { "X-API-Key": API_KEYS.loadgen, traceparent },
+    });
+    assert.equal(response.status, 200);
+    return traceId;
+  };
+
+  // traceidratio ignores the caller's sampled flag
+  const dropped = await call();
+  await admin(url, "DELETE", "/admin/sampling", { auth: gatewayAdmin });
+  const kept = await call();
+
+  // Flushes the last spans and metrics (order-service: log level changes)
+  for (const exit of await Promise.all([
+    stack.kill("gateway"),
+    stack.kill("order-service"),
+  ])) {
+    assert.deepEqual(exit, { code: 0, signal: null });
+  }
+
+  const traces = new Set(collector.spans().map((span) => span.traceId));
+  assert.ok(!traces.has(dropped), "trace sampled out");
+  assert.ok(traces.has(kept), "trace sampled again");
+
+  const metrics = collector.metricNames();
+  for (const name of [
+    "log_level",
+    "log_level_changes",
+    "trace_sampling_ratio",
+    "trace_sampler_changes",
+  ]) {
+    assert.ok(metrics.has(name), `metric ${name}`);
+  }
+});
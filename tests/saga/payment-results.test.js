@@ -0,0 +1,243 @@
+/**
+ * ============================================================
+ * PAYMENT RESULT TESTS - The async flow's end of the saga
+ * ============================================================
+ *
+ * Runs order-service's payments.completed consumer in this process
+ * (BROKER_URL=memory:// does not connect two services) on the
+ * in-memory order store and the real saga orchestrator, with
+ * stand-ins for the inventory and payment-service steps. A payment
+ * captured for an order that stopped waiting for it must be
+ * refunded, not only logged (order-service/consumer.js).
+ *
+ *   cd tests && npm install && npm run test:saga
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { test } from "node:test";
+
+import { trace } from "@opentelemetry/api";
+
+import { createPaymentResultConsumer } from "../../order-service/consumer.js";
+import { createSagaOrchestrator } from "../../order-service/saga.js";
+import {
+  createMemoryOrderStore,
+  ORDER_STATUS,
+} from "../../order-service/store.js";
+
+const meter = { createCounter: () => ({ add() {} }) };
+
+const createLogger = () => {
+  const entries = [];
+  const log =
+    (level) =>
+    (message, fields = {}) =>
+      entries.push({ level, message, ...fields });
+  const logger = {
+    entries,
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: () => logger,
+  };
+  return logger;
+};
+
+/**
+ * The consumer on a fresh store; `refunds` and `released` record the
+ * compensations of "authorize payment" and "reserve inventory".
+ */
+const startConsumer = ({
+  orders = createMemoryOrderStore(),
+  refundsFail = false,
+} = {}) => {
+  const logger = createLogger();
+  const refunds = [];
+  const released = [];
+
+  const orderSteps = ({ orderId }) => ({
+    reserveInventory: {
+      name: "reserve inventory",
+      action: async () => null,
+      compensate: async () => released.push(orderId),
+    },
+    authorizePayment: {
+      name: "authorize payment",
+      action: async () => assert.fail("charged by the consumer"),
+      compensate: async ({ paymentId }) => {
+        if (refundsFail) throw new Error("payment-service unavailable");
+        refunds.push(paymentId);
+      },
+    },
+    confirmOrder: {
+      name: "confirm order",
+      action: (results) =>
+        orders.update(orderId, {
+          status: ORDER_STATUS.PAID,
+          paymentId: results["authorize payment"].paymentId,
+        }),
+    },
+  });
+
+  const handle = createPaymentResultConsumer({
+    orders,
+    sagas: createSagaOrchestrator({
+      tracer: trace.getTracer("tests"),
+      logger,
+      meter,
+    }),
+    orderSaga: (order) => ({ name: "create-order", id: order.sagaId }),
+    orderSteps,
+    orderMetrics: { orderCreated() {} },
+    logger,
+  });
+
+  return { orders, handle, logger, refunds, released };
+};
+
+const createOrder = (orders, changes = {}) =>
+  orders.create({
+    orderId: randomUUID(),
+    sagaId: randomUUID(),
+    status: ORDER_STATUS.PENDING,
+    total: 20,
+    ...changes,
+  });
+
+test("a captured payment confirms the pending order", async () => {
+  const consumer = startConsumer();
+  const order = await createOrder(consumer.orders);
+
+  await consumer.handle({
+    orderId: order.orderId,
+    paymentId: "PAY-1",
+    status: "captured",
+  });
+
+  const stored = await consumer.orders.get(order.orderId);
+  assert.equal(stored.status, "paid");
+  assert.equal(stored.paymentId, "PAY-1");
+  assert.deepEqual(consumer.refunds, []);
+});
+
+test("a declined payment fails the order and releases its stock", async () => {
+  const consumer = startConsumer();
+  const order = await createOrder(consumer.orders);
+
+  await consumer.handle({
+    orderId: order.orderId,
+    paymentId: "PAY-1",
+    status: "declined",
+    declineReason: "card_declined",
+  });
+
+  const stored = await consumer.orders.get(order.orderId);
+  assert.equal(stored.status, "payment_failed");
+  assert.equal(stored.failureReason, "Payment declined (card_declined)");
+  assert.deepEqual(consumer.released, [order.orderId]);
+});
+
+test("a payment captured for a cancelled order is refunded", async () => {
+  const consumer = startConsumer();
+  const order = await createOrder(consumer.orders, {
+    status: ORDER_STATUS.CANCELLED,
+  });
+
+  await consumer.handle({
+    orderId: order.orderId,
+    paymentId: "PAY-late",
+    status: "captured",
+  });
+
+  assert.deepEqual(consumer.refunds, ["PAY-late"]);
+  assert.equal((await consumer.orders.get(order.orderId)).status, "cancelled");
+  const logged = consumer.logger.entries.find(
+    (entry) => entry.order_id === order.orderId && entry.level === "warn"
+  );
+  assert.equal(
+    logged.message,
+    "Payment captured for an order no longer pending, refunded"
+  );
+  assert.equal(logged.status, "cancelled");
+});
+
+test("an order cancelled while it is being confirmed is refunded", async () => {
+  const store = createMemoryOrderStore();
+  // The cancel lands right after the consumer read the order
+  const orders = {
+    ...store,
+    get: async (orderId) => {
+      const order = await store.get(orderId);
+      await store.update(orderId, { status: ORDER_STATUS.CANCELLED });
+      return order;
+    },
+  };
+  const consumer = startConsumer({ orders });
+  const order = await createOrder(store);
+
+  await consumer.handle({
+    orderId: order.orderId,
+    paymentId: "PAY-race",
+    status: "captured",
+  });
+
+  assert.deepEqual(consumer.refunds, ["PAY-race"]);
+  assert.equal((await store.get(order.orderId)).status, "cancelled");
+});
+
+test("a second payment for a paid order is refunded, a redelivery is not", async () => {
+  const consumer = startConsumer();
+  const order = await createOrder(consumer.orders, {
+    status: ORDER_STATUS.PAID,
+    paymentId: "PAY-1",
+  });
+
+  await consumer.handle({
+    orderId: order.orderId,
+    paymentId: "PAY-1",
+    status: "captured",
+  });
+  assert.deepEqual(consumer.refunds, [], "the redelivery is ignored");
+
+  await consumer.handle({
+    orderId: order.orderId,
+    paymentId: "PAY-2",
+    status: "captured",
+  });
+  assert.deepEqual(consumer.refunds, ["PAY-2"]);
+  assert.equal((await consumer.orders.get(order.orderId)).paymentId, "PAY-1");
+});
+
+test("a failed payment for an order that moved on is ignored", async () => {
+  const consumer = startConsumer();
+  const order = await createOrder(consumer.orders, {
+    status: ORDER_STATUS.CANCELLED,
+  });
+
+  await consumer.handle({
+    orderId: order.orderId,
+    status: "failed",
+    declineReason: "provider_error",
+  });
+
+  assert.deepEqual(consumer.refunds, []);
+  assert.deepEqual(consumer.released, []);
+});
+
+test("a refund that fails is left to the broker to redeliver", async () => {
+  const consumer = startConsumer({ refundsFail: true });
+  const order = await createOrder(consumer.orders, {
+    status: ORDER_STATUS.CANCELLED,
+  });
+
+  await assert.rejects(
+    consumer.handle({
+      orderId: order.orderId,
+      paymentId: "PAY-1",
+      status: "captured",
+    }),
+    /Refund of payment PAY-1 failed/
+  );
+});
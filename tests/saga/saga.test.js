@@ -0,0 +1,157 @@
+/**
+ * ============================================================
+ * SAGA TESTS - Orders that fail halfway are undone
+ * ============================================================
+ *
+ * Starts the three services and drives order-service's create-order
+ * saga (reserve inventory → authorize payment → confirm order) into
+ * its failure paths: whatever completed before the failure must be
+ * compensated, so no order ends up charged without stock or holding
+ * stock without a payment (order-service/saga.js).
+ *
+ *   cd tests && npm install && npm run test:saga
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, afterEach, before, test } from "node:test";
+
+import { startServices } from "../support/services.js";
+
+const SERVICE_TOKEN = randomUUID();
+const INTERNAL = { "X-Service-Token": SERVICE_TOKEN };
+
+let stack;
+
+before(async () => {
+  stack = await startServices({
+    env: { SERVICE_TOKEN, PAYMENT_PROVIDER_LATENCY: "instant" },
+  });
+});
+
+afterEach(async () => {
+  await call("payment-service", "DELETE", "/admin/faults");
+});
+
+after(async () => {
+  await stack?.stop();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A call to an internal service with the service token.
+ */
+const call = async (service, method, path, body) => {
+  const response = await fetch(`${stack.urls[service]}${path}`, {
+    method,
+    headers: {
+      ...INTERNAL,
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const stockOf = async (item) => {
+  const { body } = await call("order-service", "GET", "/inventory");
+  return body.items.find((level) => level.item === item);
+};
+
+/**
+ * Makes payment-service take `ms` before answering POST /payments.
+ */
+const slowPayments = (ms) =>
+  call("payment-service", "PUT", "/admin/faults", {
+    faults: [
+      { route: "POST /payments", latency: { distribution: "fixed", ms } },
+    ],
+  });
+
+/**
+ * Resolves with the newest order in `status` once there is one.
+ */
+const newestOrder = async (status) => {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const { body } = await call(
+      "order-service",
+      "GET",
+      `/orders?status=${status}&limit=1`
+    );
+    if (body.orders[0]) return body.orders[0];
+    if (Date.now() > deadline) throw new Error(`No ${status} order`);
+    await sleep(20);
+  }
+};
+
+const paymentTransitions = (orderId) =>
+  stack
+    .logs("payment-service")
+    .filter(
+      (entry) =>
+        entry.message === "Payment status changed" && entry.order_id === orderId
+    )
+    .map((entry) => entry.to);
+
+test("an order cancelled during its payment is refunded, not paid", async () => {
+  const before = await stockOf("desk-lamp");
+  await slowPayments(1500);
+
+  const placing = call("order-service", "POST", "/orders", {
+    item: "desk-lamp",
+    quantity: 1,
+    total: 32,
+  });
+
+  // Still "pending" while payment-service works on it
+  const pending = await newestOrder("pending");
+  const cancel = await call(
+    "order-service",
+    "POST",
+    `/orders/${pending.orderId}/cancel`
+  );
+  assert.equal(cancel.status, 200);
+  assert.equal(cancel.body.status, "cancelled");
+
+  const placed = await placing;
+  assert.equal(placed.status, 409);
+  assert.equal(placed.body.code, "INVALID_STATUS_TRANSITION");
+  assert.deepEqual(placed.body.details, {
+    orderId: pending.orderId,
+    status: "cancelled",
+  });
+
+  const { body: stored } = await call(
+    "order-service",
+    "GET",
+    `/orders/${pending.orderId}`
+  );
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.paymentId, undefined);
+
+  // Charged, then given back by the saga's compensation
+  assert.deepEqual(paymentTransitions(pending.orderId), [
+    "authorized",
+    "captured",
+    "refunded",
+  ]);
+  const after = await stockOf("desk-lamp");
+  assert.equal(after.reserved, before.reserved);
+  assert.equal(after.onHand, before.onHand);
+});
+
+test("a paid order can no longer be cancelled", async () => {
+  const paid = await call("order-service", "POST", "/orders", { total: 20 });
+  assert.equal(paid.status, 200);
+
+  const cancel = await call(
+    "order-service",
+    "POST",
+    `/orders/${paid.body.orderId}/cancel`
+  );
+  assert.equal(cancel.status, 409);
+  assert.deepEqual(cancel.body.details, { status: "paid" });
+});
@@ -0,0 +1,183 @@
+/**
+ * ============================================================
+ * SHUTDOWN TESTS - SIGTERM/SIGINT lose no request and no span
+ * ============================================================
+ *
+ * Each test starts the three services exporting to an in-memory
+ * OTLP collector, signals them while (or right after) serving a
+ * request with a known trace ID, and checks that the request was
+ * answered and that its spans reached the collector before the
+ * process exited. Spans are batched for up to 5s, so without the
+ * final flush they would be lost.
+ *
+ *   cd tests && npm install && npm run test:shutdown
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { afterEach, beforeEach, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { openEventStream } from "../support/sse.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+// GET /api/slow takes at least 200ms
+const MID_REQUEST_MS = 50;
+
+let collector;
+let stack;
+
+// Exported on the SDK's own schedule, not the tests' short one: only
+// the final flush gets the spans out in time
+const start = async (env = {}) => {
+  stack = await startServices({
+    env: {
+      OTEL_EXPORTER_OTLP_ENDPOINT: collector.url,
+      SERVICE_TOKEN: randomUUID(),
+      ...env,
+    },
+  });
+};
+
+beforeEach(async () => {
+  collector = await startCollector();
+});
+
+afterEach(async () => {
+  await stack?.stop();
+  await collector.close();
+  stack = null;
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A new sampled trace and the headers of a request starting it.
+ */
+const newRequest = () => {
+  const { traceId, traceparent } = newTrace();
+  return { traceId, headers: { "X-API-Key": API_KEY, traceparent } };
+};
+
+/**
+ * Resolves once `text` appears in the service's output.
+ */
+const waitForOutput = async (name, text) => {
+  const deadline = Date.now() + 5000;
+  while (!stack.output(name).includes(text)) {
+    if (Date.now() > deadline) {
+      throw new Error(
+        `"${text}" not logged by ${name}:\n${stack.output(name)}`
+      );
+    }
+    await sleep(20);
+  }
+};
+
+test("SIGTERM finishes the requests in flight and flushes their spans", async () => {
+  await start();
+  const { traceId, headers } = newRequest();
+
+  const inFlight = fetch(`${stack.urls.gateway}/api/slow`, { headers });
+  await sleep(MID_REQUEST_MS);
+  const exited = stack.kill("gateway", "SIGTERM");
+
+  // No new connections once shutdown started
+  await waitForOutput("gateway", '"message":"Shutting down"');
+  await assert.rejects(fetch(`${stack.urls.gateway}/livez`));
+
+  const response = await inFlight;
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).type, "slow");
+
+  assert.deepEqual(await exited, { code: 0, signal: null });
+
+  const spans = collector.trace(traceId);
+  assert.ok(
+    spans.some((span) => span.service === "gateway"),
+    `no gateway span for trace ${traceId}`
+  );
+
+  const output = stack.output("gateway");
+  assert.match(output, /"in_flight":1/);
+  assert.match(output, /Draining: readiness now fails/);
+  assert.match(output, /"message":"Shutdown complete"/);
+});
+
+test("SIGINT flushes the spans of every service", async () => {
+  await start({ BROKER_URL: "memory://" });
+  const { traceId, headers } = newRequest();
+
+  // The order goes through all three services
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({ item: "Widget", total: 30 }),
+  });
+  assert.equal(response.status, 200);
+
+  const exits = await Promise.all(
+    ["gateway", "order-service", "payment-service"].map((name) =>
+      stack.kill(name, "SIGINT")
+    )
+  );
+  for (const exit of exits) assert.deepEqual(exit, { code: 0, signal: null });
+
+  const services = new Set(
+    collector.trace(traceId).map((span) => span.service)
+  );
+  assert.deepEqual(
+    [...services].sort(),
+    ["gateway", "order-service", "payment-service"],
+    `spans of trace ${traceId}`
+  );
+  assert.ok(collector.metricNames().has("http_active_requests"));
+});
+
+test("SIGTERM ends the open event streams instead of waiting for them", async () => {
+  await start();
+  const { headers } = newRequest();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({ item: "Widget", total: 30 }),
+  });
+  const { orderId } = await response.json();
+
+  const stream = await openEventStream(
+    `${stack.urls.gateway}/api/orders/${orderId}/events`,
+    { headers }
+  );
+  await stream.next(2);
+
+  const exit = await stack.kill("gateway", "SIGTERM");
+  assert.deepEqual(exit, { code: 0, signal: null });
+  await stream.ended;
+
+  const output = stack.output("gateway");
+  assert.match(output, /"message":"Shutdown complete"/);
+  assert.doesNotMatch(output, /Shutdown timeout/);
+});
+
+test("SHUTDOWN_TIMEOUT_MS bounds the wait for requests in flight", async () => {
+  await start({ SHUTDOWN_TIMEOUT_MS: "10" });
+  const { headers } = newRequest();
+
+  // Cut off: its connection is closed before the answer
+  const cutOff = assert.rejects(
+    fetch(`${stack.urls.gateway}/api/slow`, { headers })
+  );
+  await sleep(MID_REQUEST_MS);
+  const exit = await stack.kill("gateway", "SIGTERM");
+
+  assert.deepEqual(exit, { code: 0, signal: null });
+  await cutOff;
+  assert.match(
+    stack.output("gateway"),
+    /"message":"Shutdown timeout, closing connections"/
+  );
+});
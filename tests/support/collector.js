@@ -0,0 +1,249 @@
+/**
+ * ============================================================
+ * COLLECTOR - In-memory OTLP/HTTP receiver
+ * ============================================================
+ *
+ *   const collector = await startCollector();
+ *   const stack = await startServices({ collector });
+ *   ...
+ *   const { traceId, traceparent } = newTrace();
+ *   await fetch(url, { headers: { traceparent } });
+ *   const spans = await collector.waitFor(() => {
+ *     const trace = collector.trace(traceId);
+ *     return trace.length >= 5 && trace;
+ *   });
+ *   await collector.close();
+ *
+ * Accepts the JSON the services' OTLP/HTTP exporters send to
+ * /v1/traces and /v1/metrics, the way Alloy does in docker-compose.
+ * Spans are kept flattened with their service name:
+ *   { service, scope, name, kind: "server", traceId, spanId,
+ *     parentSpanId, status: { code: "error", message }, attributes,
+ *     events: [{ name, attributes }], links: [{ traceId, spanId }],
+ *     startMs, endMs }
+ * and metric data points with theirs:
+ *   { service, name, attributes, value, timeMs }
+ * (value: a number, or { count, sum } for histograms).
+ *
+ * Logs are not exported over OTLP: the services write them to
+ * stdout, where stack.logs(name) reads them (services.js).
+ * ============================================================
+ */
+
+import { randomBytes } from "node:crypto";
+import http from "node:http";
+
+// OTLP enums, by their number in the JSON encoding
+const SPAN_KINDS = [
+  "unspecified",
+  "internal",
+  "server",
+  "client",
+  "producer",
+  "consumer",
+];
+const STATUS_CODES = ["unset", "ok", "error"];
+
+const WAIT_TIMEOUT_MS = 10_000;
+const WAIT_INTERVAL_MS = 50;
+
+/**
+ * A new sampled trace: its ID and the traceparent header starting it.
+ */
+export const newTrace = () => {
+  const traceId = randomBytes(16).toString("hex");
+  const parentId = randomBytes(8).toString("hex");
+  return { traceId, traceparent: `00-${traceId}-${parentId}-01` };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * OTLP AnyValue → plain value (arrays included).
+ */
+const valueOf = (value = {}) => {
+  if ("arrayValue" in value) {
+    return (value.arrayValue.values ?? []).map(valueOf);
+  }
+  if ("intValue" in value) return Number(value.intValue);
+  return Object.values(value)[0];
+};
+
+/**
+ * OTLP attribute list → plain object.
+ */
+const attributesOf = (attributes = []) =>
+  Object.fromEntries(attributes.map(({ key, value }) => [key, valueOf(value)]));
+
+const nanosToMs = (nanos) => Number(BigInt(nanos ?? 0) / 1_000_000n);
+
+const toSpan = (service, scope, span) => ({
+  service,
+  scope: scope?.name,
+  name: span.name,
+  kind: SPAN_KINDS[span.kind] ?? "unspecified",
+  traceId: span.traceId,
+  spanId: span.spanId,
+  parentSpanId: span.parentSpanId || null,
+  status: {
+    code: STATUS_CODES[span.status?.code ?? 0],
+    message: span.status?.message,
+  },
+  attributes: attributesOf(span.attributes),
+  events: (span.events ?? []).map((event) => ({
+    name: event.name,
+    attributes: attributesOf(event.attributes),
+  })),
+  links: (span.links ?? []).map((link) => ({
+    traceId: link.traceId,
+    spanId: link.spanId,
+  })),
+  startMs: nanosToMs(span.startTimeUnixNano),
+  endMs: nanosToMs(span.endTimeUnixNano),
+});
+
+/**
+ * Data points of one OTLP metric, whatever its type.
+ */
+const pointsOf = (metric) => {
+  const data = metric.sum ?? metric.gauge ?? metric.histogram;
+  return (data?.dataPoints ?? []).map((point) => ({
+    attributes: attributesOf(point.attributes),
+    value: metric.histogram
+      ? { count: Number(point.count), sum: point.sum }
+      : (point.asDouble ?? Number(point.asInt)),
+    timeMs: nanosToMs(point.timeUnixNano),
+  }));
+};
+
+/**
+ * `attributes` has every key/value of `subset`.
+ */
+const matches = (attributes, subset = {}) =>
+  Object.entries(subset).every(([key, value]) => attributes[key] === value);
+
+/**
+ * Starts the receiver on a free local port.
+ */
+export async function startCollector() {
+  let spans = [];
+  let points = [];
+
+  const receive = {
+    "/v1/traces": ({ resourceSpans = [] }) => {
+      for (const { resource, scopeSpans = [] } of resourceSpans) {
+        const service = attributesOf(resource?.attributes)["service.name"];
+        for (const { scope, spans: batch = [] } of scopeSpans) {
+          for (const span of batch) spans.push(toSpan(service, scope, span));
+        }
+      }
+    },
+    "/v1/metrics": ({ resourceMetrics = [] }) => {
+      for (const { resource, scopeMetrics = [] } of resourceMetrics) {
+        const service = attributesOf(resource?.attributes)["service.name"];
+        for (const { metrics = [] } of scopeMetrics) {
+          for (const metric of metrics) {
+            for (const point of pointsOf(metric)) {
+              points.push({ service, name: metric.name, ...point });
+            }
+          }
+        }
+      }
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const handler = receive[req.url];
+      if (req.method !== "POST" || !handler) {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        handler(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+        res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+      } catch {
+        res.writeHead(400).end();
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  /**
+   * Every span received so far.
+   */
+  const allSpans = () => [...spans];
+
+  /**
+   * The spans of one trace, in the order they ended.
+   *
+   * @param {string} traceId
+   */
+  const trace = (traceId) => spans.filter((span) => span.traceId === traceId);
+
+  /**
+   * Every data point of metric `name` whose attributes include
+   * `attributes`, oldest first.
+   *
+   * @param {string} name
+   * @param {Record<string, unknown>} [attributes]
+   */
+  const metric = (name, attributes) =>
+    points.filter(
+      (point) => point.name === name && matches(point.attributes, attributes)
+    );
+
+  /**
+   * The value of the newest matching data point, or undefined.
+   */
+  const lastValue = (name, attributes) =>
+    metric(name, attributes).at(-1)?.value;
+
+  /**
+   * Polls `check` until it returns something truthy, and resolves
+   * with that. Exports arrive in batches, so assertions on telemetry
+   * wait for it instead of sleeping. `check` may be async (polling an
+   * API instead of the telemetry).
+   *
+   * @param {() => unknown | Promise<unknown>} check
+   * @param {{ timeoutMs?: number, message?: string }} [options]
+   */
+  const waitFor = async (
+    check,
+    { timeoutMs = WAIT_TIMEOUT_MS, message = "telemetry" } = {}
+  ) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const result = await check();
+      if (result) return result;
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Timed out after ${timeoutMs}ms waiting for ${message}`
+        );
+      }
+      await sleep(WAIT_INTERVAL_MS);
+    }
+  };
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    spans: allSpans,
+    trace,
+    metric,
+    lastValue,
+    metricNames: () => new Set(points.map((point) => point.name)),
+    waitFor,
+    reset: () => {
+      spans = [];
+      points = [];
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * ============================================================
+ * CONTRACT - Checks real responses against a service's OpenAPI
+ * ============================================================
+ *
+ *   const api = await loadContract(urls["order-service"]);
+ *   const { status, body } = await api.request("GET", `/orders/${id}`);
+ *
+ * Every request made through `api.request()` fails the test when:
+ * - METHOD + path is not an operation of GET /openapi.json
+ * - the status is not documented for it (4xx/5xx fall back to
+ *   the operation's "default" response)
+ * - the JSON body does not match the documented schema
+ *
+ * Event streams (text/event-stream) are never-ending: only their
+ * status and content type are checked, then the body is cancelled.
+ *
+ * `api.unexercised()` lists operations no request has hit yet, so a
+ * new route without contract coverage fails the suite too.
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+// OpenAPI 3.1 schemas are JSON Schema; `strict: false` lets Ajv skip
+// annotations it does not know
+const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+
+/**
+ * "/orders/{id}/cancel" → /^\/orders\/[^/]+\/cancel$/
+ */
+const templateToRegExp = (template) =>
+  new RegExp(
+    `^${template
+      .split(/\{[^}]+\}/)
+      .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+      .join("[^/]+")}$`
+  );
+
+/**
+ * Fetches a service's OpenAPI document and returns a checked client.
+ *
+ * @param {string} baseUrl - e.g. http://127.0.0.1:8001
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.headers] - sent with every
+ *   request (credentials); a request overrides them, or drops one by
+ *   setting it to undefined
+ */
+export async function loadContract(baseUrl, { headers: defaults = {} } = {}) {
+  const response = await fetch(`${baseUrl}/openapi.json`);
+  assert.equal(response.status, 200, "GET /openapi.json");
+  const document = await response.json();
+
+  const operations = Object.entries(document.paths).flatMap(
+    ([template, methods]) =>
+      Object.entries(methods).map(([method, operation]) => ({
+        key: `${method.toUpperCase()} ${template}`,
+        method: method.toUpperCase(),
+        pattern: templateToRegExp(template),
+        operation,
+      }))
+  );
+  const exercised = new Set();
+
+  const findOperation = (method, path) =>
+    operations.find(
+      (candidate) => candidate.method === method && candidate.pattern.test(path)
+    );
+
+  /**
+   * Sends a request and checks the response against the document.
+   *
+   * @param {string} method
+   * @param {string} path - may include a query string
+   * @param {{ body?: unknown, headers?: Record<string, string> }} [init]
+   */
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const found = findOperation(method, path.split("?")[0]);
+    assert.ok(found, `${method} ${path} is not in the OpenAPI document`);
+    exercised.add(found.key);
+
+    // A header set to undefined drops the default one
+    const merged = Object.entries({
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...defaults,
+      ...headers,
+    }).filter(([, value]) => value !== undefined);
+
+    const result = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: Object.fromEntries(merged),
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const { responses } = found.operation;
+    const contentType = result.headers.get("content-type") ?? "";
+    if (contentType.startsWith("text/event-stream")) {
+      await result.body.cancel();
+      assert.ok(
+        responses[result.status]?.content?.["text/event-stream"],
+        `${found.key} answered ${result.status} with an event stream, which is not documented`
+      );
+      return { status: result.status, headers: result.headers };
+    }
+
+    const text = await result.text();
+    const data = text ? JSON.parse(text) : undefined;
+
+    const documented =
+      responses[result.status] ??
+      (result.status >= 400 ? responses.default : undefined);
+    assert.ok(
+      documented,
+      `${found.key} answered ${result.status}, which is not documented\n${text}`
+    );
+
+    const schema = documented.content?.["application/json"]?.schema;
+    if (schema) {
+      const validate = ajv.compile(schema);
+      assert.ok(
+        validate(data),
+        `${found.key} ${result.status} does not match its schema: ${ajv.errorsText(
+          validate.errors
+        )}\n${text}`
+      );
+    }
+
+    return { status: result.status, body: data, headers: result.headers };
+  };
+
+  return {
+    document,
+    request,
+    unexercised: () =>
+      operations
+        .filter((candidate) => !exercised.has(candidate.key))
+        .map((candidate) => candidate.key),
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * ============================================================
+ * JWT - A throwaway issuer for the gateway's Bearer auth
+ * ============================================================
+ *
+ *   const issuer = createJwtIssuer();
+ *   startServices({ env: { JWT_JWKS_FILE: issuer.jwksFile } });
+ *   const token = issuer.sign({ sub: "tests", scope: "demo" });
+ *
+ * Generates an RSA key pair, writes its public half as a JWKS file
+ * (what JWT_JWKS_FILE points at) and signs RS256 tokens with it.
+ * ============================================================
+ */
+
+import { generateKeyPairSync, randomUUID, sign } from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+export function createJwtIssuer({ issuer = "lgtm-tests" } = {}) {
+  const kid = randomUUID();
+  const { publicKey, privateKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+
+  const jwksFile = path.join(os.tmpdir(), `lgtm-jwks-${kid}.json`);
+  fs.writeFileSync(
+    jwksFile,
+    JSON.stringify({
+      keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" }],
+    })
+  );
+
+  return {
+    issuer,
+    jwksFile,
+
+    /**
+     * @param {object} claims - iss and exp default to this issuer / +5 min
+     */
+    sign(claims) {
+      const now = Math.floor(Date.now() / 1000);
+      const input = `${encode({ alg: "RS256", typ: "JWT", kid })}.${encode({
+        iss: issuer,
+        iat: now,
+        exp: now + 300,
+        ...claims,
+      })}`;
+      return `${input}.${sign(
+        "sha256",
+        Buffer.from(input),
+        privateKey
+      ).toString("base64url")}`;
+    },
+
+    remove: () => fs.rmSync(jwksFile, { force: true }),
+  };
+}
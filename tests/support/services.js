@@ -0,0 +1,171 @@
+/**
+ * ============================================================
+ * SERVICES - Runs the demo services as real processes
+ * ============================================================
+ *
+ *   const stack = await startServices();
+ *   await fetch(`${stack.urls.gateway}/api/fast`);
+ *   await stack.stop();
+ *
+ *   const { code } = await stack.kill("gateway", "SIGINT");
+ *
+ * Each service runs `node app.js` from its own directory on a free
+ * port, wired to the others through ORDER_SERVICE_URL and
+ * PAYMENT_SERVICE_URL. Telemetry goes to a closed local port, so
+ * nothing needs Alloy, or to an in-memory collector (collector.js)
+ * with `startServices({ collector })`, exporting spans and metrics
+ * every few hundred ms. stdout/stderr are kept for assertions on
+ * logs; stack.logs(name) parses the JSON entries.
+ * ============================================================
+ */
+
+import { spawn } from "node:child_process";
+import net from "node:net";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../.."
+);
+
+export const SERVICES = {
+  gateway: "sample-app",
+  "order-service": "order-service",
+  "payment-service": "payment-service",
+};
+
+const STARTUP_TIMEOUT_MS = 15_000;
+const STOP_TIMEOUT_MS = 5_000;
+
+// Export intervals when a collector is given: tests wait for it
+const COLLECTOR_ENV = {
+  OTEL_BSP_SCHEDULE_DELAY: "100",
+  OTEL_METRIC_EXPORT_INTERVAL: "250",
+};
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitForHealth = async (name, url, child) => {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`${name} exited during startup:\n${child.output()}`);
+    }
+    try {
+      const response = await fetch(`${url}/livez`);
+      if (response.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error(`${name} did not become healthy:\n${child.output()}`);
+};
+
+const stopChild = (child) =>
+  new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+
+    const timer = setTimeout(() => child.kill("SIGKILL"), STOP_TIMEOUT_MS);
+    child.once("exit", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.kill("SIGTERM");
+  });
+
+/**
+ * Sends `signal` to one service and resolves with how it exited.
+ */
+const killChild = (child, signal) =>
+  new Promise((resolve) => {
+    const exited = () =>
+      resolve({ code: child.exitCode, signal: child.signalCode });
+    if (child.exitCode !== null || child.signalCode !== null) return exited();
+
+    child.once("exit", exited);
+    child.kill(signal);
+  });
+
+/**
+ * Starts gateway, order-service and payment-service.
+ *
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.env] - extra env for every service
+ * @param {{ url: string }} [options.collector] - startCollector() receiving
+ *   the telemetry
+ * @returns {Promise<{ urls: Record<string, string>, output: (name: string) => string, logs: (name: string) => object[], kill: (name: string, signal?: string) => Promise<{ code: number | null, signal: string | null }>, stop: () => Promise<void> }>}
+ */
+export async function startServices({ env = {}, collector } = {}) {
+  const ports = {};
+  for (const name of Object.keys(SERVICES)) ports[name] = await freePort();
+
+  const urls = Object.fromEntries(
+    Object.entries(ports).map(([name, port]) => [
+      name,
+      `http://127.0.0.1:${port}`,
+    ])
+  );
+
+  const children = {};
+
+  const stop = () => Promise.all(Object.values(children).map(stopChild));
+
+  try {
+    // Downstream first, so each service finds its dependency up
+    for (const name of ["payment-service", "order-service", "gateway"]) {
+      const child = spawn(process.execPath, ["app.js"], {
+        cwd: path.join(ROOT, SERVICES[name]),
+        env: {
+          ...process.env,
+          PORT: String(ports[name]),
+          ORDER_SERVICE_URL: urls["order-service"],
+          PAYMENT_SERVICE_URL: urls["payment-service"],
+          // The gateway loads the demo keys of sample-app/api-keys.json
+          NODE_ENV: "development",
+          OTEL_EXPORTER_OTLP_ENDPOINT: collector?.url ?? "http://127.0.0.1:9",
+          ...(collector && COLLECTOR_ENV),
+          ...env,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+
+      const chunks = [];
+      child.stdout.on("data", (chunk) => chunks.push(chunk));
+      child.stderr.on("data", (chunk) => chunks.push(chunk));
+      child.output = () => Buffer.concat(chunks).toString("utf8");
+      children[name] = child;
+
+      await waitForHealth(name, urls[name], child);
+    }
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return {
+    urls,
+    output: (name) => children[name].output(),
+    logs: (name) =>
+      children[name]
+        .output()
+        .split("\n")
+        .filter((line) => line.startsWith("{"))
+        .map((line) => JSON.parse(line)),
+    kill: (name, signal = "SIGTERM") => killChild(children[name], signal),
+    stop,
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * ============================================================
+ * SSE CLIENT - Reads a text/event-stream the way EventSource does
+ * ============================================================
+ *
+ *   const stream = await openEventStream(url, { headers });
+ *   const [created, paid] = await stream.next(2);
+ *   stream.close();
+ *
+ * Events are { id, event, data } with `data` parsed as JSON;
+ * comments (heartbeats) are counted in stream.comments. `ended`
+ * resolves when the server closes the stream.
+ * ============================================================
+ */
+
+const WAIT_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {string} url
+ * @param {{ headers?: Record<string, string> }} [options]
+ */
+export async function openEventStream(url, { headers } = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, {
+    headers: { Accept: "text/event-stream", ...headers },
+    signal: controller.signal,
+  });
+
+  const events = [];
+  const stream = {
+    status: response.status,
+    headers: response.headers,
+    events,
+    comments: 0,
+    ended: null,
+    read: 0, // events already handed out by next()
+
+    /**
+     * Resolves with the next `count` events not handed out yet.
+     */
+    async next(count = 1, { timeoutMs = WAIT_TIMEOUT_MS } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      while (events.length < stream.read + count) {
+        if (Date.now() > deadline) {
+          throw new Error(
+            `Timed out after ${timeoutMs}ms waiting for ${count} events ` +
+              `(got ${JSON.stringify(events.slice(stream.read))})`
+          );
+        }
+        await sleep(20);
+      }
+      stream.read += count;
+      return events.slice(stream.read - count, stream.read);
+    },
+
+    close: () => controller.abort(),
+  };
+
+  const read = async () => {
+    const decoder = new TextDecoder();
+    let buffered = "";
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffered.indexOf("\n\n")) !== -1) {
+        const block = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+
+        const message = {};
+        for (const line of block.split("\n")) {
+          if (line.startsWith(":")) stream.comments += 1;
+          const [, field, value] = line.match(/^(\w+): ?(.*)$/) ?? [];
+          if (field === "data") message.data = JSON.parse(value);
+          else if (field === "id" || field === "event") message[field] = value;
+        }
+        if (message.data !== undefined) events.push(message);
+      }
+    }
+  };
+  stream.ended = response.ok
+    ? read().catch((error) => {
+        if (!controller.signal.aborted) throw error;
+      })
+    : response.body.cancel();
+
+  return stream;
+}
@@ -0,0 +1,115 @@
+/**
+ * ============================================================
+ * TRACES - Assertions on the spans of one trace
+ * ============================================================
+ *
+ *   const spans = collector.trace(traceId);
+ *   const order = findSpan(spans, { service: "order-service", kind: "server" });
+ *   const payment = findSpan(spans, { service: "payment-service", kind: "server" });
+ *   assertDescendantOf(spans, payment, order);
+ *
+ * Spans are the ones of support/collector.js. Failures print the
+ * whole trace as a tree (formatTrace), so a broken parent link is
+ * visible at a glance.
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+
+/**
+ * `span` matches every field given in `match`:
+ * { service, kind, name (string or RegExp), status (code), attributes }.
+ */
+const matchesSpan = (span, { service, kind, name, status, attributes = {} }) =>
+  (service === undefined || span.service === service) &&
+  (kind === undefined || span.kind === kind) &&
+  (name === undefined ||
+    (name instanceof RegExp ? name.test(span.name) : span.name === name)) &&
+  (status === undefined || span.status.code === status) &&
+  Object.entries(attributes).every(([key, value]) =>
+    value instanceof RegExp
+      ? value.test(String(span.attributes[key]))
+      : span.attributes[key] === value
+  );
+
+/**
+ * The spans as an indented tree, one line per span:
+ *   gateway server POST [unset] http.target=/api/order
+ */
+export const formatTrace = (spans) => {
+  const ids = new Set(spans.map((span) => span.spanId));
+  const children = (parentId) =>
+    spans
+      .filter((span) =>
+        parentId ? span.parentSpanId === parentId : !ids.has(span.parentSpanId)
+      )
+      .sort((a, b) => a.startMs - b.startMs);
+
+  const lines = [];
+  const walk = (span, depth) => {
+    const target =
+      span.attributes["http.target"] ?? span.attributes["http.url"];
+    lines.push(
+      `${"  ".repeat(depth)}${span.service} ${span.kind} ${span.name} [${span.status.code}]${target ? ` ${target}` : ""}`
+    );
+    for (const child of children(span.spanId)) walk(child, depth + 1);
+  };
+  for (const root of children(null)) walk(root, 0);
+  return lines.join("\n");
+};
+
+/**
+ * Every span matching `match` (see matchesSpan).
+ */
+export const findSpans = (spans, match) =>
+  spans.filter((span) => matchesSpan(span, match));
+
+/**
+ * The one span matching `match`; fails when there are none or more.
+ */
+export const findSpan = (spans, match) => {
+  const found = findSpans(spans, match);
+  assert.equal(
+    found.length,
+    1,
+    `expected one span matching ${JSON.stringify(match)}, found ${found.length} in:\n${formatTrace(spans)}`
+  );
+  return found[0];
+};
+
+/**
+ * Parent, grandparent, ... of `span` within `spans`.
+ */
+export const ancestorsOf = (spans, span) => {
+  const byId = new Map(spans.map((candidate) => [candidate.spanId, candidate]));
+  const ancestors = [];
+  for (
+    let parent = byId.get(span.parentSpanId);
+    parent;
+    parent = byId.get(parent.parentSpanId)
+  ) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+};
+
+/**
+ * The spans whose parent is not in the trace (normally one).
+ */
+export const rootsOf = (spans) => {
+  const ids = new Set(spans.map((span) => span.spanId));
+  return spans.filter((span) => !ids.has(span.parentSpanId));
+};
+
+export const assertChildOf = (spans, child, parent) =>
+  assert.equal(
+    child.parentSpanId,
+    parent.spanId,
+    `${child.service} ${child.name} is not a child of ${parent.service} ${parent.name}:\n${formatTrace(spans)}`
+  );
+
+export const assertDescendantOf = (spans, span, ancestor) =>
+  assert.ok(
+    ancestorsOf(spans, span).includes(ancestor),
+    `${span.service} ${span.name} does not descend from ${ancestor.service} ${ancestor.name}:\n${formatTrace(spans)}`
+  );
@@ -0,0 +1,230 @@
+/**
+ * ============================================================
+ * TRACE TESTS - What an order looks like in Tempo, Loki, Prometheus
+ * ============================================================
+ *
+ * Starts gateway, order-service and payment-service exporting to an
+ * in-memory OTLP collector (support/collector.js), sends orders
+ * through the gateway with a known trace ID and asserts on the
+ * telemetry they produce: one trace across the three services with
+ * the right parent/child links, error status on a declined payment,
+ * log lines correlated with the trace, and in-flight request gauges
+ * back at zero.
+ *
+ *   cd tests && npm install && npm run test:traces
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { SERVICES, startServices } from "../support/services.js";
+import {
+  assertChildOf,
+  assertDescendantOf,
+  findSpan,
+  findSpans,
+  formatTrace,
+  rootsOf,
+} from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({
+    collector,
+    env: { SERVICE_TOKEN: randomUUID() },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+/**
+ * POST /api/order in a new trace; resolves once the collector holds
+ * the server span of every service. The provider simulator declines
+ * totals ending in .01 (payment-service/simulator.js).
+ */
+const placeOrder = async (total = 30) => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls.gateway}/api/order`, {
+    method: "POST",
+    headers: {
+      "X-API-Key": API_KEY,
+      "Content-Type": "application/json",
+      traceparent,
+    },
+    body: JSON.stringify({ item: "Widget", total }),
+  });
+  const body = await response.json();
+
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      const servers = new Set(
+        findSpans(spans, { kind: "server" }).map((span) => span.service)
+      );
+      return servers.size === Object.keys(SERVICES).length && spans;
+    },
+    { message: `the server spans of trace ${traceId}` }
+  );
+
+  return { traceId, traceparent, status: response.status, body, spans };
+};
+
+/**
+ * The HTTP spans of the order's path, gateway → order → payment.
+ */
+const orderPath = (spans) => ({
+  gateway: findSpan(spans, {
+    service: "gateway",
+    kind: "server",
+    attributes: { "http.target": "/api/order" },
+  }),
+  gatewayCall: findSpan(spans, {
+    service: "gateway",
+    kind: "client",
+    attributes: { "http.url": /\/orders$/ },
+  }),
+  order: findSpan(spans, {
+    service: "order-service",
+    kind: "server",
+    attributes: { "http.target": "/orders" },
+  }),
+  paymentCall: findSpan(spans, {
+    service: "order-service",
+    kind: "client",
+    attributes: { "http.url": /\/payments$/ },
+  }),
+  payment: findSpan(spans, {
+    service: "payment-service",
+    kind: "server",
+    attributes: { "http.target": "/payments" },
+  }),
+});
+
+test("POST /api/order is one trace: gateway → order-service → payment-service", async () => {
+  const { status, traceparent, spans } = await placeOrder();
+  assert.equal(status, 200);
+
+  // One root, continuing the caller's traceparent
+  const roots = rootsOf(spans);
+  assert.equal(roots.length, 1, formatTrace(spans));
+  assert.equal(roots[0].parentSpanId, traceparent.split("-")[2]);
+
+  const path = orderPath(spans);
+  assert.equal(roots[0], path.gateway);
+  assertChildOf(spans, path.gatewayCall, path.gateway);
+  assertChildOf(spans, path.order, path.gatewayCall);
+  assertDescendantOf(spans, path.paymentCall, path.order);
+  assertChildOf(spans, path.payment, path.paymentCall);
+
+  // The saga and the payment's status changes sit under their service
+  const saga = findSpan(spans, { name: "saga create-order" });
+  assertChildOf(spans, saga, path.order);
+  assertDescendantOf(
+    spans,
+    findSpan(spans, { name: "saga step authorize payment" }),
+    saga
+  );
+  assertDescendantOf(spans, path.paymentCall, saga);
+  for (const name of ["payment authorized", "payment captured"]) {
+    assertChildOf(spans, findSpan(spans, { name }), path.payment);
+  }
+
+  // payment-service's calls to the payment provider
+  for (const operation of ["authorize", "capture"]) {
+    const call = findSpan(spans, {
+      kind: "client",
+      name: `simulator ${operation}`,
+      attributes: { "payment_provider.outcome": "success" },
+    });
+    assertChildOf(spans, call, path.payment);
+  }
+
+  for (const span of Object.values(path)) {
+    assert.equal(span.attributes["http.status_code"], 200);
+    assert.equal(span.status.code, "unset");
+  }
+});
+
+test("a declined payment marks the payment spans as errors", async () => {
+  const { status, body, spans } = await placeOrder(30.01);
+  assert.equal(status, 400);
+  assert.equal(body.code, "PAYMENT_DECLINED");
+
+  const path = orderPath(spans);
+
+  // payment-service answers 400: a client error, not a server failure
+  assert.equal(path.payment.attributes["http.status_code"], 400);
+  assert.equal(path.payment.status.code, "unset");
+  const declined = findSpan(spans, { name: "payment declined" });
+  assertChildOf(spans, declined, path.payment);
+  assert.equal(declined.attributes["payment.status.to"], "declined");
+  const authorize = findSpan(spans, { name: "simulator authorize" });
+  assertChildOf(spans, authorize, path.payment);
+  assert.equal(
+    authorize.attributes["payment_provider.decline_code"],
+    "card_declined"
+  );
+
+  // For order-service the payment failed
+  assert.equal(path.paymentCall.status.code, "error");
+  const step = findSpan(spans, { name: "saga step authorize payment" });
+  assert.equal(step.status.code, "error");
+  assert.ok(
+    step.events.some((event) => event.name === "exception"),
+    "exception recorded on the saga step"
+  );
+
+  // ... and the saga compensated the stock reservation
+  assertDescendantOf(
+    spans,
+    findSpan(spans, { name: "saga compensate reserve inventory" }),
+    findSpan(spans, { name: "saga create-order" })
+  );
+});
+
+test("every service logs the order with its trace and span IDs", async () => {
+  const { traceId, spans } = await placeOrder();
+  const spanIds = new Set(spans.map((span) => span.spanId));
+
+  for (const name of Object.keys(SERVICES)) {
+    const entries = stack
+      .logs(name)
+      .filter((entry) => entry.trace_id === traceId);
+    assert.ok(entries.length > 0, `${name} logged nothing for ${traceId}`);
+    for (const entry of entries) {
+      assert.ok(
+        spanIds.has(entry.span_id),
+        `${name} "${entry.message}" has span_id ${entry.span_id}, not in the trace`
+      );
+      assert.equal(entry.trace_flags, "01");
+    }
+  }
+});
+
+test("http_active_requests returns to zero after the orders", async () => {
+  await placeOrder();
+
+  for (const name of Object.keys(SERVICES)) {
+    await collector.waitFor(
+      () => {
+        const points = collector.metric("http_active_requests", {
+          service: name,
+        });
+        return points.length > 0 && points.at(-1).value === 0;
+      },
+      { message: `http_active_requests{service="${name}"} back at 0` }
+    );
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * ============================================================
+ * VALIDATION TESTS - Bad requests and the error envelope
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector and sends them requests their schemas refuse: each is
+ * answered 400 VALIDATION_FAILED with one detail per problem, never
+ * reaches the handler (nor the next service), and shows up as a
+ * failed "request validation" span. Malformed JSON and unknown
+ * routes get the same envelope, with the trace ID of the request
+ * (shared/http/validation.js, shared/http/errors.js).
+ *
+ *   cd tests && npm install && npm run test:validation
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { findSpan, findSpans } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEY = "lgtm-dev-loadgen-key";
+
+let collector;
+let stack;
+
+before(async () => {
+  collector = await startCollector();
+  stack = await startServices({ collector });
+});
+
+after(async () => {
+  await stack?.stop();
+  await collector?.close();
+});
+
+/**
+ * Calls `service` in a new trace; a string `body` is sent as is.
+ */
+const call = async (service, method, path, body) => {
+  const { traceId, traceparent } = newTrace();
+  const response = await fetch(`${stack.urls[service]}${path}`, {
+    method,
+    headers: {
+      ...(service === "gateway" && { "X-API-Key": API_KEY }),
+      "Content-Type": "application/json",
+      traceparent,
+    },
+    body: typeof body === "string" ? body : body && JSON.stringify(body),
+  });
+  return { traceId, status: response.status, body: await response.json() };
+};
+
+const sortedDetails = (details) =>
+  details
+    .map(({ location, path, message }) => `${location}${path} ${message}`)
+    .sort();
+
+test("an invalid order lists every problem and stops at the gateway", async () => {
+  const { traceId, status, body } = await call(
+    "gateway",
+    "POST",
+    "/api/order",
+    {
+      item: "",
+      quantity: "2",
+      total: -5,
+      coupon: "FREE",
+    }
+  );
+
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.equal(body.message, "Request validation failed");
+  assert.equal(body.trace_id, traceId);
+  assert.deepEqual(sortedDetails(body.details), [
+    'body/ unknown property "coupon"',
+    "body/item must NOT have fewer than 1 characters",
+    "body/quantity must be integer",
+    "body/total must be > 0",
+  ]);
+
+  const spans = await collector.waitFor(
+    () => {
+      const spans = collector.trace(traceId);
+      return (
+        findSpans(spans, { name: "request validation" }).length > 0 && spans
+      );
+    },
+    { message: `the validation span of trace ${traceId}` }
+  );
+  const validation = findSpan(spans, {
+    service: "gateway",
+    name: "request validation",
+    status: "error",
+  });
+  assert.equal(validation.attributes["validation.errors"], 4);
+  assert.deepEqual(findSpans(spans, { service: "order-service" }), []);
+
+  const logged = stack
+    .logs("gateway")
+    .find(
+      (entry) =>
+        entry.message === "Request validation failed" &&
+        entry.trace_id === traceId
+    );
+  assert.equal(logged.validation_errors.length, 4);
+});
+
+test("query strings are coerced to the schema's types", async () => {
+  const listed = await call("gateway", "GET", "/api/orders?limit=2");
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.orders.length <= 2);
+
+  const refused = await call(
+    "gateway",
+    "GET",
+    "/api/orders?limit=many&status=lost"
+  );
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    refused.body.details.map((detail) => detail.location),
+    ["query", "query"]
+  );
+});
+
+test("the internal services validate what they are sent too", async () => {
+  const order = await call("order-service", "POST", "/orders", {
+    total: "20",
+  });
+  assert.equal(order.status, 400);
+  assert.deepEqual(sortedDetails(order.body.details), [
+    "body/total must be number",
+  ]);
+
+  const payment = await call("payment-service", "POST", "/payments", {
+    orderId: randomUUID(),
+    amount: "20",
+  });
+  assert.equal(payment.status, 400);
+  assert.equal(payment.body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    payment.body.details.map((detail) => detail.path),
+    ["/amount"]
+  );
+});
+
+test("malformed JSON and unknown routes get the same envelope", async () => {
+  for (const service of Object.keys(stack.urls)) {
+    const malformed = await call(service, "POST", "/orders", '{"total": ');
+    assert.equal(malformed.status, 400, service);
+    assert.equal(malformed.body.code, "INVALID_JSON", service);
+    assert.equal(malformed.body.message, "Request body is not valid JSON");
+    assert.equal(malformed.body.trace_id, malformed.traceId, service);
+
+    const unknown = await call(service, "GET", "/nowhere");
+    assert.equal(unknown.status, 404, service);
+    assert.deepEqual(unknown.body, {
+      code: "ROUTE_NOT_FOUND",
+      message: "No route for GET /nowhere",
+      trace_id: unknown.traceId,
+    });
+  }
+});
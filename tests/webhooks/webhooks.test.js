@@ -0,0 +1,320 @@
+/**
+ * ============================================================
+ * WEBHOOK TESTS - Order results pushed to the client's endpoint
+ * ============================================================
+ *
+ * Starts the three services exporting to an in-memory OTLP
+ * collector, plus a local receiver, and subscribes it through the
+ * gateway: order results must arrive signed with the subscription's
+ * secret, only for the subscriber's own orders, in a span linked to
+ * the order's trace; failures must be retried and dead-lettered.
+ * Receivers on the gateway's own network are refused, the local one
+ * only allowed through WEBHOOK_ALLOWED_HOSTS (sample-app/webhooks.js).
+ *
+ *   cd tests && npm install && npm run test:webhooks
+ * ============================================================
+ */
+
+import assert from "node:assert/strict";
+import { createHmac, randomUUID } from "node:crypto";
+import http from "node:http";
+import { after, before, test } from "node:test";
+
+import { newTrace, startCollector } from "../support/collector.js";
+import { startServices } from "../support/services.js";
+import { findSpan } from "../support/traces.js";
+
+// sample-app/api-keys.json
+const API_KEYS = {
+  loadgen: "lgtm-dev-loadgen-key",
+  acme: "lgtm-dev-acme-key",
+};
+
+const MAX_ATTEMPTS = 3;
+
+let collector;
+let stack;
+let receiver;
+
+/**
+ * HTTP server recording every request; `answers[path]` lists the
+ * status codes to answer in turn (200 once they run out).
+ */
+const startReceiver = () =>
+  new Promise((resolve) => {
+    const received = [];
+    const answers = {};
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.statusCode = answers[req.url]?.shift() ?? 200;
+        res.end();
+      });
+    });
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: (path) => `http://127.0.0.1:${server.address().port}${path}`,
+        received: (path) => received.filter((request) => request.path === path),
+        answers,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    );
+  });
+
+before(async () => {
+  collector = await startCollector();
+  receiver = await startReceiver();
+  stack = await startServices({
+    collector,
+    env: {
+      SERVICE_TOKEN: randomUUID(),
+      PAYMENT_PROVIDER_LATENCY: "instant",
+      WEBHOOK_RETRY_BASE_MS: "50",
+      WEBHOOK_MAX_ATTEMPTS: String(MAX_ATTEMPTS),
+      // The receiver, on a loopback address like no real one
+      WEBHOOK_ALLOWED_HOSTS: "127.0.0.1",
+    },
+  });
+});
+
+after(async () => {
+  await stack?.stop();
+  await receiver?.close();
+  await collector?.close();
+});
+
+const gateway = async (
+  method,
+  path,
+  { key = API_KEYS.loadgen, body, headers } = {}
+) => {
+  const response = await fetch(`${stack.urls.gateway}${path}`, {
+    method,
+    headers: {
+      "X-API-Key": key,
+      ...(body && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : undefined };
+};
+
+const subscribe = async (path, events, key) => {
+  const { status, body } = await gateway("POST", "/api/webhooks", {
+    key,
+    body: { url: receiver.url(path), events },
+  });
+  assert.equal(status, 201);
+  return body;
+};
+
+/**
+ * POST /api/order in a new trace.
+ */
+const placeOrder = async (body, key) => {
+  const { traceId, traceparent } = newTrace();
+  const { status, body: order } = await gateway("POST", "/api/order", {
+    key,
+    body: { item: "Widget", ...body },
+    headers: { traceparent },
+  });
+  return { traceId, status, order };
+};
+
+const deliveredTo = (path, count) =>
+  collector.waitFor(
+    () => {
+      const requests = receiver.received(path);
+      return requests.length >= count && requests;
+    },
+    { message: `${count} webhook requests to ${path}` }
+  );
+
+const verify = (secret, { headers, body }) => {
+  const { t, v1 } = Object.fromEntries(
+    headers["x-webhook-signature"].split(",").map((part) => part.split("="))
+  );
+  const expected = createHmac("sha256", secret)
+    .update(`${t}.${body}`)
+    .digest("hex");
+  assert.equal(v1, expected, "X-Webhook-Signature");
+  assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60, "signed just now");
+  return JSON.parse(body);
+};
+
+test("order results are delivered signed, linked to the order's trace", async () => {
+  const subscription = await subscribe("/results", [
+    "order.completed",
+    "order.failed",
+  ]);
+  // Another client's subscription never sees these orders
+  await subscribe("/acme", ["order.completed"], API_KEYS.acme);
+
+  const paid = await placeOrder({ total: 20 });
+  assert.equal(paid.status, 200);
+  const rejected = await placeOrder({
+    total: 20,
+    customerId: "customer-blocked",
+  });
+  assert.equal(rejected.status, 422);
+
+  const [completed, failed] = (await deliveredTo("/results", 2)).map(
+    (request) => ({ request, event: verify(subscription.secret, request) })
+  );
+  assert.equal(completed.event.type, "order.completed");
+  assert.equal(completed.event.data.order.orderId, paid.order.orderId);
+  assert.equal(completed.event.data.order.status, "paid");
+  assert.equal(completed.request.headers["x-webhook-id"], completed.event.id);
+  assert.equal(failed.event.type, "order.failed");
+  assert.equal(failed.event.data.order.status, "rejected");
+
+  // The delivery is its own trace, linked to the one that paid the order
+  const deliveryTraceId = completed.request.headers.traceparent.split("-")[1];
+  const span = await collector.waitFor(
+    () =>
+      findSpan(collector.trace(deliveryTraceId), {
+        service: "gateway",
+        name: "webhook order.completed",
+      }),
+    { message: "webhook span" }
+  );
+  assert.equal(span.kind, "client");
+  assert.equal(span.parentSpanId, null);
+  assert.equal(span.attributes["order.id"], paid.order.orderId);
+  assert.equal(span.attributes["webhook.attempt"], 1);
+  assert.deepEqual(
+    span.links.map((link) => link.traceId),
+    [paid.traceId]
+  );
+
+  const { body } = await gateway(
+    "GET",
+    `/api/webhooks/${subscription.subscriptionId}/deliveries`
+  );
+  assert.deepEqual(
+    body.deliveries.map((delivery) => [delivery.type, delivery.status]),
+    [
+      ["order.failed", "delivered"],
+      ["order.completed", "delivered"],
+    ]
+  );
+  assert.equal(body.deliveries[1].attempts[0].statusCode, 200);
+  assert.deepEqual(receiver.received("/acme"), []);
+});
+
+test("refunds are delivered as payment.refunded", async () => {
+  const subscription = await subscribe("/refunds", ["payment.refunded"]);
+  const { order } = await placeOrder({ total: 40 });
+
+  for (const amount of [10, 30]) {
+    const refund = await gateway(
+      "POST",
+      `/api/orders/${order.orderId}/refunds`,
+      { body: { amount } }
+    );
+    assert.equal(refund.status, 201);
+  }
+
+  const events = (await deliveredTo("/refunds", 2)).map((request) =>
+    verify(subscription.secret, request)
+  );
+  assert.deepEqual(
+    events.map((event) => [event.type, event.data.order.status]),
+    [
+      ["payment.refunded", "partially_refunded"],
+      ["payment.refunded", "refunded"],
+    ]
+  );
+});
+
+test("failed deliveries are retried, then dead-lettered", async () => {
+  receiver.answers["/flaky"] = [503];
+  receiver.answers["/down"] = Array(MAX_ATTEMPTS).fill(500);
+  const flaky = await subscribe("/flaky", ["order.completed"]);
+  const down = await subscribe("/down", ["order.completed"]);
+
+  const { order } = await placeOrder({ total: 25 });
+
+  const attempts = await deliveredTo("/down", MAX_ATTEMPTS);
+  assert.equal(
+    new Set(attempts.map((request) => request.headers["x-webhook-id"])).size,
+    1,
+    "every attempt carries the same event id"
+  );
+
+  const deadLetter = await collector.waitFor(
+    async () => {
+      const { body } = await gateway("GET", "/api/webhooks/dead-letters");
+      return body.deliveries.find(
+        (delivery) => delivery.subscriptionId === down.subscriptionId
+      );
+    },
+    { message: "dead letter" }
+  );
+  assert.equal(deadLetter.orderId, order.orderId);
+  assert.equal(deadLetter.status, "dead_lettered");
+  assert.deepEqual(
+    deadLetter.attempts.map((attempt) => attempt.statusCode),
+    Array(MAX_ATTEMPTS).fill(500)
+  );
+
+  const { body } = await gateway(
+    "GET",
+    `/api/webhooks/${flaky.subscriptionId}/deliveries?status=delivered`
+  );
+  assert.deepEqual(
+    body.deliveries[0].attempts.map((attempt) => attempt.statusCode),
+    [503, 200]
+  );
+
+  const logged = stack
+    .logs("gateway")
+    .find(
+      (entry) =>
+        entry.message === "Webhook dead-lettered" &&
+        entry.subscription_id === down.subscriptionId
+    );
+  assert.equal(logged.level, "error");
+  assert.equal(logged.module, "webhooks");
+  assert.equal(logged.attempt, MAX_ATTEMPTS);
+
+  await collector.waitFor(
+    () =>
+      collector.lastValue("webhook_deliveries", {
+        event: "order.completed",
+        result: "dead_lettered",
+      }) === 1,
+    { message: "webhook_deliveries{result=dead_lettered}" }
+  );
+});
+
+test("receivers on private, loopback or link-local addresses are refused", async () => {
+  for (const url of [
+    "http://localhost:8001/orders",
+    "http://127.0.0.2/hook",
+    "http://10.0.0.5/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+    "http://[::ffff:192.168.1.1]/hook",
+    "http://[fe80::1]/hook",
+  ]) {
+    const { status, body } = await gateway("POST", "/api/webhooks", {
+      body: { url, events: ["order.completed"] },
+    });
+    assert.equal(status, 422, url);
+    assert.equal(body.code, "WEBHOOK_URL_NOT_ALLOWED", url);
+    assert.equal(body.details.reason, "blocked_address", url);
+  }
+
+  const { body: listed } = await gateway("GET", "/api/webhooks");
+  assert.ok(
+    listed.webhooks.every((webhook) =>
+      webhook.url.startsWith(receiver.url(""))
+    ),
+    "only the allowed receiver is subscribed"
+  );
+});